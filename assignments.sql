@@ -0,0 +1,188 @@
+/*
+  Instructor assignments: a bundle of cases (presets, generated case codes, cases from a case file)
+  with open/due dates, pushed to one or more classes.
+  - students.class_name groups students into classes (an assignment with no target classes goes to everyone)
+  - assignment_submissions keeps the latest answer check per student and case; late is derived from due_at
+  - submitted_at is stamped by the server (stamp_assignment_submission), so a client cannot backdate a submission,
+    and a re-check after due_at does not replace a submission made on time
+  The rubric for an assignment is attached in rubric_attachments (target_type 'assignment', target_key = assignments.id).
+  Assignments are created, changed and deleted only through save_assignment / delete_assignment, which check the
+  instructor's ID and password with check_instructor from rubrics.sql.
+  Run setup_and_add_students.sql and rubrics.sql first, then this entire script in Supabase SQL Editor.
+*/
+
+ALTER TABLE students
+ADD COLUMN IF NOT EXISTS class_name TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_students_class_name ON students(class_name);
+
+CREATE TABLE IF NOT EXISTS assignments (
+  id BIGSERIAL PRIMARY KEY,
+  title TEXT NOT NULL,
+  description TEXT,
+  items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  target_classes TEXT[] NOT NULL DEFAULT '{}',
+  open_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  due_at TIMESTAMPTZ,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (due_at IS NULL OR due_at > open_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignments_open_at ON assignments(open_at DESC);
+
+CREATE TABLE IF NOT EXISTS assignment_submissions (
+  id BIGSERIAL PRIMARY KEY,
+  assignment_id BIGINT NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+  student_id TEXT NOT NULL REFERENCES students(student_id) ON DELETE CASCADE,
+  user_id UUID,
+  item_key TEXT NOT NULL,
+  accuracy INTEGER,
+  score JSONB NOT NULL DEFAULT '{}'::jsonb,
+  submitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (assignment_id, student_id, item_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignment_submissions_assignment_id ON assignment_submissions(assignment_id);
+CREATE INDEX IF NOT EXISTS idx_assignment_submissions_student_id ON assignment_submissions(student_id);
+
+ALTER TABLE assignments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE assignment_submissions ENABLE ROW LEVEL SECURITY;
+
+/* Anon read-all (same pattern as student_progress) for the instructor dashboard and the student's assignment list */
+DROP POLICY IF EXISTS "Allow select assignments" ON assignments;
+CREATE POLICY "Allow select assignments"
+  ON assignments FOR SELECT
+  USING (true);
+
+/* No anon write policies on assignments: the instructor writes through save_assignment / delete_assignment below
+   (earlier versions let the anon key insert, update and delete, and a delete cascades to the submissions) */
+DROP POLICY IF EXISTS "Allow insert assignments" ON assignments;
+DROP POLICY IF EXISTS "Allow update assignments" ON assignments;
+DROP POLICY IF EXISTS "Allow delete assignments" ON assignments;
+
+DROP POLICY IF EXISTS "Allow select assignment_submissions" ON assignment_submissions;
+CREATE POLICY "Allow select assignment_submissions"
+  ON assignment_submissions FOR SELECT
+  USING (true);
+
+/* Insert/update only when auth.uid() matches students.user_id for this student_id */
+DROP POLICY IF EXISTS "Students insert own assignment submissions" ON assignment_submissions;
+CREATE POLICY "Students insert own assignment submissions"
+  ON assignment_submissions FOR INSERT
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM students s
+      WHERE s.student_id = assignment_submissions.student_id
+        AND s.user_id IS NOT NULL
+        AND s.user_id = auth.uid()
+    )
+  );
+
+DROP POLICY IF EXISTS "Students update own assignment submissions" ON assignment_submissions;
+CREATE POLICY "Students update own assignment submissions"
+  ON assignment_submissions FOR UPDATE
+  USING (
+    EXISTS (
+      SELECT 1 FROM students s
+      WHERE s.student_id = assignment_submissions.student_id
+        AND s.user_id IS NOT NULL
+        AND s.user_id = auth.uid()
+    )
+  );
+
+DROP TRIGGER IF EXISTS update_assignments_updated_at ON assignments;
+CREATE TRIGGER update_assignments_updated_at
+  BEFORE UPDATE ON assignments
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+/* Runs before update_assignment_submissions_updated_at (triggers fire in name order) */
+CREATE OR REPLACE FUNCTION stamp_assignment_submission()
+RETURNS TRIGGER AS $$
+DECLARE
+  due TIMESTAMPTZ;
+BEGIN
+  NEW.submitted_at = NOW();
+  IF TG_OP = 'UPDATE' THEN
+    SELECT a.due_at INTO due FROM assignments a WHERE a.id = OLD.assignment_id;
+    /* Keep the on-time submission: a late re-check leaves the row as it was */
+    IF due IS NOT NULL AND OLD.submitted_at <= due AND NEW.submitted_at > due THEN
+      RETURN OLD;
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS stamp_assignment_submissions ON assignment_submissions;
+CREATE TRIGGER stamp_assignment_submissions
+  BEFORE INSERT OR UPDATE ON assignment_submissions
+  FOR EACH ROW
+  EXECUTE FUNCTION stamp_assignment_submission();
+
+DROP TRIGGER IF EXISTS update_assignment_submissions_updated_at ON assignment_submissions;
+CREATE TRIGGER update_assignment_submissions_updated_at
+  BEFORE UPDATE ON assignment_submissions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+/* Insert (p_id NULL) or update an assignment */
+CREATE OR REPLACE FUNCTION save_assignment(
+  p_instructor_id TEXT, p_password TEXT,
+  p_id BIGINT, p_title TEXT, p_description TEXT, p_items JSONB,
+  p_target_classes TEXT[], p_open_at TIMESTAMPTZ, p_due_at TIMESTAMPTZ
+)
+RETURNS assignments
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  a assignments;
+BEGIN
+  PERFORM check_instructor(p_instructor_id, p_password);
+  IF p_id IS NULL THEN
+    INSERT INTO assignments (title, description, items, target_classes, open_at, due_at, created_by)
+    VALUES (p_title, p_description, p_items, COALESCE(p_target_classes, '{}'), p_open_at, p_due_at, p_instructor_id)
+    RETURNING * INTO a;
+  ELSE
+    UPDATE assignments
+    SET title = p_title,
+        description = p_description,
+        items = p_items,
+        target_classes = COALESCE(p_target_classes, '{}'),
+        open_at = p_open_at,
+        due_at = p_due_at
+    WHERE id = p_id
+    RETURNING * INTO a;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'assignment not found' USING ERRCODE = 'P0002';
+    END IF;
+  END IF;
+  RETURN a;
+END;
+$$;
+
+/* Deletes the submissions too (ON DELETE CASCADE) and the rubric attachment of the assignment */
+CREATE OR REPLACE FUNCTION delete_assignment(p_instructor_id TEXT, p_password TEXT, p_id BIGINT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM check_instructor(p_instructor_id, p_password);
+  DELETE FROM rubric_attachments WHERE target_type = 'assignment' AND target_key = p_id::TEXT;
+  DELETE FROM assignments WHERE id = p_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION save_assignment(TEXT, TEXT, BIGINT, TEXT, TEXT, JSONB, TEXT[], TIMESTAMPTZ, TIMESTAMPTZ) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION delete_assignment(TEXT, TEXT, BIGINT) TO anon, authenticated;
+
+COMMENT ON TABLE assignments IS 'Case bundles pushed to classes with open/due dates (items: preset / case_code / case_file)';
+COMMENT ON TABLE assignment_submissions IS 'Latest answer check per student, assignment and case (item_key); submitted_at is set by the server and an on-time row is never replaced after due_at';
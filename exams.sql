@@ -0,0 +1,341 @@
+/*
+  Timed examinations (e.g. the end-of-term masking OSCE).
+  An instructor issues a case code as an exam with a time limit (and optionally a rubric from rubrics.sql).
+  The rubric is copied into exams.rubric_snapshot when the exam is issued; the student's score and the instructor's
+  regrade both use that copy, so later edits to rubrics do not change the grading of an exam.
+  Students receive only the random exam code (exam_code); the case code is never readable with the anon key:
+    - start_exam resolves the exam code on the server and returns the case code only to a student who starts the exam
+    - is_exam_case_code lets the app refuse exam case codes in practice mode (case code box, ?case= links, assignments)
+  Students start and submit only through the functions below:
+    - start_exam records the start time on the server (reloading the page does not reset the clock)
+    - submit_exam accepts one submission per student and exam, and signs it with HMAC-SHA256
+    - verify_exam_attempt recomputes the signature, so any later edit of the stored result is detected
+  pgcrypto is installed in the extensions schema on Supabase, hence the search_path of the functions.
+  The signing key lives in exam_signing_keys, which has RLS enabled and no policies (not readable with the anon key).
+  Exams are issued, listed and withdrawn only through issue_exam / list_exams / list_exam_attempts / archive_exam,
+  which check the instructor's ID and password against instructors (the same comparison as the dashboard login).
+  There are no anon policies on exams or exam_attempts, and an exam with attempts cannot be deleted (ON DELETE RESTRICT): withdrawing an exam only sets archived_at.
+  Note: instructor_setup.sql lets anon read instructors; restrict that policy before relying on this in production.
+  Run rubrics.sql first, then this entire script in Supabase SQL Editor.
+*/
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+/* Exam code given to students, e.g. EX-3F9A0C12 (random, unrelated to the case code) */
+CREATE OR REPLACE FUNCTION new_exam_code()
+RETURNS TEXT
+LANGUAGE sql
+VOLATILE
+SET search_path = public, extensions
+AS $$
+  SELECT 'EX-' || upper(encode(gen_random_bytes(4), 'hex'));
+$$;
+
+CREATE TABLE IF NOT EXISTS exams (
+  id BIGSERIAL PRIMARY KEY,
+  exam_code TEXT UNIQUE NOT NULL DEFAULT new_exam_code(),
+  case_code TEXT UNIQUE NOT NULL,
+  title TEXT NOT NULL,
+  time_limit_sec INTEGER NOT NULL CHECK (time_limit_sec > 0),
+  rubric_id BIGINT REFERENCES rubrics(id) ON DELETE SET NULL,
+  rubric_snapshot JSONB,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  archived_at TIMESTAMPTZ
+);
+
+ALTER TABLE exams ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE exams ADD COLUMN IF NOT EXISTS exam_code TEXT UNIQUE NOT NULL DEFAULT new_exam_code();
+ALTER TABLE exams ADD COLUMN IF NOT EXISTS rubric_snapshot JSONB;
+
+/* Exams issued before rubric_snapshot existed: take the rubric as it is now (once) */
+UPDATE exams e
+SET rubric_snapshot = r.config || jsonb_build_object('name', r.name)
+FROM rubrics r
+WHERE e.rubric_id = r.id AND e.rubric_snapshot IS NULL;
+
+CREATE TABLE IF NOT EXISTS exam_attempts (
+  id BIGSERIAL PRIMARY KEY,
+  exam_id BIGINT NOT NULL REFERENCES exams(id) ON DELETE RESTRICT,
+  student_id TEXT NOT NULL,
+  user_id UUID,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  submitted_at TIMESTAMPTZ,
+  time_taken_sec INTEGER,
+  late BOOLEAN NOT NULL DEFAULT FALSE,
+  payload JSONB,
+  payload_sha256 TEXT,
+  signature TEXT,
+  UNIQUE (exam_id, student_id)
+);
+
+/* Earlier versions of this script created the FK with ON DELETE CASCADE */
+ALTER TABLE exam_attempts DROP CONSTRAINT IF EXISTS exam_attempts_exam_id_fkey;
+ALTER TABLE exam_attempts
+  ADD CONSTRAINT exam_attempts_exam_id_fkey FOREIGN KEY (exam_id) REFERENCES exams(id) ON DELETE RESTRICT;
+
+CREATE INDEX IF NOT EXISTS idx_exam_attempts_exam_id ON exam_attempts(exam_id);
+CREATE INDEX IF NOT EXISTS idx_exam_attempts_student_id ON exam_attempts(student_id);
+
+CREATE TABLE IF NOT EXISTS exam_signing_keys (
+  id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  secret TEXT NOT NULL
+);
+INSERT INTO exam_signing_keys (id, secret)
+VALUES (1, encode(gen_random_bytes(32), 'hex'))
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE exams ENABLE ROW LEVEL SECURITY;
+ALTER TABLE exam_attempts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE exam_signing_keys ENABLE ROW LEVEL SECURITY;
+
+/* No anon policies: exams and attempts are read and changed only through the SECURITY DEFINER functions below
+   (earlier versions had open select/insert/delete policies, which exposed the case code of every exam) */
+DROP POLICY IF EXISTS "Allow select exams" ON exams;
+DROP POLICY IF EXISTS "Allow insert exams" ON exams;
+DROP POLICY IF EXISTS "Allow delete exams" ON exams;
+DROP POLICY IF EXISTS "Allow select exam_attempts" ON exam_attempts;
+
+/* Signed text: every field that must not change after submission (times as epoch, independent of the session time zone) */
+CREATE OR REPLACE FUNCTION exam_attempt_signed_text(a exam_attempts)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT concat_ws('|', a.id, a.exam_id, a.student_id,
+    EXTRACT(EPOCH FROM a.started_at), EXTRACT(EPOCH FROM a.submitted_at),
+    a.time_taken_sec, a.late, a.payload_sha256);
+$$;
+
+/* Raises unless the instructor ID and password match instructors (password_hash holds the password, as in InstructorLogin) */
+CREATE OR REPLACE FUNCTION exam_check_instructor(p_instructor_id TEXT, p_password TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM instructors i
+    WHERE i.instructor_id = p_instructor_id AND i.password_hash = p_password
+  ) THEN
+    RAISE EXCEPTION 'instructor mismatch' USING ERRCODE = '42501';
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION issue_exam(
+  p_instructor_id TEXT, p_password TEXT,
+  p_case_code TEXT, p_title TEXT, p_time_limit_sec INTEGER, p_rubric_id BIGINT
+)
+RETURNS exams
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  e exams;
+  r rubrics;
+BEGIN
+  PERFORM exam_check_instructor(p_instructor_id, p_password);
+  IF p_rubric_id IS NOT NULL THEN
+    SELECT * INTO r FROM rubrics WHERE id = p_rubric_id;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'rubric not found' USING ERRCODE = 'P0002';
+    END IF;
+  END IF;
+  INSERT INTO exams (case_code, title, time_limit_sec, rubric_id, rubric_snapshot, created_by)
+  VALUES (
+    upper(trim(p_case_code)), p_title, p_time_limit_sec, p_rubric_id,
+    CASE WHEN r.id IS NULL THEN NULL ELSE r.config || jsonb_build_object('name', r.name) END,
+    p_instructor_id
+  )
+  RETURNING * INTO e;
+  RETURN e;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION list_exams(p_instructor_id TEXT, p_password TEXT)
+RETURNS SETOF exams
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+BEGIN
+  PERFORM exam_check_instructor(p_instructor_id, p_password);
+  RETURN QUERY SELECT * FROM exams ORDER BY created_at DESC;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION list_exam_attempts(p_instructor_id TEXT, p_password TEXT, p_exam_id BIGINT)
+RETURNS SETOF exam_attempts
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+BEGIN
+  PERFORM exam_check_instructor(p_instructor_id, p_password);
+  RETURN QUERY SELECT * FROM exam_attempts WHERE exam_id = p_exam_id ORDER BY started_at;
+END;
+$$;
+
+/* true when the case code belongs to an exam (archived ones included, since an exam may be run again) */
+CREATE OR REPLACE FUNCTION is_exam_case_code(p_case_code TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+  SELECT EXISTS (SELECT 1 FROM exams WHERE case_code = upper(trim(p_case_code)));
+$$;
+
+/* Withdraw an exam: no new starts (attempts already started can still submit); attempts and signatures are kept */
+CREATE OR REPLACE FUNCTION archive_exam(p_instructor_id TEXT, p_password TEXT, p_exam_id BIGINT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+BEGIN
+  PERFORM exam_check_instructor(p_instructor_id, p_password);
+  UPDATE exams SET archived_at = COALESCE(archived_at, NOW()) WHERE id = p_exam_id;
+END;
+$$;
+
+/* Earlier versions took the case code (renaming a parameter needs DROP) */
+DROP FUNCTION IF EXISTS start_exam(TEXT, TEXT);
+CREATE OR REPLACE FUNCTION start_exam(p_exam_code TEXT, p_student_id TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  e exams;
+  a exam_attempts;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM students s
+    WHERE s.student_id = p_student_id AND s.user_id IS NOT NULL AND s.user_id = auth.uid()
+  ) THEN
+    RAISE EXCEPTION 'student mismatch' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO e FROM exams WHERE exam_code = upper(trim(p_exam_code));
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'exam not found' USING ERRCODE = 'P0002';
+  END IF;
+  IF e.archived_at IS NOT NULL THEN
+    RAISE EXCEPTION 'exam closed' USING ERRCODE = 'P0001';
+  END IF;
+
+  INSERT INTO exam_attempts (exam_id, student_id, user_id)
+  VALUES (e.id, p_student_id, auth.uid())
+  ON CONFLICT (exam_id, student_id) DO NOTHING;
+  SELECT * INTO a FROM exam_attempts WHERE exam_id = e.id AND student_id = p_student_id;
+
+  RETURN jsonb_build_object(
+    'attempt_id', a.id,
+    'exam_id', e.id,
+    'exam_code', e.exam_code,
+    'title', e.title,
+    /* Needed to generate the case in the browser; the app neither shows nor logs it */
+    'case_code', e.case_code,
+    'time_limit_sec', e.time_limit_sec,
+    'started_at', a.started_at,
+    'server_now', NOW(),
+    'submitted_at', a.submitted_at,
+    'signature', a.signature,
+    /* The rubric as it was when the exam was issued */
+    'rubric', e.rubric_snapshot
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION submit_exam(p_attempt_id BIGINT, p_payload JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  a exam_attempts;
+  e exams;
+  k TEXT;
+BEGIN
+  SELECT * INTO a FROM exam_attempts WHERE id = p_attempt_id FOR UPDATE;
+  /* Checked against students (not a.user_id): logging in again mid-exam issues a new anonymous user */
+  IF NOT FOUND OR NOT EXISTS (
+    SELECT 1 FROM students s
+    WHERE s.student_id = a.student_id AND s.user_id IS NOT NULL AND s.user_id = auth.uid()
+  ) THEN
+    RAISE EXCEPTION 'attempt not found' USING ERRCODE = 'P0002';
+  END IF;
+  IF a.submitted_at IS NOT NULL THEN
+    RAISE EXCEPTION 'already submitted' USING ERRCODE = '23505';
+  END IF;
+  SELECT * INTO e FROM exams WHERE id = a.exam_id;
+  SELECT secret INTO k FROM exam_signing_keys WHERE id = 1;
+
+  a.submitted_at := NOW();
+  a.time_taken_sec := CEIL(EXTRACT(EPOCH FROM (a.submitted_at - a.started_at)))::INTEGER;
+  /* 30 s grace for the automatic submission at the time limit */
+  a.late := a.time_taken_sec > e.time_limit_sec + 30;
+  a.payload := p_payload;
+  a.payload_sha256 := encode(digest(p_payload::text, 'sha256'), 'hex');
+  a.signature := encode(hmac(exam_attempt_signed_text(a), k, 'sha256'), 'hex');
+
+  UPDATE exam_attempts
+  SET submitted_at = a.submitted_at,
+      time_taken_sec = a.time_taken_sec,
+      late = a.late,
+      payload = a.payload,
+      payload_sha256 = a.payload_sha256,
+      signature = a.signature
+  WHERE id = a.id;
+
+  RETURN jsonb_build_object(
+    'attempt_id', a.id,
+    'submitted_at', a.submitted_at,
+    'time_taken_sec', a.time_taken_sec,
+    'late', a.late,
+    'payload_sha256', a.payload_sha256,
+    'signature', a.signature
+  );
+END;
+$$;
+
+/* true when the stored result still matches its signature (payload hash and signed fields) */
+CREATE OR REPLACE FUNCTION verify_exam_attempt(p_attempt_id BIGINT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  a exam_attempts;
+  k TEXT;
+BEGIN
+  SELECT * INTO a FROM exam_attempts WHERE id = p_attempt_id;
+  IF NOT FOUND OR a.signature IS NULL THEN
+    RETURN FALSE;
+  END IF;
+  SELECT secret INTO k FROM exam_signing_keys WHERE id = 1;
+  RETURN a.payload_sha256 = encode(digest(a.payload::text, 'sha256'), 'hex')
+    AND a.signature = encode(hmac(exam_attempt_signed_text(a), k, 'sha256'), 'hex');
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION exam_check_instructor(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION issue_exam(TEXT, TEXT, TEXT, TEXT, INTEGER, BIGINT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION archive_exam(TEXT, TEXT, BIGINT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION list_exams(TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION list_exam_attempts(TEXT, TEXT, BIGINT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION is_exam_case_code(TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION start_exam(TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION submit_exam(BIGINT, JSONB) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION verify_exam_attempt(BIGINT) TO anon, authenticated;
+
+COMMENT ON TABLE exams IS 'Timed exams issued by instructors (exam code for students, hidden case code, time limit, rubric copied at issue); archived_at withdraws an exam';
+COMMENT ON TABLE exam_attempts IS 'One attempt per student and exam; submission is signed with HMAC-SHA256 by submit_exam';
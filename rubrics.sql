@@ -0,0 +1,145 @@
+/*
+  Scoring rubrics: instructor-defined tolerances, weights, scale-out penalty and pass mark.
+  A rubric is attached to a preset case (A-I) or an assignment; unattached cases use the built-in exact-match rubric.
+  Anyone can read rubrics and attachments (students are scored with them). Rubrics are created, changed, deleted
+  and attached only through save_rubric / delete_rubric / attach_rubric, which check the instructor's ID and password
+  with check_instructor (also used by assignments.sql).
+  Note: instructor_setup.sql lets anon read instructors; restrict that policy before relying on this in production.
+  Run instructor_setup.sql first, then this entire script in Supabase SQL Editor.
+*/
+
+CREATE TABLE IF NOT EXISTS rubrics (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  config JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS rubric_attachments (
+  id BIGSERIAL PRIMARY KEY,
+  target_type TEXT NOT NULL CHECK (target_type IN ('preset', 'assignment')),
+  target_key TEXT NOT NULL,
+  rubric_id BIGINT NOT NULL REFERENCES rubrics(id) ON DELETE CASCADE,
+  attached_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (target_type, target_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rubric_attachments_rubric_id ON rubric_attachments(rubric_id);
+
+ALTER TABLE rubrics ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rubric_attachments ENABLE ROW LEVEL SECURITY;
+
+/* Anon read-all: students fetch the rubric attached to the case they are scored on */
+DROP POLICY IF EXISTS "Allow select rubrics" ON rubrics;
+CREATE POLICY "Allow select rubrics"
+  ON rubrics FOR SELECT
+  USING (true);
+
+DROP POLICY IF EXISTS "Allow select rubric_attachments" ON rubric_attachments;
+CREATE POLICY "Allow select rubric_attachments"
+  ON rubric_attachments FOR SELECT
+  USING (true);
+
+/* No anon write policies: rubrics grade assignments and exams, so writes go through the functions below
+   (earlier versions let the anon key insert, update and delete both tables) */
+DROP POLICY IF EXISTS "Allow write rubrics" ON rubrics;
+DROP POLICY IF EXISTS "Allow write rubric_attachments" ON rubric_attachments;
+
+DROP TRIGGER IF EXISTS update_rubrics_updated_at ON rubrics;
+CREATE TRIGGER update_rubrics_updated_at
+  BEFORE UPDATE ON rubrics
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+/* Raises unless the instructor ID and password match instructors (password_hash holds the password, as in InstructorLogin) */
+CREATE OR REPLACE FUNCTION check_instructor(p_instructor_id TEXT, p_password TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM instructors i
+    WHERE i.instructor_id = p_instructor_id AND i.password_hash = p_password
+  ) THEN
+    RAISE EXCEPTION 'instructor mismatch' USING ERRCODE = '42501';
+  END IF;
+END;
+$$;
+
+/* Insert (p_id NULL) or update a rubric */
+CREATE OR REPLACE FUNCTION save_rubric(
+  p_instructor_id TEXT, p_password TEXT,
+  p_id BIGINT, p_name TEXT, p_config JSONB
+)
+RETURNS rubrics
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  r rubrics;
+BEGIN
+  PERFORM check_instructor(p_instructor_id, p_password);
+  IF p_id IS NULL THEN
+    INSERT INTO rubrics (name, config, created_by)
+    VALUES (p_name, p_config, p_instructor_id)
+    RETURNING * INTO r;
+  ELSE
+    UPDATE rubrics SET name = p_name, config = p_config WHERE id = p_id
+    RETURNING * INTO r;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'rubric not found' USING ERRCODE = 'P0002';
+    END IF;
+  END IF;
+  RETURN r;
+END;
+$$;
+
+/* Attachments go with the rubric (ON DELETE CASCADE); exams keep their own copy (exams.rubric_snapshot) */
+CREATE OR REPLACE FUNCTION delete_rubric(p_instructor_id TEXT, p_password TEXT, p_id BIGINT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM check_instructor(p_instructor_id, p_password);
+  DELETE FROM rubrics WHERE id = p_id;
+END;
+$$;
+
+/* Attach a rubric to a preset or an assignment; p_rubric_id NULL removes the attachment (built-in rubric) */
+CREATE OR REPLACE FUNCTION attach_rubric(
+  p_instructor_id TEXT, p_password TEXT,
+  p_target_type TEXT, p_target_key TEXT, p_rubric_id BIGINT
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM check_instructor(p_instructor_id, p_password);
+  IF p_rubric_id IS NULL THEN
+    DELETE FROM rubric_attachments WHERE target_type = p_target_type AND target_key = p_target_key;
+  ELSE
+    INSERT INTO rubric_attachments (target_type, target_key, rubric_id, attached_by)
+    VALUES (p_target_type, p_target_key, p_rubric_id, p_instructor_id)
+    ON CONFLICT (target_type, target_key)
+    DO UPDATE SET rubric_id = EXCLUDED.rubric_id, attached_by = EXCLUDED.attached_by;
+  END IF;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION check_instructor(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION save_rubric(TEXT, TEXT, BIGINT, TEXT, JSONB) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION delete_rubric(TEXT, TEXT, BIGINT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION attach_rubric(TEXT, TEXT, TEXT, TEXT, BIGINT) TO anon, authenticated;
+
+COMMENT ON TABLE rubrics IS 'Instructor scoring rubrics (config: toleranceDb, partialToleranceDb, partialCredit, weights, scaleOutPenalty, passMark)';
+COMMENT ON TABLE rubric_attachments IS 'Rubric attached to a preset case or an assignment (one rubric per target)';
@@ -14,6 +14,18 @@ export const MIN_ABG = {
 };
 
 export const BC_FREQS = new Set(['0.25kHz', '0.5kHz', '1kHz', '2kHz', '4kHz']);
+/** オージオメータの最大出力（AC, dB HL）。スケールアウト時はこの値に固定 */
+export const AC_MAX_DB = {
+  '0.125kHz': 70, '0.25kHz': 90, '0.5kHz': 110, '1kHz': 110, '2kHz': 110, '4kHz': 110, '8kHz': 100,
+};
+/** 骨導の最大出力（dB HL） */
+export const BC_MAX_DB = {
+  '0.25kHz': 60, '0.5kHz': 65, '1kHz': 70, '2kHz': 70, '4kHz': 65,
+};
+/** 骨導スケールアウトの表示閾値（感音難聴のBC NR規則） */
+export const BC_NR_DB = {
+  '0.25kHz': 55, '0.5kHz': 65, '1kHz': 70, '2kHz': 70, '4kHz': 60,
+};
 export const CARHART_MIN_DEPTH_DB = 5;
 /** 発現確率の許容帯（二項、大標本向け。設定80%に対する観測率） */
 export const CARHART_RATE_LO = 0.70;
@@ -177,3 +189,27 @@ export function checkNormalAbgNotExcessive(caseData, maxGap = 15) {
   }
   return true;
 }
+
+/**
+ * スケールアウト規則: soAC は AC 最大出力に固定、soBC は骨導周波数のみで BC NR 閾値に固定。
+ * スケールアウトでない点は最大出力以下
+ */
+export function checkScaleOut(caseData) {
+  let n = 0;
+  for (const side of ['right', 'left']) {
+    for (const r of earRows(caseData, side)) {
+      if (Number.isFinite(r.ac) && AC_MAX_DB[r.freq] != null) {
+        n += 1;
+        if (r.soAC ? r.ac !== AC_MAX_DB[r.freq] : r.ac > AC_MAX_DB[r.freq]) return false;
+      } else if (r.soAC) {
+        return false;
+      }
+      if (r.soBC) {
+        if (!BC_FREQS.has(r.freq) || r.bc !== BC_NR_DB[r.freq]) return false;
+      } else if (Number.isFinite(r.bc) && BC_FREQS.has(r.freq) && r.bc > BC_MAX_DB[r.freq]) {
+        return false;
+      }
+    }
+  }
+  return n > 0;
+}
@@ -0,0 +1,99 @@
+/**
+ * 生成エンジン（src/engine）を Node から読み込む
+ * CRA 向けの JSON import を fs 読み込みに置き換え、依存モジュールとともに scripts/.cache へ .mjs として複製する
+ */
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const ISO_IMPORT = 'import ISO_DATA from "../data/iso7029_age_hearing_thresholds_2sd.json";';
+const ISO_IMPORT_NODE = `import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ISO_DATA = JSON.parse(readFileSync(join(__dirname, "../../src/data/iso7029_age_hearing_thresholds_2sd.json"), "utf8"));`;
+/** generateAudiogram.js が相対 import するエンジン内モジュール */
+const ENGINE_DEPS = ['iso7029'];
+
+export async function loadEngine(root) {
+  const cacheDir = path.join(root, 'scripts/.cache');
+  const cacheEngine = path.join(cacheDir, 'generateAudiogram.mjs');
+  fs.mkdirSync(cacheDir, { recursive: true });
+
+  let src = fs.readFileSync(path.join(root, 'src/engine/generateAudiogram.js'), 'utf8');
+  if (!src.includes(ISO_IMPORT)) throw new Error('ISO import line missing');
+  src = src.replace(ISO_IMPORT, ISO_IMPORT_NODE);
+  for (const dep of ENGINE_DEPS) {
+    fs.copyFileSync(path.join(root, `src/engine/${dep}.js`), path.join(cacheDir, `${dep}.mjs`));
+    src = src.replace(`from "./${dep}";`, `from "./${dep}.mjs";`);
+  }
+  fs.writeFileSync(cacheEngine, src);
+
+  return import(pathToFileURL(cacheEngine).href + '?t=' + Date.now());
+}
+
+/** ISO 7029 の式（loadEngine が scripts/.cache に複製したもの。先に loadEngine を呼んでおくこと） */
+export async function loadIso7029(root) {
+  return import(pathToFileURL(path.join(root, 'scripts/.cache/iso7029.mjs')).href + '?t=' + Date.now());
+}
+
+/** 検査間の整合チェックに使う src のモジュール（依存順） */
+const BATTERY_MODULES = [
+  ['src/data/presetCases.js', 'presetCases.mjs'],
+  ['src/guidedMaskingLogic.js', 'guidedMaskingLogic.mjs'],
+  ['src/caseDifficultyLogic.js', 'caseDifficultyLogic.mjs'],
+  ['src/testBatteryLogic.js', 'testBatteryLogic.mjs'],
+  ['src/batteryConsistencyLogic.js', 'batteryConsistencyLogic.mjs'],
+  ['src/pediatricLogic.js', 'pediatricLogic.mjs'],
+];
+/** 症例コード・手順判定・採点・試験の再採点に使う src のモジュール（依存順。BATTERY_MODULES の後に置く） */
+const TRAINING_MODULES = [
+  ['src/engine/patientBehavior.js', 'patientBehavior.mjs'],
+  ['src/caseCodeLogic.js', 'caseCodeLogic.mjs'],
+  ['src/interimFrequencyRules.js', 'interimFrequencyRules.mjs'],
+  ['src/rubricLogic.js', 'rubricLogic.mjs'],
+  ['src/examLogic.js', 'examLogic.mjs'],
+  ['src/hughsonWestlakeLogic.js', 'hughsonWestlakeLogic.mjs'],
+];
+/** 複製したモジュールの相対 import の書き換え */
+const SRC_IMPORTS = {
+  './engine/generateAudiogram': './generateAudiogram.mjs',
+  './engine/patientBehavior': './patientBehavior.mjs',
+  './guidedMaskingLogic': './guidedMaskingLogic.mjs',
+  './testBatteryLogic': './testBatteryLogic.mjs',
+  './caseCodeLogic': './caseCodeLogic.mjs',
+  './caseDifficultyLogic': './caseDifficultyLogic.mjs',
+  './interimFrequencyRules': './interimFrequencyRules.mjs',
+  './rubricLogic': './rubricLogic.mjs',
+};
+
+async function loadSrcModules(root, modules) {
+  const cacheDir = path.join(root, 'scripts/.cache');
+  for (const [from, to] of modules) {
+    let src = fs.readFileSync(path.join(root, from), 'utf8');
+    for (const [spec, replacement] of Object.entries(SRC_IMPORTS)) {
+      src = src.replace(`from '${spec}';`, `from '${replacement}';`);
+    }
+    fs.writeFileSync(path.join(cacheDir, to), src);
+  }
+  const load = (file) => import(pathToFileURL(path.join(cacheDir, file)).href + '?t=' + Date.now());
+  const loaded = await Promise.all(modules.map(([, to]) => load(to)));
+  return Object.assign({}, ...loaded);
+}
+
+/**
+ * 検査間の整合チェック（batteryConsistencyLogic）とプリセット症例を Node から読み込む
+ * loadEngine と同じ scripts/.cache に置くため、先に loadEngine を呼んでおくこと
+ */
+export async function loadBatteryChecks(root) {
+  return loadSrcModules(root, BATTERY_MODULES);
+}
+
+/**
+ * 症例コード・Hughson–Westlake 法の判定・ルーブリック採点・試験の再採点を Node から読み込む
+ * 先に loadEngine と loadBatteryChecks を呼んでおくこと（その複製を import する）
+ */
+export async function loadTrainingLogic(root) {
+  return loadSrcModules(root, TRAINING_MODULES);
+}
@@ -2,11 +2,18 @@
  * 医学検査向け：聴力像自動生成の仕様適合検証
  * - 要因組合せグリッド（プロファイル×年齢×性別×程度×seed）
  * - 適用対象別の分母、記述統計、程度の順序性
- * 実行: npm run verify:audiogram
+ * - ISO 7029 の式（src/engine/iso7029.js）と同梱の年代別表の食い違い（記述。両者は同じ分布ではない）
+ * - 検査間の整合（Tym・ART・DPOAE）
+ * - 経過観察の受診系列で回復・治癒した耳（正常の聴力像か）
+ * 実行: npm run verify:audiogram（既定は論文のグリッド 10×6×2×4×20 = 9,600 件）
+ * 条件を絞る例: npm run verify:audiogram -- --profiles CHL_OME,CHL_AOM --seeds 5 --out /tmp/verify --check
+ * seed は全体グリッドと同じ式で決まるため、絞り込んでも各セルの症例は全体実行と一致する
  */
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath, pathToFileURL } from 'url';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { loadEngine, loadBatteryChecks, loadIso7029 } from './lib/loadEngine.mjs';
 import {
   MIN_ABG,
   checkRounding,
@@ -16,6 +23,7 @@ import {
   hasCarhartGeometry,
   checkAomMixed,
   checkNormalAbgNotExcessive,
+  checkScaleOut,
   diseasedEar,
   meanAC,
   earRows,
@@ -27,39 +35,92 @@ import {
   AOM_MIXED_RATE_HI,
 } from './lib/audiogramRuleChecks.mjs';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const root = path.resolve(__dirname, '..');
-const outDir = path.join(root, 'docs/pilot-study/verification');
-const cacheDir = path.join(root, 'scripts/.cache');
-const cacheEngine = path.join(cacheDir, 'generateAudiogram.mjs');
+const USAGE = `使い方: node scripts/verify-audiogram-generation.mjs [オプション]
+  --profiles <a,b,...>    対象プロファイル（既定: ランダム選択の10種すべて）
+  --ages <20s,30s,...>    年齢群（既定: 20s〜70s）
+  --sexes <Male,Female>   性別（既定: 両方）
+  --severities <0,1,2,3>  程度（既定: 0〜3）
+  --seeds <n>             セルあたりの seed 数（1〜100、既定: 20）
+  --focus <n>             焦点検証（T系列）の試行数（既定: 200）
+  --out <dir>             結果の出力先（既定: docs/pilot-study/verification）
+  --check                 不適合（検査間の矛盾は1件でも）があれば終了コード1
+  --help                  このヘルプ`;
 
-fs.mkdirSync(cacheDir, { recursive: true });
-{
-  const src = fs.readFileSync(path.join(root, 'src/engine/generateAudiogram.js'), 'utf8');
-  const oldImp = 'import ISO_DATA from "../data/iso7029_age_hearing_thresholds_2sd.json";';
-  const newImp = `import { readFileSync } from "fs";
-import { fileURLToPath } from "url";
-import { dirname, join } from "path";
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const ISO_DATA = JSON.parse(readFileSync(join(__dirname, "../../src/data/iso7029_age_hearing_thresholds_2sd.json"), "utf8"));`;
-  if (!src.includes(oldImp)) throw new Error('ISO import line missing');
-  fs.writeFileSync(cacheEngine, src.replace(oldImp, newImp));
+const { values: args } = parseArgs({
+  options: {
+    profiles: { type: 'string' },
+    ages: { type: 'string' },
+    sexes: { type: 'string' },
+    severities: { type: 'string' },
+    seeds: { type: 'string' },
+    focus: { type: 'string' },
+    out: { type: 'string' },
+    check: { type: 'boolean', default: false },
+    help: { type: 'boolean', default: false },
+  },
+});
+if (args.help) {
+  console.log(USAGE);
+  process.exit(0);
 }
+function fail(message) {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const root = path.resolve(__dirname, '..');
+const outDir = args.out ? path.resolve(process.cwd(), args.out) : path.join(root, 'docs/pilot-study/verification');
 
 const {
   generateAudiogram,
+  generateAudiogramSeries,
+  COURSE_PROFILES,
+  MAX_VISITS,
   CARHART_EXPRESSION_PROB,
   AOM_MIXED_PROB,
   EngineConstants,
-} = await import(pathToFileURL(cacheEngine).href + '?t=' + Date.now());
+  makeRng,
+} = await loadEngine(root);
+const {
+  targetsFromCase,
+  buildCaseBattery,
+  buildPresetBattery,
+  checkBatteryConsistency,
+  PRESET_MAP,
+  PRESET_DETAILS,
+  pediatricMethodFor,
+  soundFieldTargets,
+} = await loadBatteryChecks(root);
+const { isoBand } = await loadIso7029(root);
+const ISO_TABLE = JSON.parse(fs.readFileSync(path.join(root, 'src/data/iso7029_age_hearing_thresholds_2sd.json'), 'utf8'));
 
-const PROFILES = EngineConstants.PROFILES;
-const AGE_GROUPS = EngineConstants.AGE_GROUPS;
-const SEXES = EngineConstants.SEXES;
-const SEVERITIES = [0, 1, 2, 3];
-const GRID_SEEDS = 20;
-const FOCUS_N = 200;
+/** カンマ区切りの指定を全体リストの部分集合として取り出す（順序は全体リストに合わせる） */
+function pickList(arg, all, name) {
+  if (!arg) return all;
+  const wanted = arg.split(',').map((x) => x.trim()).filter(Boolean);
+  const unknown = wanted.filter((x) => !all.map(String).includes(x));
+  if (unknown.length || !wanted.length) fail(`--${name}: 不明な値 ${unknown.join(', ') || '(空)'}（指定可能: ${all.join(', ')}）`);
+  return all.filter((x) => wanted.includes(String(x)));
+}
+function pickCount(arg, fallback, max, name) {
+  if (arg == null) return fallback;
+  const n = Number(arg);
+  if (!Number.isInteger(n) || n < 1 || n > max) fail(`--${name}: 1〜${max} の整数を指定してください`);
+  return n;
+}
+
+// 明示指定専用のプロファイル（後迷路性・第三の窓・機能性難聴）は独自の幾何を持つため、共通規則の検証対象外
+const ALL_SEVERITIES = [0, 1, 2, 3];
+const PROFILES = pickList(args.profiles, EngineConstants.RANDOM_PROFILES, 'profiles');
+const AGE_GROUPS = pickList(args.ages, EngineConstants.AGE_GROUPS, 'ages');
+const SEXES = pickList(args.sexes, EngineConstants.SEXES, 'sexes');
+const SEVERITIES = pickList(args.severities, ALL_SEVERITIES, 'severities');
+// seed式の下2桁がセル内番号のため100まで
+const GRID_SEEDS = pickCount(args.seeds, 20, 100, 'seeds');
+const FOCUS_N = pickCount(args.focus, 200, 10_000, 'focus');
+const NORMAL_N = PROFILES.filter((p) => p === 'Normal').length;
+const PROFILE_BREAKDOWN = `正常${NORMAL_N}+疾患${PROFILES.length - NORMAL_N}`;
 
 const SNHL = PROFILES.filter((p) => p.startsWith('SNHL_'));
 const CHL = PROFILES.filter((p) => p.startsWith('CHL_'));
@@ -94,16 +155,19 @@ function quantiles(arr) {
   };
 }
 
+// 絞り込み実行でも同じ症例になるよう、添字は常に全体リストで取る
 function seedFor(profile, ageGroup, sex, severity, s) {
   return 1_000_000
-    + PROFILES.indexOf(profile) * 100_000
-    + AGE_GROUPS.indexOf(ageGroup) * 10_000
-    + SEXES.indexOf(sex) * 1_000
+    + EngineConstants.RANDOM_PROFILES.indexOf(profile) * 100_000
+    + EngineConstants.AGE_GROUPS.indexOf(ageGroup) * 10_000
+    + EngineConstants.SEXES.indexOf(sex) * 1_000
     + severity * 100
     + s;
 }
 
 const results = [];
+/** 検査間の矛盾の件数（項目ごと）。G・T 系列の 99.5% の許容は使わず、1件でもあれば不適合 */
+const batteryFindings = {};
 function add(id, label, ok, n, note = '') {
   const rate = n ? Math.round((1000 * ok) / n) / 10 : 0;
   results.push({ id, label, ok, n, rate, note });
@@ -126,6 +190,8 @@ const counters = {
   chlOk: 0,
   noiseN: 0,
   noiseOk: 0,
+  soOk: 0,
+  carhartSevN: 0,
   carhartExprN: 0,
   carhartGeomOk: 0,
   aomSevN: 0,
@@ -141,6 +207,8 @@ const counters = {
   suddenSo: { none: 0, hf: 0, full: 0, bySev: { 1: { none: 0, hf: 0, full: 0 }, 2: { none: 0, hf: 0, full: 0 }, 3: { none: 0, hf: 0, full: 0 } } },
   mumpsFullSo: 0,
   mumpsN: 0,
+  batteryOk: 0,
+  batteryRules: {},
 };
 
 for (const profile of PROFILES) {
@@ -174,6 +242,13 @@ for (const profile of PROFILES) {
             }
           }
           if (caseRoundOk) counters.roundCaseOk += 1;
+          if (checkScaleOut(c)) counters.soOk += 1;
+
+          // 検査間の整合（学習者画面の自動生成と同じ組み立てで Tym・ART・DPOAE を作る）
+          const targets = targetsFromCase(c);
+          const findings = checkBatteryConsistency({ targets, ...buildCaseBattery(targets, c.meta, makeRng(seed)) });
+          if (!findings.length) counters.batteryOk += 1;
+          for (const f of findings) counters.batteryRules[f.rule] = (counters.batteryRules[f.rule] || 0) + 1;
 
           if (profile === 'Normal') {
             counters.normalN += 1;
@@ -211,6 +286,7 @@ for (const profile of PROFILES) {
               counters.noiseDepths.push(ac4 - ac2);
             }
           }
+          if (profile === 'CHL_Otosclerosis' && severity >= 1) counters.carhartSevN += 1;
           if (profile === 'CHL_Otosclerosis' && severity >= 1 && c.meta.carhartApplied) {
             counters.carhartExprN += 1;
             const { diseased } = diseasedEar(c);
@@ -259,7 +335,7 @@ for (const profile of PROFILES) {
 }
 
 add('G0', '要因組合せ・合成閾値セット数', counters.total, counters.total,
-  `10プロファイル(正常1+疾患9)×6年齢×2性別×4程度×20seed`);
+  `${PROFILES.length}プロファイル(${PROFILE_BREAKDOWN})×${AGE_GROUPS.length}年齢×${SEXES.length}性別×${SEVERITIES.length}程度×${GRID_SEEDS}seed`);
 add('G1', '条件反映（症例単位）', counters.metaOk, counters.total);
 add('G2a', '5 dB丸め（症例単位：全閾値が5の倍数）', counters.roundCaseOk, counters.total);
 add('G2b', '5 dB丸め（閾値点単位）', counters.roundPointOk, counters.roundPointN);
@@ -269,6 +345,93 @@ add('G3-CHL', '伝音: 最小ABG（症例単位）', counters.chlOk, counters.ch
 add('G3-Noise', 'C5-dip: 4k>2k かつ 4k>8k（程度≥1）', counters.noiseOk, counters.noiseN);
 add('G3-CarhartGeom', 'Carhart様幾何（発現例のみ）', counters.carhartGeomOk, counters.carhartExprN);
 add('G3-AOM-Mixed', 'AOM混合型: 4k BC>0.5k BC（付与例）', counters.aomMixedOk, counters.aomMixedN);
+add('G3-SO', 'スケールアウト: AC=最大出力・BC=NR閾値に固定（症例単位）', counters.soOk, counters.total);
+add('G4-Battery', '検査間の整合: Tym・ART・DPOAE に矛盾なし（症例単位）', counters.batteryOk, counters.total,
+  Object.entries(counters.batteryRules).map(([rule, n]) => `${rule}:${n}`).join('; '));
+batteryFindings['G4-Battery'] = counters.total - counters.batteryOk;
+
+// ---------- 経過観察：回復・治癒で正常とした耳 ----------
+// 受診系列で病型の耳を Normal と答えさせる受診は、聴力像も正常（過大ABGなし）で、検査間も矛盾しないこと
+{
+  const notes = [];
+  const rules = {};
+  let ok = 0;
+  let n = 0;
+  let visits = 0;
+  let visitsOk = 0;
+  for (const profile of COURSE_PROFILES.filter((p) => PROFILES.includes(p))) {
+    for (let i = 0; i < FOCUS_N; i++) {
+      const seed = 95000 + EngineConstants.RANDOM_PROFILES.indexOf(profile) * 1000 + i;
+      const series = generateAudiogramSeries({ profile, seed, visits: MAX_VISITS, interimFreqs: true });
+      for (const v of series.visits) {
+        const sides = ['right', 'left'].filter((side) => v.meta[`${side}Profile`] === 'Normal' && series.visits[0].meta[`${side}Profile`] !== 'Normal');
+        if (!sides.length) continue;
+        for (const side of sides) {
+          n += 1;
+          if (checkNormalAbgNotExcessive({ [side]: v[side] }, 15)) ok += 1;
+          else if (notes.length < 10) notes.push(`${profile}/seed${seed}/受診${v.meta.visit.index}/${side}`);
+        }
+        visits += 1;
+        const targets = targetsFromCase(v);
+        const findings = checkBatteryConsistency({ targets, ...buildCaseBattery(targets, v.meta, makeRng(seed + v.meta.visit.index)) });
+        if (!findings.length) visitsOk += 1;
+        for (const f of findings) rules[f.rule] = (rules[f.rule] || 0) + 1;
+      }
+    }
+  }
+  const ruleNote = Object.entries(rules).map(([rule, k]) => `${rule}:${k}`).join('; ');
+  add('G5-Series', '経過観察: 正常とした耳に過大ABGなし（耳単位）', ok, n,
+    [`検査間の整合 ${visitsOk}/${visits} 受診`, ruleNote, ...notes].filter(Boolean).join('; '));
+  batteryFindings['G5-Series'] = visits - visitsOk;
+}
+
+// ---------- プリセット症例の検査間整合（症例情報の Tym をそのまま使う） ----------
+{
+  const notes = [];
+  let ok = 0;
+  const ids = Object.keys(PRESET_DETAILS);
+  for (const id of ids) {
+    const details = PRESET_DETAILS[id];
+    const { targets } = PRESET_MAP[id];
+    const findings = checkBatteryConsistency({
+      targets, tympanogram: details.tympanogram, ...buildPresetBattery(targets, details), caseId: id,
+    });
+    if (!findings.length) ok += 1;
+    for (const f of findings) notes.push(`${id}:${f.rule}（${f.message}）`);
+  }
+  add('P1', 'プリセット症例の検査間整合', ok, ids.length, notes.join('; '));
+  batteryFindings.P1 = notes.length;
+}
+
+// ---------- ISO 7029 式と年代別表（記述） ----------
+// 年齢を数値で指定した症例は式、年代ラベルの症例は表から基準帯を取るため、両者の差をここで出す
+// 表は式を年代ごとに評価したものではない（高音域の男性で中央値が最大約10 dB 違う）。合否には使わず、食い違いを一覧にする
+// 代表年齢は年代の下限（20s → 20歳）。±2SD は式の悪い側（+2SD）と良い側（−2SD）を表と比べる
+const isoTableDiff = { median: {}, plus2SD: {}, minus2SD: {} };
+{
+  const notes = [];
+  let ok = 0;
+  let n = 0;
+  for (const [sex, decades] of Object.entries(ISO_TABLE)) {
+    for (const [decade, freqs] of Object.entries(decades)) {
+      for (const [freq, row] of Object.entries(freqs)) {
+        const band = isoBand(sex, parseInt(decade, 10), freq);
+        if (!band) continue;
+        n += 1;
+        for (const key of ['median', 'plus2SD', 'minus2SD']) {
+          const d = band[key] - row[key];
+          if (Math.abs(d) > Math.abs(isoTableDiff[key][freq] ?? 0)) isoTableDiff[key][freq] = Number(d.toFixed(1));
+        }
+        const d = band.median - row.median;
+        if (Math.abs(d) <= 5) ok += 1;
+        else notes.push(`${sex}/${decade}/${freq}: 式${band.median.toFixed(1)} 表${row.median.toFixed(1)}`);
+      }
+    }
+  }
+  const worst = Object.entries(isoTableDiff.median).reduce((a, b) => (Math.abs(b[1]) > Math.abs(a[1]) ? b : a), ['', 0]);
+  add('I1', 'ISO 7029 式と同梱の年代別表の食い違い: 中央値の差が5 dB以内の点（記述・合否なし）', ok, n,
+    [`式−表の最大 ${worst[1]} dB（${worst[0]}）`, ...notes].join('; '));
+}
 
 // ---------- 焦点・記述統計 ----------
 {
@@ -370,6 +533,7 @@ add('G3-AOM-Mixed', 'AOM混合型: 4k BC>0.5k BC（付与例）', counters.aomMi
     q ? `焦点差中央値 ${q.median.toFixed(1)} dB（程度1を含むグリッド統計とは対象が異なる）` : '');
 }
 
+let carhartExpressed = 0;
 {
   let expressed = 0;
   const N = FOCUS_N;
@@ -379,6 +543,7 @@ add('G3-AOM-Mixed', 'AOM混合型: 4k BC>0.5k BC（付与例）', counters.aomMi
     });
     if (c.meta.carhartApplied) expressed += 1;
   }
+  carhartExpressed = expressed;
   const [lo, hi] = wilsonCI(expressed, N);
   const inBand = expressed / N >= CARHART_RATE_LO && expressed / N <= CARHART_RATE_HI;
   add('T6a', `Carhart様・期待発現率${CARHART_EXPRESSION_PROB * 100}%（Bernoulli）`,
@@ -471,6 +636,42 @@ add('G3-AOM-Mixed', 'AOM混合型: 4k BC>0.5k BC（付与例）', counters.aomMi
   add('T11', '同一条件・異seedの出力多様性（記述・全件不一致は非要求）', FOCUS_N, FOCUS_N, notes.join('; '));
 }
 
+// 小児症例: 病態は小児向けのみ・年齢区分を保持・音場の MRL は良聴耳の気導閾値以上（検査間の矛盾は1件でも不適合）
+{
+  const allowed = new Set(['Normal', 'CHL_OME', 'CHL_AOM', 'SNHL_Mumps']);
+  const profiles = {};
+  const rules = {};
+  let ok = 0;
+  let n = 0;
+  for (const ageGroup of EngineConstants.PEDIATRIC_AGE_GROUPS) {
+    for (let i = 0; i < FOCUS_N; i++) {
+      const c = generateAudiogram({ ageGroup, interimFreqs: true, seed: 31000 + i });
+      const targets = targetsFromCase(c);
+      const sf = soundFieldTargets(targets, pediatricMethodFor(ageGroup));
+      const betterAc = (freq) => Math.min(...['R', 'L'].map((ear) => {
+        const t = targets.find((x) => x.ear === ear && x.transducer === 'AC' && x.freq === freq);
+        return t.so ? Infinity : t.dB;
+      }));
+      const pass = allowed.has(c.meta.profile)
+        && c.meta.ageGroup === ageGroup
+        && sf.length > 0
+        && sf.every((t) => t.so || t.dB >= betterAc(t.freq));
+      n += 1;
+      if (pass) ok += 1;
+      const key = `${ageGroup}:${c.meta.profile}`;
+      profiles[key] = (profiles[key] || 0) + 1;
+      const findings = checkBatteryConsistency({ targets, ...buildCaseBattery(targets, c.meta, makeRng(c.meta.seed)), caseId: String(c.meta.seed) });
+      for (const f of findings) rules[f.rule] = (rules[f.rule] || 0) + 1;
+    }
+  }
+  const notes = [
+    Object.entries(profiles).map(([k, v]) => `${k}:${v}`).join(', '),
+    `検査間の矛盾 ${Object.entries(rules).map(([k, v]) => `${k}:${v}`).join(', ') || 'なし'}`,
+  ];
+  add('T12', '小児症例（infant/child）: 小児向け病態・年齢区分の保持・音場MRL≥良聴耳AC', ok, n, notes.join('; '));
+  batteryFindings.T12 = Object.values(rules).reduce((a, b) => a + b, 0);
+}
+
 const descriptive = {
   chlAbg: quantiles(counters.abgVals),
   noiseDepth: quantiles(counters.noiseDepths),
@@ -482,6 +683,7 @@ const descriptive = {
   unilateralSuddenSev3: quantiles(counters.unilateralSuddenBySev[3]),
   unilateralMumps: quantiles(counters.unilateralMumps),
   suddenSo: counters.suddenSo,
+  batteryRules: counters.batteryRules,
   mumpsFullSoRate: counters.mumpsN
     ? { n: counters.mumpsN, full: counters.mumpsFullSo, rate: counters.mumpsFullSo / counters.mumpsN }
     : null,
@@ -491,6 +693,7 @@ const descriptive = {
     rate: counters.aomSevN ? counters.aomMixedN / counters.aomSevN : null,
     geomOk: counters.aomMixedOk,
   },
+  isoTableDiff,
 };
 
 const summary = {
@@ -498,12 +701,12 @@ const summary = {
   unitNote: '適合率は原則「症例（合成閾値セット）単位」。G2bのみ閾値点単位。',
   grid: {
     profiles: PROFILES.length,
-    profileBreakdown: '正常1 + 疾患相当9',
+    profileBreakdown: `正常${NORMAL_N} + 疾患相当${PROFILES.length - NORMAL_N}`,
     ages: AGE_GROUPS,
     sexes: SEXES,
     severities: SEVERITIES,
     seedsPerCell: GRID_SEEDS,
-    seedIndexRange: '各セル s=0..19（決定論的seed式）',
+    seedIndexRange: `各セル s=0..${GRID_SEEDS - 1}（決定論的seed式）`,
     expectedCases: counters.total,
   },
   carhart: {
@@ -518,11 +721,12 @@ const summary = {
     packageName: 'audioscope-edu',
     packageVersion: JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8')).version,
   },
+  batteryFindings,
   overallPass: results.every((r) => {
     if (r.id === 'T6a' || r.id === 'T6c' || r.id === 'T11') return true;
     if (r.id.startsWith('G') || r.id.startsWith('T')) return r.ok === r.n || r.rate >= 99.5;
     return true;
-  }),
+  }) && Object.values(batteryFindings).every((n) => n === 0),
 };
 
 fs.mkdirSync(outDir, { recursive: true });
@@ -537,7 +741,7 @@ const md = [
   '',
   `- 実行日時: ${summary.generatedAt}`,
   `- 実行環境: Node ${summary.runtime.node} / ${summary.runtime.platform}`,
-  `- 要因組合せ: ${PROFILES.length}プロファイル（正常1+疾患9）× ${AGE_GROUPS.length}年齢群 × ${SEXES.length}性別 × ${SEVERITIES.length}程度 × ${GRID_SEEDS} seed = **${counters.total}** 件の合成閾値セット`,
+  `- 要因組合せ: ${PROFILES.length}プロファイル（${PROFILE_BREAKDOWN}）× ${AGE_GROUPS.length}年齢群 × ${SEXES.length}性別 × ${SEVERITIES.length}程度 × ${GRID_SEEDS} seed = **${counters.total}** 件の合成閾値セット`,
   `- 年齢群: ${AGE_GROUPS.join(', ')}`,
   `- 適合の単位: ${summary.unitNote}`,
   `- Carhart様: ${summary.carhart.mechanism}`,
@@ -566,14 +770,29 @@ const md = [
   `- Mumps 全周SO（程度≥1）: ${counters.mumpsFullSo}/${counters.mumpsN}`
     + (counters.mumpsN ? ` (${(100 * counters.mumpsFullSo / counters.mumpsN).toFixed(1)}%)` : ''),
   `- 注: T7焦点は程度2・固定条件。程度1を含むグリッド記述統計とは対象が異なる（程度2では全例≥25 dB）。`,
-  `- Carhart様: Bernoulli（rand()<0.8）。決定論的80%割付ではない。グリッド発現 ${counters.carhartExprN}/720、T6a観測160/200。`,
-  `- T8内訳: 正常以外9プロファイル × 6年齢 × 2性別 × 5 seed = 540セル`,
-  `- T6a/T6b: T6aは200試行中の発現件数。T6bは発現例を200件集めて幾何適合を見る（分母が異なる）。`,
-  `- T11: 同一条件でseedのみ変えた200件のユニーク出力数（5 dB丸めのため全件不一致は要求しない）。`,
+  `- Carhart様: Bernoulli（rand()<0.8）。決定論的80%割付ではない。グリッド発現 ${counters.carhartExprN}/${counters.carhartSevN}、T6a観測${carhartExpressed}/${FOCUS_N}。`,
+  `- T8内訳: 正常以外${PROFILES.length - NORMAL_N}プロファイル × ${AGE_GROUPS.length}年齢 × ${SEXES.length}性別 × 5 seed = ${(PROFILES.length - NORMAL_N) * AGE_GROUPS.length * SEXES.length * 5}セル`,
+  `- T6a/T6b: T6aは${FOCUS_N}試行中の発現件数。T6bは発現例を${FOCUS_N}件集めて幾何適合を見る（分母が異なる）。`,
+  `- T11: 同一条件でseedのみ変えた${FOCUS_N}件のユニーク出力数（5 dB丸めのため全件不一致は要求しない）。`,
+  '',
+  '## ISO 7029 式と年代別表の差（式 − 表、周波数ごとの最大、dB）',
+  '',
+  '年代ラベルの症例は同梱の年代別表、歳を指定した症例（経過観察の受診系列など）は ISO 7029:2000 の式から基準帯を取る。',
+  '表は式を年代ごとに評価したものではなく、両者は同じ分布として扱えない。I1 は食い違いの記述で、合否の判定には含めない。',
+  '',
+  '| 周波数 | 中央値 | +2SD（悪い側） | −2SD（良い側） |',
+  '|--------|--------|----------------|----------------|',
+  ...Object.keys(isoTableDiff.median).map((f) => `| ${f} | ${isoTableDiff.median[f]} | ${isoTableDiff.plus2SD[f]} | ${isoTableDiff.minus2SD[f]} |`),
   '',
   `実行: Node ${summary.runtime.node} / ${summary.runtime.platform} / ${summary.runtime.packageName}@${summary.runtime.packageVersion}`,
   '',].join('\n');
 
 fs.writeFileSync(path.join(outDir, 'IgakuKensa_verification_results.md'), md);
-console.log('\nWrote results');
+console.log(`\nWrote results to ${outDir}`);
 console.log(JSON.stringify(descriptive, null, 2));
+if (args.check && !summary.overallPass) {
+  console.error('不適合の項目があります');
+  const found = Object.entries(batteryFindings).filter(([, n]) => n > 0);
+  if (found.length) console.error(`検査間の矛盾: ${found.map(([id, n]) => `${id}:${n}`).join(', ')}`);
+  process.exit(1);
+}
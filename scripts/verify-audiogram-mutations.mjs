@@ -7,29 +7,14 @@
  * 実行: npm run verify:audiogram:mutations
  */
 import path from 'path';
-import { fileURLToPath, pathToFileURL } from 'url';
+import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { loadEngine } from './lib/loadEngine.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const root = path.join(__dirname, '..');
-const cacheDir = path.join(__dirname, '.cache');
-const cacheEngine = path.join(cacheDir, 'generateAudiogram.mjs');
 
-fs.mkdirSync(cacheDir, { recursive: true });
-{
-  const src = fs.readFileSync(path.join(root, 'src/engine/generateAudiogram.js'), 'utf8');
-  const oldImp = 'import ISO_DATA from "../data/iso7029_age_hearing_thresholds_2sd.json";';
-  const newImp = `import { readFileSync } from "fs";
-import { fileURLToPath } from "url";
-import { dirname, join } from "path";
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const ISO_DATA = JSON.parse(readFileSync(join(__dirname, "../../src/data/iso7029_age_hearing_thresholds_2sd.json"), "utf8"));`;
-  if (!src.includes(oldImp)) throw new Error('ISO import line missing');
-  fs.writeFileSync(cacheEngine, src.replace(oldImp, newImp));
-}
-
-const { generateAudiogram } = await import(pathToFileURL(cacheEngine).href + '?t=' + Date.now());
+const { generateAudiogram } = await loadEngine(root);
 const {
   checkRounding,
   checkMinAbg,
@@ -38,6 +23,7 @@ const {
   checkNormalAbgNotExcessive,
   hasCarhartGeometry,
   checkAomMixed,
+  checkScaleOut,
   diseasedEar,
   meanAC,
   earRows,
@@ -170,6 +156,7 @@ run('B6', 'SNHL baseline', false, () => checkSnhlBcCap(snhl, 'SNHL_Age'));
 run('B7', 'Rounding baseline', false, () => checkRounding(normal));
 run('B8', 'Severity nondecreasing baseline', false, () => checkMeansNondecreasing([40, 45, 50, 55]));
 run('B9', 'Normal no-SO baseline', false, () => checkNormalNoScaleOut(normal));
+run('B10', 'Scale-out rules baseline', false, () => checkScaleOut(sudden) && checkScaleOut(snhl));
 
 // --- 著者事前定義の規則違反（異常系） ---
 // 対応表: docs/pilot-study/verification/NEGATIVE_TEST_cases.md
@@ -283,6 +270,16 @@ run('B9', 'Normal no-SO baseline', false, () => checkNormalNoScaleOut(normal));
   run('M14', 'AOM mixed HF BC rise removed', true, () => checkAomMixed(c));
 }
 
+// M15: スケールアウトなのに最大出力より低い値（AC）／NR閾値と異なる値（BC）
+{
+  const c = deepClone(normal);
+  c.right = c.right.map((r) => (r.freq === '4kHz' ? { ...r, ac: 90, soAC: true } : r));
+  run('M15a', 'soAC below audiometer max', true, () => checkScaleOut(c));
+  const c2 = deepClone(normal);
+  c2.left = c2.left.map((r) => (r.freq === '1kHz' ? { ...r, bc: 50, soBC: true } : r));
+  run('M15b', 'soBC not pinned to NR threshold', true, () => checkScaleOut(c2));
+}
+
 console.log(`\nNegative tests: ${ok}/${n} passed`);
 if (ok !== n) process.exit(1);
 
@@ -304,6 +301,7 @@ const out = {
     'Meta_mismatch': 'M8',
     'C1_SO_only': 'M10',
     'AOM_mixed_4k_BC_gone': 'M14',
+    'SO_not_pinned': 'M15',
   },
 };
 fs.writeFileSync(
@@ -0,0 +1,482 @@
+/**
+ * 学習者画面・講師画面の判定ロジックの検証（聴力像の生成とは別）
+ * - 症例コード: 条件と応答設定の符号化→復号の恒等性、旧形式コードの読み込み、正規化、再生成の一致
+ * - Hughson–Westlake 法: 手順どおりの模擬検査で 2/3 上昇法の閾値が真の閾値に一致し、逸脱を拾うこと
+ * - ルーブリック: 既定の基準が従来の完全一致の採点と同じ結果になること、許容差・部分点・SO 記号・決定不能
+ * - 試験: 学習者画面の採点で作った提出結果（buildExamPayload）を講師側で再採点（regradeExamPayload）して同じ結果になること
+ *
+ * 実行: npm run verify:logic（不適合が1件でもあれば終了コード1）
+ */
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadEngine, loadBatteryChecks, loadTrainingLogic } from './lib/loadEngine.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const root = path.join(__dirname, '..');
+
+const { generateAudiogram, makeRng, EngineConstants } = await loadEngine(root);
+const { targetsFromCase, maskingDilemmaKeys } = await loadBatteryChecks(root);
+const {
+  PATIENT_BEHAVIOR_PRESETS,
+  encodeCaseCode,
+  decodeCaseCode,
+  canonicalCaseCode,
+  resolveCaseCode,
+  isInterimFreq,
+  requiredInterimFreqs,
+  acThresholdsByEar,
+  DEFAULT_RUBRIC,
+  RUBRIC_TEMPLATES,
+  normalizeRubric,
+  validateRubric,
+  buildScoringItems,
+  scoreWithRubric,
+  buildExamPayload,
+  examTargets,
+  regradeExamPayload,
+  analyzeSequence,
+  analyzeProtocol,
+  twoOfThreeThreshold,
+  FAMILIARISATION_START_DB,
+  DOWN_STEP_DB,
+  UP_STEP_DB,
+} = await loadTrainingLogic(root);
+
+/** 無作為化した確認の試行数 */
+const TRIALS = 300;
+
+let ok = 0;
+let n = 0;
+/** fn は適合なら true、不適合なら理由の文字列（または false）を返す */
+function run(id, label, fn) {
+  n += 1;
+  let result;
+  try {
+    result = fn();
+  } catch (e) {
+    console.error(`FAIL ${id}: threw — ${label}`, e);
+    return;
+  }
+  if (result === true) {
+    ok += 1;
+    console.log(`OK   ${id}: ${label}`);
+  } else {
+    console.error(`FAIL ${id}: ${label}${typeof result === 'string' ? ` — ${result}` : ''}`);
+  }
+}
+
+/** キー順によらない比較用の JSON */
+function stable(x) {
+  if (Array.isArray(x)) return `[${x.map(stable).join(',')}]`;
+  if (x && typeof x === 'object') {
+    return `{${Object.keys(x).sort().filter((k) => x[k] !== undefined).map((k) => `${JSON.stringify(k)}:${stable(x[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(x);
+}
+const same = (a, b) => stable(a) === stable(b);
+const pick = (rand, list) => list[Math.floor(rand() * list.length)];
+/** 最初の不適合の理由（なければ true） */
+function everyTrial(count, fn) {
+  for (let i = 0; i < count; i++) {
+    const reason = fn(i);
+    if (reason) return `試行${i}: ${reason}`;
+  }
+  return true;
+}
+
+// ---------- 症例コード ----------
+const BEHAVIOR_KEYS = Object.keys(PATIENT_BEHAVIOR_PRESETS);
+const AGES = [...EngineConstants.AGE_GROUPS, ...EngineConstants.PEDIATRIC_AGE_GROUPS, 18, 42, 48, 85];
+
+/** 無作為な生成条件・応答設定と、復号で返るべき値 */
+function randomCodeCase(rand) {
+  const opts = { seed: Math.floor(rand() * 2 ** 32) };
+  const expected = { seed: opts.seed };
+  if (rand() < 0.5) opts.interimFreqs = expected.interimFreqs = true;
+  if (rand() < 0.3) opts.maskingDilemma = expected.maskingDilemma = true;
+  if (rand() < 0.5) opts.affectedSide = expected.affectedSide = pick(rand, ['R', 'L']);
+  if (rand() < 0.5) opts.sex = expected.sex = pick(rand, EngineConstants.SEXES);
+  if (rand() < 0.5) opts.severity = expected.severity = pick(rand, [0, 1, 2, 3]);
+  if (rand() < 0.7) opts.ageGroup = expected.ageGroup = pick(rand, AGES);
+  if (rand() < 0.2) {
+    const stack = () => Array.from({ length: Math.floor(rand() * 3) }, () => pick(rand, EngineConstants.PROFILES));
+    opts.stacks = expected.stacks = { right: stack(), left: stack() };
+  } else if (rand() < 0.8) {
+    opts.profile = expected.profile = pick(rand, EngineConstants.PROFILES);
+  }
+
+  const settings = {};
+  const expectedSettings = {};
+  if (rand() < 0.6) {
+    settings.responseModel = { centralMasking: rand() < 0.5, occlusionEffect: rand() < 0.5 };
+    if (settings.responseModel.centralMasking || settings.responseModel.occlusionEffect) {
+      expectedSettings.responseModel = { ...settings.responseModel };
+    }
+  }
+  if (rand() < 0.6) {
+    settings.patientBehaviorKey = pick(rand, BEHAVIOR_KEYS);
+    // 理想（決定的）は「なし」と同じ
+    if (settings.patientBehaviorKey !== 'ideal') {
+      expectedSettings.patientBehaviorKey = settings.patientBehaviorKey;
+      expectedSettings.patientBehavior = PATIENT_BEHAVIOR_PRESETS[settings.patientBehaviorKey].behavior;
+    }
+  }
+  return { opts, settings, expected, expectedSettings };
+}
+
+run('C1', `症例コード: 符号化→復号で条件・応答設定が戻る（${TRIALS}件）`, () => {
+  const rand = makeRng(17001);
+  return everyTrial(TRIALS, () => {
+    const { opts, settings, expected, expectedSettings } = randomCodeCase(rand);
+    const code = encodeCaseCode(opts, settings);
+    const decoded = decodeCaseCode(code);
+    if (!same(decoded.opts, expected)) return `${code}: opts ${stable(decoded.opts)} ≠ ${stable(expected)}`;
+    if (!same(decoded.settings, expectedSettings)) return `${code}: settings ${stable(decoded.settings)} ≠ ${stable(expectedSettings)}`;
+    // 応答設定は症例の条件欄に影響しない
+    if (!same(decodeCaseCode(encodeCaseCode(opts)).opts, expected)) return `${code}: 応答設定なしで条件が変わる`;
+    return null;
+  });
+});
+
+run('C2', '症例コード: 応答設定の桁を足す前のコードは同じ条件・設定なしで読める', () => {
+  const legacy = [
+    ['1-9IX-3GYP', { seed: 12345, interimFreqs: true, sex: 'Female', severity: 2, ageGroup: '40s', profile: 'CHL_OME' }],
+    ['1-1U5HVR4-2Q7A', { seed: 4000000000, maskingDilemma: true, affectedSide: 'L', ageGroup: 67, profile: 'SNHL_Sudden' }],
+    ['1-7-140-4YLC', { seed: 7, ageGroup: 'child', stacks: { right: ['CHL_OME', 'SNHL_Age'], left: ['Normal'] } }],
+  ];
+  for (const [code, opts] of legacy) {
+    const decoded = decodeCaseCode(code);
+    if (!same(decoded.opts, opts)) return `${code}: ${stable(decoded.opts)}`;
+    if (Object.keys(decoded.settings).length) return `${code}: settings ${stable(decoded.settings)}`;
+    if (encodeCaseCode(opts) !== code) return `${code}: 再符号化 ${encodeCaseCode(opts)}`;
+  }
+  return true;
+});
+
+run('C3', '症例コード: 正規化は符号化の出力をそのまま返し、小文字・先頭0の書き方もそろえる', () => {
+  const rand = makeRng(17002);
+  return everyTrial(TRIALS, () => {
+    const { opts, settings } = randomCodeCase(rand);
+    const code = encodeCaseCode(opts, settings);
+    if (canonicalCaseCode(code) !== code) return `${code} → ${canonicalCaseCode(code)}`;
+    const loose = ` ${code.toLowerCase().split('-').map((p, i) => (i ? `00${p}` : p)).join('-')} `;
+    if (canonicalCaseCode(loose) !== code) return `${loose} → ${canonicalCaseCode(loose)}`;
+    return null;
+  });
+});
+
+run('C4', '症例コード: 再生成した症例が generateAudiogram と一致する（100件）', () => {
+  const rand = makeRng(17003);
+  return everyTrial(100, () => {
+    const { opts, settings } = randomCodeCase(rand);
+    const code = encodeCaseCode(opts, settings);
+    const { caseData, settings: resolved } = resolveCaseCode(code);
+    if (!same(caseData, generateAudiogram(decodeCaseCode(code).opts))) return `${code}: 症例が異なる`;
+    if (!same(resolved, decodeCaseCode(code).settings)) return `${code}: 応答設定が異なる`;
+    return null;
+  });
+});
+
+run('C5', '症例コード: 壊れたコード・範囲外の値・未対応の版は拒否する', () => {
+  const bad = ['', 'abc', '1-zz', '1-1-1-1-1', '1-1-1!', `1-${(2 ** 32).toString(36)}-0`];
+  for (const code of bad) {
+    try {
+      decodeCaseCode(code);
+      return `${JSON.stringify(code)} を受け付けた`;
+    } catch {
+      // 期待どおり
+    }
+  }
+  try {
+    resolveCaseCode('99-1-0');
+    return '未対応の版 99 を受け付けた';
+  } catch {
+    return true;
+  }
+});
+
+// ---------- Hughson–Westlake 法 ----------
+/** 閾値 threshold の理想的な被検者に、手順どおり提示した記録（2/3 上昇反応で終了） */
+function simulateHughsonWestlake(threshold, base = { ear: 'R', transducer: 'AC', freq: 1000, masked: false }) {
+  const list = [];
+  let level = FAMILIARISATION_START_DB;
+  let seenResponse = false;
+  for (let i = 0; i < 60; i++) {
+    const responded = level >= threshold;
+    list.push({ ...base, level, responded, at: i });
+    if (analyzeSequence(list).threshold != null) break;
+    if (responded) {
+      seenResponse = true;
+      level -= DOWN_STEP_DB;
+    } else {
+      level += seenResponse ? UP_STEP_DB : DOWN_STEP_DB;
+    }
+  }
+  return list;
+}
+
+run('H1', 'Hughson–Westlake: 手順どおりの提示で 2/3 上昇法の閾値が真の閾値に一致し、逸脱なし（-10〜100 dB）', () => {
+  for (let t = -10; t <= 100; t += 5) {
+    const seq = simulateHughsonWestlake(t);
+    const { threshold, deviations } = analyzeSequence(seq);
+    if (threshold !== t) return `真の閾値 ${t}: 判定 ${threshold}`;
+    if (deviations.length) return `真の閾値 ${t}: 逸脱 ${deviations.map((d) => d.flag).join(',')}`;
+    const { byFreq } = analyzeProtocol(seq, [{ ear: 'R', transducer: 'AC', freq: 1000, dB: t, masked: false }]);
+    const flags = byFreq['R|AC|1000'].flags;
+    if (flags.length) return `真の閾値 ${t}: プロットの判定 ${flags.join(',')}`;
+  }
+  return true;
+});
+
+run('H2', 'Hughson–Westlake: 2/3（2/2 を含む）上昇反応の最小レベルを閾値とする', () => {
+  const cases = [
+    [{ 40: { attempts: 3, responses: 1 }, 45: { attempts: 2, responses: 2 } }, 45],
+    [{ 40: { attempts: 3, responses: 2 }, 45: { attempts: 1, responses: 1 } }, 40],
+    [{ 40: { attempts: 2, responses: 2 } }, 40],
+    [{ 40: { attempts: 4, responses: 2 } }, 40],
+    [{ 40: { attempts: 5, responses: 2 }, 45: { attempts: 1, responses: 1 } }, null],
+    [{ 40: { attempts: 1, responses: 1 } }, null],
+    [{}, null],
+  ];
+  for (const [ascending, expected] of cases) {
+    const got = twoOfThreeThreshold(ascending);
+    if (got !== expected) return `${JSON.stringify(ascending)}: ${got}（期待 ${expected}）`;
+  }
+  return true;
+});
+
+run('H3', 'Hughson–Westlake: 下降法のみ・基準前の決定・閾値の不一致・逆方向の操作を拾う', () => {
+  const at = (levels, threshold) => levels.map((level, i) => ({ ear: 'R', transducer: 'AC', freq: 1000, masked: false, level, responded: level >= threshold, at: i }));
+  const flagsOf = (seq, dB) => analyzeProtocol(seq, [{ ear: 'R', transducer: 'AC', freq: 1000, dB, masked: false }]).byFreq['R|AC|1000'].flags;
+  const checks = [
+    [flagsOf(at([30, 20, 10], 10), 10), 'descending_only'],
+    [flagsOf(at([30, 20, 10, 15], 15), 15), 'not_two_of_three'],
+    [flagsOf(simulateHughsonWestlake(35), 40), 'threshold_mismatch'],
+    [analyzeSequence(at([30, 40], 20)).deviations.map((d) => d.flag), 'wrong_direction'],
+    [analyzeSequence(at([30, 25], 20)).deviations.map((d) => d.flag), 'down_step'],
+    [analyzeSequence(at([30, 20, 10, 20], 15)).deviations.map((d) => d.flag), 'up_step'],
+  ];
+  for (const [flags, expected] of checks) {
+    if (!flags.includes(expected)) return `${expected} が出ない（${flags.join(',') || 'なし'}）`;
+  }
+  return true;
+});
+
+run('H4', 'Hughson–Westlake: 1 kHz から始めて高音域のあと 1 kHz を再検査すれば検査順の指摘なし、外れれば指摘', () => {
+  const session = (freqs, threshold = 20) => freqs.flatMap((freq) => simulateHughsonWestlake(threshold, { ear: 'L', transducer: 'AC', freq, masked: false }));
+  const flagsOf = (list) => analyzeProtocol(list).sessionFlags.map((f) => f.flag);
+  const good = flagsOf(session([1000, 2000, 4000, 8000, 1000, 500, 250]));
+  if (good.length) return `標準の順序で ${good.join(',')}`;
+  if (!flagsOf(session([2000, 4000, 1000])).includes('first_freq_not_1k')) return 'first_freq_not_1k が出ない';
+  if (!flagsOf(session([1000, 2000, 4000, 500])).includes('no_retest_1k')) return 'no_retest_1k が出ない';
+  const quiet = [10, 15, 20, 25].map((level, i) => ({ ear: 'L', transducer: 'AC', freq: 1000, masked: false, level, responded: level >= 25, at: i }));
+  if (!flagsOf(quiet).includes('skipped_familiarisation')) return 'skipped_familiarisation が出ない';
+  return true;
+});
+
+// ---------- ルーブリック ----------
+const TEMPLATE = RUBRIC_TEMPLATES.find((r) => r !== DEFAULT_RUBRIC);
+/** 無作為な正答と記録の採点項目（区分・SO・決定不能を含む） */
+function randomItems(rand, count = 24) {
+  return Array.from({ length: count }, (_, i) => {
+    const transducer = rand() < 0.6 ? 'AC' : 'BC';
+    const so = rand() < 0.1;
+    const target = { dB: 5 * Math.floor(rand() * 20), ...(so ? { so: true } : {}) };
+    const roll = rand();
+    let measured = { dB: target.dB, ...(so ? { so: true } : {}) };
+    if (roll < 0.1) measured = null;
+    else if (roll < 0.2) measured = { dB: target.dB + pick(rand, [-15, -10, -5, 5, 10, 15]) };
+    else if (roll < 0.25) measured = { dB: target.dB, so: !so };
+    const undetermined = rand() < 0.05;
+    return {
+      key: `${i % 2 ? 'R' : 'L'}|${transducer}|${250 * (i + 1)}`,
+      ear: i % 2 ? 'R' : 'L',
+      transducer,
+      freq: 250 * (i + 1),
+      target,
+      measured,
+      undetermined,
+      dilemma: undetermined && rand() < 0.5,
+      maskingRequired: rand() < 0.4,
+    };
+  });
+}
+
+run('R1', `ルーブリック: 既定の基準は従来の完全一致の正答率と同じ（${TRIALS}件）`, () => {
+  const rand = makeRng(17101);
+  return everyTrial(TRIALS, () => {
+    const items = randomItems(rand);
+    // 学習者画面の checkAccuracy と同じ判定
+    const correct = items.filter(({ target, measured, undetermined, dilemma }) => {
+      if (undetermined) return dilemma;
+      if (!measured) return false;
+      if (target.so) return !!measured.so;
+      return measured.dB === target.dB && !measured.so;
+    }).length;
+    const legacy = Math.round((correct / items.length) * 100);
+    const score = scoreWithRubric(items, DEFAULT_RUBRIC);
+    if (score.percent !== legacy) return `${score.percent}% ≠ 従来 ${legacy}%`;
+    if (score.passed !== (legacy >= 80)) return `合否 ${score.passed}（従来 ${legacy}%）`;
+    return null;
+  });
+});
+
+run('R2', 'ルーブリック: 全問正答は基準によらず満点・合格', () => {
+  const rand = makeRng(17102);
+  return everyTrial(TRIALS, () => {
+    const items = randomItems(rand).map((x) => ({ ...x, measured: { ...x.target }, undetermined: false }));
+    for (const rubric of RUBRIC_TEMPLATES) {
+      const score = scoreWithRubric(items, rubric);
+      if (score.percent !== 100 || !score.passed || score.earned !== score.max) return `${rubric.name}: ${score.earned}/${score.max}`;
+    }
+    return null;
+  });
+});
+
+run('R3', 'ルーブリック: 許容差・部分点・SO 記号・決定不能の判定と減点', () => {
+  const item = (target, measured, extra = {}) => ({ key: 'R|AC|1000', ear: 'R', transducer: 'AC', freq: 1000, target, measured, maskingRequired: false, ...extra });
+  const rubric = normalizeRubric(TEMPLATE);
+  const cases = [
+    [item({ dB: 40 }, { dB: 40 }), 'exact', 1],
+    [item({ dB: 40 }, { dB: 40 + rubric.toleranceDb }), 'within', 1],
+    [item({ dB: 40 }, { dB: 40 - rubric.partialToleranceDb }), 'partial', rubric.partialCredit],
+    [item({ dB: 40 }, { dB: 40 + rubric.partialToleranceDb + 5 }), 'wrong', 0],
+    [item({ dB: 40 }, null), 'missing', 0],
+    [item({ dB: 110, so: true }, { dB: 110, so: true }), 'exact', 1],
+    [item({ dB: 110, so: true }, { dB: 110 }), 'so_missing', 0],
+    [item({ dB: 40 }, { dB: 40, so: true }), 'so_wrong', 0],
+    [item({ dB: 40 }, null, { undetermined: true, dilemma: true }), 'undetermined_ok', 1],
+    [item({ dB: 40 }, null, { undetermined: true, dilemma: false }), 'undetermined_ng', 0],
+  ];
+  for (const [x, status, credit] of cases) {
+    const scored = scoreWithRubric([x], rubric).items[0];
+    if (scored.status !== status || scored.credit !== credit) return `${status}: ${scored.status} / ${scored.credit}`;
+  }
+  const soMissing = scoreWithRubric([cases[6][0], { ...cases[0][0], key: 'L|AC|1000', ear: 'L' }], rubric);
+  if (soMissing.penalty !== rubric.scaleOutPenalty || soMissing.earned !== Math.max(0, 1 - rubric.scaleOutPenalty)) {
+    return `SO 記号の減点 ${soMissing.penalty}・得点 ${soMissing.earned}`;
+  }
+  const weighted = scoreWithRubric([item({ dB: 40 }, { dB: 40 }, { transducer: 'BC', maskingRequired: true })], rubric);
+  if (weighted.max !== rubric.weights.BC_masked) return `区分の配点 ${weighted.max}`;
+  return true;
+});
+
+run('R4', 'ルーブリック: 補完は冪等で、保存済みの設定（試験に固定した名前つきの写し）で同じ採点になる', () => {
+  for (const rubric of RUBRIC_TEMPLATES) {
+    if (validateRubric(rubric).length) return `${rubric.name}: ${validateRubric(rubric).join(',')}`;
+    const normalized = normalizeRubric(rubric);
+    if (!same(normalizeRubric(normalized), normalized)) return `${rubric.name}: 補完が冪等でない`;
+    const { name, ...config } = rubric;
+    const snapshot = JSON.parse(JSON.stringify({ ...config, name }));
+    const items = randomItems(makeRng(17103));
+    if (!same(scoreWithRubric(items, snapshot), scoreWithRubric(items, rubric))) return `${rubric.name}: 写しで採点が変わる`;
+  }
+  if (!same(normalizeRubric({}), normalizeRubric(DEFAULT_RUBRIC))) return '空の設定が既定と異なる';
+  const bad = { ...DEFAULT_RUBRIC, toleranceDb: 10, partialToleranceDb: 5, weights: { AC_unmasked: 0, AC_masked: 0, BC_unmasked: 0, BC_masked: 0 } };
+  if (validateRubric(bad).length < 2) return `不正な設定のエラー ${validateRubric(bad).length} 件`;
+  return true;
+});
+
+// ---------- 試験の再採点 ----------
+const BC_DISABLED = new Set([125, 8000]);
+/** 学習者画面の採点（scoringItems）と同じ除外・省略で作った自己採点（配点の区分は古典的な判定に合わせない） */
+function clientScore(targets, points, undetermined, earphone, rubric) {
+  const trueAc = acThresholdsByEar(targets, () => 160);
+  const requiredInterim = new Set(['R', 'L'].flatMap((e) => requiredInterimFreqs(trueAc[e]).map((x) => `${e}|${x.freq}`)));
+  return scoreWithRubric(buildScoringItems({
+    targets,
+    points,
+    undetermined,
+    dilemma: maskingDilemmaKeys(targets, { earphone }),
+    isExcluded: (t) => t.transducer === 'BC' && (BC_DISABLED.has(t.freq) || isInterimFreq(t.freq)),
+    isOptional: (t) => isInterimFreq(t.freq) && !requiredInterim.has(`${t.ear}|${t.freq}`),
+  }), rubric);
+}
+
+/** 無作為な試験症例と解答（正答・ずれ・未測定・SO の付け忘れ・決定不能を混ぜる） */
+function randomExamAttempt(rand, exact) {
+  const opts = {
+    seed: Math.floor(rand() * 2 ** 32),
+    profile: pick(rand, EngineConstants.RANDOM_PROFILES),
+    ...(rand() < 0.5 ? { interimFreqs: true } : {}),
+    ...(rand() < 0.3 ? { maskingDilemma: true } : {}),
+  };
+  const code = encodeCaseCode(opts);
+  const targets = examTargets(code);
+  const earphone = rand() < 0.5 ? 'insert' : 'supraAural';
+  const dilemma = maskingDilemmaKeys(targets, { earphone });
+  const undetermined = [];
+  const points = [];
+  targets.forEach((t) => {
+    const key = `${t.ear}|${t.transducer}|${t.freq}`;
+    const roll = exact ? 0 : rand();
+    if (dilemma.has(key) && (exact || roll < 0.5)) {
+      undetermined.push(key);
+      return;
+    }
+    if (roll >= 0.9) return;
+    const point = { ear: t.ear, transducer: t.transducer, freq: t.freq, dB: t.dB, masked: rand() < 0.3, ...(t.so ? { so: true } : {}) };
+    if (point.masked) point.maskLevel = 5 * Math.floor(rand() * 16);
+    if (roll >= 0.8) point.dB += pick(rand, [-10, -5, 5, 10]);
+    else if (roll >= 0.75) delete point.so;
+    points.push(point);
+  });
+  return { opts, code, targets, earphone, points, undetermined };
+}
+
+function submitAndRegrade({ code, targets, earphone, points, undetermined }, rubric) {
+  const score = clientScore(targets, points, undetermined, earphone, rubric);
+  const exam = { examId: 'verify', examCode: 'VERIFY', startedAt: 0 };
+  // サーバーに保存された JSON を読み直したものとして扱う
+  const payload = JSON.parse(JSON.stringify(buildExamPayload({
+    exam, studentId: 's', score, accuracy: {}, masking: {}, earphone, session: null, points, undetermined, expired: false, now: 1000,
+  })));
+  return { score, payload, regraded: regradeExamPayload({ targets: examTargets(code), payload, rubric }) };
+}
+
+run('E1', '試験: 症例コードから再生成した正答が生成時の症例と一致する（100件）', () => {
+  const rand = makeRng(17201);
+  return everyTrial(100, () => {
+    const { opts, code, targets } = randomExamAttempt(rand, true);
+    return same(targets, targetsFromCase(generateAudiogram(opts))) ? null : `${code}: 正答が異なる`;
+  });
+});
+
+run('E2', `試験: 全問正答の提出は講師側の再採点でも満点（${TRIALS}件・基準ごと）`, () => {
+  const rand = makeRng(17202);
+  return everyTrial(TRIALS, () => {
+    const attempt = randomExamAttempt(rand, true);
+    for (const rubric of RUBRIC_TEMPLATES) {
+      const { payload, regraded } = submitAndRegrade(attempt, rubric);
+      if (payload.points.percent !== 100 || regraded.percent !== 100) {
+        return `${attempt.code}/${rubric.name}: 自己採点 ${payload.points.percent}% 再採点 ${regraded.percent}%`;
+      }
+    }
+    return null;
+  });
+});
+
+run('E3', `試験: 誤答を含む提出も再採点の項目・判定が自己採点と一致し、均等配点では得点も一致（${TRIALS}件）`, () => {
+  const rand = makeRng(17203);
+  return everyTrial(TRIALS, () => {
+    const attempt = randomExamAttempt(rand, false);
+    for (const rubric of RUBRIC_TEMPLATES) {
+      const { payload, regraded } = submitAndRegrade(attempt, rubric);
+      const client = payload.points.items.map((x) => `${x.key}:${x.status}`).sort();
+      const server = regraded.items.map((x) => `${x.key}:${x.status}`).sort();
+      if (!same(client, server)) {
+        const diff = [...client.filter((x) => !server.includes(x)), ...server.filter((x) => !client.includes(x))];
+        return `${attempt.code}/${rubric.name}: ${diff.slice(0, 4).join(', ')}`;
+      }
+      if (payload.points.rubric !== normalizeRubric(rubric).name) return `${attempt.code}: 基準名 ${payload.points.rubric}`;
+    }
+    const { payload, regraded } = submitAndRegrade(attempt, DEFAULT_RUBRIC);
+    for (const k of ['earned', 'max', 'penalty', 'percent', 'passed']) {
+      if (payload.points[k] !== regraded[k]) return `${attempt.code}: ${k} 自己採点 ${payload.points[k]} 再採点 ${regraded[k]}`;
+    }
+    return null;
+  });
+});
+
+console.log(`\nTraining-logic checks: ${ok}/${n} passed`);
+if (ok !== n) process.exit(1);
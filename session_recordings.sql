@@ -0,0 +1,64 @@
+/*
+  Session recordings: the timestamped event stream of one case session
+  (tone presentations, response lamp, mask changes, ear/transducer switches, point add/remove).
+  Saved when the student checks answers; replayed by the student and in the instructor dashboard.
+  Run this entire script in Supabase SQL Editor.
+*/
+
+CREATE TABLE IF NOT EXISTS session_recordings (
+  id BIGSERIAL PRIMARY KEY,
+  session_id TEXT UNIQUE NOT NULL,
+  student_id TEXT NOT NULL,
+  user_id UUID,
+  case_id TEXT NOT NULL,
+  started_at TIMESTAMPTZ NOT NULL,
+  summary JSONB NOT NULL DEFAULT '{}'::jsonb,
+  events JSONB NOT NULL DEFAULT '[]'::jsonb,
+  truncated BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_recordings_student_id ON session_recordings(student_id);
+CREATE INDEX IF NOT EXISTS idx_session_recordings_started_at ON session_recordings(started_at DESC);
+
+ALTER TABLE session_recordings ENABLE ROW LEVEL SECURITY;
+
+/* Anon read-all (same pattern as student_progress) for instructor dashboard */
+DROP POLICY IF EXISTS "Allow select session_recordings" ON session_recordings;
+CREATE POLICY "Allow select session_recordings"
+  ON session_recordings FOR SELECT
+  USING (true);
+
+/* Insert/update only when auth.uid() matches students.user_id for this student_id */
+DROP POLICY IF EXISTS "Students insert own session recordings" ON session_recordings;
+CREATE POLICY "Students insert own session recordings"
+  ON session_recordings FOR INSERT
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM students s
+      WHERE s.student_id = session_recordings.student_id
+        AND s.user_id IS NOT NULL
+        AND s.user_id = auth.uid()
+    )
+  );
+
+DROP POLICY IF EXISTS "Students update own session recordings" ON session_recordings;
+CREATE POLICY "Students update own session recordings"
+  ON session_recordings FOR UPDATE
+  USING (
+    EXISTS (
+      SELECT 1 FROM students s
+      WHERE s.student_id = session_recordings.student_id
+        AND s.user_id IS NOT NULL
+        AND s.user_id = auth.uid()
+    )
+  );
+
+DROP TRIGGER IF EXISTS update_session_recordings_updated_at ON session_recordings;
+CREATE TRIGGER update_session_recordings_updated_at
+  BEFORE UPDATE ON session_recordings
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE session_recordings IS 'Per-session audiometer event stream for replay (one row per case session, re-saved on each answer check)';
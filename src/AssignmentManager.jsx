@@ -0,0 +1,540 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { isSupabaseDisabled } from './supabaseClient';
+import { decodeCaseCode } from './caseCodeLogic';
+import { readCaseFile } from './caseFileLogic';
+import { DEFAULT_RUBRIC } from './rubricLogic';
+import { RUBRIC_TARGET, fetchRubrics, fetchRubricAttachments, attachRubric, rubricErrorMessage } from './rubrics';
+import InstructorPasswordPrompt from './InstructorPasswordPrompt';
+import {
+  ASSIGNMENT_ITEM_KIND,
+  ASSIGNMENT_ITEM_KIND_LABELS,
+  ASSIGNMENT_STATUS_LABELS,
+  assignmentItemKey,
+  assignmentItemLabel,
+  assignmentStatus,
+  summarizeAssignment,
+  isSubmissionLate,
+  validateAssignment,
+  toDateTimeLocal,
+  formatAssignmentDate,
+} from './assignmentLogic';
+import {
+  fetchAssignments,
+  saveAssignment,
+  deleteAssignment,
+  fetchAssignmentSubmissions,
+  fetchClassRoster,
+  setStudentsClass,
+  assignmentErrorMessage,
+} from './assignments';
+
+const PRESET_KEYS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I'];
+
+function emptyDraft() {
+  return { id: null, title: '', description: '', items: [], targetClasses: [], openAt: toDateTimeLocal(Date.now()), dueAt: '', rubricId: '' };
+}
+
+/**
+ * 課題の作成とクラスごとの提出状況（講師用）
+ * プリセット・症例コード・症例ファイルの症例をまとめ、公開日時と期限を付けてクラスに配る。
+ */
+export default function AssignmentManager({ instructor }) {
+  const [assignments, setAssignments] = useState([]);
+  const [submissions, setSubmissions] = useState([]);
+  const [roster, setRoster] = useState([]);
+  const [rubrics, setRubrics] = useState([]);
+  const [attachments, setAttachments] = useState([]);
+  const [draft, setDraft] = useState(emptyDraft);
+  const [codeInput, setCodeInput] = useState('');
+  const [fileCases, setFileCases] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [message, setMessage] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [classForm, setClassForm] = useState({ className: '', studentIds: '' });
+  // 課題の保存・削除と採点基準の割り当てはサーバーで講師パスワードを確かめる（画面を閉じるまでメモリにだけ持つ）
+  const [credentials, setCredentials] = useState(null);
+
+  const load = useCallback(async () => {
+    const [a, s, r, rb, at] = await Promise.all([
+      fetchAssignments(),
+      fetchAssignmentSubmissions(),
+      fetchClassRoster(),
+      fetchRubrics(),
+      fetchRubricAttachments(),
+    ]);
+    setAssignments(a.data || []);
+    setSubmissions(s.data || []);
+    setRoster(r.data || []);
+    setRubrics(rb.data || []);
+    setAttachments(at.data || []);
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const classNames = useMemo(
+    () => [...new Set(roster.map((s) => s.class_name).filter(Boolean))].sort(),
+    [roster]
+  );
+  const rubricIdFor = (assignmentId) =>
+    attachments.find((x) => x.target_type === RUBRIC_TARGET.ASSIGNMENT && x.target_key === String(assignmentId))?.rubric_id ?? null;
+  const rubricName = (id) => rubrics.find((r) => r.id === id)?.name || DEFAULT_RUBRIC.name;
+
+  const addItem = (item) => {
+    const key = assignmentItemKey(item);
+    setDraft((prev) => (prev.items.some((x) => assignmentItemKey(x) === key) ? prev : { ...prev, items: [...prev.items, item] }));
+  };
+  const removeItem = (key) => setDraft((prev) => ({ ...prev, items: prev.items.filter((x) => assignmentItemKey(x) !== key) }));
+
+  const addCaseCode = () => {
+    const code = codeInput.trim().toUpperCase();
+    if (!code) return;
+    try {
+      decodeCaseCode(code);
+    } catch (e) {
+      setMessage(e.message);
+      return;
+    }
+    addItem({ kind: ASSIGNMENT_ITEM_KIND.CASE_CODE, code });
+    setCodeInput('');
+    setMessage('');
+  };
+
+  const importFile = async (file) => {
+    if (!file) return;
+    const { cases, errors: fileErrors } = await readCaseFile(file);
+    if (fileErrors.length) {
+      setMessage(`症例ファイルを読み込めませんでした: ${fileErrors.slice(0, 3).join(' / ')}`);
+      return;
+    }
+    setFileCases(cases);
+    setMessage('');
+  };
+
+  const toggleClass = (name) =>
+    setDraft((prev) => ({
+      ...prev,
+      targetClasses: prev.targetClasses.includes(name) ? prev.targetClasses.filter((c) => c !== name) : [...prev.targetClasses, name],
+    }));
+
+  const editAssignment = (a) => {
+    const rubricId = rubricIdFor(a.id);
+    setDraft({
+      id: a.id,
+      title: a.title,
+      description: a.description || '',
+      items: a.items || [],
+      targetClasses: a.target_classes || [],
+      openAt: toDateTimeLocal(a.open_at),
+      dueAt: toDateTimeLocal(a.due_at),
+      rubricId: rubricId == null ? '' : String(rubricId),
+    });
+    setErrors([]);
+    setMessage('');
+  };
+
+  async function handleSave() {
+    if (!credentials) return;
+    const found = validateAssignment(draft);
+    setErrors(found);
+    if (found.length) return;
+    setSaving(true);
+    const { data, error } = await saveAssignment({
+      id: draft.id,
+      title: draft.title.trim(),
+      description: draft.description.trim(),
+      items: draft.items,
+      targetClasses: draft.targetClasses,
+      openAt: draft.openAt,
+      dueAt: draft.dueAt || null,
+    }, credentials);
+    const attached = !error && data
+      ? await attachRubric(RUBRIC_TARGET.ASSIGNMENT, data.id, draft.rubricId === '' ? null : Number(draft.rubricId), credentials)
+      : null;
+    setSaving(false);
+    if (error) {
+      if (error.message?.includes('instructor mismatch')) setCredentials(null);
+      setMessage(`保存できませんでした: ${assignmentErrorMessage(error)}`);
+      return;
+    }
+    if (attached?.error) {
+      if (attached.error.message?.includes('instructor mismatch')) setCredentials(null);
+      setMessage(`課題は保存しましたが、採点基準を割り当てできませんでした: ${rubricErrorMessage(attached.error)}`);
+      load();
+      return;
+    }
+    setMessage(`課題「${data.title}」を${draft.id ? '更新' : '作成'}しました`);
+    setDraft(emptyDraft());
+    setSelectedId(data.id);
+    load();
+  }
+
+  async function handleDelete(a) {
+    if (!credentials) {
+      setMessage('削除するには講師パスワードを入力してください');
+      return;
+    }
+    if (!window.confirm(`課題「${a.title}」と学生の提出をすべて削除しますか？`)) return;
+    const { error } = await deleteAssignment(a.id, credentials);
+    if (error) {
+      if (error.message?.includes('instructor mismatch')) setCredentials(null);
+      setMessage(`削除できませんでした: ${assignmentErrorMessage(error)}`);
+      return;
+    }
+    if (selectedId === a.id) setSelectedId(null);
+    load();
+  }
+
+  async function handleSetClass() {
+    const ids = classForm.studentIds.split(/[\s,、]+/).map((x) => x.trim()).filter(Boolean);
+    if (!ids.length) return;
+    const { data, error } = await setStudentsClass(ids, classForm.className);
+    if (error) {
+      setMessage(`クラスを設定できませんでした: ${error.message || error.code}`);
+      return;
+    }
+    const updated = new Set((data || []).map((s) => s.student_id));
+    const missing = ids.filter((id) => !updated.has(id));
+    setMessage(`${updated.size}名を${classForm.className.trim() ? `「${classForm.className.trim()}」に入れました` : 'クラスから外しました'}${missing.length ? `（未登録: ${missing.join(', ')}）` : ''}`);
+    setClassForm((prev) => ({ ...prev, studentIds: '' }));
+    load();
+  }
+
+  const now = Date.now();
+  const selected = assignments.find((a) => a.id === selectedId) || null;
+  const selectedSummary = selected
+    ? summarizeAssignment(selected, roster, submissions.filter((s) => s.assignment_id === selected.id))
+    : null;
+
+  return (
+    <div className="space-y-6">
+      {isSupabaseDisabled && (
+        <div className="bg-amber-50 border border-amber-200 rounded-xl p-3 text-sm text-amber-800">
+          Supabase が無効のため、課題は作成できません。
+        </div>
+      )}
+
+      <div className="bg-white rounded-2xl shadow border border-cyan-200 overflow-hidden">
+        <div className="bg-cyan-700 text-white px-5 py-3 flex flex-wrap items-center justify-between gap-2">
+          <div>
+            <div className="font-semibold">{draft.id ? '課題の編集' : '課題の作成'}</div>
+            <div className="text-xs text-cyan-100 mt-0.5">症例をまとめて公開日時と期限を付け、クラスに配ります。学生はログインすると課題の一覧から症例を開けます。</div>
+          </div>
+          {draft.id && (
+            <button type="button" onClick={() => setDraft(emptyDraft())} className="px-3 py-1.5 rounded-lg bg-white/15 hover:bg-white/25 text-sm">
+              新規作成に戻る
+            </button>
+          )}
+        </div>
+        {!credentials && (
+          <div className="px-5 pt-4">
+            <InstructorPasswordPrompt
+              instructor={instructor}
+              onConfirm={(c) => {
+                setCredentials(c);
+                setMessage('');
+              }}
+              note="課題の作成・更新・削除には、講師パスワードの再入力が必要です。"
+              buttonClassName="bg-cyan-600 hover:bg-cyan-700"
+            />
+          </div>
+        )}
+        <div className="p-5 space-y-4 text-sm">
+          <div className="flex flex-wrap items-end gap-4">
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-gray-600">課題名</span>
+              <input
+                value={draft.title}
+                onChange={(e) => setDraft((prev) => ({ ...prev, title: e.target.value }))}
+                placeholder="例: 第3週 伝音難聴のマスキング"
+                className="border rounded-lg px-2 py-1 w-72"
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-gray-600">公開日時</span>
+              <input
+                type="datetime-local"
+                value={draft.openAt}
+                onChange={(e) => setDraft((prev) => ({ ...prev, openAt: e.target.value }))}
+                className="border rounded-lg px-2 py-1"
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-gray-600">期限（空欄なら期限なし）</span>
+              <input
+                type="datetime-local"
+                value={draft.dueAt}
+                onChange={(e) => setDraft((prev) => ({ ...prev, dueAt: e.target.value }))}
+                className="border rounded-lg px-2 py-1"
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-gray-600">採点基準</span>
+              <select
+                value={draft.rubricId}
+                onChange={(e) => setDraft((prev) => ({ ...prev, rubricId: e.target.value }))}
+                className="border rounded-lg px-2 py-1 bg-white"
+              >
+                <option value="">{DEFAULT_RUBRIC.name}</option>
+                {rubrics.map((r) => <option key={r.id} value={r.id}>{r.name}</option>)}
+              </select>
+            </label>
+          </div>
+
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-gray-600">説明（任意）</span>
+            <textarea
+              value={draft.description}
+              onChange={(e) => setDraft((prev) => ({ ...prev, description: e.target.value }))}
+              rows={2}
+              className="border rounded-lg px-2 py-1"
+            />
+          </label>
+
+          <div>
+            <div className="text-xs text-gray-600 mb-1">対象クラス（どれも選ばなければ全員）</div>
+            {classNames.length === 0 ? (
+              <p className="text-xs text-gray-500">クラスがありません。下の「クラス名簿」で学生をクラスに入れてください。</p>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {classNames.map((name) => (
+                  <label key={name} className="flex items-center gap-1 text-xs border rounded-lg px-2 py-1">
+                    <input type="checkbox" checked={draft.targetClasses.includes(name)} onChange={() => toggleClass(name)} />
+                    {name}（{roster.filter((s) => s.class_name === name).length}名）
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="rounded-xl border border-gray-200 p-3 space-y-3">
+            <div className="text-xs font-semibold text-gray-700">症例を追加</div>
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-xs text-gray-600 w-24">プリセット</span>
+              {PRESET_KEYS.map((key) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => addItem({ kind: ASSIGNMENT_ITEM_KIND.PRESET, key })}
+                  className="px-2 py-0.5 rounded border hover:bg-gray-50 text-xs"
+                >
+                  症例{key}
+                </button>
+              ))}
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-xs text-gray-600 w-24">症例コード</span>
+              <input
+                value={codeInput}
+                onChange={(e) => setCodeInput(e.target.value)}
+                placeholder="「教材生成」の症例コード"
+                className="border rounded-lg px-2 py-1 w-56 uppercase font-mono text-xs"
+              />
+              <button type="button" onClick={addCaseCode} className="px-2 py-0.5 rounded border hover:bg-gray-50 text-xs">追加</button>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-xs text-gray-600 w-24">症例ファイル</span>
+              <input type="file" accept="application/json,.json" onChange={(e) => importFile(e.target.files?.[0])} className="text-xs" />
+              {fileCases.map((entry) => (
+                <button
+                  key={entry.id}
+                  type="button"
+                  onClick={() => addItem({ kind: ASSIGNMENT_ITEM_KIND.CASE_FILE, entry })}
+                  className="px-2 py-0.5 rounded border hover:bg-gray-50 text-xs"
+                >
+                  {entry.name || entry.id}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <div className="text-xs text-gray-600 mb-1">課題の症例（{draft.items.length}件）</div>
+            {draft.items.length === 0 ? (
+              <p className="text-xs text-gray-500">まだ症例がありません。</p>
+            ) : (
+              <ol className="list-decimal list-inside space-y-1 text-xs">
+                {draft.items.map((item) => {
+                  const key = assignmentItemKey(item);
+                  return (
+                    <li key={key}>
+                      <span className="text-gray-500 mr-2">{ASSIGNMENT_ITEM_KIND_LABELS[item.kind]}</span>
+                      {assignmentItemLabel(item)}
+                      <button type="button" onClick={() => removeItem(key)} className="ml-2 text-rose-700 hover:underline">外す</button>
+                    </li>
+                  );
+                })}
+              </ol>
+            )}
+          </div>
+
+          {errors.length > 0 && (
+            <ul className="text-xs text-rose-700 list-disc list-inside">
+              {errors.map((e) => <li key={e}>{e}</li>)}
+            </ul>
+          )}
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={saving || !credentials || isSupabaseDisabled}
+              className={`px-4 py-2 rounded-xl text-white ${saving || !credentials || isSupabaseDisabled ? 'bg-gray-300 cursor-not-allowed' : 'bg-cyan-600 hover:bg-cyan-700'}`}
+            >
+              {saving ? '保存中…' : draft.id ? '課題を更新' : '課題を配る'}
+            </button>
+            {message && <span className="text-xs text-gray-600">{message}</span>}
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow p-5 text-sm">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="text-lg font-semibold text-gray-900">課題ごとの提出状況</h2>
+          <button type="button" onClick={load} className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white hover:bg-gray-50">
+            更新
+          </button>
+        </div>
+        {assignments.length === 0 ? (
+          <p className="text-xs text-gray-500">配った課題はありません。</p>
+        ) : (
+          <table className="w-full text-xs border-collapse">
+            <thead>
+              <tr className="text-gray-500 text-left">
+                <th className="px-2 py-1">課題名</th>
+                <th className="px-2 py-1">状態</th>
+                <th className="px-2 py-1">期限</th>
+                <th className="px-2 py-1">対象</th>
+                <th className="px-2 py-1">症例</th>
+                <th className="px-2 py-1">完了</th>
+                <th className="px-2 py-1">平均得点</th>
+                <th className="px-2 py-1">期限後</th>
+                <th className="px-2 py-1">採点基準</th>
+                <th className="px-2 py-1" />
+              </tr>
+            </thead>
+            <tbody>
+              {assignments.map((a) => {
+                const sum = summarizeAssignment(a, roster, submissions.filter((s) => s.assignment_id === a.id));
+                return (
+                  <tr key={a.id} className={`border-t ${selectedId === a.id ? 'bg-cyan-50' : ''}`}>
+                    <td className="px-2 py-1 font-medium">{a.title}</td>
+                    <td className="px-2 py-1">{ASSIGNMENT_STATUS_LABELS[assignmentStatus(a, now)]}</td>
+                    <td className="px-2 py-1 whitespace-nowrap">{formatAssignmentDate(a.due_at)}</td>
+                    <td className="px-2 py-1">{(a.target_classes || []).length ? a.target_classes.join('・') : '全員'}（{sum.targetCount}名）</td>
+                    <td className="px-2 py-1">{(a.items || []).length}</td>
+                    <td className="px-2 py-1">{sum.completedCount}/{sum.targetCount}（{sum.completionRate}%）</td>
+                    <td className="px-2 py-1">{sum.averagePercent != null ? `${sum.averagePercent}%` : '—'}</td>
+                    <td className={`px-2 py-1 ${sum.lateCount ? 'text-rose-700' : ''}`}>{sum.lateCount}</td>
+                    <td className="px-2 py-1">{rubricName(rubricIdFor(a.id))}</td>
+                    <td className="px-2 py-1 whitespace-nowrap">
+                      <button type="button" onClick={() => setSelectedId(a.id)} className="px-2 py-0.5 rounded border hover:bg-gray-50 mr-1">学生別</button>
+                      <button type="button" onClick={() => editAssignment(a)} className="px-2 py-0.5 rounded border hover:bg-gray-50 mr-1">編集</button>
+                      <button type="button" onClick={() => handleDelete(a)} className="px-2 py-0.5 rounded border border-rose-300 text-rose-700 hover:bg-rose-50">削除</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {selected && selectedSummary && (
+        <div className="bg-white rounded-2xl shadow p-5 text-sm space-y-3">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900">「{selected.title}」の学生別の提出</h2>
+            <button type="button" onClick={() => setSelectedId(null)} className="px-3 py-1.5 rounded-lg border text-xs hover:bg-gray-50">閉じる</button>
+          </div>
+          {selectedSummary.rows.length === 0 ? (
+            <p className="text-xs text-gray-500">対象の学生がいません。</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs border-collapse">
+                <thead>
+                  <tr className="text-gray-500 text-left">
+                    <th className="px-2 py-1">学生ID</th>
+                    <th className="px-2 py-1">氏名</th>
+                    <th className="px-2 py-1">クラス</th>
+                    {(selected.items || []).map((item) => (
+                      <th key={assignmentItemKey(item)} className="px-2 py-1">{assignmentItemLabel(item)}</th>
+                    ))}
+                    <th className="px-2 py-1">平均</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selectedSummary.rows.map((row) => (
+                    <tr key={row.student.student_id} className="border-t">
+                      <td className="px-2 py-1 font-medium">{row.student.student_id}</td>
+                      <td className="px-2 py-1">{row.student.name || '—'}</td>
+                      <td className="px-2 py-1">{row.student.class_name || '—'}</td>
+                      {(selected.items || []).map((item) => {
+                        const sub = row.byItem[assignmentItemKey(item)];
+                        return (
+                          <td key={assignmentItemKey(item)} className="px-2 py-1 whitespace-nowrap">
+                            {sub ? (
+                              <span className={sub.score?.passed ? 'text-emerald-700' : 'text-amber-700'}>
+                                {sub.score?.percent != null ? `${sub.score.percent}%` : `${sub.accuracy}%`}
+                                {isSubmissionLate(selected, sub) && <span className="text-rose-700">（期限後）</span>}
+                              </span>
+                            ) : (
+                              <span className="text-gray-400">未提出</span>
+                            )}
+                          </td>
+                        );
+                      })}
+                      <td className="px-2 py-1">{row.averagePercent != null ? `${row.averagePercent}%` : '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="bg-white rounded-2xl shadow p-5 text-sm space-y-3">
+        <h2 className="text-lg font-semibold text-gray-900">クラス名簿</h2>
+        <p className="text-xs text-gray-600">学籍番号を並べて（改行・空白・カンマ区切り）クラスに入れます。クラス名を空にするとクラスから外します。</p>
+        <div className="flex flex-wrap items-start gap-3">
+          <input
+            value={classForm.className}
+            onChange={(e) => setClassForm((prev) => ({ ...prev, className: e.target.value }))}
+            placeholder="クラス名（例: 2年A組）"
+            list="assignment-class-names"
+            className="border rounded-lg px-2 py-1 w-48"
+          />
+          <datalist id="assignment-class-names">
+            {classNames.map((name) => <option key={name} value={name} />)}
+          </datalist>
+          <textarea
+            value={classForm.studentIds}
+            onChange={(e) => setClassForm((prev) => ({ ...prev, studentIds: e.target.value }))}
+            rows={3}
+            placeholder="237003 237038 …"
+            className="border rounded-lg px-2 py-1 w-72 font-mono text-xs"
+          />
+          <button
+            type="button"
+            onClick={handleSetClass}
+            disabled={isSupabaseDisabled || !classForm.studentIds.trim()}
+            className={`px-3 py-2 rounded-lg text-white ${isSupabaseDisabled || !classForm.studentIds.trim() ? 'bg-gray-300 cursor-not-allowed' : 'bg-cyan-600 hover:bg-cyan-700'}`}
+          >
+            クラスに入れる
+          </button>
+        </div>
+        {classNames.length > 0 && (
+          <div className="flex flex-wrap gap-2 text-xs text-gray-700">
+            {classNames.map((name) => (
+              <span key={name} className="px-2 py-0.5 rounded-full bg-cyan-50 border border-cyan-200">
+                {name}: {roster.filter((s) => s.class_name === name).length}名
+              </span>
+            ))}
+            <span className="px-2 py-0.5 rounded-full bg-gray-50 border">未所属: {roster.filter((s) => !s.class_name).length}名</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  ASSIGNMENT_ITEM_KIND_LABELS,
+  ASSIGNMENT_STATUS_LABELS,
+  assignmentItemKey,
+  assignmentItemLabel,
+  assignmentStatus,
+  studentAssignmentProgress,
+  isSubmissionLate,
+  formatAssignmentDate,
+} from './assignmentLogic';
+
+/**
+ * 課題（講師がクラスに配った症例）の一覧（学生用）
+ * ログイン時に未完了の受付中の課題があれば開いた状態で表示する。
+ * @param {{ className: string|null, assignments: object[], submissions: object[] }} data - fetchStudentAssignments の結果
+ * @param {{ assignmentId: number, itemKey: string }|null} active - いま取り組んでいる課題の症例
+ * @param {(assignment: object, item: object) => void} onOpenItem
+ * @param {() => void} onReload
+ */
+export default function AssignmentsPanel({ data, loading = false, active, onOpenItem, onReload }) {
+  const [open, setOpen] = useState(false);
+  const autoOpenedRef = useRef(false);
+  const assignments = data?.assignments || [];
+  const submissions = data?.submissions || [];
+  const now = Date.now();
+  const rows = assignments.map((a) => ({ assignment: a, status: assignmentStatus(a, now), progress: studentAssignmentProgress(a, submissions) }));
+  const pending = rows.filter((r) => r.status === 'open' && !r.progress.completed);
+
+  useEffect(() => {
+    if (autoOpenedRef.current || pending.length === 0) return;
+    autoOpenedRef.current = true;
+    setOpen(true);
+  }, [pending.length]);
+
+  if (!open) {
+    return (
+      <div className="bg-white rounded-2xl shadow border border-cyan-200 p-4 flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <div className="font-semibold text-cyan-900">
+            課題
+            {pending.length > 0 && <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-cyan-600 text-white">未完了 {pending.length}</span>}
+          </div>
+          <div className="text-xs text-gray-600 mt-0.5">講師が配った症例に期限までに取り組み、正答照合で提出します。</div>
+        </div>
+        <button
+          type="button"
+          onClick={() => setOpen(true)}
+          className="px-4 py-2 rounded-xl text-sm font-medium text-white bg-cyan-700 hover:bg-cyan-800"
+        >
+          課題を開く
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow border border-cyan-200 overflow-hidden">
+      <div className="bg-cyan-700 text-white px-5 py-3 flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <div className="font-semibold">課題{data?.className ? `（${data.className}）` : ''}</div>
+          <div className="text-xs text-cyan-100 mt-0.5">症例を開いて検査し、「正答照合」を押すとその症例の提出になります（期限内にやり直すと最新の結果で上書き。期限後のやり直しでは期限内の提出が残ります）。</div>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={onReload}
+            disabled={loading}
+            className="px-3 py-1.5 rounded-lg bg-white/15 hover:bg-white/25 text-sm disabled:opacity-60"
+          >
+            {loading ? '更新中…' : '更新'}
+          </button>
+          <button
+            type="button"
+            onClick={() => setOpen(false)}
+            className="px-3 py-1.5 rounded-lg bg-white/15 hover:bg-white/25 text-sm"
+          >
+            閉じる
+          </button>
+        </div>
+      </div>
+
+      <div className="p-5 space-y-3 text-sm">
+        {rows.length === 0 && <p className="text-xs text-gray-500">配られた課題はありません。</p>}
+        {rows.map(({ assignment, status, progress }) => (
+          <div key={assignment.id} className="rounded-xl border border-gray-200 p-3 space-y-2">
+            <div className="flex flex-wrap items-baseline justify-between gap-2">
+              <div className="font-semibold text-gray-900">{assignment.title}</div>
+              <div className="text-xs text-gray-600 flex flex-wrap items-center gap-2">
+                <span className={`px-2 py-0.5 rounded-full ${status === 'closed' ? 'bg-gray-200 text-gray-700' : 'bg-cyan-100 text-cyan-800'}`}>
+                  {ASSIGNMENT_STATUS_LABELS[status]}
+                </span>
+                <span>期限: {formatAssignmentDate(assignment.due_at)}</span>
+                <span className={progress.completed ? 'text-emerald-700 font-medium' : ''}>
+                  {progress.done}/{progress.total} 症例{progress.completed ? ' 完了' : ''}
+                </span>
+                {progress.averagePercent != null && <span>平均 {progress.averagePercent}%</span>}
+              </div>
+            </div>
+            {assignment.description && <div className="text-xs text-gray-600 whitespace-pre-wrap">{assignment.description}</div>}
+            <ul className="space-y-1">
+              {(assignment.items || []).map((item) => {
+                const key = assignmentItemKey(item);
+                const sub = progress.byItem[key];
+                const isActive = active?.assignmentId === assignment.id && active?.itemKey === key;
+                return (
+                  <li key={key} className={`flex flex-wrap items-center justify-between gap-2 rounded-lg px-2 py-1 ${isActive ? 'bg-cyan-50 ring-1 ring-cyan-300' : ''}`}>
+                    <span>
+                      <span className="text-[11px] text-gray-500 mr-2">{ASSIGNMENT_ITEM_KIND_LABELS[item.kind]}</span>
+                      {assignmentItemLabel(item)}
+                    </span>
+                    <span className="flex items-center gap-2 text-xs">
+                      {sub ? (
+                        <span className={sub.score?.passed ? 'text-emerald-700' : 'text-amber-700'}>
+                          提出済 {sub.score?.percent != null ? `${sub.score.percent}%` : `${sub.accuracy}%`}
+                          {isSubmissionLate(assignment, sub) ? '（期限後）' : ''}
+                        </span>
+                      ) : (
+                        <span className="text-gray-500">未提出</span>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => onOpenItem(assignment, item)}
+                        className="px-2 py-0.5 rounded border border-cyan-300 text-cyan-800 hover:bg-cyan-50"
+                      >
+                        {isActive ? '取り組み中' : sub ? 'やり直す' : '開く'}
+                      </button>
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
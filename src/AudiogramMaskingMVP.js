@@ -19,9 +19,45 @@ import OMECases from './data/OME_cases.json';
 import OssicularDiscontinuityCases from './data/Ossicular_Discontinuity_cases.json';
 import OtosclerosisCases from './data/Otosclerosis_cases.json';
 import { HEARING_DISORDERS } from './data/hearingDisorders';
-import { generateAudiogram } from './engine/generateAudiogram';
+import { PRESET_A, PRESET_B, PRESET_C, PRESET_D, PRESET_E, PRESET_F, PRESET_G, PRESET_H, PRESET_I, PRESET_MAP, PRESET_DETAILS } from './data/presetCases';
+import { generateAudiogram, generateAudiogramSeries, COURSE_PROFILES } from './engine/generateAudiogram';
 import { preloadCaseDatabases, pickCaseFromDatabase } from './utils/caseDatabase';
 import GuidedMaskingReasoningPanel from './GuidedMaskingReasoningPanel';
+import { getDefaultIaAC, EARPHONE_LABELS, maskingDilemmaKeys } from './guidedMaskingLogic';
+import { normalizePatientBehavior, simulateResponse, nonOrganicThreshold } from './engine/patientBehavior';
+import { analyzeProtocol, PROTOCOL_FLAG_LABELS } from './hughsonWestlakeLogic';
+import { MASKING_GRADES, MASKING_GRADE_LABELS, classifyMaskingGrade, summarizeMaskingGrades } from './maskingScoreLogic';
+import { DEFAULT_RUBRIC, RUBRIC_CATEGORIES, RUBRIC_CATEGORY_LABELS, RUBRIC_STATUS_LABELS, buildScoringItems, scoreWithRubric, rubricSummaryLine } from './rubricLogic';
+import { RUBRIC_TARGET, fetchRubricFor } from './rubrics';
+import { startSession, appendSessionEvents, diffAudiometerState, diffMarks } from './sessionEventLogic';
+import { saveSessionRecording } from './sessionRecordings';
+import { examFromStartResponse, buildExamPayload } from './examLogic';
+import { startExam, submitExam, examErrorMessage, isExamCaseCode } from './exams';
+import { ASSIGNMENT_ITEM_KIND, assignmentItemKey, assignmentItemLabel, assignmentItemMatches, assignmentStatus, isSubmissionLate } from './assignmentLogic';
+import { fetchStudentAssignments, submitAssignmentItem } from './assignments';
+import ProcedureTimelinePanel from './ProcedureTimelinePanel';
+import SpeechAudiometryPanel from './SpeechAudiometryPanel';
+import TuningForkPanel from './TuningForkPanel';
+import StengerTestPanel from './StengerTestPanel';
+import PediatricAudiometryPanel from './PediatricAudiometryPanel';
+import SessionReplayPanel from './SessionReplayPanel';
+import ExamModePanel from './ExamModePanel';
+import AssignmentsPanel from './AssignmentsPanel';
+import { isPediatricAgeGroup, PEDIATRIC_AGE_LABELS, PEDIATRIC_AGE_YEARS, probeToneForAgeGroup } from './pediatricLogic';
+import FollowUpPanel from './FollowUpPanel';
+import { visitLabel } from './followUpLogic';
+import { targetsFromCase } from './caseDifficultyLogic';
+import {
+  inferCasePatternFromProfile,
+  buildArtConfig,
+  buildDPOAEConfig,
+  generateDPOAEData,
+  buildCaseBattery,
+  buildPresetBattery,
+} from './testBatteryLogic';
+import { buildCaseFile, downloadCaseFile, readCaseFile, fileTargets, caseEntryBattery, reflexesFromArtConfig } from './caseFileLogic';
+import { encodeCaseCode, canonicalCaseCode, resolveCaseCode, makeCaseStoryRng, caseShareUrl } from './caseCodeLogic';
+import { INTERIM_FREQS, INTERIM_REASON_LABELS, isInterimFreq, requiredInterimFreqs, acThresholdsByEar, interimNotices } from './interimFrequencyRules';
 
 // Audiogram-first Masking Trainer (MVP v2.4.9)
 // - 1oct/grid x 10dB ticks; 1oct == 20dB; AC O/X, BC </> []
@@ -32,55 +68,70 @@ import GuidedMaskingReasoningPanel from './GuidedMaskingReasoningPanel';
 // --- constants ---
 // Optional click→dB calibration offset (kept 0 as per spec 1/2/3)
 const CAL_OFFSET_DB = 0;
-const BC_DISABLED = new Set([125, 8000]); // BCは125Hz/8000Hzは測定対象外
-const FREQS = [125, 250, 500, 1000, 2000, 4000, 8000]; // 7 points -> 6 octaves
+const OCTAVE_FREQS = [125, 250, 500, 1000, 2000, 4000, 8000]; // 7 points -> 6 octaves
+// 中間周波数（750/1500/3000/6000Hz）は対数軸上のオクターブ間に置く
+const FREQS = [...OCTAVE_FREQS, ...INTERIM_FREQS].sort((a, b) => a - b);
+const BC_DISABLED = new Set([125, 8000, ...INTERIM_FREQS]); // BCは125Hz/8000Hzと中間周波数は測定対象外
+// x = 125Hzからのオクターブ数（0〜6）
+const freqToX = (f) => Math.log2(f / OCTAVE_FREQS[0]);
 // Slight domain padding to prevent edge clipping without changing visible tick positions
-const X_DOMAIN = [0, FREQS.length - 1];
+const X_DOMAIN = [0, OCTAVE_FREQS.length - 1];
 const Y_MIN = -10;  // dB HL (top small, bottom large)
 const Y_MAX = 120;  // 10 dB ticks (render squares use 20 dB cells)
 const CHART_SCALE = 1;
 // Geometry to force 1 octave (X) == 20 dB (Y)
 const CELL_PX = 100; // px per 1 octave (== 20 dB)
-const GRID_W = CELL_PX * (FREQS.length - 1); // 6 octaves
+const GRID_W = CELL_PX * (OCTAVE_FREQS.length - 1); // 6 octaves
 const GRID_H = CELL_PX * ((Y_MAX - Y_MIN) / 20); // vertical cells of 20 dB
 const AXIS_LEFT = 64, AXIS_RIGHT = 40, AXIS_TOP = 20, AXIS_BOTTOM = 48; // increase top to avoid clipping -10 dB tick
 const CHART_MARGIN = { top: AXIS_TOP, right: AXIS_RIGHT, bottom: AXIS_BOTTOM, left: AXIS_LEFT }; // plotting box = GRID_W x GRID_H
 
-// Interaural Attenuation (IA): AC=50 dB, BC=0 dB
+// Interaural Attenuation (IA): AC=50 dB, BC=0 dB（ヘッドホン）。インサートは getDefaultIaAC() で周波数依存
 const IA = { AC: 50, BC: 0 };
+// AC受話器: 'supraAural'（ヘッドホン）| 'insert'（インサートイヤホン）。BCは骨導受話器
+const EARPHONE_DEFAULT = 'supraAural';
+
+function buildDefaultIcSettings(earphone) {
+  return FREQS.reduce((acc, f) => {
+    acc[f] = { AC: getDefaultIaAC(earphone, f), BC: IA.BC };
+    return acc;
+  }, {});
+}
 
-const PROFILE_PATTERN_MAP = {
-  Normal: 'normal',
-  NormalHearing: 'normal',
-  SNHL_Age: 'sensorineural',
-  SNHL_NoiseNotch: 'sensorineural',
-  SNHL_Meniere: 'sensorineural',
-  SNHL_Sudden: 'sensorineural',
-  SNHL_Mumps: 'sensorineural',
-  SNHL_Other: 'sensorineural',
-  CHL_OME: 'conductive',
-  CHL_AOM: 'conductive',
-  CHL_Otosclerosis: 'conductive',
-  CHL_OssicularDiscontinuity: 'conductive',
-};
+// 応答モデル（症例ごとに講師がON/OFF）：中枢マスキング・閉塞効果
+const RESPONSE_MODEL_DEFAULT = { centralMasking: false, occlusionEffect: false };
+const PRESENTATION_SETTLE_MS = 250; // レベルがこの時間止まったら1回の提示として記録
+const CENTRAL_MASKING_SHIFT_DB = 5;   // 測定耳閾値の上昇量
+const CENTRAL_MASKING_MIN_SL_DB = 20; // 非測定耳BC閾値からのマスカー感覚レベルがこれ以上で出現
+// 閉塞効果（非測定耳を受話器で覆ったときの骨導感度上昇）。1500Hz以上は無視できる
+const OCCLUSION_EFFECT_DB = { 250: 20, 500: 15, 1000: 5 };
+// インサートを深く挿入すると閉塞効果は小さい
+const OCCLUSION_EFFECT_DB_INSERT = { 250: 5, 500: 5, 1000: 0 };
+
+// プリセット症例（'A'〜'H' など）から患者ふるまい用の固定 seed を作る
+function seedFromCaseId(caseId) {
+  const str = String(caseId ?? '');
+  let h = 0;
+  for (let i = 0; i < str.length; i += 1) h = (h * 31 + str.charCodeAt(i)) >>> 0;
+  return h || 1;
+}
 
-function inferCasePatternFromProfile(profileName) {
-  if (!profileName || typeof profileName !== 'string') {
-    return 'sensorineural';
-  }
-  const key = profileName.trim();
-  if (PROFILE_PATTERN_MAP[key]) return PROFILE_PATTERN_MAP[key];
-  if (/^SNHL_/i.test(key)) return 'sensorineural';
-  if (/^CHL_/i.test(key)) return 'conductive';
-  if (/^Normal/i.test(key)) return 'normal';
-  return 'sensorineural';
+function normalizeResponseModel(model) {
+  return { ...RESPONSE_MODEL_DEFAULT, ...(model || {}) };
+}
+
+// BC測定でマスキング中（非測定耳が塞がれている）のときだけ閉塞効果を返す
+function getOcclusionEffectDb(model, transKey, f, isMasked, earphone = EARPHONE_DEFAULT) {
+  if (!model?.occlusionEffect || transKey !== 'BC' || !isMasked) return 0;
+  const table = earphone === 'insert' ? OCCLUSION_EFFECT_DB_INSERT : OCCLUSION_EFFECT_DB;
+  return table[f] ?? 0;
 }
 
-function inferCasePatternFromDisorderName(diseaseName) {
-  if (!diseaseName || diseaseName === '正常') return 'normal';
-  if (/中耳炎|耳硬化|耳小骨|伝音/.test(diseaseName)) return 'conductive';
-  if (/メニエール|突発|感音|難聴|加齢|騒音|NIHL/.test(diseaseName)) return 'sensorineural';
-  return 'sensorineural';
+// マスカーが非測定耳で十分に聞こえているとき、測定耳閾値が数dB上がる
+function getCentralMaskingShiftDb(model, isMasked, mLevel, nteBC) {
+  if (!model?.centralMasking || !isMasked || typeof mLevel !== 'number' || mLevel < 0) return 0;
+  if (!Number.isFinite(nteBC)) return 0; // 非測定耳が聾ならマスカーは届かない
+  return mLevel - nteBC >= CENTRAL_MASKING_MIN_SL_DB ? CENTRAL_MASKING_SHIFT_DB : 0;
 }
 
 // ISO 7029: 正常聴力閾値の疫学データ（年齢別・周波数別）
@@ -153,8 +204,10 @@ function getNormalRangeForAge(age, freq) {
 }
 
 // Max presentable levels (for Scale-Out logic)
-const AC_MAX = { 125: 70, 250: 90, 500: 110, 1000: 110, 2000: 110, 4000: 110, 8000: 100 };
+const AC_MAX = { 125: 70, 250: 90, 500: 110, 750: 110, 1000: 110, 1500: 110, 2000: 110, 3000: 110, 4000: 110, 6000: 105, 8000: 100 };
 const BC_MAX = { 250: 55, 500: 65, 1000: 70, 2000: 70, 4000: 60 };
+// インサートイヤホン（ER-3A相当）の最大出力
+const AC_MAX_INSERT = { 125: 90, 250: 105, 500: 110, 750: 115, 1000: 120, 1500: 120, 2000: 115, 3000: 115, 4000: 110, 6000: 100, 8000: 90 };
 
 // Marker size for AC/BC symbols (px). 24px target → radius 12, thicker stroke.
 const MARK_R = 8; // radius (smaller markers)
@@ -163,7 +216,7 @@ const MARK_STROKE = 2;
 // Safe tick formatter for X axis (1 octave grid labels)
 function formatFreq(v) {
   const i = Math.round(typeof v === 'number' ? v : 0);
-  return String((FREQS && FREQS[i] != null) ? FREQS[i] : "");
+  return String((OCTAVE_FREQS && OCTAVE_FREQS[i] != null) ? OCTAVE_FREQS[i] : "");
 }
 
 // Legend / rendering series
@@ -178,823 +231,6 @@ const SERIES = [
   { key: "L-BC-M", label: "Left  BC (masked)",    color: "#1d4ed8", shape: "rbracket" },
 ];
 
-// --- preset helpers (compress verbose targets to keep file small) --- (compress verbose targets to keep file small) ---
-const mk = (ear, transducer, list) =>
-  list.map(([freq, dB, so=false]) => ({ ear, transducer, masked:transducer==='BC', freq, dB, ...(so?{so:true}:{}) }));
-const preset = (name, parts) => ({ name, targets: parts.flat() });
-
-// --- Preset cases (targets kept "secret"; used for overlay/validation only) ---
-// Each target: { ear:'R'|'L', transducer:'AC'|'BC', masked:false, freq:number, dB:number, so?:true }
-const PRESET_A = preset('症例A', [
-  mk('R','AC', [[125,5],[250,5],[500,5],[1000,5],[2000,5],[4000,0],[8000,0]]),
-  mk('L','AC', [[125,10],[250,10],[500,5],[1000,5],[2000,5],[4000,0],[8000,-5]]),
-  mk('R','BC', [[250,5],[500,10],[1000,5],[2000,5],[4000,-5]]),
-  mk('L','BC', [[250,5],[500,5],[1000,0],[2000,5],[4000,0]])
-]);
-
-const PRESET_B = preset('症例B', [
-  // Right AC / BC
-  mk('R','AC', [[125,10],[250,10],[500,30],[1000,50],[2000,70],[4000,90],[8000,100]]),
-  mk('R','BC', [[125,10],[250,15],[500,30],[1000,50],[2000,70],[4000,110,true],[8000,100]]),
-  // Left AC / BC
-  mk('L','AC', [[125,15],[250,15],[500,10],[1000,10],[2000,5],[4000,5],[8000,10]]),
-  mk('L','BC', [[250,15],[500,10],[1000,10],[2000,5],[4000,5]])
-]);
-
-const PRESET_C = preset('症例C', [
-  // Right AC / BC
-  mk('R','AC', [[125,20],[250,20],[500,15],[1000,10],[2000,10],[4000,5],[8000,5]]),
-  mk('R','BC', [[250,15],[500,15],[1000,10],[2000,5],[4000,10]]),
-  // Left AC/BC (SO)
-  mk('L','AC', [[125,110,true],[250,110,true],[500,110,true],[1000,110,true],[2000,110,true],[4000,110,true],[8000,110,true]]),
-  mk('L','BC', [[250,110,true],[500,110,true],[1000,110,true],[2000,110,true],[4000,110,true]])
-]);
-
-const PRESET_D = preset('症例D', [
-  // Right AC / BC - 高音域の聴力低下
-  mk('R','AC', [[125,5],[250,5],[500,5],[1000,10],[2000,25],[4000,45],[8000,65]]),
-  mk('R','BC', [[125,5],[250,5],[500,5],[1000,10],[2000,20],[4000,35],[8000,50]]),
-  // Left AC / BC - 低音域の聴力低下
-  mk('L','AC', [[125,25],[250,30],[500,20],[1000,10],[2000,5],[4000,5],[8000,10]]),
-  mk('L','BC', [[125,20],[250,25],[500,20],[1000,10],[2000,5],[4000,5],[8000,10]])
-]);
-
-const PRESET_E = preset('症例E', [
-  // Right AC / BC - 混合性難聴パターン
-  mk('R','AC', [[125,15],[250,20],[500,20],[1000,30],[2000,35],[4000,35],[8000,45]]),
-  mk('R','BC', [[125,10],[250,15],[500,20],[1000,25],[2000,30],[4000,35],[8000,40]]),
-  // Left AC / BC - 感音性難聴パターン
-  mk('L','AC', [[125,40],[250,45],[500,40],[1000,55],[2000,60],[4000,60],[8000,70]]),
-  mk('L','BC', [[125,35],[250,40],[500,45],[1000,50],[2000,55],[4000,60],[8000,65]])
-]);
-
-const PRESET_F = preset('症例F', [
-  // Right AC / BC
-  mk('R','AC', [[125,15],[250,15],[500,15],[1000,30],[2000,45],[4000,60],[8000,80]]),
-  mk('R','BC', [[250,20],[500,20],[1000,25],[2000,45],[4000,60]]),
-  // Left AC / BC
-  mk('L','AC', [[125,10],[250,15],[500,20],[1000,30],[2000,45],[4000,65],[8000,80]]),
-  mk('L','BC', [[250,15],[500,20],[1000,30],[2000,45],[4000,110,true]])
-]);
-
-const PRESET_G = preset('症例G', [
-  // Right AC / BC - 伝音難聴パターン
-  mk('R','AC', [[125,35],[250,25],[500,20],[1000,25],[2000,25],[4000,10],[8000,20]]),
-  mk('R','BC', [[125,5],[250,5],[500,10],[1000,10],[2000,5],[4000,5],[8000,5]]),
-  // Left AC / BC - 混合性難聴パターン
-  mk('L','AC', [[125,35],[250,25],[500,25],[1000,20],[2000,20],[4000,25],[8000,35]]),
-  mk('L','BC', [[250,10],[500,15],[1000,10],[2000,15],[4000,0]])
-]);
-
-const PRESET_H = preset('症例H', [
-  // PTAのみ左右入替（症例情報・Tymは急性中耳炎のまま）
-  mk('R','AC', [[125,35],[250,40],[500,40],[1000,50],[2000,45],[4000,40],[8000,50]]),
-  mk('R','BC', [[250,10],[500,15],[1000,20],[2000,25],[4000,20]]),
-  mk('L','AC', [[125,10],[250,10],[500,10],[1000,25],[2000,30],[4000,30],[8000,50]]),
-  mk('L','BC', [[250,5],[500,5],[1000,30],[2000,30],[4000,25]])
-]);
-// 症例の詳細情報
-const PRESET_DETAILS = {
-  A: {
-    age: '12歳',
-    gender: '男子',
-    chiefComplaint: '学校検診で聞こえの悪さを指摘された',
-    history: '本人から話を聞くと周囲がうるさくて、検査音が聞こえなかった様子。念の為受信した',
-    findings: '鼓膜所見正常',
-    diagnosis: '正常聴力（学校検診での誤検出）',
-    diseaseName: '正常',
-    tympanogram: { 
-      type: 'A', 
-      left: { peakPressure: 0, peakCompliance: 1.5, sigma: 60 },
-      right: { peakPressure: 0, peakCompliance: 1.3, sigma: 60 }
-    }
-  },
-  B: {
-    age: '45歳',
-    gender: '男性',
-    chiefComplaint: '右耳難聴、耳鳴、めまい感',
-    history: '昨日から突然右耳の耳閉塞感と耳鳴、回転性めまい感あり。今日になってめまい感はだいぶ治ったが、聞こえの悪さは変わらないため受診した',
-    findings: '鼓膜所見正常',
-    diagnosis: '突発性難聴（右）',
-    diseaseName: '突発性難聴',
-    tympanogram: { 
-      type: 'A', 
-      left: { peakPressure: -10, peakCompliance: 1.5, sigma: 60 },
-      right: { peakPressure: 0, peakCompliance: 1.3, sigma: 60 }
-    }
-  },
-  C: {
-    age: '7歳',
-    gender: '女性',
-    chiefComplaint: '左耳の聞こえの悪さ',
-    history: '入学時の学校検診で左耳難聴を指摘され、精査のため受診した',
-    findings: '鼓膜所見正常',
-    diagnosis: '感音性難聴（左）',
-    diseaseName: '感音性難聴',
-    tympanogram: { 
-      type: 'A', 
-      left: { peakPressure: 0, peakCompliance: 0.8, sigma: 60 },
-      right: { peakPressure: 0, peakCompliance: 0.9, sigma: 60 }
-    }
-  },
-  D: {
-    age: '32歳',
-    gender: '男性',
-    chiefComplaint: '耳閉塞感、耳鳴り、めまい',
-    history: '20歳の時、右耳突発性難聴。1週間前から回転性めまいあり。良くなったり悪くなったり。左耳ゴーという耳鳴りが気になる',
-    findings: '鼓膜所見正常',
-    diagnosis: 'メニエール病（左）',
-    diseaseName: 'メニエール病',
-    tympanogram: { 
-      type: 'A', 
-      left: { peakPressure: -15, peakCompliance: 1.3, sigma: 60 },
-      right: { peakPressure: 10, peakCompliance: 1.5, sigma: 60 }
-    }
-  },
-  E: {
-    age: '55歳',
-    gender: '女性',
-    chiefComplaint: '聞こえの悪さ（特に左耳）',
-    history: '徐々に聞こえ悪くなった。最近、電話を左で取ると聞こえづらいのがわかった。今は右耳で電話をとっている。いつから聞こえ悪いのかよくわからない',
-    findings: '鼓膜所見正常',
-    diagnosis: '感音性難聴（左優位）',
-    diseaseName: '感音性難聴',
-    tympanogram: { 
-      type: 'A', 
-      left: { peakPressure: -10, peakCompliance: 1.2, sigma: 60 },
-      right: { peakPressure: 15, peakCompliance: 1.4, sigma: 60 }
-    }
-  },
-  F: {
-    age: '70歳',
-    gender: '女性',
-    chiefComplaint: 'TVの音が聞こえにくい',
-    history: 'ご主人から聞こえの悪さを指摘される。TVの音が大きいと言われる。そう言われたらそうかなと。ご主人が補聴器を勧めてきたので、仕方なく受診した',
-    findings: '鼓膜所見正常',
-    diagnosis: '加齢性難聴（両側）',
-    diseaseName: '加齢性難聴',
-    tympanogram: { 
-      type: 'A', 
-      left: { peakPressure: 5, peakCompliance: 1.1, sigma: 60 },
-      right: { peakPressure: -20, peakCompliance: 1.3, sigma: 60 }
-    }
-  },
-  G: {
-    age: '12歳',
-    gender: '女性',
-    chiefComplaint: '鼻水が出る。聞こえの悪さ',
-    history: '小さい頃から滲出性中耳炎を繰り返す',
-    findings: '鼓膜所見：色が悪い・陥没あり',
-    diagnosis: '滲出性中耳炎（両側）',
-    diseaseName: '滲出性中耳炎',
-    tympanogram: { 
-      type: 'B', 
-      left: { peakPressure: 100, peakCompliance: 0.2, sigma: 80 },
-      right: { peakPressure: 100, peakCompliance: 0.1, sigma: 80 }
-    }
-  },
-  H: {
-    age: '68歳',
-    gender: '男性',
-    chiefComplaint: '耳痛、聞こえの悪さ、耳閉塞感',
-    history: '2日前より耳痛と耳閉塞感あり',
-    findings: '鼓膜所見炎症（＋）',
-    diagnosis: '急性中耳炎（右）',
-    diseaseName: '急性中耳炎',
-    tympanogram: { 
-      type: 'MIX',
-      left: { peakPressure: 0, peakCompliance: 1.2, sigma: 60 },
-      right: { peakPressure: 100, peakCompliance: 0.6, sigma: 60 }
-    }
-  }
-};
-// ART設定を構築する関数（プリセットのAC/BC値とティンパノグラム型から）
-function buildArtConfig(presetTargets, tympanogram, disorderName = null, casePattern = null, meta = {}) {
-  const ART_NORMAL_THRESHOLDS = {
-    500: { ipsi: 80, cont: 85 },
-    1000: { ipsi: 75, cont: 80 },
-    2000: { ipsi: 80, cont: 85 }
-  };
-
-  const acThresholds = { right: {}, left: {} };
-  const bcThresholds = { right: {}, left: {} };
-  
-  // プリセットからAC/BC値を抽出（ART用の周波数: 500, 1000, 2000Hz）
-  presetTargets.forEach(target => {
-    if ([500, 1000, 2000].includes(target.freq)) {
-      const earKey = target.ear === 'R' ? 'right' : 'left';
-      if (target.transducer === 'AC') {
-        acThresholds[earKey][target.freq] = target.so ? 110 : target.dB;
-      } else if (target.transducer === 'BC') {
-        bcThresholds[earKey][target.freq] = target.so ? 110 : target.dB;
-      }
-    }
-  });
-  
-  // ティンパノグラム型とpeakPressureを取得
-  const getTympanogramType = (ear, tymp) => {
-    // 各耳のpeakComplianceとpeakPressureを個別にチェック（tymp.typeは全体の型なので、個別判定には使わない）
-    const peakCompliance = tymp?.[ear]?.peakCompliance;
-    const peak = tymp?.[ear]?.peakPressure || 0;
-    
-    // B型の判定（優先順位：peakCompliance < 0.5 または peakPressure異常）
-    // peakComplianceが非常に低い場合（0.3など、AOMのB型）はB型として判定
-    if (peakCompliance !== undefined && peakCompliance < 0.5) {
-      return 'B';
-    }
-    // 陽圧（peakPressure>50daPa）は伝音障害として扱う
-    if (peak > 50) return 'B';
-    // 陰圧が強すぎる場合もB型
-    if (peak < -150) return 'B';
-    
-    // As型（コンプライアンス低）を検出（peakComplianceが0.5以上0.8未満の場合）
-    if (peakCompliance !== undefined && peakCompliance >= 0.5 && peakCompliance < 0.8) {
-      return 'As'; // As型（耳硬化症など）
-    }
-    // Ad型（コンプライアンス増大）を検出
-    if (peakCompliance !== undefined && peakCompliance > 1.7) {
-      return 'Ad'; // Ad型（耳小骨離断など）
-    }
-    
-    return 'A';
-  };
-  
-  // 耳硬化症の場合はART消失（As型でも反射消失）
-  const isOtosclerosis = disorderName === '耳硬化症';
-  
-  const rightType = getTympanogramType('right', tympanogram);
-  const leftType = getTympanogramType('left', tympanogram);
-  
-  // 耳硬化症の場合、または伝音性難聴でAs型の場合は反射消失を示すため、B型として扱う
-  // （StapedialReflexGifコンポーネントはB型で反射消失を判定するため）
-  const getEffectiveType = (type, ear) => {
-    if (isOtosclerosis && type === 'As') {
-      return 'B'; // 耳硬化症のAs型は反射消失のため、B型として扱う
-    }
-    // 伝音性難聴でAs型の場合も反射消失（耳硬化症以外でも可能性あり）
-    if (casePattern === 'conductive' && type === 'As') {
-      return 'B'; // As型で伝音性難聴は反射消失
-    }
-    return type;
-  };
-  
-  const artConfig = {
-    right: {
-      acThresholds: acThresholds.right,
-      bcThresholds: bcThresholds.right,
-      tympanogramType: getEffectiveType(rightType, 'right'),
-      peakPressure: tympanogram?.right?.peakPressure || 0
-    },
-    left: {
-      acThresholds: acThresholds.left,
-      bcThresholds: bcThresholds.left,
-      tympanogramType: getEffectiveType(leftType, 'left'),
-      peakPressure: tympanogram?.left?.peakPressure || 0
-    }
-  };
-
-  const profiles = {
-    right: meta?.rightProfile || meta?.profile || null,
-    left: meta?.leftProfile || meta?.profile || null
-  };
-  const isOssicular = disorderName === 'CHL_OssicularDiscontinuity'
-    || disorderName === '耳小骨離断'
-    || profiles.right === 'CHL_OssicularDiscontinuity'
-    || profiles.left === 'CHL_OssicularDiscontinuity';
-
-  // AOM症例の判定（片側AOM、片側正常の場合）
-  const isAOM = disorderName === 'AOM' 
-    || disorderName === '急性中耳炎'
-    || profiles.right === 'CHL_AOM'
-    || profiles.left === 'CHL_AOM';
-  
-  // OME症例の判定
-  const isOME = disorderName === 'OME'
-    || disorderName === '滲出性中耳炎'
-    || profiles.right === 'CHL_OME'
-    || profiles.left === 'CHL_OME';
-  
-  // OMEの軽度/中程度判定（metaから取得）
-  const rightIsMildOME = meta?.rightIsMild || false;
-  const leftIsMildOME = meta?.leftIsMild || false;
-  
-  // デバッグログ
-  if (disorderName === 'AOM' || disorderName === '急性中耳炎' || profiles.right === 'CHL_AOM' || profiles.left === 'CHL_AOM') {
-    console.log('buildArtConfig: isAOM判定', {
-      disorderName,
-      profiles,
-      isAOM,
-      rightType,
-      leftType
-    });
-  }
-
-  if (isOssicular) {
-    let affectedSide = meta?.affectedSide || null;
-    if (!affectedSide) {
-      if (profiles.right === 'CHL_OssicularDiscontinuity' && profiles.left !== 'CHL_OssicularDiscontinuity') {
-        affectedSide = 'R';
-      } else if (profiles.left === 'CHL_OssicularDiscontinuity' && profiles.right !== 'CHL_OssicularDiscontinuity') {
-        affectedSide = 'L';
-      }
-    }
-
-    const freqs = [500, 1000, 2000];
-    const elevation = 15;
-
-    const ensureOverride = (earKey, key) => {
-      if (!artConfig[earKey][key]) artConfig[earKey][key] = {};
-      return artConfig[earKey][key];
-    };
-
-    const markAbsent = (earKey) => {
-      freqs.forEach(freq => {
-        ensureOverride(earKey, 'ipsilateralOverride')[freq] = 999;
-        ensureOverride(earKey, 'contralateralOverride')[freq] = 999;
-      });
-    };
-
-    const elevateContralateral = (earKey) => {
-      freqs.forEach(freq => {
-        const contBase = ART_NORMAL_THRESHOLDS[freq]?.cont ?? 85;
-        const ipsiBase = ART_NORMAL_THRESHOLDS[freq]?.ipsi ?? 80;
-        ensureOverride(earKey, 'contralateralOverride')[freq] = contBase + elevation;
-        ensureOverride(earKey, 'ipsilateralOverride')[freq] = ipsiBase;
-      });
-    };
-
-    if (affectedSide === 'R') {
-      markAbsent('right');
-      elevateContralateral('left');
-    } else if (affectedSide === 'L') {
-      markAbsent('left');
-      elevateContralateral('right');
-    } else {
-      // 影響側が不明な場合は両側を安全側にする
-      markAbsent('right');
-      markAbsent('left');
-    }
-  } else if (isAOM) {
-    // AOM症例の場合：AOM側（B型）の耳でのみ反射消失、正常側（A型）の耳では反射保持
-    const freqs = [500, 1000, 2000];
-    const elevation = 15; // CONT反射の閾値上昇量
-
-    const ensureOverride = (earKey, key) => {
-      if (!artConfig[earKey][key]) artConfig[earKey][key] = {};
-      return artConfig[earKey][key];
-    };
-
-    // AOM側（B型）の耳：IPSI/CONTともに反射消失
-    const markAbsent = (earKey) => {
-      freqs.forEach(freq => {
-        ensureOverride(earKey, 'ipsilateralOverride')[freq] = 999;
-        ensureOverride(earKey, 'contralateralOverride')[freq] = 999;
-      });
-    };
-
-    // 正常側（A型）の耳：IPSI反射あり、CONT反射は閾値上昇するも反応あり
-    const elevateContralateral = (earKey) => {
-      freqs.forEach(freq => {
-        const base = ART_NORMAL_THRESHOLDS[freq]?.cont ?? 85;
-        // CONT反射は閾値上昇するが、反応あり（999ではなく上昇した閾値を設定）
-        ensureOverride(earKey, 'contralateralOverride')[freq] = base + elevation;
-        // IPSI反射は正常閾値を明示的に設定（overrideで確実に正常反射を保証）
-        const ipsiBase = ART_NORMAL_THRESHOLDS[freq]?.ipsi ?? 80;
-        ensureOverride(earKey, 'ipsilateralOverride')[freq] = ipsiBase;
-      });
-    };
-
-    // 左右どちらがAOM側かを判定
-    const rightIsAOM = rightType === 'B' || profiles.right === 'CHL_AOM';
-    const leftIsAOM = leftType === 'B' || profiles.left === 'CHL_AOM';
-
-    if (rightIsAOM && !leftIsAOM) {
-      // Rt AOM, Lt normal
-      markAbsent('right');
-      elevateContralateral('left');
-    } else if (leftIsAOM && !rightIsAOM) {
-      // Rt normal, Lt AOM
-      markAbsent('left');
-      elevateContralateral('right');
-      // デバッグログ
-      console.log('AOM症例: Rt normal, Lt AOM');
-      console.log('artConfig.right:', JSON.stringify(artConfig.right, null, 2));
-      console.log('artConfig.left:', JSON.stringify(artConfig.left, null, 2));
-    } else if (rightIsAOM && leftIsAOM) {
-      // 両側AOM
-      markAbsent('right');
-      markAbsent('left');
-    }
-    // 両側正常の場合は何もしない（正常反射）
-  } else if (isOME) {
-    // OME症例の場合：軽度/中程度に応じて処理を分岐
-    const freqs = [500, 1000, 2000];
-    const elevation = 15; // CONT反射の閾値上昇量
-
-    const ensureOverride = (earKey, key) => {
-      if (!artConfig[earKey][key]) artConfig[earKey][key] = {};
-      return artConfig[earKey][key];
-    };
-
-    // 中程度以上（B型）の耳：IPSI/CONTともに反射消失
-    const markAbsent = (earKey) => {
-      freqs.forEach(freq => {
-        ensureOverride(earKey, 'ipsilateralOverride')[freq] = 999;
-        ensureOverride(earKey, 'contralateralOverride')[freq] = 999;
-      });
-    };
-
-    // 軽度（C型）の耳：振幅減弱するもIPSI/CONT反射（+）
-    // ART振幅減弱：閾値上昇（+15dB）するが反応あり
-    const markAttenuated = (earKey) => {
-      freqs.forEach(freq => {
-        const ipsiBase = ART_NORMAL_THRESHOLDS[freq]?.ipsi ?? 80;
-        const contBase = ART_NORMAL_THRESHOLDS[freq]?.cont ?? 85;
-        // 振幅減弱：閾値上昇（+15dB）するが反応あり（999ではなく上昇した閾値を設定）
-        ensureOverride(earKey, 'ipsilateralOverride')[freq] = ipsiBase + elevation;
-        ensureOverride(earKey, 'contralateralOverride')[freq] = contBase + elevation;
-      });
-    };
-
-    // 左右どちらが軽度/中程度かを判定
-    const rightIsMild = rightIsMildOME || rightType === 'C';
-    const leftIsMild = leftIsMildOME || leftType === 'C';
-
-    if (rightIsMild && !leftIsMild) {
-      // Rt 軽度（C型）, Lt 中程度以上（B型）
-      markAttenuated('right');
-      markAbsent('left');
-    } else if (leftIsMild && !rightIsMild) {
-      // Rt 中程度以上（B型）, Lt 軽度（C型）
-      markAbsent('right');
-      markAttenuated('left');
-    } else if (!rightIsMild && !leftIsMild) {
-      // 両側中程度以上（B型）
-      markAbsent('right');
-      markAbsent('left');
-    } else {
-      // 両側軽度（C型）：振幅減弱
-      markAttenuated('right');
-      markAttenuated('left');
-    }
-  }
-
-  // 片側伝音障害（AOM/OME/耳小骨離断以外、または疾患判定漏れ時）のフォールバック
-  const artFreqs = [500, 1000, 2000];
-  const contElevation = 15;
-  const ensureArtOverride = (earKey, key) => {
-    if (!artConfig[earKey][key]) artConfig[earKey][key] = {};
-    return artConfig[earKey][key];
-  };
-  const markAbsentEar = (earKey) => {
-    artFreqs.forEach(freq => {
-      ensureArtOverride(earKey, 'ipsilateralOverride')[freq] = 999;
-      ensureArtOverride(earKey, 'contralateralOverride')[freq] = 999;
-    });
-  };
-  const elevateNormalEar = (normalEarKey) => {
-    artFreqs.forEach(freq => {
-      const contBase = ART_NORMAL_THRESHOLDS[freq]?.cont ?? 85;
-      const ipsiBase = ART_NORMAL_THRESHOLDS[freq]?.ipsi ?? 80;
-      ensureArtOverride(normalEarKey, 'contralateralOverride')[freq] = contBase + contElevation;
-      ensureArtOverride(normalEarKey, 'ipsilateralOverride')[freq] = ipsiBase;
-    });
-  };
-  const earHasArtOverride = (earKey) => {
-    const cfg = artConfig[earKey];
-    return !!(cfg.ipsilateralOverride || cfg.contralateralOverride);
-  };
-
-  const rightIsConductive = artConfig.right.tympanogramType === 'B';
-  const leftIsConductive = artConfig.left.tympanogramType === 'B';
-
-  if (rightIsConductive && !leftIsConductive && !earHasArtOverride('right') && !earHasArtOverride('left')) {
-    markAbsentEar('right');
-    elevateNormalEar('left');
-  } else if (leftIsConductive && !rightIsConductive && !earHasArtOverride('left') && !earHasArtOverride('right')) {
-    markAbsentEar('left');
-    elevateNormalEar('right');
-  }
-
-  return artConfig;
-}
-function buildSimpleTympanogramFromProfile(profileName, meta = {}) {
-  const resolvedProfile = profileName || 'Normal';
-  const rightEarProfile = meta.rightProfile || resolvedProfile;
-  const leftEarProfile = meta.leftProfile || resolvedProfile;
-
-  const createEarConfig = (earProfile) => {
-    if (!earProfile || earProfile === 'Normal' || earProfile.startsWith('SNHL_')) {
-      return { config: { peakPressure: 0, peakCompliance: 1.1, sigma: 60 }, type: 'A' };
-    }
-    if (earProfile === 'CHL_Otosclerosis') {
-      return { config: { peakPressure: 0, peakCompliance: 0.5, sigma: 60 }, type: 'As' };
-    }
-    if (earProfile === 'CHL_OssicularDiscontinuity') {
-      const compliance = Number((Math.random() * 1 + 3).toFixed(1)); // 3.0 - 4.0 mL
-      return { config: { peakPressure: 0, peakCompliance: compliance, sigma: 30 }, type: 'Ad' }; // sigmaを小さくしてより尖らせる
-    }
-    if (earProfile === 'CHL_AOM') {
-      // 急性中耳炎：ピークは +50〜+200 daPa
-      const peak = 50 + Math.round(Math.random() * 150);
-      return { config: { peakPressure: peak, peakCompliance: 0.3, sigma: 80 }, type: 'B' };
-    }
-    if (earProfile === 'CHL_OME') {
-      return { config: { peakPressure: -150, peakCompliance: 1.0, sigma: 60 }, type: 'C' };
-    }
-    return { config: { peakPressure: 0, peakCompliance: 1.1, sigma: 60 }, type: 'A' };
-  };
-
-  let rightResult = createEarConfig(rightEarProfile);
-  let leftResult = createEarConfig(leftEarProfile);
-
-  if (resolvedProfile === 'CHL_OssicularDiscontinuity' && !meta.rightProfile && !meta.leftProfile && meta.affectedSide) {
-    if (meta.affectedSide === 'R') {
-      rightResult = createEarConfig('CHL_OssicularDiscontinuity');
-      leftResult = createEarConfig('Normal');
-    } else if (meta.affectedSide === 'L') {
-      rightResult = createEarConfig('Normal');
-      leftResult = createEarConfig('CHL_OssicularDiscontinuity');
-    }
-  }
-
-  let right = rightResult.config;
-  let left = leftResult.config;
-
-  if (right.peakCompliance === left.peakCompliance && right.peakPressure === left.peakPressure) {
-    left = {
-      ...left,
-      peakPressure: left.peakPressure - 12,
-      peakCompliance: Number(Math.max(0.2, left.peakCompliance * 1.05).toFixed(2)),
-    };
-  }
-
-  const clampAdCompliance = (earConfig, earType) => {
-    if (earType !== 'Ad' || !earConfig || typeof earConfig.peakCompliance !== 'number') {
-      return earConfig;
-    }
-    const capped = Math.min(earConfig.peakCompliance, 4.0);
-    if (capped === earConfig.peakCompliance) {
-      return earConfig;
-    }
-    return {
-      ...earConfig,
-      peakCompliance: Number(capped.toFixed(2)),
-    };
-  };
-
-  right = clampAdCompliance(right, rightResult.type);
-  left = clampAdCompliance(left, leftResult.type);
-
-  const overallType = rightResult.type === leftResult.type
-    ? rightResult.type
-    : (rightResult.type !== 'A' ? rightResult.type : leftResult.type);
-
-  return { type: overallType, right, left };
-}
-// DPOAE設定を構築する関数（プリセットのAC値とティンパノグラム型から）
-function buildDPOAEConfig(presetTargets, tympanogram, meta = {}) {
-  // DPOAEの周波数: [1, 2, 3, 4, 6, 8] kHz
-  const dpoaeFrequencies = [1, 2, 3, 4, 6, 8];
-  
-  // オージオグラムのAC値を抽出（Hz単位で保存）
-  const audiogramAC = { right: {}, left: {} };
-  presetTargets.forEach(target => {
-    if (target.transducer === 'AC') {
-      const earKey = target.ear === 'R' ? 'right' : 'left';
-      audiogramAC[earKey][target.freq] = target.so ? 110 : target.dB;
-    }
-  });
-  
-  // DPOAE周波数ごとにAC値を設定
-  const acThresholds = { right: {}, left: {} };
-  dpoaeFrequencies.forEach(dpoaeFreq => {
-    ['right', 'left'].forEach(ear => {
-      const earKey = ear;
-      let acValue;
-      
-      if (dpoaeFreq === 1) {
-        // DPOAE 1kHz → オージオグラム 1kHz
-        acValue = audiogramAC[earKey][1000];
-      } else if (dpoaeFreq === 2) {
-        // DPOAE 2kHz → オージオグラム 2kHz
-        acValue = audiogramAC[earKey][2000];
-      } else if (dpoaeFreq === 3) {
-        // DPOAE 3kHz → オージオグラム 2kHzと4kHzのAC平均
-        const ac2k = audiogramAC[earKey][2000];
-        const ac4k = audiogramAC[earKey][4000];
-        if (ac2k !== undefined && ac4k !== undefined) {
-          acValue = Math.round((ac2k + ac4k) / 2);
-        } else if (ac4k !== undefined) {
-          acValue = ac4k; // フォールバック：4kHzのみ
-        } else if (ac2k !== undefined) {
-          acValue = ac2k; // フォールバック：2kHzのみ
-        }
-      } else if (dpoaeFreq === 4) {
-        // DPOAE 4kHz → オージオグラム 4kHz
-        acValue = audiogramAC[earKey][4000];
-      } else if (dpoaeFreq === 6) {
-        // DPOAE 6kHz → オージオグラム 4kHzと8kHzのAC平均
-        const ac4k = audiogramAC[earKey][4000];
-        const ac8k = audiogramAC[earKey][8000];
-        if (ac4k !== undefined && ac8k !== undefined) {
-          acValue = Math.round((ac4k + ac8k) / 2);
-        } else if (ac8k !== undefined) {
-          acValue = ac8k; // フォールバック：8kHzのみ
-        } else if (ac4k !== undefined) {
-          acValue = ac4k; // フォールバック：4kHzのみ
-        }
-      } else if (dpoaeFreq === 8) {
-        // DPOAE 8kHz → オージオグラム 8kHz
-        acValue = audiogramAC[earKey][8000];
-      }
-      
-      if (acValue !== undefined) {
-        acThresholds[earKey][dpoaeFreq] = acValue;
-      }
-    });
-  });
-  
-  // ティンパノグラム型を取得（Ad/As も伝音扱いとして 'B' に寄せる）
-  // 各耳ごとに個別に判定（片側AOM、片側正常の場合に対応）
-  const getTympanogramType = (ear, tymp) => {
-    // 各耳ごとのpeakComplianceとpeakPressureを優先的に確認
-    const peakCompliance = tymp?.[ear]?.peakCompliance;
-    const peak = tymp?.[ear]?.peakPressure || 0;
-    
-    // B型の判定（優先順位：peakCompliance < 0.5 または peakPressure異常）
-    // peakComplianceが非常に低い場合（0.3など、AOMのB型）はB型として判定
-    if (peakCompliance !== undefined && peakCompliance < 0.5) {
-      return 'B';
-    }
-    // 陽圧（peakPressure>50daPa）は伝音障害として扱う
-    if (peak > 50) return 'B';
-    // 強い陰圧（peakPressure<-150）はB型
-    if (peak < -150) return 'B';
-    
-    // C型の判定（OME軽度：peakPressure: -150, peakCompliance: 1.0）
-    // peakPressureが-150付近でpeakComplianceが1.0付近ならC型
-    if (peak <= -150 && peak >= -200 && peakCompliance !== undefined && peakCompliance >= 0.8 && peakCompliance <= 1.2) {
-      return 'C';
-    }
-    
-    // As型（コンプライアンス低）を検出（peakComplianceが0.5以上0.8未満の場合）
-    if (peakCompliance !== undefined && peakCompliance >= 0.5 && peakCompliance < 0.8) {
-      return 'B'; // As型も伝音障害としてB型扱い
-    }
-    // Ad型（コンプライアンス増大）を検出
-    if (peakCompliance !== undefined && peakCompliance > 1.7) {
-      return 'B'; // Ad型も伝音障害としてB型扱い
-    }
-    
-    // 全体のtypeプロパティは参考程度（各耳ごとの判定を優先）
-    if (tymp?.type === 'B' && peakCompliance === undefined && peak === 0) {
-      // 全体がB型で、各耳の情報がない場合のみ全体のtypeを使用
-      return 'B';
-    }
-    if (tymp?.type === 'C' && peakCompliance === undefined && peak === 0) {
-      // 全体がC型で、各耳の情報がない場合のみ全体のtypeを使用
-      return 'C';
-    }
-    
-    return 'A';
-  };
-  
-  const tympanogramType = {
-    right: getTympanogramType('right', tympanogram),
-    left: getTympanogramType('left', tympanogram)
-  };
-  
-  // OMEの軽度/中程度情報を追加
-  const rightIsMildOME = meta?.rightIsMild || false;
-  const leftIsMildOME = meta?.leftIsMild || false;
-  
-  return {
-    acThresholds,
-    tympanogramType,
-    rightIsMildOME,
-    leftIsMildOME
-  };
-}
-// DPOAEデータを生成する関数（症例ごとに固定値）
-function generateDPOAEData(dpoaeConfig, caseId = '') {
-  const frequencies = [1, 2, 3, 4, 6, 8];
-  
-  // ノイズフロアの基本値（周波数ごとの範囲の中間値）
-  const noiseFloorBase = {
-    1: 17,   // 12-22 の中央値
-    2: 15,   // 10-20 の中央値
-    3: 13,   // 8-18 の中央値
-    4: 11.5, // 7-16 の中央値
-    6: 10,   // 6-14 の中央値
-    8: 10    // 6-14 の中央値
-  };
-  
-  // デターミニスティックなノイズフロア（症例IDと周波数、耳に基づく固定変動）
-  // 左右で異なるノイズフロア値を生成（より大きな幅を持つ）
-  const getNoiseFloor = (freq, ear) => {
-    const base = noiseFloorBase[freq];
-    // 症例IDと周波数、耳に基づく固定変動パターン（左右で異なる変動を加える）
-    // 右耳と左耳で異なるseedを使用して、左右で異なるノイズフロア値を生成
-    const earMultiplier = ear === 'right' ? 1 : 5; // 左右で異なるパターンを作るための係数（より大きく）
-    const seed = (caseId.charCodeAt(0) || 65) * 100 + freq * 10 + earMultiplier;
-    // 左右で異なる変動パターン（右耳はsin系、左耳はcos系に偏らせる）
-    // 変動幅を大きくする（±3-4dB程度）
-    const sinVariation = Math.sin(seed * 0.1) * 3.5;
-    const cosVariation = Math.cos(seed * 0.15) * 2.5;
-    const variation = ear === 'right' 
-      ? sinVariation + cosVariation * 0.6  // 右耳のパターン
-      : cosVariation + sinVariation * 0.6; // 左耳のパターン（異なるパターン、より大きな差）
-    const rangeMin = { 1: 12, 2: 10, 3: 8, 4: 7, 6: 6, 8: 6 }[freq];
-    const rangeMax = { 1: 22, 2: 20, 3: 18, 4: 16, 6: 14, 8: 14 }[freq];
-    return Math.max(rangeMin, Math.min(rangeMax, base + variation));
-  };
-  
-  const generateEarData = (ear) => {
-    const acThresholds = dpoaeConfig.acThresholds[ear];
-    const tympanogramType = dpoaeConfig.tympanogramType[ear];
-    
-    return frequencies.map((freq, index) => {
-      const acThreshold = acThresholds[freq];
-      const noiseFloor = getNoiseFloor(freq, ear);
-      
-      // ルール判定（優先順位順）
-      // 【最重要】伝音障害（B型）がある場合は、AC閾値に関係なく全周波数でREFERを最優先
-      // 1. 伝音障害（ティンパノB型）→ 全周波数でSNR < 2dB（REFER）
-      // 2. OME軽度（C型）でAC <= 20dB → SNR >= 6dB（正常/PASS）
-      // 3. OME（C型またはB型）でAC > 20dB → SNR < 2dB（B型）またはSNR < 6dB（C型軽度）
-      // 4. AC ≥ 35dB（感音性難聴など）→ SNR < 2dB
-      // 5. それ以外 → 正常（SNR 6〜12dB、確実に6以上になるように）
-      
-      // OME軽度/中程度の判定
-      const isMildOME = (ear === 'right' ? dpoaeConfig.rightIsMildOME : dpoaeConfig.leftIsMildOME) || false;
-      const isOME = tympanogramType === 'C' || tympanogramType === 'B';
-      
-      let snr;
-      // 【最優先】伝音障害（B型）がある場合は、AC閾値に関係なく全周波数でREFER
-      if (tympanogramType === 'B') {
-        // B型（伝音障害）→ 全周波数でSNR < 2dB（REFER）
-        // AC閾値に関係なく、伝音障害がある場合は必ずREFER
-        const seed = (caseId.charCodeAt(0) || 65) * 1000 + freq * 100 + index * 10 + (ear === 'right' ? 1 : 2);
-        snr = 0.5 + (Math.sin(seed * 0.1) * 0.5 + Math.cos(seed * 0.2) * 0.3); // 0.5〜1.5dB程度の固定値
-      } else if (tympanogramType === 'C' && isMildOME && acThreshold !== undefined && acThreshold <= 20) {
-        // OME軽度（C型）でAC <= 20dB → SNR >= 6dB（正常/PASS）
-        // 確実に6dB以上になるように、最小値を6.5dBに設定
-        const seed = (caseId.charCodeAt(0) || 65) * 1000 + freq * 100 + index * 10 + (ear === 'right' ? 1 : 2);
-        // SNR 6.5〜12dBの範囲で生成（確実に6以上になるように）
-        const baseSNR = 8; // 基本SNR 8dB
-        const earOffset = ear === 'right' 
-          ? Math.sin(seed * 0.05) * 2.5  // 右耳の変動幅を大きく
-          : Math.cos(seed * 0.05) * 2.5; // 左耳の変動幅を大きく
-        snr = Math.max(6.5, Math.min(12, baseSNR + earOffset)); // 最小値を6.5dBに設定して確実に6dB以上にする
-      } else if (isOME && acThreshold !== undefined && acThreshold > 20) {
-        // OME（C型またはB型）でAC > 20dB → REFER
-        if (tympanogramType === 'C' && isMildOME) {
-          // OME軽度（C型）でAC > 20dB → SNR < 6dB（6dB未満でREFER）
-          const seed = (caseId.charCodeAt(0) || 65) * 1000 + freq * 100 + index * 10 + (ear === 'right' ? 1 : 2);
-          snr = 2 + (Math.sin(seed * 0.1) * 2 + Math.cos(seed * 0.2) * 1.5); // 2〜5.5dB程度の固定値
-          snr = Math.max(2, Math.min(5.5, snr)); // 6dB未満に制限（REFERになるように）
-        } else {
-          // OME中程度以上（B型）でAC > 20dB → SNR < 2dB（ただし、B型は既に上で処理済み）
-          const seed = (caseId.charCodeAt(0) || 65) * 1000 + freq * 100 + index * 10 + (ear === 'right' ? 1 : 2);
-          snr = 0.5 + (Math.sin(seed * 0.1) * 0.5 + Math.cos(seed * 0.2) * 0.3); // 0.5〜1.5dB程度の固定値
-        }
-      } else if (acThreshold !== undefined && acThreshold >= 35) {
-        // AC >= 35dB（感音性難聴など）→ SNR < 2dB
-        const seed = (caseId.charCodeAt(0) || 65) * 1000 + freq * 100 + index * 10 + (ear === 'right' ? 1 : 2);
-        snr = 0.5 + (Math.sin(seed * 0.1) * 0.5 + Math.cos(seed * 0.2) * 0.3); // 0.5〜1.5dB程度の固定値
-      } else {
-        // 正常: SNR 6〜12dB（固定値で右左に差、確実に6以上になるように）
-        // 症例と周波数に基づく固定値
-        const seed = (caseId.charCodeAt(0) || 65) * 1000 + freq * 100 + index * 10 + (ear === 'right' ? 1 : 2);
-        // 右耳と左耳でより大きな差が出るように（±2-3dB程度）
-        const baseSNR = 8; // 基本SNR 8dB
-        // 左右で異なるオフセット（右耳はsin系、左耳はcos系でより大きな差）
-        const earOffset = ear === 'right' 
-          ? Math.sin(seed * 0.05) * 2.5  // 右耳の変動幅を大きく
-          : Math.cos(seed * 0.05) * 2.5; // 左耳の変動幅を大きく
-        // SNRが確実に6以上になるように（最小値6dB、最大値12dB程度）
-        snr = Math.max(6, Math.min(12, baseSNR + earOffset));
-      }
-      
-      const dpoaeLevel = noiseFloor + snr;
-      
-      return Math.max(0, Math.min(30, dpoaeLevel)); // 0〜30dBの範囲にクランプ
-    });
-  };
-  
-  // ノイズフロアデータも生成（SNR計算用）
-  const noiseFloorData = {
-    right: frequencies.map((freq) => getNoiseFloor(freq, 'right')),
-    left: frequencies.map((freq) => getNoiseFloor(freq, 'left'))
-  };
-  
-  return {
-    right: generateEarData('right'),
-    left: generateEarData('left'),
-    noiseFloor: noiseFloorData
-  };
-}
 
 function buildTargetsFromPreset(preset){
   return preset.targets.map(t => ({...t}));
@@ -1053,19 +289,12 @@ function buildTargetsFromJSONCase(jsonCase, ear = 'R') {
 }
 
 // 各症例のART設定を構築
-const PRESET_MAP = {
-  A: PRESET_A, B: PRESET_B, C: PRESET_C, D: PRESET_D,
-  E: PRESET_E, F: PRESET_F, G: PRESET_G, H: PRESET_H
-};
-
 Object.keys(PRESET_DETAILS).forEach(caseId => {
   const preset = PRESET_MAP[caseId];
   const details = PRESET_DETAILS[caseId];
   const tympanogram = details.tympanogram;
   if (preset && tympanogram) {
-    const casePattern = inferCasePatternFromDisorderName(details.diseaseName);
-    details.artConfig = buildArtConfig(preset.targets, tympanogram, details.diseaseName || null, casePattern);
-    details.dpoaeConfig = buildDPOAEConfig(preset.targets, tympanogram);
+    Object.assign(details, buildPresetBattery(preset.targets, details));
   }
 });
 
@@ -1077,8 +306,9 @@ function isResponse(points, t) {
   return points.some(p => p.ear===t.ear && p.transducer===t.transducer && p.masked===t.masked && p.freq===t.freq && p.dB >= t.dB);
 }
 // PRESENTATION LIMIT (fix for ReferenceError: maxPresentable is not defined)
-function maxPresentable(transKey, f) {
-  return transKey === 'AC' ? (AC_MAX[f] ?? 110) : (BC_MAX[f] ?? 110);
+function maxPresentable(transKey, f, earphone = EARPHONE_DEFAULT) {
+  if (transKey !== 'AC') return BC_MAX[f] ?? 110;
+  return earphone === 'insert' ? (AC_MAX_INSERT[f] ?? 110) : (AC_MAX[f] ?? 110);
 }
 // shape renderer (adds SO arrow if payload.so)
 function shapeRenderer(shape, color) {
@@ -1167,7 +397,7 @@ function LegendMark({ shape, color }) {
     </svg>
   );
 }
-export default function AudiogramMaskingMVP() {
+export default function AudiogramMaskingMVP({ initialCaseCode = null }) {
   // 学生IDログイン管理
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [studentId, setStudentId] = useState('');
@@ -1222,7 +452,7 @@ export default function AudiogramMaskingMVP() {
   // Preset targets (secret answer)
   const [targets, setTargets] = useState([]);
   const [selectedPreset, setSelectedPreset] = useState('A');
-  const PRESET_KEYS = ['A','B','C','D','E','F','G','H'];
+  const PRESET_KEYS = ['A','B','C','D','E','F','G','H','I'];
   useEffect(() => {
     if (!PRESET_KEYS.includes(selectedPreset)) {
       setSelectedPreset('A');
@@ -1288,21 +518,87 @@ export default function AudiogramMaskingMVP() {
   const [isLoadingRandom, setIsLoadingRandom] = useState(false);
   const [presetToast, setPresetToast] = useState('');
   const [randomToast, setRandomToast] = useState('');
+  // 経過観察（受診系列）: { series, index, records, details }
+  const [followUp, setFollowUp] = useState(null);
+  const [isLoadingFollowUp, setIsLoadingFollowUp] = useState(false);
   
   // 症例情報モーダル
   const [showCaseInfoModal, setShowCaseInfoModal] = useState(false);
   const [currentCaseInfo, setCurrentCaseInfo] = useState(null);
   const [showAiAnswer, setShowAiAnswer] = useState(false);
+
+  // 課題（講師がクラスに配った症例）。課題から開いた症例を表示している間だけ、正答照合をその課題の提出にする
+  const [assignmentData, setAssignmentData] = useState({ className: null, assignments: [], submissions: [] });
+  const [assignmentsLoading, setAssignmentsLoading] = useState(false);
+  const [activeAssignment, setActiveAssignment] = useState(null);
+  const assignmentInProgress = activeAssignment && assignmentItemMatches(activeAssignment.item, currentCaseInfo) ? activeAssignment : null;
+  const loadAssignments = useCallback(async () => {
+    if (!currentStudentId) return;
+    setAssignmentsLoading(true);
+    const result = await fetchStudentAssignments(currentStudentId);
+    setAssignmentsLoading(false);
+    if (!result.error) setAssignmentData(result);
+  }, [currentStudentId]);
+  useEffect(() => {
+    if (isAuthenticated && currentStudentId) loadAssignments();
+  }, [isAuthenticated, currentStudentId, loadAssignments]);
+
+  // 採点基準（講師が課題・プリセット症例に割り当てたもの。なければ既定の完全一致）
+  const [activeRubric, setActiveRubric] = useState({ rubric: DEFAULT_RUBRIC, rubricId: null });
+  const rubricPresetKey = !currentCaseInfo?.caseFile && PRESET_KEYS.includes(selectedPreset) ? selectedPreset : null;
+  const rubricAssignmentId = assignmentInProgress ? assignmentInProgress.assignmentId : null;
+  useEffect(() => {
+    let cancelled = false;
+    const request = rubricAssignmentId != null
+      ? fetchRubricFor(RUBRIC_TARGET.ASSIGNMENT, rubricAssignmentId)
+      : fetchRubricFor(RUBRIC_TARGET.PRESET, rubricPresetKey);
+    request.then(r => {
+      if (!cancelled) setActiveRubric(r);
+    });
+    return () => { cancelled = true; };
+  }, [rubricAssignmentId, rubricPresetKey]);
   
-  // IC settings (周波数ごとの両耳間移行減衰量)
-  const [icSettings, setIcSettings] = useState(
-    FREQS.reduce((acc, f) => {
-      acc[f] = { AC: 50, BC: 0 };
-      return acc;
-    }, {})
-  );
+  // AC受話器（ヘッドホン/インサート）。ブラウザに保存し次回セッションでも引き継ぐ
+  const [earphone, setEarphone] = useState(() => {
+    try {
+      const saved = localStorage.getItem('audiogram_ac_earphone');
+      if (saved === 'supraAural' || saved === 'insert') return saved;
+    } catch (e) {
+      console.warn('受話器設定の読み込みに失敗:', e);
+    }
+    return EARPHONE_DEFAULT;
+  });
+  // IC settings (周波数ごとの両耳間移行減衰量)。既定値は受話器の種類で変わる
+  const [icSettings, setIcSettings] = useState(() => buildDefaultIcSettings(earphone));
+  function changeEarphone(next) {
+    if (next === earphone) return;
+    setEarphone(next);
+    setIcSettings(buildDefaultIcSettings(next));
+    try {
+      localStorage.setItem('audiogram_ac_earphone', next);
+    } catch (e) {
+      console.warn('受話器設定の保存に失敗:', e);
+    }
+  }
+  const getIa = useCallback((f, transKey) => (
+    icSettings[f]?.[transKey] ?? (transKey === 'AC' ? getDefaultIaAC(earphone, f) : IA.BC)
+  ), [icSettings, earphone]);
   const [showIcDialog, setShowIcDialog] = useState(false);
   const [guidedMaskingMode, setGuidedMaskingMode] = useState(false);
+  // 応答モデル（中枢マスキング・閉塞効果）と模擬患者のふるまい（偽陽性・見逃し・耳鳴・潜時）。
+  // どちらも講師がプリセット・症例ファイルで決めるもので、学習者画面では変えられない。seed は症例ごとに固定
+  const responseModel = useMemo(() => normalizeResponseModel(currentCaseInfo?.responseModel), [currentCaseInfo]);
+  const patientBehavior = useMemo(() => {
+    const seed = currentCaseInfo?.patientBehavior?.seed ?? currentCaseInfo?.meta?.seed ?? seedFromCaseId(currentCaseInfo?.caseId);
+    return normalizePatientBehavior({ ...(currentCaseInfo?.patientBehavior || {}), seed });
+  }, [currentCaseInfo]);
+  // 機能性難聴の耳（症例の nonOrganic）と、条件ごとの閾値決定回数（再検査でのぶれに使う）
+  const nonOrganicEar = currentCaseInfo?.nonOrganic?.ear || currentCaseInfo?.meta?.nonOrganic?.ear || null;
+  const [retestCounts, setRetestCounts] = useState({});
+  // 「決定不能」と記録した条件（`${ear}|${transducer}|${freq}`）
+  const [undetermined, setUndetermined] = useState([]);
+  // プラトー法: 条件ごとに（マスク量, 閾値）の組を記録
+  const [maskingPairs, setMaskingPairs] = useState({});
 
   // Random case performance tracking
   const [randomCasePerformance, setRandomCasePerformance] = useState(() => {
@@ -1956,6 +1252,7 @@ ${episodeHint ? `
         masked: entry.masked,
         mask_level: entry.masked ? entry.maskLevel : null,
         so: entry.so || false,
+        earphone: entry.earphone || null,
         case_id: entry.caseId || selectedPreset,
         session_id: `${selectedPreset}-${new Date().toISOString().slice(0,10)}`
       };
@@ -1984,6 +1281,7 @@ ${episodeHint ? `
         masked: row.masked,
         maskLevel: row.mask_level ?? -15,
         so: row.so,
+        earphone: row.earphone || undefined,
         caseId: row.case_id
       }));
       setMeasurementLog(logs);
@@ -2018,7 +1316,8 @@ ${episodeHint ? `
 
   // AI生成: 症例の詳細情報を生成する関数（非同期版：OpenAI統合）
   // lateralityInfo: { affectedSide: 'R'|'L'|null, profileName, rightProfile, leftProfile } 片側難聴時の主訴で患側を反映
-  const generateCaseDetails = async (generatedTargets, casePattern, generatedAge = null, patternAnalysis = null, lateralityInfo = null) => {
+  // rand: 文面・ティンパノグラムの選択に使う乱数。allowLlm=false では LLM を使わず DB／テンプレートの文面だけにする（症例コードの再現用）
+  const generateCaseDetails = async (generatedTargets, casePattern, generatedAge = null, patternAnalysis = null, lateralityInfo = null, { rand = Math.random, allowLlm = true } = {}) => {
     const profileToDbKey = {
       CHL_AOM: 'AOM',
       CHL_OME: 'OME',
@@ -2089,7 +1388,7 @@ ${episodeHint ? `
 
     // まず Tym 作成 → タイプ分類 → 症例検索（文面取得）
     const generateTymType = (pattern) => {
-      if (pattern === 'conductive') return Math.random() < 0.7 ? 'B' : (Math.random() < 0.5 ? 'C' : 'Ad');
+      if (pattern === 'conductive') return rand() < 0.7 ? 'B' : (rand() < 0.5 ? 'C' : 'Ad');
       if (pattern === 'sensorineural') return 'A';
       return 'A';
     };
@@ -2105,14 +1404,14 @@ ${episodeHint ? `
     } else if (profile === 'CHL_AOM') {
       tympType = 'C';  // AOMはC型寄り
     } else if (profile === 'CHL_OME') {
-      tympType = Math.random() < 0.5 ? 'B' : 'C';  // OMEはB〜C
+      tympType = rand() < 0.5 ? 'B' : 'C';  // OMEはB〜C
     } else {
       tympType = generateTymType(casePattern);
     }
 
     const mapTymToDisease = (t) => {
       if (t === 'B' || t === 'C') {
-        return t === 'C' ? 'OME' : (Math.random() < 0.5 ? 'AOM' : 'OME');
+        return t === 'C' ? 'OME' : (rand() < 0.5 ? 'AOM' : 'OME');
       }
       if (t === 'As') return 'Otosclerosis';
       if (t === 'Ad') return 'Ossicular_Discontinuity';
@@ -2134,7 +1433,7 @@ ${episodeHint ? `
         mixed: { ageRange: [40, 75] }
       };
       const agePattern = patterns[casePattern] || patterns.sensorineural;
-      age = Math.floor(Math.random() * (agePattern.ageRange[1] - agePattern.ageRange[0] + 1)) + agePattern.ageRange[0];
+      age = Math.floor(rand() * (agePattern.ageRange[1] - agePattern.ageRange[0] + 1)) + agePattern.ageRange[0];
     }
 
     // 症例文: まずDBから症例を取得し主訴・鼓膜所見を使う。なければLLMで生成
@@ -2147,7 +1446,7 @@ ${episodeHint ? `
         let bestCase = null;
         let bestScore = Number.NEGATIVE_INFINITY;
         for (let i = 0; i < 8; i++) {
-          const candidate = await pickCaseFromDatabase(dbKey, tympType);
+          const candidate = await pickCaseFromDatabase(dbKey, tympType, rand);
           if (!candidate) continue;
           let score = 0;
           const minAge = Number.isFinite(candidate.age_min) ? candidate.age_min : null;
@@ -2172,7 +1471,7 @@ ${episodeHint ? `
             bestCase = candidate;
           }
         }
-        dbCase = bestCase || await pickCaseFromDatabase(dbKey, tympType);
+        dbCase = bestCase || await pickCaseFromDatabase(dbKey, tympType, rand);
       } catch (e) {
         console.warn('[Audioscope EDU] 症例DB取得失敗:', dbKey, e?.message);
       }
@@ -2180,7 +1479,7 @@ ${episodeHint ? `
 
     let aiResult = null;
     const useDbForText = dbCase && ((dbCase.chiefComplaint && dbCase.chiefComplaint.trim().length > 0) || (dbCase.otoscopy && dbCase.otoscopy.trim().length > 0));
-    if (!useDbForText) {
+    if (!useDbForText && allowLlm) {
       aiResult = await generateCaseDetailsWithOpenAI(
         generatedTargets,
         casePattern,
@@ -2215,7 +1514,7 @@ ${episodeHint ? `
     const genChiefComplaint = ensureChiefComplaintSide(normalizeTextByAge(rawChiefComplaint, age));
     const genOtoscopy = normalizeTextByAge((dbCase?.otoscopy || '').trim() || (aiResult?.otoscopy) || fallbackOtoscopy, age);
     const genHistory = normalizeTextByAge((dbCase?.hpi || '').trim(), age);
-    const genGender = desiredGender || (dbCase?.gender || '').trim() || aiResult?.gender || (Math.random() < 0.5 ? '男性' : '女性');
+    const genGender = desiredGender || (dbCase?.gender || '').trim() || aiResult?.gender || (rand() < 0.5 ? '男性' : '女性');
 
     // ここでTym型を症例情報に付与（UI側で利用）
     const tympTypeStr = tympType;
@@ -2290,7 +1589,7 @@ ${episodeHint ? `
       const leftIsAOM = leftACAvg > rightACAvg + 10;
       
       // 急性中耳炎：ピークは +50〜+200 daPa
-      const aomPeak = () => 50 + Math.round(Math.random() * 150);
+      const aomPeak = () => 50 + Math.round(rand() * 150);
       if (rightIsAOM && !leftIsAOM) {
         tympanogramObj = {
           type: 'B',
@@ -2363,6 +1662,7 @@ ${episodeHint ? `
       history: genHistory,
       otoscopy: genOtoscopy,
       explanation: aiResult?.explanation || '',
+      storyFromLlm: Boolean(aiResult),
       selectedDisorderKey: dbKey || null,
       affectedSide: resolvedAffectedSide,
       tympanogram: tympanogramObj,
@@ -3508,25 +2808,21 @@ ${episodeHint ? `
     setCustomPresetDetails(null);
   };
   // 臨床症例生成（臨床情報も含む完全な症例生成）
-  const generateAICase = async () => {
+  // 経過観察では生成済みの受診（caseData）と初診の症例文（caseDetails）を渡して読み込む
+  // 症例コード（caseCode）で読み込むときは文面も seed から決め、LLM は使わない
+  // ageGroup（'infant' | 'child'）を渡すと小児症例を生成する
+  // hideCaseCode: 試験の症例はコードを画面（症例情報・共有リンク）と利用ログに残さない
+  // caseSettings: 症例コードに入っている講師の応答設定（responseModel・patientBehavior）
+  const generateAICase = async ({ caseData: givenCase = null, caseDetails: givenDetails = null, caseCode: givenCode = null, ageGroup: givenAgeGroup = null, hideCaseCode = false, caseSettings = null } = {}) => {
     // 新エンジンでオージオグラムを生成（sex/ageGroup/profile/severity/affectedSideは内部で乱択）
     try {
-      const caseData = generateAudiogram({});
-      const STR2NUM = { "0.125kHz":125, "0.25kHz":250, "0.5kHz":500, "1kHz":1000, "2kHz":2000, "4kHz":4000, "8kHz":8000 };
-      const targets = [];
-      const pushEar = (rows, ear) => {
-        rows.forEach(r => {
-          const f = STR2NUM[r.freq];
-          if (typeof r.ac === 'number') {
-            targets.push({ ear, transducer: 'AC', masked: false, freq: f, dB: r.ac, ...(r.soAC ? { so: true } : {}) });
-          }
-          if (typeof r.bc === 'number' && f >= 250 && f <= 4000) {
-            targets.push({ ear, transducer: 'BC', masked: true, freq: f, dB: r.bc, ...(r.soBC ? { so: true } : {}) });
-          }
-        });
-      };
-      pushEar(caseData.right, 'R');
-      pushEar(caseData.left, 'L');
+      const genOpts = { interimFreqs: true, ...(givenAgeGroup ? { ageGroup: givenAgeGroup } : {}) };
+      const caseData = givenCase || generateAudiogram(genOpts);
+      // 経過観察の受診は系列から作るため、単独のコードにはしない
+      const caseCode = hideCaseCode ? null : givenCode || (givenCase ? null : encodeCaseCode({ ...genOpts, seed: caseData.meta.seed }));
+      const storyRand = makeCaseStoryRng(caseData.meta.seed);
+      // エンジンの行を正答ターゲットへ（骨導は 250〜4000 Hz のみ）
+      const targets = targetsFromCase(caseData);
 
       // 画面へ反映
       setPoints([]);
@@ -3538,7 +2834,8 @@ ${episodeHint ? `
       setFreq(1000);
       const meta = { ...(caseData.meta || {}) };
       const genderLabel = meta.sex === 'Male' ? '男性' : meta.sex === 'Female' ? '女性' : '';
-      const ageLabel = meta.ageGroup || '';
+      const pediatric = isPediatricAgeGroup(meta.ageGroup);
+      const ageLabel = pediatric ? PEDIATRIC_AGE_LABELS[meta.ageGroup] : meta.ageGroup || '';
       const profileName = meta.profile || meta.rightProfile || meta.leftProfile || 'Normal';
       if (!meta.profile) meta.profile = profileName;
       if (!meta.rightProfile) meta.rightProfile = profileName;
@@ -3546,8 +2843,8 @@ ${episodeHint ? `
       const casePatternForTests = inferCasePatternFromProfile(profileName);
       
       // 年齢を数値に変換（ageGroupから年齢を推定）
-      let generatedAge = null;
-      if (ageLabel) {
+      let generatedAge = pediatric ? PEDIATRIC_AGE_YEARS[meta.ageGroup] : null;
+      if (ageLabel && !pediatric) {
         const ageMatch = ageLabel.match(/(\d+)/);
         if (ageMatch) {
           generatedAge = parseInt(ageMatch[1]);
@@ -3562,7 +2859,8 @@ ${episodeHint ? `
       const patternAnalysis = analyzeHearingLossPattern(targets, generatedAge);
       
       // 症例文は常にLLM（OpenAI）で生成（DBは使わない）。片側難聴時は患側を渡して主訴に反映
-      const simpleTympanogram = buildSimpleTympanogramFromProfile(profileName, meta);
+      const battery = buildCaseBattery(targets, meta, storyRand);
+      const simpleTympanogram = battery.tympanogram;
       const lateralityInfo = {
         affectedSide: meta.affectedSide || null,
         profileName,
@@ -3570,19 +2868,23 @@ ${episodeHint ? `
         leftProfile: meta.leftProfile,
         desiredGender: genderLabel || ''
       };
-      let caseDetails = await generateCaseDetails(targets, casePatternForTests, generatedAge, patternAnalysis, lateralityInfo);
+      let caseDetails = givenDetails
+        ? { ...givenDetails }
+        : await generateCaseDetails(targets, casePatternForTests, generatedAge, patternAnalysis, lateralityInfo, { rand: storyRand, allowLlm: !givenCode });
       // generateCaseDetailsが返すtympanogramがない場合は、simpleTympanogramを使用
       if (!caseDetails.tympanogram) {
         caseDetails.tympanogram = simpleTympanogram;
       }
-      // ageフィールドを年齢グループに変更
-      if (caseDetails.ageGroup) {
+      // ageフィールドを年齢グループに変更（小児は年齢区分の表記）
+      if (pediatric) {
+        caseDetails.age = ageLabel;
+        caseDetails.ageGroup = ageLabel;
+      } else if (caseDetails.ageGroup) {
         caseDetails.age = caseDetails.ageGroup;
       } else if (generatedAge) {
         caseDetails.age = getAgeGroup(generatedAge);
       }
-      const artConfig = buildArtConfig(targets, simpleTympanogram, profileName, casePatternForTests, meta);
-      const dpoaeConfig = buildDPOAEConfig(targets, simpleTympanogram);
+      const { artConfig, dpoaeConfig } = battery;
       // 年齢グループを確定
       const finalAgeGroup = caseDetails.ageGroup || (generatedAge ? getAgeGroup(generatedAge) : ageLabel);
       const caseInfo = {
@@ -3603,6 +2905,10 @@ ${episodeHint ? `
         tympanogram: simpleTympanogram,
         artConfig,
         dpoaeConfig,
+        caseCode,
+        ...(caseSettings || {}),
+        // LLM の文面はコードから再現できない（読み込み側は DB／テンプレートの文面になる）
+        storyReproducible: !caseDetails.storyFromLlm,
       };
       setCurrentCaseInfo(caseInfo);
       setShowAiAnswer(false);
@@ -3626,14 +2932,15 @@ ${episodeHint ? `
           rightProfile: meta.rightProfile,
           leftProfile: meta.leftProfile,
           affectedSide: meta.affectedSide || null,
-          source: 'ai_auto_generate',
+          source: meta.visit ? 'follow_up_visit' : hideCaseCode ? 'exam' : givenCode ? 'case_code' : 'ai_auto_generate',
+          ...(caseCode ? { caseCode } : {}),
         });
         void (async () => {
           const { data: uh, error: uhErr } = await fetchStudentUsageEvents(currentStudentId, 150);
           if (!uhErr && uh) setUsageHistory(uh);
         })();
       }
-      return; // 旧ロジックは使用しない
+      return caseInfo; // 旧ロジックは使用しない
     } catch (e) {
       console.error('AIエンジン生成エラー', e);
       setCurrentCaseInfo(null);
@@ -4030,63 +3337,288 @@ ${episodeHint ? `
     setFreq(1000);
   };
 
+  // 経過観察: 経過が変化する病型から受診系列を生成し、受診1を読み込む
+  const startFollowUp = async () => {
+    if (isLoadingFollowUp) return;
+    setIsLoadingFollowUp(true);
+    try {
+      const profile = COURSE_PROFILES[Math.floor(Math.random() * COURSE_PROFILES.length)];
+      const series = generateAudiogramSeries({ interimFreqs: true, profile, visits: 3 });
+      const info = await generateAICase({ caseData: series.visits[0] });
+      setFollowUp(info ? {
+        series,
+        index: 0,
+        records: [],
+        details: { gender: info.gender, chiefComplaint: info.chiefComplaint, history: info.history, otoscopy: info.otoscopy, explanation: info.explanation },
+      } : null);
+    } finally {
+      setIsLoadingFollowUp(false);
+    }
+  };
 
-  // Refs / layout
-  const containerRef = useRef(null);
-  const chartHostRef = useRef(null);
-  const overlayRef = useRef(null);
-  const plotCalRef = useRef({ scaleY: 1, deltaTop: 0 });
-  // Fixed-size chart: plotting area derived from CELL_PX and margins (no ResponsiveContainer)
-  const chartW = GRID_W + AXIS_LEFT + AXIS_RIGHT;
-  const chartH = GRID_H + AXIS_TOP + AXIS_BOTTOM;
-
-  // Auto-hide legend if plotting box is too small (safety)
-  useEffect(() => {
-    setShowLegend(chartH * CHART_SCALE > 220);
-  }, [chartH]);
-
-  // --- Plot calibration: measure real grid box and align overlay ---
-  useLayoutEffect(() => {
-    const host = chartHostRef.current;
-    const ov = overlayRef.current;
-    if (!host || !ov) return;
-    const gridG = host.querySelector('g.recharts-cartesian-grid');
-    if (!gridG || !gridG.getBoundingClientRect) return;
-    const gridRect = gridG.getBoundingClientRect();
-    const ovRect = ov.getBoundingClientRect();
-    const scaleY = gridRect.height / Math.max(1, ovRect.height);
-    const deltaTop = gridRect.top - ovRect.top; // 上端の差（オーバーレイ→グリッド）
-    plotCalRef.current = { scaleY, deltaTop };
-  });
-
-  // --- Dev sanity checks (non-intrusive) ---
-  useEffect(() => {
+  // 経過観察: 今回の正答と測定点を記録して次の受診を読み込む（症例文は初診を引き継ぐ）
+  const nextFollowUpVisit = async () => {
+    if (!followUp || isLoadingFollowUp) return;
+    const { series, index, details } = followUp;
+    const next = series.visits[index + 1];
+    if (!next) return;
+    setIsLoadingFollowUp(true);
     try {
-      console.assert(Array.isArray(FREQS) && FREQS.length === 7, 'FREQS should have 7 items');
-      console.assert(SERIES.every(s => s.key && s.color && s.shape), 'SERIES entries must have key/color/shape');
-      const sampleTicks = Array.from({length: FREQS.length}, (_,i)=> i).map(formatFreq);
-      console.assert(sampleTicks.every(t => String(t).length > 0), 'formatFreq should produce labels');
-      // quick unit-like check for getThr mapping using PRESET_A
-      const tmap = new Map();
-      PRESET_A.targets.filter(t=>t.masked===false).forEach(t=>{
-        const key = `${t.ear}|${t.transducer}|${t.freq}`;
-        const base = t.so ? ((t.transducer==='AC'?(AC_MAX[t.freq]??110):(BC_MAX[t.freq]??110))+50) : t.dB;
-        tmap.set(key, {dB: base});
+      const first = series.visits[0].meta;
+      // 鼓膜所見は病態が初診と同じときだけ引き継ぐ（治癒・回復後は正常）
+      const sameFindings = next.meta.rightProfile === first.rightProfile && next.meta.leftProfile === first.leftProfile;
+      await generateAICase({
+        caseData: next,
+        caseDetails: {
+          ...details,
+          history: `${details.history ? `${details.history}\n` : ''}再診（${visitLabel(next.meta.visit)}）`,
+          otoscopy: sameFindings ? details.otoscopy : '',
+        },
       });
-      const k = 'R|AC|1000';
-      console.assert(tmap.get(k)?.dB === 5, 'getThr baseline sanity (R AC 1kHz should be 5 dB)');
-      // helpers
-      console.assert(round5(52) === 50 && round5(53) === 55, 'round5 should snap to nearest 5');
-      console.assert(maxPresentable('AC', 1000) === 110, 'AC max @1k should be 110');
-      // ensure getThr (component-scope) resolves with targetMap in place
-      console.assert(Number.isFinite(getThr('R','AC',1000)), 'getThr should resolve for R AC 1k');
-
-      // === Added self-tests per spec (1) 5dB丸め, (2) -10/120クランプ, (3) 0/50/100整合 ===
-      // Pure mapping test with synthetic geometry
-      const yMin=-10, yMax=120, gridH= (yMax - yMin); // 1px == 1dB for synthetic
-      const mapYToDb = (y)=> yMin + (Math.max(0, Math.min(gridH, y)) / gridH) * (yMax - yMin);
-      const assertNear5 = (val, expect)=> console.assert(Math.abs(round5(val) - expect) <= 0, `round5(${val}) ~= ${expect}`);
-      assertNear5(mapYToDb( (0) ), -10);
+      setFollowUp({ ...followUp, index: index + 1, records: [...followUp.records, { targets, points }] });
+    } finally {
+      setIsLoadingFollowUp(false);
+    }
+  };
+  // 症例コード（教員・他の学習者から共有されたもの）で同じ症例を読み込む
+  // 試験に使われている症例コードは試験モード（exam: true）でしか開けない
+  const loadCaseCode = async (code, { exam: forExam = false } = {}) => {
+    let resolved;
+    let canonical;
+    try {
+      resolved = resolveCaseCode(code);
+      canonical = canonicalCaseCode(code);
+    } catch (e) {
+      alert(e.message);
+      return false;
+    }
+    if (!forExam) {
+      const { data: examCase, error } = await isExamCaseCode(canonical);
+      if (error) {
+        alert('症例コードを確認できませんでした。通信環境を確かめてからもう一度お試しください。');
+        return false;
+      }
+      if (examCase) {
+        alert('この症例コードは試験に使われているため、練習では開けません。');
+        return false;
+      }
+    }
+    setIsLoadingRandom(true);
+    setRandomToast(forExam ? '📝 試験の症例を読み込み中…' : '🔗 症例コードを読み込み中…');
+    try {
+      const info = await generateAICase({ caseData: resolved.caseData, caseCode: canonical, hideCaseCode: forExam, caseSettings: resolved.settings });
+      setRandomToast(forExam ? '✅ 試験の症例を読み込みました' : '✅ 症例コードの症例を読み込みました');
+      return !!info;
+    } finally {
+      setTimeout(() => setRandomToast(''), 1500);
+      setIsLoadingRandom(false);
+    }
+  };
+  const copyCaseLink = async () => {
+    const url = caseShareUrl(currentCaseInfo.caseCode);
+    try {
+      await navigator.clipboard.writeText(url);
+      setRandomToast('📋 共有リンクをコピーしました');
+      setTimeout(() => setRandomToast(''), 1500);
+    } catch (_) {
+      window.prompt('共有リンク', url);
+    }
+  };
+  // URL の ?case= は起動時に一度だけ読み込む（StrictMode の二重実行も防ぐ）
+  const initialCaseLoadedRef = useRef(false);
+  const loadCaseCodeRef = useRef(loadCaseCode);
+  loadCaseCodeRef.current = loadCaseCode;
+  useEffect(() => {
+    if (!initialCaseCode || initialCaseLoadedRef.current) return;
+    initialCaseLoadedRef.current = true;
+    loadCaseCodeRef.current(initialCaseCode);
+  }, [initialCaseCode]);
+  const [caseCodeInput, setCaseCodeInput] = useState('');
+
+  // 症例ファイル（教員が作った症例バンク）: 読み込んだ症例の一覧と選択中の症例
+  const [caseBank, setCaseBank] = useState([]);
+  const [caseBankId, setCaseBankId] = useState('');
+  const loadCaseEntry = (entry) => {
+    const meta = entry.meta || {};
+    const details = entry.details || {};
+    const { tympanogram, artConfig, dpoaeConfig } = caseEntryBattery(entry, makeCaseStoryRng(meta.seed ?? seedFromCaseId(entry.id)));
+    const icDefaults = buildDefaultIcSettings(earphone);
+    Object.entries(entry.ia || {}).forEach(([f, v]) => {
+      icDefaults[f] = { ...(icDefaults[f] || { AC: getDefaultIaAC(earphone, Number(f)), BC: IA.BC }), ...v };
+    });
+    setIcSettings(icDefaults);
+    setPoints([]);
+    setTargets(entry.targets.map(t => ({ ...t })));
+    setEar('R');
+    setTrans('AC');
+    setLevel(0);
+    setMaskLevel(-15);
+    setFreq(1000);
+    setCustomPresetDetails(null);
+    setCurrentCaseInfo({
+      caseId: entry.id,
+      caseName: entry.name,
+      caseFile: true,
+      ...details,
+      tympanogram,
+      artConfig,
+      dpoaeConfig,
+      ...(entry.meta ? { meta: entry.meta } : {}),
+      ...(entry.responseModel ? { responseModel: entry.responseModel } : {}),
+      ...(entry.patientBehavior ? { patientBehavior: entry.patientBehavior } : {}),
+      ...(entry.nonOrganic ? { nonOrganic: entry.nonOrganic } : {}),
+      ...(entry.speech ? { speech: entry.speech } : {}),
+      ...(entry.caseCode ? { caseCode: entry.caseCode } : {}),
+    });
+    setShowAiAnswer(false);
+    setShowAnswer(false);
+    setShowCaseInfoModal(false);
+    setShowTympanogram(false);
+    setShowStapedialReflex(false);
+    setShowDPOAE(false);
+    setPresetToast(`症例「${entry.name}」をロードしました`);
+    setTimeout(() => setPresetToast(''), 1200);
+  };
+  const importCaseFile = async (file) => {
+    if (!file) return;
+    const { cases, errors } = await readCaseFile(file);
+    if (errors.length) {
+      alert(`症例ファイルを読み込めませんでした（${errors.length}件）\n${errors.slice(0, 10).join('\n')}${errors.length > 10 ? '\n…' : ''}`);
+      return;
+    }
+    setCaseBank(cases);
+    setCaseBankId(cases[0].id);
+    loadCaseEntry(cases[0]);
+  };
+  // プリセット症例を開く（課題から。LOAD と同じ）
+  const loadPresetCase = (key) => {
+    const p = PRESET_MAP[key];
+    if (!p) return;
+    setSelectedPreset(key);
+    setCustomPresetDetails(null);
+    setPoints([]);
+    setTargets(buildTargetsFromPreset(p));
+    setEar('R');
+    setTrans('AC');
+    setLevel(0);
+    setMaskLevel(-15);
+    setFreq(1000);
+    setLearningProgress(prev => ({ ...prev, totalSessions: prev.totalSessions + 1 }));
+    setCurrentCaseInfo({ caseId: key, ...PRESET_DETAILS[key] });
+    setShowAiAnswer(false);
+    setShowAnswer(false);
+    setShowCaseInfoModal(false);
+    setShowTympanogram(false);
+    setShowStapedialReflex(false);
+    setShowDPOAE(false);
+    setPresetToast(`症例${key}をロードしました`);
+    setTimeout(() => setPresetToast(''), 1200);
+  };
+  // 課題の症例を開く（種類ごとに既存の読み込みを使う）
+  const openAssignmentItem = async (assignment, item) => {
+    if (item.kind === ASSIGNMENT_ITEM_KIND.PRESET) loadPresetCase(item.key);
+    else if (item.kind === ASSIGNMENT_ITEM_KIND.CASE_CODE) await loadCaseCode(item.code);
+    else loadCaseEntry(item.entry);
+    setActiveAssignment({ assignmentId: assignment.id, title: assignment.title, itemKey: assignmentItemKey(item), item });
+  };
+  // いま表示中の症例を症例ファイルの1件にする（IA は既定値から変えた周波数だけ）
+  const currentCaseEntry = () => {
+    const info = currentCaseInfo || {};
+    const isAi = info.caseId === 'AI生成';
+    const icDefaults = buildDefaultIcSettings(earphone);
+    const ia = Object.fromEntries(Object.entries(icSettings)
+      .filter(([f, v]) => v.AC !== icDefaults[f]?.AC || v.BC !== icDefaults[f]?.BC));
+    const details = {
+      age: info.age, gender: info.gender, chiefComplaint: info.chiefComplaint, history: info.history,
+      findings: info.findings || info.otoscopy, diagnosis: info.diagnosis, diseaseName: info.diseaseName || info.disorderLabel,
+      explanation: info.explanation,
+    };
+    const { generatedTargets, ...meta } = info.meta || {};
+    return {
+      id: isAi ? (info.caseCode || `case-${meta.seed ?? Date.now()}`) : String(info.caseId || selectedPreset),
+      name: info.caseName || (isAi ? `生成症例 ${info.caseCode || meta.seed || ''}`.trim() : `症例${info.caseId || selectedPreset}`),
+      targets: fileTargets(targets),
+      details: Object.fromEntries(Object.entries(details).filter(([, v]) => typeof v === 'string' && v)),
+      ...(info.tympanogram ? { tympanogram: { type: info.tympanogram.type, right: info.tympanogram.right, left: info.tympanogram.left } } : {}),
+      ...(reflexesFromArtConfig(info.artConfig) ? { reflexes: reflexesFromArtConfig(info.artConfig) } : {}),
+      ...(Object.keys(ia).length ? { ia } : {}),
+      ...(info.responseModel ? { responseModel: info.responseModel } : {}),
+      ...(info.patientBehavior ? { patientBehavior: info.patientBehavior } : {}),
+      ...(info.nonOrganic ? { nonOrganic: info.nonOrganic } : {}),
+      ...(info.speech ? { speech: info.speech } : {}),
+      ...(info.meta ? { meta } : {}),
+      ...(info.caseCode ? { caseCode: info.caseCode } : {}),
+    };
+  };
+  const exportCurrentCase = () => {
+    if (!targets.length) {
+      alert('症例をロードしてから書き出してください');
+      return;
+    }
+    downloadCaseFile(buildCaseFile([currentCaseEntry()]), 'audioscope-case');
+  };
+
+  // 別の症例を読み込んだら経過観察は表示しない
+  const followUpActive = Boolean(followUp && currentCaseInfo?.meta?.visit && currentCaseInfo.meta.seed === followUp.series.meta.seed);
+
+
+  // Refs / layout
+  const containerRef = useRef(null);
+  const chartHostRef = useRef(null);
+  const overlayRef = useRef(null);
+  const plotCalRef = useRef({ scaleY: 1, deltaTop: 0 });
+  // Fixed-size chart: plotting area derived from CELL_PX and margins (no ResponsiveContainer)
+  const chartW = GRID_W + AXIS_LEFT + AXIS_RIGHT;
+  const chartH = GRID_H + AXIS_TOP + AXIS_BOTTOM;
+
+  // Auto-hide legend if plotting box is too small (safety)
+  useEffect(() => {
+    setShowLegend(chartH * CHART_SCALE > 220);
+  }, [chartH]);
+
+  // --- Plot calibration: measure real grid box and align overlay ---
+  useLayoutEffect(() => {
+    const host = chartHostRef.current;
+    const ov = overlayRef.current;
+    if (!host || !ov) return;
+    const gridG = host.querySelector('g.recharts-cartesian-grid');
+    if (!gridG || !gridG.getBoundingClientRect) return;
+    const gridRect = gridG.getBoundingClientRect();
+    const ovRect = ov.getBoundingClientRect();
+    const scaleY = gridRect.height / Math.max(1, ovRect.height);
+    const deltaTop = gridRect.top - ovRect.top; // 上端の差（オーバーレイ→グリッド）
+    plotCalRef.current = { scaleY, deltaTop };
+  });
+
+  // --- Dev sanity checks (non-intrusive) ---
+  useEffect(() => {
+    try {
+      console.assert(Array.isArray(OCTAVE_FREQS) && OCTAVE_FREQS.length === 7, 'OCTAVE_FREQS should have 7 items');
+      console.assert(FREQS.length === 11 && freqToX(3000) > 4 && freqToX(3000) < 5, 'interim freqs should sit between octaves');
+      console.assert(SERIES.every(s => s.key && s.color && s.shape), 'SERIES entries must have key/color/shape');
+      const sampleTicks = Array.from({length: OCTAVE_FREQS.length}, (_,i)=> i).map(formatFreq);
+      console.assert(sampleTicks.every(t => String(t).length > 0), 'formatFreq should produce labels');
+      // quick unit-like check for getThr mapping using PRESET_A
+      const tmap = new Map();
+      PRESET_A.targets.filter(t=>t.masked===false).forEach(t=>{
+        const key = `${t.ear}|${t.transducer}|${t.freq}`;
+        const base = t.so ? ((t.transducer==='AC'?(AC_MAX[t.freq]??110):(BC_MAX[t.freq]??110))+50) : t.dB;
+        tmap.set(key, {dB: base});
+      });
+      const k = 'R|AC|1000';
+      console.assert(tmap.get(k)?.dB === 5, 'getThr baseline sanity (R AC 1kHz should be 5 dB)');
+      // helpers
+      console.assert(round5(52) === 50 && round5(53) === 55, 'round5 should snap to nearest 5');
+      console.assert(maxPresentable('AC', 1000) === 110, 'AC max @1k should be 110');
+      // ensure getThr (component-scope) resolves with targetMap in place
+      console.assert(Number.isFinite(getThr('R','AC',1000)), 'getThr should resolve for R AC 1k');
+
+      // === Added self-tests per spec (1) 5dB丸め, (2) -10/120クランプ, (3) 0/50/100整合 ===
+      // Pure mapping test with synthetic geometry
+      const yMin=-10, yMax=120, gridH= (yMax - yMin); // 1px == 1dB for synthetic
+      const mapYToDb = (y)=> yMin + (Math.max(0, Math.min(gridH, y)) / gridH) * (yMax - yMin);
+      const assertNear5 = (val, expect)=> console.assert(Math.abs(round5(val) - expect) <= 0, `round5(${val}) ~= ${expect}`);
+      assertNear5(mapYToDb( (0) ), -10);
       assertNear5(mapYToDb( gridH*0.5 ), 55); // 中央
       assertNear5(mapYToDb( gridH ), 120);
       // clamp extremes
@@ -4126,6 +3658,20 @@ ${episodeHint ? `
   const [showAnswer, setShowAnswer] = useState(false);
   const [overMaskingWarning, setOverMaskingWarning] = useState(true); // オーバーマスキング警告のON/OFF
   const [crossHearingWarning, setCrossHearingWarning] = useState(true); // クロスヒアリング警告のON/OFF
+
+  // 試験モード（講師が発行した試験コードで開始）。試験中は正答表示・警告・推論ガイドを切る
+  // 提出後も試験モードを終了するまでは切ったまま（試験の症例の正答を画面に出さない）
+  const [exam, setExam] = useState(null);
+  const [examBusy, setExamBusy] = useState(false);
+  const examActive = !!exam;
+  useEffect(() => {
+    if (!examActive) return;
+    setShowAnswer(false);
+    setOverMaskingWarning(false);
+    setCrossHearingWarning(false);
+    setGuidedMaskingMode(false);
+    setShowAiAnswer(false);
+  }, [examActive, showAnswer, overMaskingWarning, crossHearingWarning, guidedMaskingMode, showAiAnswer]);
   const [blinkOn, setBlinkOn] = useState(true);
 
   // 現在位置フラッシュ用（点滅カーソル）
@@ -4149,6 +3695,24 @@ ${episodeHint ? `
   useEffect(() => {
     console.log('showAnswer changed:', showAnswer);
   }, [showAnswer]);
+  const freqIndex = useMemo(() => Math.max(0, FREQS.indexOf(freq)), [freq]);
+  const moveFreq = useCallback((dir /* -1 | 1 */) => {
+    let idx = clamp(freqIndex + dir, 0, FREQS.length - 1);
+    // BC時は125/8000Hzと中間周波数をスキップ
+    if (trans === 'BC') {
+      while (BC_DISABLED.has(FREQS[idx])) {
+        idx = clamp(idx + dir, 0, FREQS.length - 1);
+        if (idx === 0 || idx === FREQS.length - 1) break;
+      }
+    }
+    setFreq(FREQS[idx]);
+  }, [freqIndex, trans]);
+  const removePointAtCurrent = useCallback(() => {
+    setPoints(prev => prev.filter(q => !(
+      q.ear===ear && q.transducer===trans && q.freq===freq && q.masked===masked
+    )));
+    setUndetermined(prev => prev.filter(k => k !== `${ear}|${trans}|${freq}`));
+  }, [ear, trans, freq, masked]);
   // Keyboard: Arrow keys for navigation and level control
   useEffect(() => {
     if (typeof window === 'undefined') return;
@@ -4165,20 +3729,12 @@ ${episodeHint ? `
       if (e.key === 'ArrowRight') {
         e.preventDefault();
         console.log('右キー押下');
-        setFreq((prev) => {
-          const idx = Math.max(0, FREQS.indexOf(prev));
-          const nextIdx = Math.min(FREQS.length - 1, idx + 1);
-          return FREQS[nextIdx];
-        });
+        moveFreq(1);
       }
       if (e.key === 'ArrowLeft') {
         e.preventDefault();
         console.log('左キー押下');
-        setFreq((prev) => {
-          const idx = Math.max(0, FREQS.indexOf(prev));
-          const nextIdx = Math.max(0, idx - 1);
-          return FREQS[nextIdx];
-        });
+        moveFreq(-1);
       }
 
       // レベル調整（上下キー）— 閾値はプロットせずレベルのみ変更（閾値決定ボタンでプロット）
@@ -4211,7 +3767,7 @@ ${episodeHint ? `
     return () => {
       window.removeEventListener('keydown', onKeyDown, { capture: true });
     };
-  }, [ear, trans, masked, freq, level]);
+  }, [moveFreq, removePointAtCurrent]);
 
   // 周波数が変わったら一度ランプを消灯
   useEffect(() => { setSuppressLamp(true); }, [freq]);
@@ -4221,18 +3777,6 @@ ${episodeHint ? `
     setCursorBlinkEnabled(true);
   }, [ear, trans, freq, level]);
 
-  const freqIndex = useMemo(() => Math.max(0, FREQS.indexOf(freq)), [freq]);
-  function moveFreq(dir /* -1 | 1 */) {
-    let idx = clamp(freqIndex + dir, 0, FREQS.length - 1);
-    // BC時は125/8000Hzをスキップ
-    if (trans === 'BC') {
-      while (BC_DISABLED.has(FREQS[idx])) {
-        idx = clamp(idx + dir, 0, FREQS.length - 1);
-        if (idx === 0 || idx === FREQS.length - 1) break;
-      }
-    }
-    setFreq(FREQS[idx]);
-  }
   // clicking on chart -> add/replace point for current ear/trans/masked+freq
   function addOrReplacePoint(p, opts) {
     const disableBlinkAfter = opts && typeof opts.disableBlinkAfter === 'boolean' ? opts.disableBlinkAfter : true;
@@ -4241,12 +3785,23 @@ ${episodeHint ? `
       setSuppressLamp(true);
       return;
     }
-    const p2 = { ...p, masked: p.masked };
-    const max = maxPresentable(p2.transducer, p2.freq);
+    // マスク量も残す（マスキングを含めた採点で打点時の条件を再現する）
+    const p2 = { ...p, masked: p.masked, ...(p.masked ? { maskLevel: p.maskLevel ?? maskLevel } : {}) };
+    const max = maxPresentable(p2.transducer, p2.freq, earphone);
     const atMax = p2.dB >= max;
     const testEarHeardAtMax = max >= getActualThreshold(p2.ear, p2.transducer, p2.freq, p2.masked, p2.masked ? maskLevel : -15);
     const so = atMax && !testEarHeardAtMax;
     const p3 = { ...p2, dB: atMax ? max : p2.dB, ...(so ? { so: true } : {}) };
+    const retestKey = `${p3.ear}|${p3.transducer}|${p3.freq}`;
+    setRetestCounts(prev => ({ ...prev, [retestKey]: (prev[retestKey] || 0) + 1 }));
+    setUndetermined(prev => prev.filter(k => k !== retestKey));
+    if (p3.masked && maskLevel > -15) {
+      const pair = { mask: maskLevel, threshold: p3.dB, ...(p3.so ? { so: true } : {}) };
+      setMaskingPairs(prev => ({
+        ...prev,
+        [retestKey]: [...(prev[retestKey] || []).filter(x => x.mask !== maskLevel), pair],
+      }));
+    }
 
     setPoints(prev => {
       const k = (x) => `${x.ear}|${x.transducer}|${x.masked ? 'M' : 'U'}|${x.freq}`;
@@ -4269,6 +3824,7 @@ ${episodeHint ? `
         masked: p3.masked,
         maskLevel: masked ? maskLevel : -15,
         so: !!p3.so,
+        earphone,
         caseId: selectedPreset,
         source
       };
@@ -4310,7 +3866,7 @@ ${episodeHint ? `
     dBraw += CAL_OFFSET_DB; // optional small offset (kept 0 by default)
     const dBclamped = clamp(round5(dBraw), Y_MIN, Y_MAX);
 
-    const max = maxPresentable(trans, freq);
+    const max = maxPresentable(trans, freq, earphone);
     const atMax = dBclamped >= max;
     const testEarHeardAtMax = max >= getActualThreshold(ear, trans, freq, masked, masked ? maskLevel : -15);
     const so = atMax && !testEarHeardAtMax;
@@ -4321,12 +3877,14 @@ ${episodeHint ? `
     setSuppressLamp(false);
   }
 
-  function removePointAtCurrent() {
-    setPoints(prev => prev.filter(q => !(
-      q.ear===ear && q.transducer===trans && q.freq===freq && q.masked===masked
-    )));
+  function clearAll() { setPoints([]); setUndetermined([]); }
+  // マスキングジレンマなどで閾値が決められない条件を「決定不能」として記録（打点は消す）
+  function markUndeterminedAtCurrent() {
+    if (trans === 'BC' && BC_DISABLED.has(freq)) return;
+    const key = `${ear}|${trans}|${freq}`;
+    setPoints(prev => prev.filter(q => !(q.ear===ear && q.transducer===trans && q.freq===freq)));
+    setUndetermined(prev => (prev.includes(key) ? prev : [...prev, key]));
   }
-  function clearAll() { setPoints([]); }
 
   // ---- Target lookup for cross-hearing & lamp logic ----
   const targetMap = useMemo(() => {
@@ -4337,11 +3895,93 @@ ${episodeHint ? `
       // ただし、応答判定には常にunmaskedの閾値を使用する
       const overMax = (t.transducer==='AC' ? (AC_MAX[t.freq] ?? 110) : (BC_MAX[t.freq] ?? 110)) + 50;
       const dB = t.so ? overMax : t.dB;
-      map.set(`${t.ear}|${t.transducer}|${t.freq}`, { dB });
+      map.set(`${t.ear}|${t.transducer}|${t.freq}`, { dB, ...(typeof t.organic === 'number' ? { organic: t.organic } : {}) });
     });
     return map;
   }, [targets]);
 
+  const getThr = useCallback((earKey, transKey, f) => {
+    const key = `${earKey}|${transKey}|${f}`;
+    const v = targetMap.get(key);
+    
+    
+    if (v && typeof v.dB === 'number') {
+      // SO（Scale-Out）の場合は最大値+50dBを返す
+      if (v.dB >= 110) {
+        return (transKey === 'AC' ? (AC_MAX[f] ?? 110) : (BC_MAX[f] ?? 110)) + 50;
+      }
+      return v.dB;
+    }
+    return Infinity; // missing → treat as no response
+  }, [targetMap]);
+  // 器質的閾値（機能性難聴の耳のみ申告閾値と異なる）。クロスヒアリング・Stengerの判定に使う
+  const getOrganicThr = useCallback((earKey, transKey, f) => {
+    const v = targetMap.get(`${earKey}|${transKey}|${f}`);
+    return v && typeof v.organic === 'number' ? v.organic : getThr(earKey, transKey, f);
+  }, [targetMap, getThr]);
+  // 機能性難聴の耳の申告閾値：初回は正答どおり、閾値を決め直すたびにぶれる
+  const getAdmittedThr = useCallback((earKey, transKey, f) => {
+    if (earKey !== nonOrganicEar) return getThr(earKey, transKey, f);
+    const key = `${earKey}|${transKey}|${f}`;
+    return nonOrganicThreshold(patientBehavior.seed, key, retestCounts[key] || 0, getThr(earKey, transKey, f), getOrganicThr(earKey, transKey, f));
+  }, [nonOrganicEar, patientBehavior.seed, retestCounts, getThr, getOrganicThr]);
+  const getActualThreshold = useCallback((earKey, transKey, f, isMasked, mLevel) => {
+    const useMasked = isMasked !== undefined ? isMasked : masked;
+    const useMaskLevel = mLevel !== undefined ? mLevel : maskLevel;
+    const teThr = getAdmittedThr(earKey, transKey, f);
+
+    // オーバーマスキングの計算
+    let actualThreshold = teThr;
+    if (useMasked) {
+      // マスキングの上限 = 測定耳BC閾値 + マスカー受話器のIA
+      const testEarBC = getThr(earKey, 'BC', f);
+      const maskingLimit = testEarBC + getIa(f, 'AC');
+      if (useMaskLevel > maskingLimit) {
+        const overMasking = useMaskLevel - maskingLimit;
+        actualThreshold = teThr + overMasking;
+      }
+      // 中枢マスキング（オーバーマスキングとは別に数dBの閾値上昇）
+      const nteBC = getOrganicThr(earKey === 'R' ? 'L' : 'R', 'BC', f);
+      actualThreshold += getCentralMaskingShiftDb(responseModel, useMasked, useMaskLevel, nteBC);
+    }
+    return actualThreshold;
+  }, [masked, maskLevel, responseModel, getAdmittedThr, getThr, getIa, getOrganicThr]);
+  // 応答が得られる最小レベル = min(測定耳の実際の閾値, クロスヒアリングが起きるレベル)
+  const getResponseThreshold = useCallback((earKey, transKey, f, isMasked, mLevel) => {
+    const useMasked = isMasked !== undefined ? isMasked : masked;
+    const useMaskLevel = mLevel !== undefined ? mLevel : maskLevel;
+    
+    const nte = earKey === 'R' ? 'L' : 'R';
+    const ia = getIa(f, transKey);
+    // 閉塞効果：塞がれた非測定耳では骨導が大きく聞こえる（＝必要マスク量が増える）
+    const occlusion = getOcclusionEffectDb(responseModel, transKey, f, useMasked, earphone);
+
+    // マスキングの基本原理：
+    // AC測定時：非測定耳のBC閾値と比較
+    // BC測定時：非測定耳のBC閾値と比較
+    const nteBC = getOrganicThr(nte, 'BC', f);
+    
+    // マスキングの計算
+    let effectiveMask = nteBC;
+    if (useMasked && useMaskLevel > nteBC) {
+      // マスキングレベルが非測定耳BC閾値より高い場合
+      effectiveMask = useMaskLevel;
+    }
+    
+    // L − IA + OE ≥ effectiveMask でクロスヒアリング
+    const crossThreshold = effectiveMask + ia - occlusion;
+    
+    // 実際の閾値（オーバーマスキング考慮後）
+    const actualThreshold = getActualThreshold(earKey, transKey, f, useMasked, useMaskLevel);
+    // 機能性難聴の耳: 非検査耳で聞こえても「検査耳には聞こえない」と答える（陰影曲線が出ない）
+    if (earKey === nonOrganicEar) return actualThreshold;
+    
+    return Math.min(actualThreshold, crossThreshold);
+  }, [masked, maskLevel, responseModel, earphone, nonOrganicEar, getIa, getOrganicThr, getActualThreshold]);
+  const hearsAtLevel = useCallback((earKey, transKey, f, L, isMasked, mLevel) => (
+    L >= getResponseThreshold(earKey, transKey, f, isMasked, mLevel)
+  ), [getResponseThreshold]);
+
   // オーバーマスキング検出
   const overMaskingDetails = useMemo(() => {
     if (!masked || !overMaskingWarning) return null;
@@ -4351,12 +3991,13 @@ ${episodeHint ? `
       return null;
     }
 
-    // マスキングの上限 = 測定耳BC閾値 + 50dB
-    const maskingLimit = testEarBC + 50;
+    // マスキングの上限 = 測定耳BC閾値 + マスカー受話器のIA（ヘッドホン 50dB）
+    const maskerIa = getIa(freq, 'AC');
+    const maskingLimit = testEarBC + maskerIa;
     const overBy = Math.max(0, maskLevel - maskingLimit);
 
-    return { testEarBC, maskingLimit, overBy };
-  }, [masked, maskLevel, ear, freq, overMaskingWarning, targetMap]);
+    return { testEarBC, maskingLimit, maskerIa, overBy };
+  }, [masked, maskLevel, ear, freq, overMaskingWarning, getThr, getIa]);
   const isOverMasking = !!overMaskingDetails && overMaskingDetails.overBy > 0;
 
   // クロスヒアリング検出
@@ -4369,8 +4010,9 @@ ${episodeHint ? `
     }
     
     const nte = ear === 'R' ? 'L' : 'R';
-    const ia = icSettings[freq]?.[trans] ?? (trans === 'AC' ? 50 : 0);
-    const leakedToNTE = level - ia;
+    const ia = getIa(freq, trans);
+    const occlusion = getOcclusionEffectDb(responseModel, trans, freq, masked, earphone);
+    const leakedToNTE = level - ia + occlusion;
     const nteBC = getThr(nte, 'BC', freq);
 
     // マスキングが適用されている場合の効果的なマスキングレベル
@@ -4391,35 +4033,25 @@ ${episodeHint ? `
           nteBC,
           effectiveMask,
           ia,
+          occlusion,
           nte
         }
       };
     }
     
     return { isCrossHearing: false, details: null };
-  }, [level, ear, trans, freq, masked, maskLevel, crossHearingWarning, targetMap, icSettings]);
+  }, [level, ear, trans, freq, masked, maskLevel, crossHearingWarning, responseModel, earphone, getThr, getIa]);
 
   const maskBandVisual = useMemo(() => {
     if (!masked || (typeof maskLevel !== 'number') || maskLevel <= -15) return null;
     const idx = freqIndex;
     if (idx < 0 || idx >= FREQS.length) return null;
 
-    const centerFreq = FREQS[idx];
-    const lowerBound = centerFreq / Math.SQRT2;
-    const upperBound = centerFreq * Math.SQRT2;
-
-    let lowerIdx = 0;
-    for (let i = 0; i < FREQS.length; i += 1) {
-      if (FREQS[i] >= lowerBound) { lowerIdx = i; break; }
-    }
-    let upperIdx = FREQS.length - 1;
-    for (let i = FREQS.length - 1; i >= 0; i -= 1) {
-      if (FREQS[i] <= upperBound) { upperIdx = i; break; }
-    }
-
+    // 狭帯域マスカーの中心（対数軸上で ±padding オクターブ）
+    const centerX = freqToX(FREQS[idx]);
     const padding = 0.35;
-    let x1 = clamp(lowerIdx - padding, X_DOMAIN[0], X_DOMAIN[1]);
-    let x2 = clamp(upperIdx + padding, X_DOMAIN[0], X_DOMAIN[1]);
+    let x1 = clamp(centerX - padding, X_DOMAIN[0], X_DOMAIN[1]);
+    let x2 = clamp(centerX + padding, X_DOMAIN[0], X_DOMAIN[1]);
     if (x2 - x1 < 0.1) {
       x2 = Math.min(X_DOMAIN[1], x1 + 0.1);
     }
@@ -4456,66 +4088,14 @@ ${episodeHint ? `
     };
   }, [masked, maskLevel, freqIndex, ear, isOverMasking, crossHearingInfo, targetMap, freq]);
 
-  function getThr(earKey, transKey, f) {
-    const key = `${earKey}|${transKey}|${f}`;
-    const v = targetMap.get(key);
-    
-    
-    if (v && typeof v.dB === 'number') {
-      // SO（Scale-Out）の場合は最大値+50dBを返す
-      if (v.dB >= 110) {
-        return (transKey === 'AC' ? (AC_MAX[f] ?? 110) : (BC_MAX[f] ?? 110)) + 50;
-      }
-      return v.dB;
-    }
-    return Infinity; // missing → treat as no response
-  }
-  function getActualThreshold(earKey, transKey, f, isMasked, mLevel) {
-    const useMasked = isMasked !== undefined ? isMasked : masked;
-    const useMaskLevel = mLevel !== undefined ? mLevel : maskLevel;
-    const teThr = getThr(earKey, transKey, f);
-
-    // オーバーマスキングの計算
-    let actualThreshold = teThr;
-    if (useMasked) {
-      // マスキングの上限 = 測定耳BC閾値 + 50dB
-      const testEarBC = getThr(earKey, 'BC', f);
-      const maskingLimit = testEarBC + 50;
-      if (useMaskLevel > maskingLimit) {
-        const overMasking = useMaskLevel - maskingLimit;
-        actualThreshold = teThr + overMasking;
-      }
-    }
-    return actualThreshold;
-  }
-  function hearsAtLevel(earKey, transKey, f, L, isMasked, mLevel) {
-    const useMasked = isMasked !== undefined ? isMasked : masked;
-    const useMaskLevel = mLevel !== undefined ? mLevel : maskLevel;
-    
-    const nte = earKey === 'R' ? 'L' : 'R';
-    const ia = icSettings[f]?.[transKey] ?? (transKey === 'AC' ? 50 : 0);
-    const leakedToNTE = L - ia;
-    
-    // マスキングの基本原理：
-    // AC測定時：非測定耳のBC閾値と比較
-    // BC測定時：非測定耳のBC閾値と比較
-    const nteBC = getThr(nte, 'BC', f);
-    
-    // マスキングの計算
-    let effectiveMask = nteBC;
-    if (useMasked && useMaskLevel > nteBC) {
-      // マスキングレベルが非測定耳BC閾値より高い場合
-      effectiveMask = useMaskLevel;
-    }
-    
-    const crossHeard = leakedToNTE >= effectiveMask;
-    
-    const actualThreshold = getActualThreshold(earKey, transKey, f, useMasked, useMaskLevel);
-    
-    // 実際の閾値（オーバーマスキング考慮後）で判定
-    const testEarHeard = L >= actualThreshold;
-    
-    return testEarHeard || crossHeard;
+  // 両耳同時提示（Stenger）: 音像は感覚レベルの高い耳に定位し、患者はその耳で聞こえたかを答える
+  function hearsBinaural(f, levels) {
+    const sl = (e) => (Number.isFinite(levels[e]) ? levels[e] - getOrganicThr(e, 'AC', f) : -Infinity);
+    if (sl('R') < 0 && sl('L') < 0) return false;
+    const image = sl('R') >= sl('L') ? 'R' : 'L';
+    // 機能性難聴の耳に定位すると、申告閾値を超えない限り「聞こえない」と答える（良聴耳に十分な音があっても無応答＝Stenger陽性）
+    if (image === nonOrganicEar) return hearsAtLevel(image, 'AC', f, levels[image], false, -15);
+    return ['R', 'L'].some((e) => Number.isFinite(levels[e]) && hearsAtLevel(e, 'AC', f, levels[e], false, -15));
   }
 
   // series data (user)
@@ -4525,33 +4105,35 @@ ${episodeHint ? `
       const key = seriesKey(p);
       if (!m[key]) m[key] = [];
       const i = Math.max(0, FREQS.indexOf(p.freq));
-      const xIdx = i;
-      m[key].push({ x: xIdx, idx: i, y: p.dB, ...(p.so ? { so: true } : {}) });
+      const xIdx = freqToX(p.freq);
+      m[key].push({ x: xIdx, idx: i, freq: p.freq, y: p.dB, ...(p.so ? { so: true } : {}) });
     });
     return m;
   }, [points]);
 
   // AC lines (connect) — break at Scale-Out and at gaps
   // AC線はUnmasked/Maskedを区別せず、同じ周波数の打点があれば線で結ぶ
+  // 未測定の中間周波数は線を切らずに飛ばす（オクターブ周波数の欠測では切る）
   const acLineData = useMemo(() => {
     const out = {};
     // AC系列を耳ごとに統合
     ['R', 'L'].forEach(ear => {
       const key = `${ear}-AC`;
-      out[key] = FREQS.map((_, i) => ({ x: i, y: null }));
+      out[key] = [];
       
       // 現在の周波数のUnmasked/Maskedの両方の打点を取得
-      FREQS.forEach((freq, i) => {
-        const unmaskedPt = seriesData[`${ear}-AC-U`]?.find(p => p.x === i);
-        const maskedPt = seriesData[`${ear}-AC-M`]?.find(p => p.x === i);
+      FREQS.forEach((freq) => {
+        const unmaskedPt = seriesData[`${ear}-AC-U`]?.find(p => p.freq === freq);
+        const maskedPt = seriesData[`${ear}-AC-M`]?.find(p => p.freq === freq);
         
         // どちらかがあれば使用（優先順位: 現在選択されているmasked状態）
         const pt = maskedPt || unmaskedPt;
+        const x = freqToX(freq);
         
-        if (pt) {
-          if (!pt.so) {
-            out[key][i] = { x: i, y: pt.y };
-          }
+        if (pt && !pt.so) {
+          out[key].push({ x, y: pt.y });
+        } else if (pt || !isInterimFreq(freq)) {
+          out[key].push({ x, y: null });
         }
       });
     });
@@ -4563,8 +4145,7 @@ ${episodeHint ? `
     const m = {}; SERIES.forEach(s => m[s.key] = []);
     (targets||[]).forEach(t => {
       if (t.transducer === 'BC' && BC_DISABLED.has(t.freq)) return;
-      const i = Math.max(0, FREQS.indexOf(t.freq));
-      const xIdx = i;
+      const xIdx = freqToX(t.freq);
       const isSO = !!t.so;
       // dB値を5dB刻みに丸める（プリセット・ランダム共通）
       const rawYVal = isSO
@@ -4574,7 +4155,7 @@ ${episodeHint ? `
       // 正しいキーを使用（BC値もunmasked/maskedの状態に応じて）
       const key = `${t.ear}-${t.transducer}-${t.masked ? 'M' : 'U'}`;
       m[key] = m[key] || [];
-      m[key].push({ x: xIdx, y: yVal, ...(isSO ? { so:true } : {}) });
+      m[key].push({ x: xIdx, freq: t.freq, y: yVal, ...(isSO ? { so:true } : {}) });
     });
     return m;
   }, [targets]);
@@ -4583,12 +4164,13 @@ ${episodeHint ? `
   const answerLineData = useMemo(() => {
     const out = {};
     SERIES.filter(s => s.key.includes('-AC-')).forEach(s => {
-      out[s.key] = FREQS.map((_, i) => ({ x: i, y: null }));
       const pts = (answerSeriesData[s.key] || []);
-      pts.forEach(p => {
-        const i = p.x;
-        if (!p || typeof i !== 'number') return;
-        out[s.key][i] = p.so ? { x: i, y: null } : { x: i, y: p.y };
+      out[s.key] = [];
+      FREQS.forEach(freq => {
+        const p = pts.find(x => x.freq === freq);
+        const x = freqToX(freq);
+        if (p && !p.so) out[s.key].push({ x, y: p.y });
+        else if (p || !isInterimFreq(freq)) out[s.key].push({ x, y: null });
       });
     });
     return out;
@@ -4597,53 +4179,166 @@ ${episodeHint ? `
   // Response lamp (current condition vs target >= OR cross-hearing)
   // BC値は常にmasked:trueとして保存されるが、応答判定ではmaskedの条件を無視する
   const currentTarget = useMemo(() => (targets||[]).find(x => x.ear===ear && x.transducer===trans && x.freq===freq), [targets, ear, trans, freq]);
-  const lampOn = useMemo(() => {
+  const idealLampOn = useMemo(() => {
     if (!currentTarget) return false;
     if (suppressLamp) return false; // 抑制中は消灯
     const L = round5(level);
     
     // オーバーマスキングを考慮した応答判定
     return hearsAtLevel(ear, trans, freq, L);
-  }, [currentTarget, level, ear, trans, freq, masked, maskLevel, targetMap, suppressLamp, icSettings]);
+  }, [currentTarget, level, ear, trans, freq, suppressLamp, hearsAtLevel]);
+
+  // 提示の記録：条件とレベルが一定時間止まったら1回の提示とみなす（スライダー操作の途中経過は数えない）
+  // 模擬患者モードでは提示ごとに seed 付き乱数で応答を決め、反応潜時の後にランプを点ける
+  const presentationCountsRef = useRef(new Map());
+  const [presentationTick, setPresentationTick] = useState(0);
+  // 操作記録（再生用のイベントストリーム）。症例ごとに新しいセッションを始める
+  const [sessionRecording, setSessionRecording] = useState(null);
+  const sessionRecorderRef = useRef({ targets: null, state: null, marks: null });
+  const recordSessionEvents = useCallback((makeEvents) => {
+    const now = Date.now();
+    setSessionRecording(s => (s ? appendSessionEvents(s, makeEvents(now - s.startedAt)) : s));
+  }, []);
+  const [patientLampOn, setPatientLampOn] = useState(false);
+  const [presentationLog, setPresentationLog] = useState([]);
+  useEffect(() => {
+    presentationCountsRef.current = new Map();
+    setPresentationLog([]);
+    setRetestCounts({});
+  }, [currentCaseInfo]);
+  useEffect(() => {
+    setUndetermined([]);
+    setMaskingPairs({});
+  }, [targets]);
+  // 応答は提示が確定した時点の最新のモデル（正答・受話器・応答モデル・再検査回数）で決める。
+  // 依存に入れると閾値を決めただけ（再検査回数が増える）で同じ提示をもう1回数えてしまうので ref で渡す
+  const responseThresholdRef = useRef(getResponseThreshold);
+  useEffect(() => {
+    responseThresholdRef.current = getResponseThreshold;
+  }, [getResponseThreshold]);
+  useEffect(() => {
+    setPatientLampOn(false);
+    if (!currentTarget || suppressLamp) return undefined;
+    const L = round5(level);
+    const mLevel = masked ? maskLevel : -15;
+    let latencyTimer = null;
+    const settleTimer = setTimeout(() => {
+      const key = `${ear}|${trans}|${freq}|${L}|${mLevel}`;
+      const count = (presentationCountsRef.current.get(key) || 0) + 1;
+      presentationCountsRef.current.set(key, count);
+      const response = simulateResponse(patientBehavior, {
+        key,
+        count,
+        level: L,
+        threshold: responseThresholdRef.current(ear, trans, freq),
+        freq,
+      });
+      setPresentationLog(prev => [...prev, {
+        at: Date.now(),
+        ear,
+        transducer: trans,
+        freq,
+        level: L,
+        masked,
+        maskLevel: mLevel,
+        responded: response.responded,
+      }]);
+      recordSessionEvents(t => [{ t, type: 'present', ear, transducer: trans, freq, level: L, masked, maskLevel: mLevel, responded: response.responded }]);
+      if (patientBehavior.enabled && response.responded) {
+        latencyTimer = setTimeout(() => setPatientLampOn(true), response.latencyMs);
+      }
+    }, PRESENTATION_SETTLE_MS);
+    return () => {
+      clearTimeout(settleTimer);
+      if (latencyTimer) clearTimeout(latencyTimer);
+    };
+  }, [patientBehavior, currentTarget, level, ear, trans, freq, masked, maskLevel, suppressLamp, presentationTick, recordSessionEvents]);
+  const protocolAnalysis = useMemo(() => analyzeProtocol(presentationLog, points), [presentationLog, points]);
+  // マスキング関数（モデル）: マスク量ごとの応答閾値と、未マスク／プラトー／過剰マスキングの区分
+  const maskingFunction = useMemo(() => {
+    if (!currentTarget || (trans === 'BC' && BC_DISABLED.has(freq))) return [];
+    const ceiling = maxPresentable(trans, freq, earphone) + 5;
+    const maskingLimit = getThr(ear, 'BC', freq) + getIa(freq, 'AC');
+    const out = [];
+    for (let m = 0; m < 120; m += 5) {
+      const resp = getResponseThreshold(ear, trans, freq, true, m);
+      const actual = getActualThreshold(ear, trans, freq, true, m);
+      const region = resp < actual ? 'under' : m > maskingLimit ? 'over' : 'plateau';
+      out.push({ mask: m, threshold: Math.min(resp, ceiling), region });
+    }
+    return out;
+  }, [currentTarget, ear, trans, freq, earphone, getThr, getIa, getResponseThreshold, getActualThreshold]);
+  // 中間周波数の測定要否（学習者の打点から判定）
+  // プリセット・DB の症例はオクターブの正答しかなく、中間周波数では応答が返らないので求めない
+  const pendingInterim = useMemo(
+    () => interimNotices(points, (f) => maxPresentable('AC', f, earphone) + 50)
+      .filter(x => !x.measured && targets.some(t => t.ear === x.ear && t.transducer === 'AC' && t.freq === x.freq)),
+    [points, earphone, targets]
+  );
+  const lampOn = patientBehavior.enabled ? patientLampOn : idealLampOn;
+
+  // 状態の変化と打点の増減を操作記録に残す（症例が変わったら記録を始め直す）
+  const sessionCaseId = currentCaseInfo?.caseFile ? currentCaseInfo.caseId : selectedPreset;
+  const audiometerState = useMemo(
+    () => ({ ear, transducer: trans, freq, level: round5(level), masked, maskLevel, lamp: !!lampOn }),
+    [ear, trans, freq, level, masked, maskLevel, lampOn]
+  );
+  useEffect(() => {
+    const rec = sessionRecorderRef.current;
+    const now = Date.now();
+    if (rec.targets !== targets) {
+      // 「決定不能」は症例の切り替えで消えるため空から始める
+      sessionRecorderRef.current = { targets, state: audiometerState, marks: { points, undetermined: [] } };
+      setSessionRecording(targets && targets.length ? startSession({ caseId: sessionCaseId, state: audiometerState, points, now }) : null);
+      return;
+    }
+    const marks = { points, undetermined };
+    sessionRecorderRef.current = { targets, state: audiometerState, marks };
+    setSessionRecording(s => (s
+      ? appendSessionEvents(s, [...diffAudiometerState(rec.state, audiometerState, now - s.startedAt), ...diffMarks(rec.marks, marks, now - s.startedAt)])
+      : s));
+  }, [targets, sessionCaseId, audiometerState, points, undetermined]);
 
   // オーバーマスキングを考慮した実際の閾値を取得
 
+  // 採点対象の正答と学習者の記録（checkAccuracy とルーブリック採点で共通）
+  function scoringItems() {
+    if (!targets || targets.length === 0) return [];
+
+    // 中間周波数は正答上で測定が必要な場合（または学習者が測定した場合）のみ採点
+    const trueAc = acThresholdsByEar(targets, (f) => (AC_MAX[f] ?? 110) + 50);
+    const requiredInterim = new Set(['R', 'L'].flatMap(e => requiredInterimFreqs(trueAc[e]).map(x => `${e}|${x.freq}`)));
+    return buildScoringItems({
+      targets,
+      points,
+      undetermined,
+      // マスキングジレンマの条件は「決定不能」も正解とする
+      dilemma: maskingDilemmaKeys(targets, { earphone, iaFor: (f) => getIa(f, 'AC') }),
+      isExcluded: (target) => target.transducer === 'BC' && BC_DISABLED.has(target.freq),
+      isOptional: (target) => isInterimFreq(target.freq) && !requiredInterim.has(`${target.ear}|${target.freq}`),
+      // マスキングなしでは非検査耳で聞こえてしまう項目（配点の区分に使う）
+      maskingRequired: (target) => {
+        const unmaskedResponse = getResponseThreshold(target.ear, target.transducer, target.freq, false, -15);
+        return unmaskedResponse < getActualThreshold(target.ear, target.transducer, target.freq, false, -15)
+          && unmaskedResponse <= maxPresentable(target.transducer, target.freq, earphone);
+      },
+    });
+  }
+
   // 正答との比較機能
   function checkAccuracy() {
     if (!targets || targets.length === 0) return { total: 0, correct: 0, accuracy: 0, allCorrect: false };
-    
-    let total = 0;
-    let correct = 0;
-    
-    // 各正答に対して、ユーザーの測定結果をチェック
-    targets.forEach(target => {
-      if (target.transducer === 'BC' && BC_DISABLED.has(target.freq)) return;
-      
-      total++;
-      
-      // 同じ条件（耳、トランスデューサー、周波数）の測定結果を探す
-      // マスキング状態は問わず、最終的な閾値のみで判定
-      const userMeasurement = points.find(p => 
-        p.ear === target.ear && 
-        p.transducer === target.transducer && 
-        p.freq === target.freq
-      );
-      
-      if (userMeasurement) {
-        // SO（Scale-Out）の場合は、ユーザーの測定もSOである必要がある
-        if (target.so) {
-          // 正答はSO判定された測定値（dB値の一致は不要、SO判定があれば正解）
-          if (userMeasurement.so) {
-            correct++;
-          }
-        } else {
-          // 通常の閾値が完全一致なら正解とする
-          if (userMeasurement.dB === target.dB && !userMeasurement.so) {
-            correct++;
-          }
-        }
-      }
-    });
+
+    const items = scoringItems();
+    const total = items.length;
+    const correct = items.filter(({ target, measured, undetermined: markedUndetermined, dilemma }) => {
+      if (markedUndetermined) return dilemma;
+      if (!measured) return false;
+      // SO（Scale-Out）の場合は、ユーザーの測定もSOである必要がある（dB値の一致は不要）
+      if (target.so) return !!measured.so;
+      // 通常の閾値が完全一致なら正解とする
+      return measured.dB === target.dB && !measured.so;
+    }).length;
     
     // 全ての測定値が一致しているか判定
     const allCorrect = total > 0 && correct === total;
@@ -4656,13 +4351,152 @@ ${episodeHint ? `
     };
   }
 
+  // 割り当てられた採点基準での得点（許容差・配点・SO 記号の減点・合格点）
+  function scoreRubric() {
+    // 試験は試験に付けた採点基準（なければ既定）で採点する
+    return scoreWithRubric(scoringItems(), exam ? (exam.rubric || DEFAULT_RUBRIC) : activeRubric.rubric);
+  }
+  // 学習進捗に残す形
+  function rubricProgressEntry(score) {
+    return {
+      rubricId: activeRubric.rubricId,
+      name: score.rubric.name,
+      earned: score.earned,
+      max: score.max,
+      penalty: score.penalty,
+      percent: score.percent,
+      passed: score.passed,
+    };
+  }
+
+  // 試験の開始（すでに開始済みならサーバーの開始時刻から続ける）
+  async function startExamMode(code) {
+    if (!window.confirm('試験を開始しますか？開始すると制限時間のカウントが始まり、ページを閉じても止まりません。')) return;
+    setExamBusy(true);
+    try {
+      const { data, error } = await startExam(code, currentStudentId);
+      if (error) {
+        alert(examErrorMessage(error));
+        return;
+      }
+      const next = examFromStartResponse(data);
+      if (next.submitted) {
+        alert(examErrorMessage({ message: 'already submitted' }));
+        setExam(next);
+        return;
+      }
+      if (!(await loadCaseCode(data.case_code, { exam: true }))) return;
+      setExam(next);
+    } finally {
+      setExamBusy(false);
+    }
+  }
+
+  // 試験の提出（1回のみ。制限時間になったら自動で呼ばれる）
+  async function submitExamResult({ expired }) {
+    if (!exam || exam.submitted || examBusy) return;
+    setExamBusy(true);
+    try {
+      const payload = buildExamPayload({
+        exam,
+        studentId: currentStudentId,
+        score: scoreRubric(),
+        accuracy: checkAccuracy(),
+        masking: gradeMasking(),
+        earphone,
+        session: sessionRecording,
+        points,
+        undetermined,
+        expired,
+      });
+      const { data, error } = await submitExam(exam.attemptId, payload);
+      if (error) {
+        alert(examErrorMessage(error));
+        if (error.message?.includes('already submitted')) setExam(prev => ({ ...prev, submitted: true }));
+        return;
+      }
+      setExam(prev => ({
+        ...prev,
+        submitted: true,
+        receipt: {
+          submittedAt: data.submitted_at,
+          timeTakenSec: data.time_taken_sec,
+          late: data.late,
+          signature: data.signature,
+          points: payload.points,
+        },
+      }));
+      void saveSessionRecording(currentStudentId, userId, sessionRecording);
+      alert(expired ? '制限時間になったため自動で提出しました。' : '提出しました。');
+    } finally {
+      setExamBusy(false);
+    }
+  }
+
+  // 試験モードの終了: 試験の症例は練習に持ち越さない（正答表示で開けないよう画面から消す）
+  function exitExamMode() {
+    setExam(null);
+    setTargets([]);
+    setPoints([]);
+    setUndetermined([]);
+    setCurrentCaseInfo(null);
+    setCustomPresetDetails(null);
+    setShowAnswer(false);
+    setShowAiAnswer(false);
+  }
+
+  // マスキングを含めた採点: 打点ごとに記録した条件（masked / maskLevel）を再現し、その条件で得られる閾値かを区分する
+  function gradeMasking() {
+    const items = [];
+    points.forEach(p => {
+      if (p.transducer === 'BC' && BC_DISABLED.has(p.freq)) return;
+      const target = (targets || []).find(t => t.ear === p.ear && t.transducer === p.transducer && t.freq === p.freq);
+      if (!target) return;
+      const mLevel = p.masked ? (p.maskLevel ?? maskLevel) : -15;
+      const correct = target.so ? !!p.so : (p.dB === target.dB && !p.so);
+      const grade = classifyMaskingGrade({
+        masked: p.masked,
+        correct,
+        responseThreshold: getResponseThreshold(p.ear, p.transducer, p.freq, p.masked, mLevel),
+        actualThreshold: getActualThreshold(p.ear, p.transducer, p.freq, p.masked, mLevel),
+        trueThreshold: getActualThreshold(p.ear, p.transducer, p.freq, false, -15),
+        centralShiftDb: getCentralMaskingShiftDb(responseModel, p.masked, mLevel, getOrganicThr(p.ear === 'R' ? 'L' : 'R', 'BC', p.freq)),
+        maxLevel: maxPresentable(p.transducer, p.freq, earphone),
+      });
+      items.push({
+        key: `${p.ear}|${p.transducer}|${p.freq}|${p.masked ? 'M' : 'U'}`,
+        ear: p.ear,
+        transducer: p.transducer,
+        freq: p.freq,
+        masked: p.masked,
+        maskLevel: p.masked ? mLevel : null,
+        dB: p.dB,
+        correct,
+        grade,
+      });
+    });
+    items.sort((a, b) => a.ear.localeCompare(b.ear) || a.transducer.localeCompare(b.transducer) || a.freq - b.freq);
+    return { items, ...summarizeMaskingGrades(items) };
+  }
+  // 学習進捗に残す形（区分の件数と打点ごとの区分）
+  function maskingProgressEntry(grading) {
+    return {
+      counts: grading.counts,
+      byEarTransducer: grading.byEarTransducer,
+      valid: grading.valid,
+      total: grading.total,
+      validRate: grading.validRate,
+      grades: Object.fromEntries(grading.items.map(x => [x.key, x.grade])),
+    };
+  }
+
   // セッション完了判定
   function isSessionComplete() {
     if (!targets || targets.length === 0) return false;
     
     const accuracy = checkAccuracy();
-    // 全ての測定が完了しているか、または80%以上の精度で完了とみなす
-    return accuracy.total === targets.length || accuracy.accuracy >= 80;
+    // 全ての測定が完了しているか、または採点基準の合格点に達していれば完了とみなす
+    return accuracy.total === targets.length || scoreRubric().passed;
   }
   // CSV出力機能
   function exportToCSV() {
@@ -4671,7 +4505,7 @@ ${episodeHint ? `
       return;
     }
     
-    const headers = ['No', '時刻', '耳', 'トランスデューサー', '周波数(Hz)', '閾値(dB)', 'マスキング', 'マスキングレベル(dB)', 'Scale-Out'];
+    const headers = ['No', '時刻', '耳', 'トランスデューサー', '受話器', '周波数(Hz)', '閾値(dB)', 'マスキング', 'マスキングレベル(dB)', 'Scale-Out'];
     const csvContent = [
       headers.join(','),
       ...measurementLog.map((log, index) => [
@@ -4679,6 +4513,7 @@ ${episodeHint ? `
         log.timestamp,
         log.ear,
         log.transducer,
+        EARPHONE_LABELS[log.earphone] || '-',
         log.freq,
         log.dB,
         log.masked ? 'ON' : 'OFF',
@@ -4721,6 +4556,8 @@ ${episodeHint ? `
         accuracy: learningProgress.caseAccuracy[caseId].accuracy,
         total: learningProgress.caseAccuracy[caseId].total,
         correct: learningProgress.caseAccuracy[caseId].correct,
+        masking: learningProgress.caseAccuracy[caseId].masking || null,
+        rubric: learningProgress.caseAccuracy[caseId].rubric || null,
         completedAt: learningProgress.caseAccuracy[caseId].completedAt
       })),
       learningProgress: learningProgress
@@ -4776,6 +4613,8 @@ ${episodeHint ? `
             <div class="measurement-item">
               <strong>症例${result.caseId}</strong> - 
               精度: ${result.accuracy}% (${result.correct}/${result.total}) | 
+              ${result.rubric ? `得点: ${result.rubric.earned}/${result.rubric.max} (${result.rubric.passed ? '合格' : '不合格'}) | ` : ''}
+              ${result.masking ? `マスキング妥当: ${result.masking.validRate}% (${result.masking.valid}/${result.masking.total}) | ` : ''}
               完了日: ${new Date(result.completedAt).toLocaleDateString('ja-JP')}
             </div>
           `).join('') : '<p>まだ完了した症例がありません。症例をロードして「正答照合」でセッションを完了してください。</p>'}
@@ -4804,10 +4643,36 @@ ${episodeHint ? `
     reportWindow.document.close();
   }
 
+  // 課題から開いた症例なら、正答照合の結果をその課題に提出する
+  function submitAssignmentResult(accuracy, rubricScore) {
+    if (!assignmentInProgress || !currentStudentId) return;
+    const { assignmentId, itemKey, item, title } = assignmentInProgress;
+    submitAssignmentItem(currentStudentId, userId, {
+      assignmentId,
+      itemKey,
+      accuracy: accuracy.accuracy,
+      score: rubricProgressEntry(rubricScore),
+    }).then(({ data }) => {
+      if (!data) return;
+      setAssignmentData(prev => ({ ...prev, submissions: [...prev.submissions.filter(x => x.id !== data.id), data] }));
+      // 期限後のやり直しはサーバーが期限内の提出を残す
+      const assignment = assignmentData.assignments.find(a => a.id === assignmentId);
+      const keptOnTime = !!assignment && assignmentStatus(assignment) === 'closed' && !isSubmissionLate(assignment, data);
+      setPresetToast(keptOnTime
+        ? `課題「${title}」は期限を過ぎているため、期限内の提出を残しました`
+        : `課題「${title}」の${assignmentItemLabel(item)}を提出しました`);
+      setTimeout(() => setPresetToast(''), 1500);
+    });
+  }
+
   // セッション完了機能
   function completeSession() {
     const accuracy = checkAccuracy();
-    const caseId = selectedPreset;
+    const masking = gradeMasking();
+    const rubricScore = scoreRubric();
+    const caseId = currentCaseInfo?.caseFile ? currentCaseInfo.caseId : selectedPreset;
+    void saveSessionRecording(currentStudentId, userId, sessionRecording);
+    submitAssignmentResult(accuracy, rubricScore);
     
     // 症例別の精度を更新
     setLearningProgress(prev => ({
@@ -4818,13 +4683,16 @@ ${episodeHint ? `
           total: accuracy.total,
           correct: accuracy.correct,
           accuracy: accuracy.accuracy,
+          masking: maskingProgressEntry(masking),
+          rubric: rubricProgressEntry(rubricScore),
+          earphone,
           completedAt: new Date().toISOString()
         }
       },
       completedCases: [...prev.completedCases, caseId]
     }));
     
-    alert(`症例${caseId}のセッションが完了しました！\n精度: ${accuracy.accuracy}% (${accuracy.correct}/${accuracy.total})`);
+    alert(`症例${caseId}のセッションが完了しました！\n精度: ${accuracy.accuracy}% (${accuracy.correct}/${accuracy.total})\n得点（${rubricScore.rubric.name}）: ${rubricSummaryLine(rubricScore)}\nマスキング条件の妥当: ${masking.validRate}% (${masking.valid}/${masking.total})`);
   }
 
   // 正答照合とセッション完了機能
@@ -4835,7 +4703,11 @@ ${episodeHint ? `
     }
 
     const accuracy = checkAccuracy();
-    const caseId = selectedPreset;
+    const masking = gradeMasking();
+    const rubricScore = scoreRubric();
+    const caseId = currentCaseInfo?.caseFile ? currentCaseInfo.caseId : selectedPreset;
+    void saveSessionRecording(currentStudentId, userId, sessionRecording);
+    submitAssignmentResult(accuracy, rubricScore);
     
     // ランダム症例の場合は成績追跡を更新（ただし学習進捗には含めない）
     if (caseId === 'Custom') {
@@ -4860,7 +4732,7 @@ ${episodeHint ? `
           ]
         };
       });
-      alert(`ランダム症例のセッションが完了しました！\n精度: ${accuracy.accuracy}% (${accuracy.correct}/${accuracy.total})\n（この成績は自動生成問題の進捗に記録されます）`);
+      alert(`ランダム症例のセッションが完了しました！\n精度: ${accuracy.accuracy}% (${accuracy.correct}/${accuracy.total})\n得点（${rubricScore.rubric.name}）: ${rubricSummaryLine(rubricScore)}\nマスキング条件の妥当: ${masking.validRate}% (${masking.valid}/${masking.total})\n（この成績は自動生成問題の進捗に記録されます）`);
       return;
     }
     
@@ -4873,6 +4745,9 @@ ${episodeHint ? `
           total: accuracy.total,
           correct: accuracy.correct,
           accuracy: accuracy.accuracy,
+          masking: maskingProgressEntry(masking),
+          rubric: rubricProgressEntry(rubricScore),
+          earphone,
           completedAt: new Date().toISOString()
         }
       },
@@ -4887,21 +4762,31 @@ ${episodeHint ? `
 ・正解数: ${accuracy.correct}項目
 ・精度: ${accuracy.accuracy}%
 
+【採点】${rubricScore.rubric.name}（許容差 ±${rubricScore.rubric.toleranceDb}dB）
+${rubricSummaryLine(rubricScore)}
+${RUBRIC_CATEGORIES.filter(c => rubricScore.byCategory[c].count > 0).map(c => `・${RUBRIC_CATEGORY_LABELS[c]}: ${rubricScore.byCategory[c].earned}/${rubricScore.byCategory[c].max}点（${rubricScore.byCategory[c].count}項目）`).join('\n')}
+
 【詳細】
-${targets.map((target, index) => {
-  if (target.transducer === 'BC' && BC_DISABLED.has(target.freq)) return '';
-  
-  const userMeasurement = points.find(p => 
-    p.ear === target.ear && 
-    p.transducer === target.transducer && 
-    p.freq === target.freq
-  );
-  
-  const isCorrect = userMeasurement ? userMeasurement.dB === target.dB : false;
-  const diff = userMeasurement ? Math.abs(userMeasurement.dB - target.dB) : null;
-  
-  return `${target.ear} ${target.transducer} ${target.freq}Hz: ${userMeasurement ? `${userMeasurement.dB}dB (正答: ${target.dB}dB, 差: ${diff}dB) ${isCorrect ? '✓' : '✗'}` : '未測定 ✗'}`;
-}).filter(line => line !== '').join('\n')}`;
+${rubricScore.items.map(x => {
+  const recorded = x.undetermined ? '決定不能' : x.measured ? (x.measured.so ? 'SO' : `${x.measured.dB}dB`) : '未測定';
+  const answer = x.target.so ? 'SO' : `${x.target.dB}dB`;
+  return `${x.ear} ${x.transducer} ${x.freq}Hz: ${recorded} (正答: ${answer}${x.diff ? `, 差: ${x.diff}dB` : ''}) ${RUBRIC_STATUS_LABELS[x.status]} ${x.points}/${x.weight}点`;
+}).join('\n')}
+
+【マスキング】妥当 ${masking.validRate}% (${masking.valid}/${masking.total})
+${MASKING_GRADES.filter(g => masking.counts[g] > 0).map(g => `・${MASKING_GRADE_LABELS[g]}: ${masking.counts[g]}`).join('\n')}
+${masking.items.map(x => `${x.ear} ${x.transducer} ${x.freq}Hz ${x.masked ? `マスク${x.maskLevel}dB` : 'マスクなし'}: ${MASKING_GRADE_LABELS[x.grade]}`).join('\n')}
+
+【手順（Hughson–Westlake）】
+${(() => {
+  const lines = [
+    ...protocolAnalysis.sessionFlags.map(x => `${x.ear}: ${PROTOCOL_FLAG_LABELS[x.flag] || x.flag}`),
+    ...Object.entries(protocolAnalysis.byFreq)
+      .filter(([, row]) => row.flags.length > 0)
+      .map(([key, row]) => `${key.split('|').join(' ')}Hz: ${row.flags.map(f => PROTOCOL_FLAG_LABELS[f] || f).join(' / ')}`),
+  ];
+  return lines.length ? lines.join('\n') : '逸脱なし';
+})()}`;
 
     alert(resultMessage);
   }
@@ -4985,6 +4870,7 @@ ${targets.map((target, index) => {
             </p>
           </div>
           <div className="flex gap-2 flex-wrap">
+            {!examActive && (
             <button
               type="button"
               onClick={() => setGuidedMaskingMode((v) => !v)}
@@ -4996,6 +4882,7 @@ ${targets.map((target, index) => {
             >
               {guidedMaskingMode ? '推論モード ON' : 'マスキング推論ガイド'}
             </button>
+            )}
             <button
               onClick={() => {
                 window.location.href = '/?view=eye-movement';
@@ -5035,6 +4922,8 @@ ${targets.map((target, index) => {
                   setCurrentStudentId(null);
                   setStudentId('');
                   setUsageHistory([]);
+                  setAssignmentData({ className: null, assignments: [], submissions: [] });
+                  setActiveAssignment(null);
                   lastDefaultProgressLogRef.current = '';
                   // sessionStorageからも削除
                   try {
@@ -5200,6 +5089,25 @@ ${targets.map((target, index) => {
           )}
         </div>
 
+        <ExamModePanel
+          exam={exam}
+          canStart={isAuthenticated && !isSupabaseDisabled}
+          busy={examBusy}
+          onStart={startExamMode}
+          onSubmit={submitExamResult}
+          onExit={exitExamMode}
+        />
+
+        {isAuthenticated && !isSupabaseDisabled && !examActive && (
+          <AssignmentsPanel
+            data={assignmentData}
+            loading={assignmentsLoading}
+            active={assignmentInProgress}
+            onOpenItem={openAssignmentItem}
+            onReload={loadAssignments}
+          />
+        )}
+
         {/* 講習会用説明 */}
         <div className="bg-blue-50 border border-blue-200 rounded-2xl p-4">
           <div className="flex items-start gap-3">
@@ -5217,6 +5125,9 @@ ${targets.map((target, index) => {
           </div>
         </div>
 
+        {/* 試験中は推論ガイドと他の検査・練習パネルを出さない */}
+        {!examActive && (
+        <>
         <GuidedMaskingReasoningPanel
           active={guidedMaskingMode}
           onActiveChange={setGuidedMaskingMode}
@@ -5226,15 +5137,80 @@ ${targets.map((target, index) => {
           maskLevel={maskLevel}
           masked={masked}
           targets={targets}
-          iaAC={icSettings[freq]?.AC ?? 50}
+          earphone={earphone}
+          iaAC={getIa(freq, 'AC')}
           iaBC={icSettings[freq]?.BC ?? 0}
+          occlusionDb={getOcclusionEffectDb(responseModel, trans, freq, true, earphone)}
           onApplyMask={(value) => {
             setMasked(true);
             setMaskLevel(value);
           }}
           onSetMasked={setMasked}
+          onMarkUndetermined={markUndeterminedAtCurrent}
+          plateauPairs={maskingPairs[`${ear}|${trans}|${freq}`] || []}
+          maskingFunction={maskingFunction}
+        />
+
+        <SpeechAudiometryPanel
+          targets={targets}
+          profiles={{
+            R: currentCaseInfo?.meta?.rightProfile || currentCaseInfo?.meta?.profile || null,
+            L: currentCaseInfo?.meta?.leftProfile || currentCaseInfo?.meta?.profile || null,
+          }}
+          speech={{ ...(currentCaseInfo?.speech || {}), nonOrganic: nonOrganicEar }}
+          earphone={earphone}
+        />
+
+        <TuningForkPanel
+          targets={targets}
+          patterns={currentCaseInfo?.meta ? {
+            R: inferCasePatternFromProfile(currentCaseInfo.meta.rightProfile || currentCaseInfo.meta.profile),
+            L: inferCasePatternFromProfile(currentCaseInfo.meta.leftProfile || currentCaseInfo.meta.profile),
+          } : null}
         />
 
+        <StengerTestPanel
+          targets={targets}
+          nonOrganicEar={nonOrganicEar}
+          onPresent={hearsBinaural}
+        />
+
+        <SessionReplayPanel session={sessionRecording} studentId={isAuthenticated ? currentStudentId : null} />
+
+        <PediatricAudiometryPanel
+          targets={targets}
+          ageGroup={currentCaseInfo?.meta?.ageGroup || null}
+          generating={isLoadingRandom}
+          onGenerate={async (ageGroup) => {
+            if (isLoadingRandom) return;
+            setIsLoadingRandom(true);
+            setRandomToast('🤖 小児症例を生成中…');
+            try {
+              await generateAICase({ ageGroup });
+              setRandomToast('✅ 小児症例を生成しました');
+            } catch (error) {
+              console.error('症例生成エラー:', error);
+              setRandomToast('❌ 症例生成に失敗しました');
+            } finally {
+              setTimeout(() => setRandomToast(''), 1500);
+              setIsLoadingRandom(false);
+            }
+          }}
+        />
+
+        <FollowUpPanel
+          series={followUpActive ? followUp.series : null}
+          visitIndex={followUpActive ? followUp.index : 0}
+          records={followUpActive ? followUp.records : []}
+          targets={targets}
+          points={points}
+          generating={isLoadingFollowUp}
+          onStart={startFollowUp}
+          onNextVisit={nextFollowUpVisit}
+        />
+        </>
+        )}
+
         {/* IC Settings */}
         <div className="bg-white rounded-2xl shadow p-4">
           <div className="flex flex-wrap items-center gap-3">
@@ -5245,7 +5221,16 @@ ${targets.map((target, index) => {
             >
               IC設定
             </button>
-            <span className="text-xs text-gray-400">※ 周波数ごとのIC値を設定（デフォルト: AC=50dB, BC=0dB）</span>
+            <span className="text-xs text-gray-400">※ 周波数ごとのIC値を設定（デフォルト: ヘッドホン AC=50dB／インサート AC=55〜70dB（周波数依存）, BC=0dB。受話器を切り替えると既定値に戻ります）</span>
+          </div>
+          <div className="flex flex-wrap items-center gap-3 mt-3 pt-3 border-t border-gray-100">
+            <span className="text-sm text-gray-600">応答モデル（症例の設定）</span>
+            <span className="text-sm">中枢マスキング: {responseModel.centralMasking ? 'あり' : 'なし'}</span>
+            <span className="text-sm">閉塞効果: {responseModel.occlusionEffect ? 'あり' : 'なし'}</span>
+            <span className="text-sm">模擬患者: {patientBehavior.enabled ? 'ふるまいあり' : '理想'}</span>
+            <span className="text-xs text-gray-400">
+              ※ 中枢マスキング: マスカーが非測定耳BC+{CENTRAL_MASKING_MIN_SL_DB}dB以上で測定耳閾値+{CENTRAL_MASKING_SHIFT_DB}dB ／ 閉塞効果: マスク下BCで250/500/1000Hzの必要マスク量 +{OCCLUSION_EFFECT_DB[250]}/{OCCLUSION_EFFECT_DB[500]}/{OCCLUSION_EFFECT_DB[1000]}dB
+            </span>
           </div>
         </div>
 
@@ -5262,10 +5247,10 @@ ${targets.map((target, index) => {
                       <label className="text-sm">AC:</label>
                       <input
                         type="number"
-                        value={icSettings[f]?.AC ?? 50}
+                        value={getIa(f, 'AC')}
                         onChange={e => {
                           const newSettings = { ...icSettings };
-                          newSettings[f] = { ...newSettings[f], AC: parseInt(e.target.value) || 50 };
+                          newSettings[f] = { ...newSettings[f], AC: parseInt(e.target.value) || getDefaultIaAC(earphone, f) };
                           setIcSettings(newSettings);
                         }}
                         className="w-20 px-2 py-1 border rounded"
@@ -5403,6 +5388,7 @@ ${targets.map((target, index) => {
                   width={800}
                   height={600}
                   tympanogramData={currentCaseInfo.tympanogram}
+                  probeToneHz={probeToneForAgeGroup(currentCaseInfo.meta?.ageGroup)}
                   durationMs={5000}
                   fps={20}
                 />
@@ -5543,6 +5529,9 @@ ${targets.map((target, index) => {
             </div>
           </div>
         )}
+        {/* 試験中は症例を切り替えられない */}
+        {!examActive && (
+        <>
         {/* Preset loader (secret) */}
         <div className="bg-white rounded-2xl shadow p-4">
           <div className="flex flex-wrap items-center gap-3">
@@ -5579,6 +5568,7 @@ ${targets.map((target, index) => {
               <option value="F">症例F</option>
               <option value="G">症例G</option>
               <option value="H">症例H</option>
+              <option value="I">症例I</option>
             </select>
             <button 
               className={`px-3 py-2 rounded-xl text-white text-sm flex items-center gap-2 ${
@@ -5590,7 +5580,7 @@ ${targets.map((target, index) => {
                 setIsLoadingPreset(true);
                 setPresetToast(`症例${selectedPreset}を読み込み中…`);
                 await new Promise(resolve => setTimeout(resolve, 400));
-                const p = selectedPreset==='A' ? PRESET_A : selectedPreset==='B' ? PRESET_B : selectedPreset==='C' ? PRESET_C : selectedPreset==='D' ? PRESET_D : selectedPreset==='E' ? PRESET_E : selectedPreset==='F' ? PRESET_F : selectedPreset==='G' ? PRESET_G : PRESET_H;
+                const p = selectedPreset==='A' ? PRESET_A : selectedPreset==='B' ? PRESET_B : selectedPreset==='C' ? PRESET_C : selectedPreset==='D' ? PRESET_D : selectedPreset==='E' ? PRESET_E : selectedPreset==='F' ? PRESET_F : selectedPreset==='G' ? PRESET_G : selectedPreset==='H' ? PRESET_H : PRESET_I;
                 setPoints([]);
                 setTargets(buildTargetsFromPreset(p));
                 setEar('R');
@@ -5688,6 +5678,45 @@ ${targets.map((target, index) => {
           </div>
         </div>
 
+        {/* 症例ファイル（教員が作成・配布した症例バンク） */}
+        <div className="bg-white rounded-2xl shadow p-4">
+          <div className="flex flex-wrap items-center gap-3">
+            <span className="text-sm text-gray-600">症例ファイル</span>
+            <label className="px-3 py-2 rounded-xl text-sm border border-teal-600 text-teal-700 bg-white hover:bg-teal-50 cursor-pointer">
+              📂 読み込む
+              <input
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                onChange={(e) => { importCaseFile(e.target.files?.[0]); e.target.value = ''; }}
+              />
+            </label>
+            {caseBank.length > 0 && (
+              <select
+                className="border rounded-xl px-2 py-1 text-sm"
+                value={caseBankId}
+                onChange={(e) => {
+                  const entry = caseBank.find(c => c.id === e.target.value);
+                  setCaseBankId(e.target.value);
+                  if (entry) loadCaseEntry(entry);
+                }}
+              >
+                {caseBank.map(c => (
+                  <option key={c.id} value={c.id}>{c.name}</option>
+                ))}
+              </select>
+            )}
+            <button
+              onClick={exportCurrentCase}
+              className="px-3 py-2 rounded-xl text-sm bg-gray-700 text-white hover:bg-gray-800"
+              title="表示中の症例（正答・症例情報・Tym・ART・IA）をJSONで保存"
+            >
+              💾 表示中の症例を書き出す
+            </button>
+            <span className="text-xs text-gray-400">※ 教員が配布した症例ファイル（JSON）を読み込みます。読み込むとプロットはクリアされます</span>
+          </div>
+        </div>
+
         {/* 聴力検査のみの自動症例生成 */}
         <div className="bg-white rounded-2xl shadow p-4">
           <div className="flex flex-wrap items-center gap-3">
@@ -5705,11 +5734,14 @@ ${targets.map((target, index) => {
             <span className="text-xs text-gray-400">※ オーディオグラムのみ生成（臨床情報なし）</span>
           </div>
         </div>
+        </>
+        )}
 
         {/* 臨床症例生成 */}
         <div className="bg-white rounded-2xl shadow p-4">
           <div className="flex flex-wrap items-center gap-3">
             <span className="text-sm text-gray-600">臨床症例生成</span>
+            {!examActive && (
             <button 
               className={`px-3 py-2 rounded-xl text-white text-sm flex items-center gap-2 transition-colors ${
                 isLoadingRandom ? 'bg-green-400 opacity-70 cursor-not-allowed' : 'bg-green-600 hover:bg-green-700'
@@ -5740,6 +5772,7 @@ ${targets.map((target, index) => {
                 '臨床症例生成'
               )}
             </button>
+            )}
             {/* 臨床症例用 症例情報＋Tym（常時表示。生成前は無効） */}
             <button
               onClick={() => {
@@ -5785,7 +5818,7 @@ ${targets.map((target, index) => {
                 DPOAE実施
               </button>
             )}
-            {currentCaseInfo?.caseId === 'AI生成' && (
+            {currentCaseInfo?.caseId === 'AI生成' && !examActive && (
               <button
                 onClick={() => setShowAiAnswer(v => !v)}
                 className={`px-3 py-2 rounded-xl text-sm flex items-center gap-2 border ${
@@ -5800,9 +5833,42 @@ ${targets.map((target, index) => {
             )}
             <span className="text-xs text-gray-400">※ 臨床症例生成：難聴パターン（正常・感音性・伝音性・混合性）と臨床情報を自動生成</span>
           </div>
+          {!examActive && (
+          <div className="flex flex-wrap items-center gap-2 mt-3">
+            <span className="text-sm text-gray-600">症例コード</span>
+            <input
+              className="px-3 py-2 border border-gray-300 rounded-xl text-sm w-48 uppercase"
+              placeholder="例: 1-21I3V9-1"
+              value={caseCodeInput}
+              onChange={(e) => setCaseCodeInput(e.target.value)}
+            />
+            <button
+              onClick={() => caseCodeInput.trim() && loadCaseCode(caseCodeInput)}
+              disabled={isLoadingRandom || !caseCodeInput.trim()}
+              className={`px-3 py-2 rounded-xl text-sm border ${isLoadingRandom || !caseCodeInput.trim() ? 'bg-gray-100 text-gray-400 border-gray-200 cursor-not-allowed' : 'bg-white text-green-700 border-green-600 hover:bg-green-50'}`}
+            >
+              コードで読み込む
+            </button>
+            {currentCaseInfo?.caseCode && (
+              <>
+                <span className="text-xs font-mono px-2 py-1 rounded bg-gray-100 text-gray-700">{currentCaseInfo.caseCode}</span>
+                <button
+                  onClick={copyCaseLink}
+                  className="px-3 py-2 rounded-xl text-sm bg-gray-700 text-white hover:bg-gray-800"
+                  title="同じ症例（オージオグラム・Tym・症例文）を開くリンク"
+                >
+                  🔗 共有リンクをコピー
+                </button>
+                {!currentCaseInfo.storyReproducible && (
+                  <span className="text-xs text-amber-700">※ この症例文はLLM生成のため、共有先では症例DB／定型の文面になります</span>
+                )}
+              </>
+            )}
+          </div>
+          )}
 
         {/* 答え合わせ（臨床症例用） */}
-        {currentCaseInfo?.caseId === 'AI生成' && showAiAnswer && (
+        {currentCaseInfo?.caseId === 'AI生成' && showAiAnswer && !examActive && (
           <div className="mt-3 p-3 border rounded-xl bg-gray-50">
             <div className="text-sm font-semibold mb-1">答え合わせ（耳ごとの最終診断タイプ）</div>
             <div className="text-sm text-gray-800 flex flex-wrap gap-4">
@@ -5821,6 +5887,8 @@ ${targets.map((target, index) => {
           <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
             <h2 className="text-lg font-semibold">Audiogram</h2>
             <div className="flex flex-wrap items-center gap-2">
+              {!examActive && (
+              <>
               <button onClick={() => setShowAnswer(a => !a)} className={`px-2 py-1 rounded-lg border text-xs ${showAnswer ? 'bg-emerald-600 text-white border-emerald-600' : 'bg-white text-gray-800'}`} title="正答（オーバーレイ）を表示/非表示">
                 {showAnswer ? '正答表示: ON' : '正答表示: OFF'}
               </button>
@@ -5837,6 +5905,8 @@ ${targets.map((target, index) => {
               <button onClick={() => setCrossHearingWarning(w => !w)} className={`px-2 py-1 rounded-lg border text-xs ${crossHearingWarning ? 'bg-orange-600 text-white border-orange-600' : 'bg-white text-gray-800'}`} title="クロスヒアリング警告のON/OFF">
                 {crossHearingWarning ? 'クロスヒアリング警告：ON' : 'クロスヒアリング警告：OFF'}
               </button>
+              </>
+              )}
             </div>
           </div>
 
@@ -5854,9 +5924,13 @@ ${targets.map((target, index) => {
               <div className="shrink-0">
                 <Control label="Transducer">
                   <div className="flex gap-2">
-                    <TinyToggle active={trans==='AC'} onClick={() => { setTrans('AC'); setFreq(1000); setSuppressLamp(true); }}>AC</TinyToggle>
-                    <TinyToggle active={trans==='BC'} onClick={() => { setTrans('BC'); setFreq(1000); setSuppressLamp(true); }}>BC</TinyToggle>
+                    <TinyToggle active={trans==='AC' && earphone==='supraAural'} onClick={() => { setTrans('AC'); changeEarphone('supraAural'); setFreq(1000); setSuppressLamp(true); }}>AC ヘッドホン</TinyToggle>
+                    <TinyToggle active={trans==='AC' && earphone==='insert'} onClick={() => { setTrans('AC'); changeEarphone('insert'); setFreq(1000); setSuppressLamp(true); }}>AC インサート</TinyToggle>
+                    <TinyToggle active={trans==='BC'} onClick={() => { setTrans('BC'); setFreq(1000); setSuppressLamp(true); }}>BC 骨導</TinyToggle>
                   </div>
+                  {trans === 'BC' && (
+                    <div className="text-xs text-gray-500 mt-1">マスカー: {EARPHONE_LABELS[earphone]}（直前に選んだAC受話器）</div>
+                  )}
                 </Control>
               </div>
               <div className="shrink-0">
@@ -5887,6 +5961,14 @@ ${targets.map((target, index) => {
                     </span>
                     <span className="text-base font-semibold text-slate-600 pb-0.5">dB</span>
                   </div>
+                  <button
+                    type="button"
+                    onClick={() => { setSuppressLamp(false); setPresentationTick(t => t + 1); }}
+                    className="px-3 py-2 rounded-lg border text-sm shrink-0"
+                    title="現在のレベルで提示します（模擬患者モードでは応答が毎回ゆらぎます）"
+                  >
+                    提示
+                  </button>
                 </div>
               </Control>
             </div>
@@ -5935,7 +6017,7 @@ ${targets.map((target, index) => {
                   </div>
                   <div className="text-sm text-red-700 space-y-1">
                     <div>• 測定耳BC閾値: {overMaskingDetails.testEarBC}dB</div>
-                    <div>• マスキング上限目安: {overMaskingDetails.maskingLimit}dB（BC + 50dB）</div>
+                    <div>• マスキング上限目安: {overMaskingDetails.maskingLimit}dB（BC + {overMaskingDetails.maskerIa}dB）</div>
                     <div>• 現在値: {maskLevel}dB（+{overMaskingDetails.overBy}dB 超過）</div>
                     <div className="text-xs text-red-600 mt-1">💡 マスキングレベルを下げて再確認してください</div>
                   </div>
@@ -5949,7 +6031,7 @@ ${targets.map((target, index) => {
                       <div className="font-semibold text-orange-800 mb-1">クロスヒアリングの可能性あり！</div>
                       <div className="text-sm text-orange-700 space-y-1">
                         <div>• 現在のレベル（{level}dB）が非測定耳の骨導（{crossHearingInfo.details.nte} BC）に流れクロスヒアリングしています</div>
-                        <div>• 漏れレベル: {crossHearingInfo.details.leakedToNTE.toFixed(1)}dB（IA: {crossHearingInfo.details.ia}dB減衰後）</div>
+                        <div>• 漏れレベル: {crossHearingInfo.details.leakedToNTE.toFixed(1)}dB（IA: {crossHearingInfo.details.ia}dB減衰後{crossHearingInfo.details.occlusion > 0 ? `・閉塞効果 +${crossHearingInfo.details.occlusion}dB` : ''}）</div>
                         <div>• 非測定耳BC閾値: {crossHearingInfo.details.nteBC === Infinity ? '未測定' : crossHearingInfo.details.nteBC + 'dB'}</div>
                         <div>• 実効マスキングレベル: {crossHearingInfo.details.effectiveMask === Infinity ? 'なし' : crossHearingInfo.details.effectiveMask + 'dB'}</div>
                         <div className="text-xs text-orange-600 mt-1">💡 マスキングレベルを上げるか、測定レベルを下げることを検討してください</div>
@@ -5987,9 +6069,12 @@ ${targets.map((target, index) => {
               />
               <ComposedChart width={chartW} height={chartH} data={[]} margin={CHART_MARGIN}>
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis type="number" dataKey="x" domain={X_DOMAIN} ticks={Array.from({ length: FREQS.length }, (_, i) => i)} tickFormatter={formatFreq} label={{ value: 'Frequency (Hz) - 1 octave/grid', position: 'bottom', offset: 6, style: { fontSize: 22 } }} tick={{ fontSize: 20 }} />
+                  <XAxis type="number" dataKey="x" domain={X_DOMAIN} ticks={Array.from({ length: OCTAVE_FREQS.length }, (_, i) => i)} tickFormatter={formatFreq} label={{ value: 'Frequency (Hz) - 1 octave/grid', position: 'bottom', offset: 6, style: { fontSize: 22 } }} tick={{ fontSize: 20 }} />
                   <YAxis type="number" dataKey="y" domain={[Y_MIN, Y_MAX]} ticks={Array.from({ length: (Y_MAX - Y_MIN) / 10 + 1 }, (_, i) => Y_MIN + i * 10)} reversed={true} tickMargin={6} label={{ value: 'Hearing Level (dB HL) - 10 dB/grid', angle: -90, position: 'left', offset: 0, dy: -100, style: { fontSize: 22 } }} tick={{ fontSize: 20 }} />
-                  <Line data={[{ x: 0, y: 0 }, { x: FREQS.length - 1, y: 0 }]} dataKey="y" xAxisId={0} yAxisId={0} type="monotone" dot={false} stroke="#94a3b8" strokeWidth={2} />
+                  <Line data={[{ x: 0, y: 0 }, { x: X_DOMAIN[1], y: 0 }]} dataKey="y" xAxisId={0} yAxisId={0} type="monotone" dot={false} stroke="#94a3b8" strokeWidth={2} />
+                  {INTERIM_FREQS.map(f => (
+                    <ReferenceLine key={`interim-${f}`} x={freqToX(f)} stroke="#cbd5e1" strokeDasharray="2 4" />
+                  ))}
 
                   {maskBandVisual && (
                     <ReferenceArea
@@ -6012,7 +6097,7 @@ ${targets.map((target, index) => {
                     <Scatter
                       key="cursor-indicator"
                       name="Current Position"
-                      data={[{ x: Math.max(0, FREQS.indexOf(freq)), y: round5(level) }]}
+                      data={[{ x: freqToX(freq), y: round5(level) }]}
                       shape={(props) => {
                         const { cx, cy } = props;
                         const r = MARK_R + 4;
@@ -6097,12 +6182,48 @@ ${targets.map((target, index) => {
                       >
                         全クリア
                       </button>
+                      <button
+                        onClick={markUndeterminedAtCurrent}
+                        className="px-3 py-2 rounded-xl bg-white border border-rose-200 text-rose-700 hover:bg-rose-50 transition-colors active:scale-95 transform text-sm"
+                        title="マスキングジレンマなどで正確な閾値が得られない条件として記録します"
+                      >
+                        決定不能
+                      </button>
                     </div>
+                    {undetermined.length > 0 && (
+                      <div className="text-xs text-rose-700 mt-2">
+                        決定不能: {undetermined.map(k => {
+                          const [e, t, f] = k.split('|');
+                          return `${e === 'R' ? '右' : '左'}${t} ${f}Hz`;
+                        }).join('、')}
+                      </div>
+                    )}
                     <p className="text-xs text-gray-600 mt-2">
                       ※ チャートをクリックすると<strong>レベル（dB）位置のみ</strong>が変わります。閾値の<strong>プロットは「閾値決定」</strong>を押してください。<br />
-                      ※ キーボード: ←→周波数変更 | ↑↓レベル±5dB（打点なし） | Deleteで現在周波数の打点削除
+                      ※ キーボード: ←→周波数変更（AC は中間周波数 750/1500/3000/6000Hz を含む） | ↑↓レベル±5dB（打点なし） | Deleteで現在周波数の打点削除
                     </p>
                   </div>
+                  {pendingInterim.length > 0 && !examActive && (
+                    <div className="bg-sky-50 border border-sky-200 rounded-xl p-3 text-[15px] leading-snug max-w-[420px]">
+                      <div className="font-semibold text-sky-900 text-[16px] mb-1">中間周波数の測定が必要です</div>
+                      <ul className="text-xs text-sky-800 space-y-0.5">
+                        {pendingInterim.map(x => (
+                          <li key={`${x.ear}-${x.freq}`}>
+                            {x.ear === 'R' ? '右耳' : '左耳'} AC {x.freq} Hz — {x.reasons.map(r => INTERIM_REASON_LABELS[r]).join('／')}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                  {!examActive && (
+                    <ProcedureTimelinePanel
+                      analysis={protocolAnalysis}
+                      ear={ear}
+                      trans={trans}
+                      freq={freq}
+                      freqs={FREQS}
+                    />
+                  )}
                   {showLegend && (
                     <>
                   <div className="bg-green-50 border border-green-200 rounded-xl p-3 text-[15px] leading-snug max-w-[420px]">
@@ -6224,7 +6345,7 @@ ${targets.map((target, index) => {
                         {entry.freq}Hz {entry.dB}dB
                       </div>
                       <div className="text-xs">
-                        {entry.ear} {entry.transducer} | 
+                        {entry.ear} {entry.transducer}{entry.transducer === 'AC' && entry.earphone ? `（${EARPHONE_LABELS[entry.earphone]}）` : ''} | 
                         {entry.masked ? (
                           <span className="text-blue-700">
                             マスキング {entry.maskLevel}dB
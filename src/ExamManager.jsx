@@ -0,0 +1,332 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { isSupabaseDisabled } from './supabaseClient';
+import { decodeCaseCode } from './caseCodeLogic';
+import { EXAM_TIME_LIMIT_OPTIONS, formatExamClock, examTargets, regradeExamPayload } from './examLogic';
+import { DEFAULT_RUBRIC, normalizeRubric } from './rubricLogic';
+import { fetchRubrics } from './rubrics';
+import { fetchExams, createExam, archiveExam, fetchExamAttempts, verifyExamAttempt, examErrorMessage } from './exams';
+import SessionReplayPlayer from './SessionReplayPlayer';
+import InstructorPasswordPrompt from './InstructorPasswordPrompt';
+
+/**
+ * 試験の発行と結果の確認（講師用）
+ * 症例コードに制限時間と採点基準を付けて試験にする。学生には発行時の試験コードだけを伝え、症例コードは見せない。
+ * 得点は提出された打点を症例コードから再生成した正答で採点し直したもの（学生の自己採点は参考表示）
+ */
+export default function ExamManager({ instructor }) {
+  const [exams, setExams] = useState([]);
+  const [rubrics, setRubrics] = useState([]);
+  const [form, setForm] = useState({ title: '', caseCode: '', minutes: 20, rubricId: '' });
+  const [message, setMessage] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [attempts, setAttempts] = useState([]);
+  const [verified, setVerified] = useState({});
+  const [replay, setReplay] = useState(null);
+  // 一覧・発行・締め切りはサーバーで講師パスワードを確かめる（画面を閉じるまでメモリにだけ持つ）
+  const [credentials, setCredentials] = useState(null);
+
+  const handleCredentialError = useCallback((error) => {
+    if (error.message?.includes('instructor mismatch')) setCredentials(null);
+    setMessage(examErrorMessage(error));
+  }, []);
+
+  const load = useCallback(async () => {
+    const r = await fetchRubrics();
+    setRubrics(r.data || []);
+    if (!credentials) {
+      setExams([]);
+      return;
+    }
+    const e = await fetchExams(credentials);
+    if (e.error) handleCredentialError(e.error);
+    setExams(e.data || []);
+  }, [credentials, handleCredentialError]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const loadAttempts = useCallback(async (exam) => {
+    setSelected(exam);
+    setVerified({});
+    setReplay(null);
+    if (!credentials) return;
+    const { data, error } = await fetchExamAttempts(exam.id, credentials);
+    if (error) handleCredentialError(error);
+    setAttempts(data || []);
+  }, [credentials, handleCredentialError]);
+
+  const codeError = (() => {
+    if (!form.caseCode.trim()) return '';
+    try {
+      decodeCaseCode(form.caseCode);
+      return '';
+    } catch (e) {
+      return e.message;
+    }
+  })();
+  const canIssue = !!credentials && !!form.title.trim() && !!form.caseCode.trim() && !codeError && !saving && !isSupabaseDisabled;
+
+  async function handleIssue() {
+    if (!canIssue) return;
+    setSaving(true);
+    const { data, error } = await createExam({
+      caseCode: form.caseCode,
+      title: form.title.trim(),
+      timeLimitSec: Number(form.minutes) * 60,
+      rubricId: form.rubricId === '' ? null : Number(form.rubricId),
+    }, credentials);
+    setSaving(false);
+    if (error) {
+      if (error.code === '23505') setMessage('この症例コードはすでに試験として発行されています');
+      else handleCredentialError(error);
+      return;
+    }
+    setMessage(`試験「${form.title.trim()}」を発行しました。学生には試験コード ${data.exam_code} を伝えてください（症例コードは伝えないでください）。`);
+    setForm((prev) => ({ ...prev, title: '', caseCode: '' }));
+    load();
+  }
+
+  async function handleArchive(exam) {
+    if (!credentials) {
+      setMessage('締め切るには講師パスワードを入力してください');
+      return;
+    }
+    if (!window.confirm(`試験「${exam.title}」を締め切りますか？新しく開始できなくなります（受験記録と署名は残ります）。`)) return;
+    const { error } = await archiveExam(exam.id, credentials);
+    if (error) {
+      handleCredentialError(error);
+      return;
+    }
+    load();
+  }
+
+  async function handleVerify(attempt) {
+    const { data, error } = await verifyExamAttempt(attempt.id);
+    setVerified((prev) => ({ ...prev, [attempt.id]: error ? 'error' : data ? 'ok' : 'ng' }));
+  }
+
+  // 採点基準は発行時の写し（rubric_snapshot）。rubrics の行はあとで編集されうるので使わない
+  const rubricName = (exam) => exam.rubric_snapshot?.name || DEFAULT_RUBRIC.name;
+
+  // 提出ごとの再採点（正答は試験ごとに1回だけ再生成する）
+  const regraded = useMemo(() => {
+    if (!selected) return {};
+    let targets;
+    try {
+      targets = examTargets(selected.case_code);
+    } catch (e) {
+      console.warn('試験の症例を再生成できません:', e);
+      return {};
+    }
+    const rubric = selected.rubric_snapshot ? normalizeRubric(selected.rubric_snapshot) : DEFAULT_RUBRIC;
+    return Object.fromEntries(
+      attempts.filter((a) => a.payload).map((a) => [a.id, regradeExamPayload({ targets, payload: a.payload, rubric })]),
+    );
+  }, [selected, attempts]);
+
+  return (
+    <div className="space-y-6">
+      {isSupabaseDisabled && (
+        <div className="bg-amber-50 border border-amber-200 rounded-xl p-3 text-sm text-amber-800">
+          Supabase が無効のため、試験は発行できません。
+        </div>
+      )}
+
+      <div className="bg-white rounded-2xl shadow border border-rose-200 overflow-hidden">
+        <div className="bg-rose-700 text-white px-5 py-3">
+          <div className="font-semibold">試験の発行</div>
+          <div className="text-xs text-rose-100 mt-0.5">「教材生成」で作った症例コードを試験にします。学生は発行された試験コードを試験モードで入力して開始します（1人1回）。試験に使った症例コードは練習では開けなくなります。</div>
+        </div>
+        {!credentials && (
+          <div className="px-5 pt-4">
+            <InstructorPasswordPrompt
+              instructor={instructor}
+              onConfirm={(c) => {
+                setCredentials(c);
+                setMessage('');
+              }}
+              note="試験の一覧・結果・発行・締め切りには、講師パスワードの再入力が必要です。"
+            />
+          </div>
+        )}
+        <div className="p-5 flex flex-wrap items-end gap-4 text-sm">
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-gray-600">試験名</span>
+            <input
+              value={form.title}
+              onChange={(e) => setForm((prev) => ({ ...prev, title: e.target.value }))}
+              placeholder="例: 前期末 マスキング OSCE"
+              className="border rounded-lg px-2 py-1 w-64"
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-gray-600">症例コード</span>
+            <input
+              value={form.caseCode}
+              onChange={(e) => setForm((prev) => ({ ...prev, caseCode: e.target.value }))}
+              className="border rounded-lg px-2 py-1 w-48 uppercase font-mono"
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-gray-600">制限時間</span>
+            <select
+              value={form.minutes}
+              onChange={(e) => setForm((prev) => ({ ...prev, minutes: Number(e.target.value) }))}
+              className="border rounded-lg px-2 py-1 bg-white"
+            >
+              {EXAM_TIME_LIMIT_OPTIONS.map((m) => <option key={m} value={m}>{m} 分</option>)}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-gray-600">採点基準（発行時の内容で固定）</span>
+            <select
+              value={form.rubricId}
+              onChange={(e) => setForm((prev) => ({ ...prev, rubricId: e.target.value }))}
+              className="border rounded-lg px-2 py-1 bg-white"
+            >
+              <option value="">{DEFAULT_RUBRIC.name}</option>
+              {rubrics.map((r) => <option key={r.id} value={r.id}>{r.name}</option>)}
+            </select>
+          </label>
+          <button
+            type="button"
+            onClick={handleIssue}
+            disabled={!canIssue}
+            className={`px-4 py-2 rounded-xl text-white ${canIssue ? 'bg-rose-600 hover:bg-rose-700' : 'bg-gray-300 cursor-not-allowed'}`}
+          >
+            {saving ? '発行中…' : '試験を発行'}
+          </button>
+          {codeError && <div className="w-full text-xs text-rose-700">{codeError}</div>}
+          {message && <div className="w-full text-xs text-gray-600">{message}</div>}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow p-5 text-sm">
+        <h2 className="text-lg font-semibold text-gray-900 mb-3">発行済みの試験</h2>
+        {!credentials ? (
+          <p className="text-xs text-gray-500">講師パスワードを入力すると表示されます。</p>
+        ) : exams.length === 0 ? (
+          <p className="text-xs text-gray-500">発行された試験はありません。</p>
+        ) : (
+          <table className="w-full text-xs border-collapse">
+            <thead>
+              <tr className="text-gray-500 text-left">
+                <th className="px-2 py-1">試験名</th>
+                <th className="px-2 py-1">試験コード</th>
+                <th className="px-2 py-1">症例コード</th>
+                <th className="px-2 py-1">制限時間</th>
+                <th className="px-2 py-1">採点基準</th>
+                <th className="px-2 py-1">発行日</th>
+                <th className="px-2 py-1">状態</th>
+                <th className="px-2 py-1" />
+              </tr>
+            </thead>
+            <tbody>
+              {exams.map((exam) => (
+                <tr key={exam.id} className={`border-t ${selected?.id === exam.id ? 'bg-rose-50' : ''}`}>
+                  <td className="px-2 py-1 font-medium">{exam.title}</td>
+                  <td className="px-2 py-1 font-mono font-semibold">{exam.exam_code}</td>
+                  <td className="px-2 py-1 font-mono text-gray-500">{exam.case_code}</td>
+                  <td className="px-2 py-1">{Math.round(exam.time_limit_sec / 60)} 分</td>
+                  <td className="px-2 py-1">{rubricName(exam)}</td>
+                  <td className="px-2 py-1">{new Date(exam.created_at).toLocaleDateString('ja-JP')}</td>
+                  <td className="px-2 py-1">{exam.archived_at ? '締め切り' : '受付中'}</td>
+                  <td className="px-2 py-1 whitespace-nowrap">
+                    <button type="button" onClick={() => loadAttempts(exam)} className="px-2 py-0.5 rounded border hover:bg-gray-50 mr-1">結果</button>
+                    {!exam.archived_at && (
+                      <button type="button" onClick={() => handleArchive(exam)} className="px-2 py-0.5 rounded border border-rose-300 text-rose-700 hover:bg-rose-50">締め切る</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {selected && credentials && (
+        <div className="bg-white rounded-2xl shadow p-5 text-sm space-y-3">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900">「{selected.title}」の受験記録</h2>
+            <button type="button" onClick={() => loadAttempts(selected)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white hover:bg-gray-50">
+              記録を更新
+            </button>
+          </div>
+          {attempts.length === 0 ? (
+            <p className="text-xs text-gray-500">まだ受験した学生はいません。</p>
+          ) : (
+            <table className="w-full text-xs border-collapse">
+              <thead>
+                <tr className="text-gray-500 text-left">
+                  <th className="px-2 py-1">学生ID</th>
+                  <th className="px-2 py-1">開始</th>
+                  <th className="px-2 py-1">所要時間</th>
+                  <th className="px-2 py-1">得点（再採点）</th>
+                  <th className="px-2 py-1">判定</th>
+                  <th className="px-2 py-1">自己採点（参考）</th>
+                  <th className="px-2 py-1">署名</th>
+                  <th className="px-2 py-1" />
+                </tr>
+              </thead>
+              <tbody>
+                {attempts.map((a) => {
+                  const pts = regraded[a.id];
+                  const self = a.payload?.points;
+                  const mismatch = !!pts && !!self && (self.earned !== pts.earned || self.max !== pts.max);
+                  const v = verified[a.id];
+                  return (
+                    <tr key={a.id} className="border-t">
+                      <td className="px-2 py-1 font-medium">{a.student_id}</td>
+                      <td className="px-2 py-1 whitespace-nowrap">{new Date(a.started_at).toLocaleString('ja-JP')}</td>
+                      <td className="px-2 py-1">
+                        {a.submitted_at ? formatExamClock((a.time_taken_sec || 0) * 1000) : '受験中／未提出'}
+                        {a.late && <span className="text-rose-700">（超過）</span>}
+                        {a.payload?.expired && <span className="text-gray-500">（自動提出）</span>}
+                      </td>
+                      <td className="px-2 py-1">{pts ? `${pts.earned} / ${pts.max}（${pts.percent}%）` : '—'}</td>
+                      <td className={`px-2 py-1 ${pts?.passed ? 'text-emerald-700' : 'text-rose-700'}`}>{pts ? (pts.passed ? '合格' : '不合格') : '—'}</td>
+                      <td className="px-2 py-1 text-gray-500">
+                        {self ? `${self.earned} / ${self.max}` : '—'}
+                        {mismatch && <span className="ml-1 text-amber-700" title="学生の画面で計算した得点が再採点と一致しません">⚠ 不一致</span>}
+                      </td>
+                      <td className="px-2 py-1">
+                        {a.signature ? (
+                          v ? (
+                            <span className={v === 'ok' ? 'text-emerald-700' : 'text-rose-700'}>
+                              {v === 'ok' ? '✓ 一致' : v === 'ng' ? '✗ 改ざんの疑い' : '検証できません'}
+                            </span>
+                          ) : (
+                            <button type="button" onClick={() => handleVerify(a)} className="px-2 py-0.5 rounded border hover:bg-gray-50">検証</button>
+                          )
+                        ) : '—'}
+                      </td>
+                      <td className="px-2 py-1">
+                        {a.payload?.events?.length > 1 && (
+                          <button
+                            type="button"
+                            onClick={() => setReplay({ id: a.id, studentId: a.student_id, events: a.payload.events, truncated: a.payload.eventsTruncated })}
+                            className="px-2 py-0.5 rounded border border-slate-300 hover:bg-slate-50"
+                          >
+                            再生
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+          {replay && (
+            <div className="bg-slate-50 rounded-lg border border-slate-200 p-3">
+              <div className="text-xs font-semibold text-slate-800 mb-2">{replay.studentId} の操作の再生</div>
+              <SessionReplayPlayer events={replay.events} truncated={replay.truncated} />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
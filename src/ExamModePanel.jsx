@@ -0,0 +1,111 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { examRemainingMs, formatExamClock, EXAM_WARNING_MS } from './examLogic';
+
+/**
+ * 試験モード（講師が発行した試験コードで開始する時間制限つきの実技試験）
+ * 試験中は正答表示・警告・推論ガイドが使えず、制限時間になると自動で提出する。
+ * @param {object|null} exam - examFromStartResponse の形（receipt は提出後の署名など）
+ * @param {boolean} canStart - ログイン済みでサーバーに接続できるとき
+ * @param {(code: string) => void} onStart
+ * @param {(opts: { expired: boolean }) => void} onSubmit
+ * @param {() => void} onExit - 提出後に練習モードへ戻る（試験の症例は画面から消す）
+ */
+export default function ExamModePanel({ exam, canStart, busy = false, onStart, onSubmit, onExit }) {
+  const [code, setCode] = useState('');
+  const [now, setNow] = useState(Date.now());
+  const expiredRef = useRef(false);
+  const active = !!exam && !exam.submitted;
+
+  useEffect(() => {
+    expiredRef.current = false;
+  }, [exam?.attemptId]);
+
+  useEffect(() => {
+    if (!active) return undefined;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [active]);
+
+  const remaining = exam ? examRemainingMs(exam, now) : 0;
+  useEffect(() => {
+    if (!active || remaining > 0 || expiredRef.current) return;
+    expiredRef.current = true;
+    onSubmit({ expired: true });
+  }, [active, remaining, onSubmit]);
+
+  if (!exam) {
+    return (
+      <div className="bg-white rounded-2xl shadow border border-rose-200 p-4 flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <div className="font-semibold text-rose-900">試験モード</div>
+          <div className="text-xs text-gray-600 mt-0.5">
+            講師から配られた試験コードで開始します。試験中は正答表示・警告・推論ガイドが使えず、制限時間で自動提出されます（提出は1回のみ）。
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            className="px-3 py-2 border border-gray-300 rounded-xl text-sm w-48 uppercase"
+            placeholder="試験コード（EX-…）"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            disabled={!canStart}
+          />
+          <button
+            type="button"
+            onClick={() => code.trim() && onStart(code)}
+            disabled={!canStart || busy || !code.trim()}
+            className={`px-4 py-2 rounded-xl text-sm font-medium text-white ${canStart && !busy && code.trim() ? 'bg-rose-600 hover:bg-rose-700' : 'bg-gray-300 cursor-not-allowed'}`}
+          >
+            {busy ? '開始中…' : canStart ? '試験を開始' : 'ログインが必要です'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (active) {
+    const warn = remaining <= EXAM_WARNING_MS;
+    return (
+      <div className="sticky top-0 z-40 bg-rose-700 text-white rounded-2xl shadow px-5 py-3 flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <div className="font-semibold">試験中: {exam.title}</div>
+          <div className="text-xs text-rose-100 mt-0.5">
+            試験コード {exam.examCode} ／ 正答表示・警告・推論ガイドは使えません ／ 制限時間 {Math.round(exam.timeLimitSec / 60)} 分
+          </div>
+        </div>
+        <div className="flex items-center gap-3">
+          <span className={`text-2xl font-mono tabular-nums ${warn ? 'text-yellow-300 animate-pulse' : ''}`} aria-label="残り時間">
+            {formatExamClock(remaining)}
+          </span>
+          <button
+            type="button"
+            onClick={() => {
+              if (window.confirm('提出しますか？提出後は変更・再提出できません。')) onSubmit({ expired: false });
+            }}
+            disabled={busy}
+            className="px-4 py-2 rounded-xl bg-white text-rose-700 font-semibold hover:bg-rose-50 disabled:opacity-60"
+          >
+            {busy ? '提出中…' : '提出する'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const r = exam.receipt || {};
+  return (
+    <div className="bg-white rounded-2xl shadow border border-rose-200 p-4 space-y-2 text-sm">
+      <div className="font-semibold text-rose-900">試験「{exam.title}」は提出済みです</div>
+      <div className="text-xs text-gray-700 space-y-0.5">
+        {r.submittedAt && <div>提出: {new Date(r.submittedAt).toLocaleString('ja-JP')}</div>}
+        {r.timeTakenSec != null && <div>所要時間: {formatExamClock(r.timeTakenSec * 1000)}{r.late ? '（制限時間超過）' : ''}</div>}
+        {r.points && <div>得点: {r.points.earned} / {r.points.max} 点（{r.points.percent}%）</div>}
+        {r.signature && <div className="font-mono break-all">署名: {r.signature}</div>}
+      </div>
+      <div className="text-xs text-gray-500">署名はサーバーが付けたもので、提出後に結果が書き換えられると講師側の検証で分かります。</div>
+      <button type="button" onClick={onExit} className="px-3 py-1.5 rounded-lg border text-xs hover:bg-gray-50">
+        試験モードを終了
+      </button>
+    </div>
+  );
+}
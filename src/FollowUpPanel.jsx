@@ -0,0 +1,224 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from 'recharts';
+import {
+  CHANGE_CHOICES,
+  CHANGE_LABELS,
+  COURSE_LABELS,
+  OUTCOME_LABELS,
+  visitLabel,
+  scoreChangePrediction,
+} from './followUpLogic';
+
+const OVERLAY_FREQS = [125, 250, 500, 1000, 2000, 4000, 8000];
+const VISIT_COLORS = ['#0f766e', '#2563eb', '#9333ea', '#db2777', '#ea580c'];
+
+/**
+ * 経過観察（受診系列）
+ * 受診1を測定 → 次回の変化を耳ごとに予測 → 次回を読み込んで測定、を繰り返し、受診ごとの気導閾値を1枚に重ねて比較する。
+ * @param {{ meta: object, visits: object[] }|null} series - generateAudiogramSeries の結果
+ * @param {number} visitIndex - 現在の受診（0始まり）
+ * @param {{ targets: object[], points: object[] }[]} records - 終了した受診の正答と測定点
+ * @param {(prediction: { R: string, L: string }) => void} onNextVisit
+ */
+export default function FollowUpPanel({ series, visitIndex, records, targets, points, generating, onStart, onNextVisit }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState({});
+  const [predictions, setPredictions] = useState({});
+  const [overlayEar, setOverlayEar] = useState('R');
+  const [showTruth, setShowTruth] = useState(false);
+
+  useEffect(() => {
+    setDraft({});
+    setPredictions({});
+    setShowTruth(false);
+  }, [series]);
+
+  const visits = useMemo(() => series?.visits || [], [series]);
+  const isLast = visitIndex >= visits.length - 1;
+  const complete = draft.R != null && draft.L != null;
+
+  // 受診ごとの測定点（現在の受診は進行中の測定）と正答（終了した受診のみ）
+  const history = useMemo(() => visits.slice(0, visitIndex + 1).map((v, i) => ({
+    label: `受診${i + 1}（${visitLabel(v.meta.visit)}）`,
+    points: i === visitIndex ? points : records[i]?.points || [],
+    targets: i === visitIndex ? null : records[i]?.targets || null,
+  })), [visits, visitIndex, records, points]);
+
+  const chartData = useMemo(() => OVERLAY_FREQS.map((freq) => {
+    const row = { freq: String(freq) };
+    const acOf = (rows) => {
+      const hits = (rows || []).filter((r) => r.ear === overlayEar && r.transducer === 'AC' && r.freq === freq);
+      return (hits.find((r) => r.masked) || hits[0])?.dB ?? null;
+    };
+    history.forEach((h, i) => {
+      row[`m${i}`] = acOf(h.points);
+      if (h.targets) row[`t${i}`] = acOf(h.targets);
+    });
+    return row;
+  }), [history, overlayEar]);
+
+  if (!open) {
+    return (
+      <div className="bg-white rounded-2xl shadow border border-teal-200 p-4 flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <div className="font-semibold text-teal-900">経過観察（再診）</div>
+          <div className="text-xs text-gray-600 mt-0.5">同じ患者の受診を重ね、回復・変動・進行を予測してから測定します。</div>
+        </div>
+        <button
+          type="button"
+          onClick={() => setOpen(true)}
+          className="px-4 py-2 rounded-xl text-sm font-medium text-white bg-teal-600 hover:bg-teal-700"
+        >
+          経過観察を開く
+        </button>
+      </div>
+    );
+  }
+
+  function next() {
+    setPredictions((prev) => ({ ...prev, [visitIndex + 1]: draft }));
+    setDraft({});
+    onNextVisit(draft);
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow border border-teal-200 overflow-hidden">
+      <div className="bg-teal-700 text-white px-5 py-3 flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <div className="font-semibold">経過観察（再診）</div>
+          <div className="text-xs text-teal-100 mt-0.5">
+            {series ? `${COURSE_LABELS[series.meta.course] || series.meta.course}・全${visits.length}回` : '経過症例を生成してください'}
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={onStart}
+            disabled={generating}
+            className={`px-3 py-1.5 rounded-lg text-sm ${generating ? 'bg-white/10 cursor-not-allowed' : 'bg-white/15 hover:bg-white/25'}`}
+          >
+            {generating ? '生成中…' : '経過症例を生成'}
+          </button>
+          <button
+            type="button"
+            onClick={() => setOpen(false)}
+            className="px-3 py-1.5 rounded-lg bg-white/15 hover:bg-white/25 text-sm"
+          >
+            閉じる
+          </button>
+        </div>
+      </div>
+
+      {series && (
+        <div className="p-5 space-y-4 text-sm">
+          <div className="flex flex-wrap gap-1.5">
+            {visits.map((v, i) => (
+              <span
+                key={i}
+                className={`px-2.5 py-1 rounded-lg border text-xs ${
+                  i === visitIndex ? 'bg-teal-600 text-white border-teal-600' : i < visitIndex ? 'bg-teal-50 border-teal-200' : 'bg-white border-gray-300 text-gray-400'
+                }`}
+              >
+                受診{i + 1}（{visitLabel(v.meta.visit)}）
+              </span>
+            ))}
+          </div>
+
+          {Object.keys(predictions).map(Number).filter((i) => i <= visitIndex).map((i) => {
+            const result = scoreChangePrediction(predictions[i], records[i - 1]?.targets, i === visitIndex ? targets : records[i]?.targets);
+            return (
+              <div key={i} className="bg-teal-50 border border-teal-200 rounded-lg p-3 space-y-1">
+                <div className="font-semibold text-teal-900">
+                  受診{i}→{i + 1} の予測: {result.correct} / {result.total}
+                </div>
+                {result.items.map((x) => (
+                  <div key={x.ear} className="text-xs">
+                    <span className="font-semibold">{x.ear === 'R' ? '右耳' : '左耳'}</span>
+                    ：予測 {CHANGE_LABELS[x.predicted] || '—'} ／ 結果 {CHANGE_LABELS[x.actual]}
+                    （4分法 {x.before} → {x.after} dB）
+                    <span className={`ml-1 font-semibold ${x.ok ? 'text-emerald-700' : 'text-rose-700'}`}>{x.ok ? '○' : '×'}</span>
+                  </div>
+                ))}
+              </div>
+            );
+          })}
+
+          {!isLast ? (
+            <div className="space-y-2">
+              <div className="font-semibold">
+                次回（{visitLabel(visits[visitIndex + 1].meta.visit)}）の聴力を予測
+              </div>
+              {['R', 'L'].map((ear) => (
+                <div key={ear} className="flex flex-wrap items-center gap-2">
+                  <span className="text-xs text-gray-600 w-10">{ear === 'R' ? '右耳' : '左耳'}</span>
+                  {CHANGE_CHOICES.map((c) => (
+                    <button
+                      key={c}
+                      type="button"
+                      onClick={() => setDraft((p) => ({ ...p, [ear]: c }))}
+                      className={`px-2.5 py-1 rounded-lg border text-xs ${
+                        draft[ear] === c ? 'bg-teal-600 text-white border-teal-600' : 'bg-white border-gray-300 hover:border-teal-400'
+                      }`}
+                    >
+                      {CHANGE_LABELS[c]}
+                    </button>
+                  ))}
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={next}
+                disabled={!complete || generating}
+                className={`px-4 py-2 rounded-xl text-white ${complete && !generating ? 'bg-teal-600 hover:bg-teal-700' : 'bg-gray-300 cursor-not-allowed'}`}
+              >
+                {complete ? '予測を確定して次の受診へ' : '左右とも予測してください'}
+              </button>
+              <div className="text-xs text-gray-500">今回の測定結果は記録され、次の受診が読み込まれます。</div>
+            </div>
+          ) : (
+            <div className="text-xs text-gray-600">
+              最終受診です。経過: {OUTCOME_LABELS[series.meta.outcome] || series.meta.outcome}
+            </div>
+          )}
+
+          <div>
+            <div className="flex flex-wrap items-center gap-3 mb-2">
+              <span className="font-semibold">受診の重ね合わせ（気導）</span>
+              {['R', 'L'].map((ear) => (
+                <button
+                  key={ear}
+                  type="button"
+                  onClick={() => setOverlayEar(ear)}
+                  className={`px-2.5 py-1 rounded-lg border text-xs ${overlayEar === ear ? 'bg-teal-600 text-white border-teal-600' : 'bg-white border-gray-300'}`}
+                >
+                  {ear === 'R' ? '右耳' : '左耳'}
+                </button>
+              ))}
+              <label className="text-xs flex items-center gap-1">
+                <input type="checkbox" checked={showTruth} onChange={(e) => setShowTruth(e.target.checked)} />
+                終了した受診の正答を重ねる
+              </label>
+            </div>
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={chartData} margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="freq" />
+                  <YAxis domain={[-10, 120]} reversed ticks={[-10, 0, 20, 40, 60, 80, 100, 120]} />
+                  <Tooltip formatter={(v) => `${v} dB HL`} />
+                  <Legend />
+                  {history.map((h, i) => (
+                    <Line key={`m${i}`} type="linear" dataKey={`m${i}`} name={`${h.label} 測定`} stroke={VISIT_COLORS[i]} strokeWidth={2} connectNulls />
+                  ))}
+                  {showTruth && history.map((h, i) => h.targets && (
+                    <Line key={`t${i}`} type="linear" dataKey={`t${i}`} name={`${h.label} 正答`} stroke={VISIT_COLORS[i]} strokeDasharray="5 4" dot={false} connectNulls />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
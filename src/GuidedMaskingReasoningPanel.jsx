@@ -6,7 +6,11 @@ import {
   evaluateMaskNeed,
   suggestInitialMaskLevel,
   isOverMasking,
+  computeMaskingWindow,
+  analyzePlateau,
+  PLATEAU_MIN_WIDTH_DB,
   scoreNeedAnswer,
+  EARPHONE_LABELS,
 } from './guidedMaskingLogic';
 
 /**
@@ -18,25 +22,26 @@ export default function GuidedMaskingReasoningPanel({
   onActiveChange,
   ear,
   trans,
+  earphone = 'supraAural',
   freq,
   maskLevel,
   masked,
   targets,
   iaAC = 50,
   iaBC = 0,
+  occlusionDb = 0,
   onApplyMask,
   onSetMasked,
+  onMarkUndetermined,
+  plateauPairs = [],
+  maskingFunction = [],
 }) {
   const [stepIndex, setStepIndex] = useState(0);
   const [needChoice, setNeedChoice] = useState(null); // true | false | null
   const [selectedReasons, setSelectedReasons] = useState([]);
   const [needFeedback, setNeedFeedback] = useState(null);
   const [pickedInitial, setPickedInitial] = useState(null);
-  const [plateauChecks, setPlateauChecks] = useState({
-    raised: false,
-    stable: false,
-    threeSame: false,
-  });
+  const [showModelCurve, setShowModelCurve] = useState(false);
   const [reflection, setReflection] = useState('');
   const [sessionLog, setSessionLog] = useState([]);
 
@@ -51,29 +56,53 @@ export default function GuidedMaskingReasoningPanel({
     () =>
       evaluateMaskNeed({
         transducer: trans,
+        earphone,
+        freq,
         teAC: thr.teAC,
         teBC: thr.teBC,
         nteBC: thr.nteBC,
         iaAC,
         iaBC,
       }),
-    [trans, thr, iaAC, iaBC]
+    [trans, earphone, freq, thr, iaAC, iaBC]
   );
 
   const suggestions = useMemo(
     () =>
       suggestInitialMaskLevel({
         transducer: trans,
+        earphone,
+        freq,
         teAC: thr.teAC,
         nteAC: thr.nteAC,
         nteBC: thr.nteBC,
         ia: iaAC,
         margin: 10,
+        occlusion: occlusionDb,
       }),
-    [trans, thr, iaAC]
+    [trans, earphone, freq, thr, iaAC, occlusionDb]
   );
 
-  const overMask = isOverMasking(maskLevel, thr.teBC);
+  // マスカーは非検査耳側の受話器から出るので、上限はその受話器の IA で決まる
+  const overMask = isOverMasking(maskLevel, thr.teBC, iaAC);
+  const maskWindow = useMemo(
+    () =>
+      computeMaskingWindow({
+        transducer: trans,
+        earphone,
+        freq,
+        teBC: thr.teBC,
+        nteAC: thr.nteAC,
+        ia: iaAC,
+        occlusion: occlusionDb,
+      }),
+    [trans, earphone, freq, thr, iaAC, occlusionDb]
+  );
+  // マスクが効いている（最小有効マスキング以上か、モデルのプラトーと重なる）平坦部だけをプラトーとする
+  const plateau = useMemo(
+    () => analyzePlateau(plateauPairs, { minEffective: maskWindow.min, model: maskingFunction }),
+    [plateauPairs, maskWindow.min, maskingFunction]
+  );
 
   // 症例・周波数・耳が変わったら要否ステップへ戻す（モードON時）
   useEffect(() => {
@@ -83,7 +112,7 @@ export default function GuidedMaskingReasoningPanel({
     setSelectedReasons([]);
     setNeedFeedback(null);
     setPickedInitial(null);
-    setPlateauChecks({ raised: false, stable: false, threeSame: false });
+    setShowModelCurve(false);
     setReflection('');
   }, [active, ear, trans, freq, targets]);
 
@@ -133,7 +162,7 @@ export default function GuidedMaskingReasoningPanel({
         trans,
         maskLevel,
         reflection,
-        plateauChecks,
+        plateau: { start: plateau.start, end: plateau.end, threshold: plateau.threshold, pairs: plateauPairs.length },
       },
     ]);
     setStepIndex(0);
@@ -141,13 +170,10 @@ export default function GuidedMaskingReasoningPanel({
     setSelectedReasons([]);
     setNeedFeedback(null);
     setPickedInitial(null);
-    setPlateauChecks({ raised: false, stable: false, threeSame: false });
+    setShowModelCurve(false);
     setReflection('');
   }
 
-  const plateauDone =
-    plateauChecks.raised && plateauChecks.stable && plateauChecks.threeSame;
-
   if (!active) {
     return (
       <div className="bg-white rounded-2xl shadow p-4 border border-dashed border-teal-300">
@@ -176,7 +202,7 @@ export default function GuidedMaskingReasoningPanel({
         <div>
           <div className="font-semibold">ガイド付きマスキング推論モード</div>
           <div className="text-xs text-teal-100 mt-0.5">
-            測定耳 {ear === 'R' ? '右' : '左'} ／ {trans} ／ {freq} Hz
+            測定耳 {ear === 'R' ? '右' : '左'} ／ {trans}（{trans === 'AC' ? EARPHONE_LABELS[earphone] : `骨導・マスカー ${EARPHONE_LABELS[earphone]}`}） ／ {freq} Hz
             {masked ? ` ／ マスク ${maskLevel} dB` : ' ／ マスク OFF'}
           </div>
         </div>
@@ -322,7 +348,25 @@ export default function GuidedMaskingReasoningPanel({
               ))}
               {overMask && (
                 <div className="text-sm text-rose-700 bg-rose-50 border border-rose-200 rounded-xl px-3 py-2">
-                  現在のマスク量はオーバーマスキングの可能性があります（測定耳BC + 50 dB 超）。下げて再検討してください。
+                  現在のマスク量はオーバーマスキングの可能性があります（測定耳BC + {iaAC} dB 超）。下げて再検討してください。
+                </div>
+              )}
+              {maskWindow.empty && (
+                <div className="text-sm text-rose-800 bg-rose-50 border border-rose-300 rounded-xl px-3 py-2 space-y-2">
+                  <div className="font-semibold">マスキングジレンマ</div>
+                  <div>{maskWindow.detail}</div>
+                  <div className="text-xs text-rose-700">
+                    最小有効量まで上げると測定耳がマスクされ、最大許容量以下では非検査耳を十分にマスクできません。インサートイヤホン（IA が大きい）でも解消しなければ、閾値は「決定不能」と記録します。
+                  </div>
+                  {typeof onMarkUndetermined === 'function' && (
+                    <button
+                      type="button"
+                      onClick={onMarkUndetermined}
+                      className="px-3 py-1.5 rounded-lg bg-rose-600 text-white text-xs hover:bg-rose-700"
+                    >
+                      この条件を「決定不能」として記録
+                    </button>
+                  )}
                 </div>
               )}
               <div className="flex gap-2 pt-1">
@@ -348,27 +392,32 @@ export default function GuidedMaskingReasoningPanel({
           {step.id === 'plateau' && (
             <div className="space-y-3">
               <ol className="list-decimal list-inside text-sm text-gray-700 space-y-1">
-                <li>マスクを 5 dB 上げる</li>
-                <li>同じ刺激レベルで反応が変わらないか確認する</li>
-                <li>閾値が変わらないままマスクを上げられる帯域（プラトー）を探す</li>
+                <li>マスクを 5〜10 dB 上げる</li>
+                <li>閾値を測り直し「閾値決定」で記録する（マスク量と閾値の組が下の図に加わる）</li>
+                <li>閾値が変わらないままマスクを {PLATEAU_MIN_WIDTH_DB} dB 以上上げられる帯域（プラトー）を示す</li>
               </ol>
-              <div className="space-y-2">
-                {[
-                  { key: 'raised', label: 'マスクを +5 dB した' },
-                  { key: 'stable', label: '反応／閾値が安定していることを確認した' },
-                  { key: 'threeSame', label: '十分なプラトー（教育上の自己チェック）を得た' },
-                ].map((item) => (
-                  <label key={item.key} className="flex items-center gap-2 text-sm cursor-pointer">
-                    <input
-                      type="checkbox"
-                      checked={plateauChecks[item.key]}
-                      onChange={(e) =>
-                        setPlateauChecks((prev) => ({ ...prev, [item.key]: e.target.checked }))
-                      }
-                    />
-                    {item.label}
-                  </label>
-                ))}
+              <MaskingFunctionPlot
+                points={plateau.points}
+                model={maskingFunction}
+                plateau={plateau}
+                showModel={showModelCurve}
+                currentMask={masked ? maskLevel : null}
+              />
+              <div className="flex flex-wrap items-center gap-3 text-xs text-gray-600">
+                <span className="inline-flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-amber-200" />未マスク（クロスヒアリング）</span>
+                <span className="inline-flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-emerald-200" />プラトー</span>
+                <span className="inline-flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-rose-200" />過剰マスキング</span>
+                <label className="inline-flex items-center gap-1 cursor-pointer">
+                  <input type="checkbox" checked={showModelCurve} onChange={(e) => setShowModelCurve(e.target.checked)} />
+                  モデルの曲線を表示（答え合わせ）
+                </label>
+              </div>
+              <div
+                className={`rounded-xl p-3 text-sm border ${
+                  plateau.plateau ? 'bg-green-50 text-green-900 border-green-200' : 'bg-slate-50 text-slate-800 border-slate-200'
+                }`}
+              >
+                {plateau.detail}
               </div>
               <p className="text-xs text-gray-500">
                 ※ 実際のマスク量変更は上部のマスキングスライダーで行ってください（現在 {masked ? `${maskLevel} dB` : 'OFF'}）。
@@ -383,7 +432,7 @@ export default function GuidedMaskingReasoningPanel({
                 </button>
                 <button
                   type="button"
-                  disabled={!plateauDone}
+                  disabled={!plateau.plateau}
                   onClick={() => setStepIndex(3)}
                   className="px-3 py-2 rounded-lg bg-teal-600 text-white text-sm disabled:opacity-40"
                 >
@@ -456,6 +505,12 @@ export default function GuidedMaskingReasoningPanel({
               <dt>IA ({trans})</dt>
               <dd className="font-mono">{trans === 'AC' ? iaAC : iaBC} dB</dd>
             </div>
+            <div className="flex justify-between gap-2">
+              <dt>有効マスキング</dt>
+              <dd className={`font-mono ${maskWindow.empty ? 'text-rose-700' : ''}`}>
+                {maskWindow.empty == null ? '—' : maskWindow.empty ? 'なし' : `${maskWindow.min}〜${maskWindow.max}`}
+              </dd>
+            </div>
           </dl>
           <p className="text-xs text-slate-500 leading-relaxed">
             数値はロード済み症例の正答ターゲットから参照します。症例未ロードのときは要否の自動判定が弱くなります。
@@ -473,3 +528,55 @@ export default function GuidedMaskingReasoningPanel({
 function fmt(v) {
   return v == null ? '—' : `${v} dB`;
 }
+
+const MF_W = 300;
+const MF_H = 170;
+const MF_PAD = 24;
+const MF_MASK_MAX = 120;
+const REGION_FILL = { under: '#fde68a', plateau: '#a7f3d0', over: '#fecdd3' };
+
+/** マスキング関数（横軸: マスク量、縦軸: 得られた閾値。オージオグラムと同じく下ほど悪い） */
+function MaskingFunctionPlot({ points, model, plateau, showModel, currentMask }) {
+  const ys = [...points.map((p) => p.threshold), ...(showModel ? model.map((m) => m.threshold) : [])].filter(Number.isFinite);
+  const yMin = Math.min(-10, ...ys);
+  const yMax = Math.max(60, ...ys.map((y) => y + 10));
+  const xAt = (m) => MF_PAD + (m / MF_MASK_MAX) * (MF_W - MF_PAD * 2);
+  const yAt = (t) => MF_PAD / 2 + ((t - yMin) / (yMax - yMin)) * (MF_H - MF_PAD * 1.5);
+  // モデルの領域を連続区間の帯にまとめる
+  const bands = [];
+  model.forEach((m) => {
+    const last = bands[bands.length - 1];
+    if (last && last.region === m.region) last.to = m.mask;
+    else bands.push({ region: m.region, from: m.mask, to: m.mask });
+  });
+  const modelPts = model.filter((m) => Number.isFinite(m.threshold)).map((m) => `${xAt(m.mask)},${yAt(m.threshold)}`).join(' ');
+  return (
+    <svg width={MF_W} height={MF_H} className="block bg-white rounded border">
+      {bands.map((b, i) => (
+        <rect
+          key={i}
+          x={xAt(b.from)}
+          width={Math.max(2, xAt(b.to) - xAt(b.from) + xAt(5) - xAt(0))}
+          y={MF_PAD / 2}
+          height={MF_H - MF_PAD * 1.5}
+          fill={REGION_FILL[b.region]}
+          opacity={0.5}
+        />
+      ))}
+      {plateau.plateau && (
+        <line x1={xAt(plateau.start)} x2={xAt(plateau.end)} y1={yAt(plateau.threshold)} y2={yAt(plateau.threshold)} stroke="#059669" strokeWidth="3" />
+      )}
+      {showModel && modelPts && <polyline points={modelPts} fill="none" stroke="#64748b" strokeWidth="1.5" strokeDasharray="4 3" />}
+      {currentMask != null && (
+        <line x1={xAt(currentMask)} x2={xAt(currentMask)} y1={MF_PAD / 2} y2={MF_H - MF_PAD} stroke="#0f766e" strokeDasharray="2 2" />
+      )}
+      {points.map((p, i) => (
+        <circle key={i} cx={xAt(p.mask)} cy={yAt(p.threshold)} r={4} fill={p.so ? '#ffffff' : '#0d9488'} stroke="#0f766e" />
+      ))}
+      <text x={MF_PAD} y={MF_H - 6} fontSize="9" fill="#6b7280">0</text>
+      <text x={MF_W - MF_PAD} y={MF_H - 6} fontSize="9" fill="#6b7280" textAnchor="end">マスク {MF_MASK_MAX} dB HL</text>
+      <text x={4} y={yAt(yMin) + 8} fontSize="9" fill="#6b7280">{yMin}</text>
+      <text x={4} y={yAt(yMax)} fontSize="9" fill="#6b7280">{yMax}</text>
+    </svg>
+  );
+}
@@ -1,12 +1,11 @@
 import React, { useMemo, useState } from "react";
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, ReferenceLine } from "recharts";
 import { generateAudiogram } from "./engine/generateAudiogram";
-import ISO_DATA from "./data/iso7029_age_hearing_thresholds_2sd.json";
+import { isoBand, isoPercentile, ageDecade, ISO_AGE_MIN, ISO_AGE_MAX } from "./engine/iso7029";
 
 // === Minimal, self-contained ISO7029-derived normal dataset (median & ±2SD) ===
 // Frequencies are 0.125, 0.25, 0.5, 1, 2, 4, 8 kHz (125 Hz is mirrored from 250 Hz for ISO7029 coverage)
 const FREQS = ["0.125kHz", "0.25kHz", "0.5kHz", "1kHz", "2kHz", "4kHz", "8kHz"];
-const AGE_GROUPS = ["20s", "30s", "40s", "50s", "60s", "70s"];
 const SEXES = ["Male", "Female"];
 
 // === Profiles ===
@@ -47,13 +46,10 @@ const LIMITS_BC = {
 const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
 const roundTo5 = (x) => Math.round(x / 5) * 5;
 
-// データソース: ISO7029の中央値/±2SD（提供JSON）
-const ISO7029 = ISO_DATA;
-
-function getBand(sex, age, f) {
-  // ISO7029 has no explicit 125 Hz; mirror 250 Hz values for display/sampling
-  const key = f === "0.125kHz" ? "0.25kHz" : f;
-  return ISO7029[sex][age][key];
+// データソース: ISO 7029:2000 の年齢・性別の式（連続年齢、中央値/良い側−2SD・悪い側+2SD/百分位。上下で幅が違う）
+function getBand(sex, ageYears, f) {
+  const b = isoBand(sex, ageYears, f);
+  return { ...b, p10: isoPercentile(sex, ageYears, f, 0.1), p90: isoPercentile(sex, ageYears, f, 0.9) };
 }
 
 function randNormal(mean, sd) {
@@ -84,7 +80,9 @@ const isBCFreq = (f) => BC_FREQS.has(f);
 
 export default function ISO7029CanvasDemo() {
   const [sex, setSex] = useState("Male");
-  const [age, setAge] = useState("50s");
+  const [ageYears, setAgeYears] = useState(55);
+  // 病型の年齢補正は年代単位のまま
+  const age = ageDecade(ageYears);
   const [seed, setSeed] = useState(0);
   const [showBands, setShowBands] = useState(false);
   const [profile, setProfile] = useState("Normal");
@@ -97,13 +95,13 @@ export default function ISO7029CanvasDemo() {
 
     // 1st pass: generate base AC within ±2SD, then clamp to AC limits and round to 5 dB
     const base = FREQS.map((f, idx) => {
-      const b = getBand(sex, age, f);
+      const b = getBand(sex, ageYears, f);
       const sdApprox = (b.plus2SD - b.median) / 2; // ≈1SD
       const noisy = randNormal(b.median, sdApprox * 0.5) * (0.9 + 0.2 * rng(idx));
       const clipped = Math.max(b.minus2SD, Math.min(b.plus2SD, noisy));
       const bounded = clamp(clipped, LIMITS_AC[f].min, LIMITS_AC[f].max);
       const sample = roundTo5(bounded);
-      return { freq: f, median: b.median, minus2SD: b.minus2SD, plus2SD: b.plus2SD, sample, sampleBC: null };
+      return { freq: f, median: b.median, minus2SD: b.minus2SD, plus2SD: b.plus2SD, p10: b.p10, p90: b.p90, sample, sampleBC: null };
     });
 
     // 2nd pass: with 30% probability, push AC outside ±2SD, but smooth using neighbor trend to avoid jagged shapes
@@ -111,7 +109,7 @@ export default function ISO7029CanvasDemo() {
       const p = rng(i + 200);
       let sample = row.sample;
       if (p < 0.30) {
-        const b = getBand(sex, age, row.freq);
+        const b = getBand(sex, ageYears, row.freq);
         const prev = i > 0 ? arr[i - 1].sample : sample;
         const next = i < arr.length - 1 ? arr[i + 1].sample : sample;
         const neighborMean = (prev + next) / 2;
@@ -364,7 +362,7 @@ export default function ISO7029CanvasDemo() {
         let sampleBC = r.sampleBC ?? null;
         if (isBCFreq(r.freq)) {
           const lim = LIMITS_BC[r.freq];
-          const band = getBand(sex, age, r.freq);
+          const band = getBand(sex, ageYears, r.freq);
           const jitter = ((Math.sin((FREQ_NUM[r.freq] + seed) * 6.3) + 1) * 1.5);
           const bcRaw = band.median + jitter;
           sampleBC = roundTo5(clamp(bcRaw, lim.min, lim.max));
@@ -402,7 +400,7 @@ export default function ISO7029CanvasDemo() {
       const bcNorm = withOutliers.map((r) => {
         let sampleBC = r.sampleBC ?? null;
         if (isBCFreq(r.freq)) {
-          const lim = LIMITS_BC[r.freq]; const band = getBand(sex, age, r.freq);
+          const lim = LIMITS_BC[r.freq]; const band = getBand(sex, ageYears, r.freq);
           const jitter = ((Math.sin((FREQ_NUM[r.freq] + seed) * 7) + 1) * 2.0);
           const bcRaw = band.median + jitter; sampleBC = roundTo5(clamp(bcRaw, lim.min, lim.max));
         }
@@ -437,7 +435,7 @@ export default function ISO7029CanvasDemo() {
       let bcBase = withOutliers.map((r) => {
         let sampleBC = r.sampleBC ?? null;
         if (isBCFreq(r.freq)) {
-          const lim = LIMITS_BC[r.freq]; const band = getBand(sex, age, r.freq);
+          const lim = LIMITS_BC[r.freq]; const band = getBand(sex, ageYears, r.freq);
           const jitter = ((Math.sin((FREQ_NUM[r.freq] + seed) * 6.1) + 1) * 2.0);
           const bcRaw = band.median + jitter; sampleBC = roundTo5(clamp(bcRaw, lim.min, lim.max));
         }
@@ -485,7 +483,7 @@ export default function ISO7029CanvasDemo() {
       const bcNorm = withOutliers.map((r) => {
         let sampleBC = r.sampleBC ?? null;
         if (isBCFreq(r.freq)) {
-          const lim = LIMITS_BC[r.freq]; const band = getBand(sex, age, r.freq);
+          const lim = LIMITS_BC[r.freq]; const band = getBand(sex, ageYears, r.freq);
           const jitter = ((Math.sin((FREQ_NUM[r.freq] + seed) * 4.7) + 1) * 1.5);
           const bcRaw = band.median + jitter; sampleBC = roundTo5(clamp(bcRaw, lim.min, lim.max));
         }
@@ -537,7 +535,7 @@ export default function ISO7029CanvasDemo() {
     }
 
     return profData;
-  }, [sex, age, seed, profile, severity]);
+  }, [sex, age, ageYears, seed, profile, severity]);
 
   // === Auto Y-axis scaling (audiogram style: top = good hearing) ===
   const { yMin, yMax } = useMemo(() => {
@@ -576,7 +574,7 @@ export default function ISO7029CanvasDemo() {
     const rightMap = Object.fromEntries(genCase.right.map(r => [r.freq, r]));
     const leftMap = Object.fromEntries(genCase.left.map(r => [r.freq, r]));
     return FREQS.map(f => {
-      const base = getBand(genCase.meta.sex || sex, genCase.meta.ageGroup || age, f);
+      const base = getBand(genCase.meta.sex || sex, genCase.meta.age ?? ageYears, f);
       const r = rightMap[f] || {};
       const l = leftMap[f] || {};
       return {
@@ -584,6 +582,8 @@ export default function ISO7029CanvasDemo() {
         median: base.median,
         minus2SD: base.minus2SD,
         plus2SD: base.plus2SD,
+        p10: base.p10,
+        p90: base.p90,
         sampleR: r.ac ?? null,
         sampleBCR: r.bc ?? null,
         soACR: r.soAC || false,
@@ -594,7 +594,7 @@ export default function ISO7029CanvasDemo() {
         soBCL: l.soBC || false,
       };
     });
-  }, [data, genCase, sex, age]);
+  }, [data, genCase, sex, ageYears]);
 
   return (
     <div className="min-h-screen w-full bg-white text-gray-900 p-6">
@@ -611,10 +611,9 @@ export default function ISO7029CanvasDemo() {
             {SEXES.map(s => <option key={s} value={s}>{s}</option>)}
           </select>
 
-          <label className="text-sm ml-4">年代：</label>
-          <select className="border rounded px-2 py-1" value={age} onChange={e=>setAge(e.target.value)}>
-            {AGE_GROUPS.map(a => <option key={a} value={a}>{a}</option>)}
-          </select>
+          <label className="text-sm ml-4">年齢：</label>
+          <input type="range" min={ISO_AGE_MIN} max={ISO_AGE_MAX} step={1} value={ageYears} onChange={e=>setAgeYears(parseInt(e.target.value))} />
+          <span className="text-xs">{ageYears} 歳（{age}）</span>
 
           {/* Mode & Severity */}
           <label className="text-sm ml-4">モード：</label>
@@ -630,7 +629,7 @@ export default function ISO7029CanvasDemo() {
           )}
 
           <label className="ml-4 text-sm flex items-center gap-2">
-            <input type="checkbox" checked={showBands} onChange={e=>setShowBands(e.target.checked)} /> 帯域（中央値/±2SD）を表示
+            <input type="checkbox" checked={showBands} onChange={e=>setShowBands(e.target.checked)} /> 帯域（中央値/±2SD/P10・P90）を表示
           </label>
 
           <button className="ml-auto border rounded px-3 py-1 hover:bg-gray-50" onClick={()=>setSeed(s=>s+1)}>サンプル再生成</button>
@@ -661,6 +660,8 @@ export default function ISO7029CanvasDemo() {
                     <Line type="monotone" dataKey="median" name="Median" strokeWidth={2} dot={{ r: 3 }} />
                     <Line type="monotone" dataKey="minus2SD" name="−2SD" strokeDasharray="6 4" />
                     <Line type="monotone" dataKey="plus2SD" name="＋2SD" strokeDasharray="6 4" />
+                    <Line type="monotone" dataKey="p10" name="P10" stroke="#888" strokeDasharray="2 3" dot={false} />
+                    <Line type="monotone" dataKey="p90" name="P90" stroke="#888" strokeDasharray="2 3" dot={false} />
                   </>
                 )}
                 {/* 右耳（赤） */}
@@ -738,7 +739,7 @@ export default function ISO7029CanvasDemo() {
           <button
             className="border rounded px-3 py-1 hover:bg-gray-50"
             onClick={() => {
-              const caseData = generateAudiogram({ profile: profile, severity: severity, sex: sex, ageGroup: age });
+              const caseData = generateAudiogram({ profile: profile, severity: severity, sex: sex, ageGroup: ageYears });
               setGenCase(caseData);
               console.log("[Generated Case]", caseData);
             }}
@@ -756,6 +757,8 @@ export default function ISO7029CanvasDemo() {
             <li>Y軸は<strong>上が良聴（小さい dB HL）</strong>のオージオグラム向きに反転し、生成値に合わせて<strong>自動スケーリング</strong>します（余白±10 dB, −10〜120 dB内でクリップ）。</li>
             <li>サンプルは中央値の±0.5SD程度で生成し、±2SDでクリップ、5 dB ステップに丸め。</li>
             <li>このCanvasで UI/挙動をすり合わせ → 問題なければ Cursor に移行し、SNHL/CHL/Mixed をプロファイルとして追加します。</li>
+            <li>帯域は<strong>ISO 7029:2000 の連続年齢式</strong>（中央値 α(Y−18)²、悪い側 s<sub>u</sub> = b<sub>u</sub> + 0.445·中央値、良い側 s<sub>l</sub> = b<sub>l</sub> + 0.356·中央値）で {ISO_AGE_MIN}〜{ISO_AGE_MAX} 歳の任意の年齢を算出（70歳より上は外挿）。P10/P90 は上下で幅の違う半正規分布の百分位です。</li>
+            <li>学習者画面で<strong>年代（20代など）を選んで作る症例は、この式ではなく同梱の年代別表</strong>（iso7029_age_hearing_thresholds_2sd.json）の帯域を使います。表は式と一致せず、男性50〜70代の 4・8 kHz では中央値が式より最大約10 dB 良く、±2SD の幅も異なります（差の一覧は <code>npm run verify:audiogram</code> の I1）。</li>
             <li>125 HzはISO7029の係数がないため、<strong>250 Hzの帯域をミラー</strong>して表示・サンプル生成に使用（マスキング計算には含めない方針A）。</li>
             <li>出力は<strong>周波数別の上限・下限（AC/BC）</strong>でクリップ→最終のみ<strong>5 dB丸め</strong>。現状のデモはACの上限下限を適用中（BCは将来の骨導出力用に表だけ定義）。</li>
             <li><strong>スケールアウト（NR）表現</strong>：オージオメータ上限を超える推定が出た場合は、該当周波数に<strong>下向き矢印</strong>を描画し、ツールチップに <code>≥ dB HL (NR)</code> と表示します。AC/BCともにNR矢印で表示（BCは測定周波数のみ）。SNHL全般でも AC&gt;70 dB 時の周波数別しきいに基づくBC NR規則を適用しています。</li>
@@ -1,5 +1,12 @@
 import React, { forwardRef, useMemo, useRef, useState } from 'react';
-import { generateAudiogram, EngineConstants } from './engine/generateAudiogram';
+import { generateAudiogram, EngineConstants, profileComponents } from './engine/generateAudiogram';
+import { PATIENT_BEHAVIOR_PRESETS } from './engine/patientBehavior';
+import { encodeCaseCode, caseShareUrl, makeCaseStoryRng } from './caseCodeLogic';
+import { buildCaseFile, downloadCaseFile, readCaseFile, fileTargets, caseEntryBattery } from './caseFileLogic';
+import { buildCaseBattery } from './testBatteryLogic';
+import { BATTERY_RULES, checkBatteryConsistency } from './batteryConsistencyLogic';
+import { DIFFICULTY_BANDS, DIFFICULTY_LABELS, analyzeCaseDifficulty, findCaseForDifficulty, targetsFromCase } from './caseDifficultyLogic';
+import { PEDIATRIC_AGE_LABELS, PEDIATRIC_METHODS, pediatricMethodFor } from './pediatricLogic';
 
 const PROFILE_LABELS = {
   Normal: '正常',
@@ -12,8 +19,20 @@ const PROFILE_LABELS = {
   CHL_AOM: '急性中耳炎',
   CHL_Otosclerosis: '耳硬化症',
   CHL_OssicularDiscontinuity: '耳小骨連鎖完全離断',
+  SNHL_VestibularSchwannoma: '聴神経腫瘍（後迷路性）',
+  SNHL_AuditoryNeuropathy: 'オーディトリー・ニューロパチー',
+  TW_SuperiorCanalDehiscence: '上半規管裂隙症候群',
+  FHL_NonOrganic: '機能性難聴（非器質性）',
 };
 
+/** 病態スタック（'SNHL_Age+CHL_OME'）も成分ごとに訳す */
+function profileLabel(name) {
+  return profileComponents(name).map((p) => PROFILE_LABELS[p] || p).join(' ＋ ');
+}
+
+/** 耳ごとに重ねられる病態の数 */
+const STACK_SLOTS = 2;
+
 const AGE_LABELS = {
   '20s': '20歳代',
   '30s': '30歳代',
@@ -21,6 +40,7 @@ const AGE_LABELS = {
   '50s': '50歳代',
   '60s': '60歳代',
   '70s': '70歳代',
+  ...PEDIATRIC_AGE_LABELS,
 };
 
 const SEVERITY_LABELS = ['なし', '軽度', '中等度', '重度'];
@@ -31,17 +51,42 @@ const UNILATERAL = new Set([
   'SNHL_Mumps',
   'CHL_OssicularDiscontinuity',
   'CHL_AOM',
+  'SNHL_VestibularSchwannoma',
+  'TW_SuperiorCanalDehiscence',
+  'FHL_NonOrganic',
 ]);
 
 const FREQ_HZ = {
   '0.125kHz': 125,
   '0.25kHz': 250,
   '0.5kHz': 500,
+  '0.75kHz': 750,
   '1kHz': 1000,
+  '1.5kHz': 1500,
   '2kHz': 2000,
+  '3kHz': 3000,
   '4kHz': 4000,
+  '6kHz': 6000,
   '8kHz': 8000,
 };
+/** オクターブ＋中間周波数（表示順） */
+const ALL_FREQS = [...EngineConstants.FREQS, ...EngineConstants.INTERIM_FREQS].sort((a, b) => FREQ_HZ[a] - FREQ_HZ[b]);
+const INTERIM = new Set(EngineConstants.INTERIM_FREQS);
+const HZ_TO_FREQ = Object.fromEntries(Object.entries(FREQ_HZ).map(([k, hz]) => [hz, k]));
+
+/** 症例ファイルの正答（targets）→ プレビュー用の行（エンジンの right / left と同じ形） */
+function rowsFromTargets(targets, ear) {
+  const rows = {};
+  targets.filter((t) => t.ear === ear).forEach((t) => {
+    const freq = HZ_TO_FREQ[t.freq];
+    const row = rows[freq] || (rows[freq] = { freq });
+    const k = t.transducer === 'AC' ? 'ac' : 'bc';
+    row[k] = t.dB;
+    if (t.so) row[t.transducer === 'AC' ? 'soAC' : 'soBC'] = true;
+    if (typeof t.organic === 'number') row[t.transducer === 'AC' ? 'organicAc' : 'organicBc'] = t.organic;
+  });
+  return ALL_FREQS.filter((f) => rows[f]).map((f) => rows[f]);
+}
 
 const DB_MIN = -10;
 const DB_MAX = 120;
@@ -132,14 +177,14 @@ async function downloadSvgAsPng(svgEl, filename, scale = 2) {
 
 function buildAudiogramPngFilename(meta) {
   const date = new Date().toISOString().slice(0, 10);
-  const profile = (meta?.profile || 'case').replace(/[^a-zA-Z0-9_-]/g, '');
+  const profile = (meta?.profile || 'case').replace(/\+/g, '-').replace(/[^a-zA-Z0-9_-]/g, '');
   return `audiogram_${profile}_seed${meta?.seed ?? 'new'}_${date}.png`;
 }
 
 const AudiogramPreview = forwardRef(function AudiogramPreview({ right, left }, ref) {
   const { W, H, padL, padT, plotW, plotH } = audiogramSvgDimensions();
 
-  const freqs = EngineConstants.FREQS;
+  const freqs = ALL_FREQS;
 
   const xAt = (freqKey) => padL + Math.log2(FREQ_HZ[freqKey] / FREQ_MIN_HZ) * CELL;
   const yAt = (db) => {
@@ -189,10 +234,14 @@ const AudiogramPreview = forwardRef(function AudiogramPreview({ right, left }, r
         );
       })}
       {freqs.map((f) => (
-        <g key={f}>
-          <line x1={xAt(f)} y1={padT} x2={xAt(f)} y2={padT + plotH} stroke="#9ca3af" />
-          <text x={xAt(f)} y={H - 14} textAnchor="middle" fontSize="11" fill="#6b7280">{FREQ_HZ[f]}</text>
-        </g>
+        INTERIM.has(f) ? (
+          <line key={f} x1={xAt(f)} y1={padT} x2={xAt(f)} y2={padT + plotH} stroke="#e5e7eb" strokeDasharray="2 3" />
+        ) : (
+          <g key={f}>
+            <line x1={xAt(f)} y1={padT} x2={xAt(f)} y2={padT + plotH} stroke="#9ca3af" />
+            <text x={xAt(f)} y={H - 14} textAnchor="middle" fontSize="11" fill="#6b7280">{FREQ_HZ[f]}</text>
+          </g>
+        )
       ))}
       <text x={14} y={padT + plotH / 2} fontSize="11" fill="#6b7280" transform={`rotate(-90 14 ${padT + plotH / 2})`}>dB HL</text>
       <text x={padL + plotW / 2} y={H - 2} textAnchor="middle" fontSize="11" fill="#6b7280">Hz</text>
@@ -264,7 +313,7 @@ const AudiogramPreview = forwardRef(function AudiogramPreview({ right, left }, r
 });
 
 function ThresholdTable({ right, left }) {
-  const freqs = EngineConstants.FREQS;
+  const freqs = ALL_FREQS;
   const fmt = (row, key) => {
     if (!row) return '—';
     if (key === 'ac' && row.soAC) return 'SO';
@@ -274,6 +323,10 @@ function ThresholdTable({ right, left }) {
   };
   const R = Object.fromEntries((right || []).map((r) => [r.freq, r]));
   const L = Object.fromEntries((left || []).map((r) => [r.freq, r]));
+  // 機能性難聴の耳は器質的閾値の行も出す
+  const organicRows = [['右', right, R], ['左', left, L]]
+    .filter(([, rows]) => (rows || []).some((r) => typeof r.organicAc === 'number'))
+    .flatMap(([side, , map]) => [[`${side} AC（器質）`, map, 'organicAc'], [`${side} BC（器質）`, map, 'organicBc']]);
   return (
     <div className="overflow-x-auto">
       <table className="min-w-full text-xs border-collapse">
@@ -291,6 +344,7 @@ function ThresholdTable({ right, left }) {
             ['右 BC', R, 'bc'],
             ['左 AC', L, 'ac'],
             ['左 BC', L, 'bc'],
+            ...organicRows,
           ].map(([label, map, key]) => (
             <tr key={label}>
               <td className="border px-2 py-1 font-medium whitespace-nowrap">{label}</td>
@@ -309,14 +363,25 @@ export default function InstructorCaseGenerator() {
   const [ageGroup, setAgeGroup] = useState('40s');
   const [sex, setSex] = useState('Female');
   const [profile, setProfile] = useState('Normal');
+  const [difficulty, setDifficulty] = useState('');
   const [severity, setSeverity] = useState(2);
   const [affectedSide, setAffectedSide] = useState('auto');
   const [seedInput, setSeedInput] = useState('');
+  const [centralMasking, setCentralMasking] = useState(false);
+  const [occlusionEffect, setOcclusionEffect] = useState(false);
+  const [maskingDilemma, setMaskingDilemma] = useState(false);
+  const [stackMode, setStackMode] = useState(false);
+  const [stacks, setStacks] = useState({ R: ['SNHL_Age', ''], L: ['SNHL_Age', ''] });
+  const [behaviorKey, setBehaviorKey] = useState('ideal');
   const [caseData, setCaseData] = useState(null);
   const [pngBusy, setPngBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+  // 症例バンク（症例ファイルとして書き出す症例の一覧）
+  const [bank, setBank] = useState([]);
   const audiogramSvgRef = useRef(null);
 
-  const needsSide = UNILATERAL.has(profile);
+  const needsSide = UNILATERAL.has(profile) && !maskingDilemma && !stackMode;
+  const setStackSlot = (ear, i, value) => setStacks((prev) => ({ ...prev, [ear]: prev[ear].map((p, j) => (j === i ? value : p)) }));
 
   const downloadPng = async () => {
     if (!audiogramSvgRef.current || !caseData) return;
@@ -335,27 +400,127 @@ export default function InstructorCaseGenerator() {
   };
 
   const generate = () => {
-    const opts = { ageGroup, sex, profile, severity: Number(severity) };
+    const opts = stackMode
+      ? { ageGroup, sex, severity: Number(severity), interimFreqs: true, stacks: { right: stacks.R.filter(Boolean), left: stacks.L.filter(Boolean) } }
+      : { ageGroup, sex, profile, severity: Number(severity), interimFreqs: true, maskingDilemma };
     if (needsSide && affectedSide !== 'auto') opts.affectedSide = affectedSide;
-    if (seedInput !== '' && Number.isFinite(Number(seedInput))) opts.seed = Number(seedInput);
-    const data = generateAudiogram(opts);
-    setCaseData(data);
+    const seed = seedInput !== '' && Number.isFinite(Number(seedInput)) ? Number(seedInput) : undefined;
+    let data;
+    let search = null;
+    if (difficulty) {
+      // 条件はそのまま seed だけを進めて、指定の難易度帯に入る症例を探す
+      const hit = findCaseForDifficulty((s) => generateAudiogram({ ...opts, seed: s }), difficulty, { startSeed: seed });
+      data = hit.caseData;
+      search = { band: difficulty, tries: hit.tries, found: hit.found };
+    } else {
+      if (seed != null) opts.seed = seed;
+      data = generateAudiogram(opts);
+    }
+    const targets = targetsFromCase(data);
+    // 学習者画面の自動生成と同じ手順で Tym・ART・DPOAE を組み立てて検査間の矛盾を調べる（caseId は DPOAE の揺らぎに使う）
+    const battery = buildCaseBattery(targets, data.meta, makeCaseStoryRng(data.meta.seed));
+    // 応答モデルは学習者画面の模擬応答にだけ効く（閾値そのものは変えない）
+    setCaseData({
+      ...data,
+      difficulty: analyzeCaseDifficulty(targets),
+      consistency: checkBatteryConsistency({ targets, ...battery, caseId: 'AI生成' }),
+      difficultySearch: search,
+      // 指定した条件と決まった seed（応答モデル・模擬患者の型も）から学習者画面で同じ症例を開ける
+      caseCode: encodeCaseCode({ ...opts, seed: data.meta.seed }, { responseModel: { centralMasking, occlusionEffect }, patientBehaviorKey: behaviorKey }),
+      responseModel: { centralMasking, occlusionEffect },
+      patientBehavior: { ...PATIENT_BEHAVIOR_PRESETS[behaviorKey].behavior, seed: data.meta.seed },
+      patientBehaviorKey: behaviorKey,
+    });
     setSeedInput(String(data.meta.seed));
   };
 
+  const copyCaseLink = async () => {
+    const url = caseShareUrl(caseData.caseCode);
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (_) {
+      window.prompt('共有リンク', url);
+    }
+  };
+
+  // 生成した症例を症例ファイルの1件にする（Tym・ART・DPOAE は学習者画面で病態から推定）
+  const addToBank = () => {
+    const m = caseData.meta;
+    const name = `${m.stacked ? `右 ${profileLabel(m.rightProfile)}／左 ${profileLabel(m.leftProfile)}` : PROFILE_LABELS[m.profile] || m.profile}（${SEVERITY_LABELS[m.severity] ?? m.severity}・seed ${m.seed}）`;
+    const entry = {
+      id: caseData.caseCode,
+      name,
+      targets: fileTargets(targetsFromCase(caseData)),
+      details: {
+        age: AGE_LABELS[m.ageGroup] || `${m.ageGroup}歳`,
+        gender: m.sex === 'Male' ? '男性' : '女性',
+        diagnosis: m.stacked ? `右: ${profileLabel(m.rightProfile)} ／ 左: ${profileLabel(m.leftProfile)}` : profileLabel(m.profile),
+      },
+      meta: m,
+      responseModel: caseData.responseModel,
+      patientBehavior: caseData.patientBehavior,
+      caseCode: caseData.caseCode,
+    };
+    setBank((prev) => [...prev.filter((c) => c.id !== entry.id), entry]);
+  };
+
+  const importBank = async (file) => {
+    if (!file) return;
+    const { cases, errors } = await readCaseFile(file);
+    if (errors.length) {
+      window.alert(`症例ファイルを読み込めませんでした（${errors.length}件）\n${errors.slice(0, 10).join('\n')}${errors.length > 10 ? '\n…' : ''}`);
+      return;
+    }
+    setBank(cases);
+    previewEntry(cases[0]);
+  };
+
+  const previewEntry = (entry) => {
+    setCaseData({
+      meta: entry.meta || null,
+      right: rowsFromTargets(entry.targets, 'R'),
+      left: rowsFromTargets(entry.targets, 'L'),
+      fileEntry: entry,
+      difficulty: analyzeCaseDifficulty(entry.targets),
+      consistency: checkBatteryConsistency({
+        targets: entry.targets,
+        ...caseEntryBattery(entry, makeCaseStoryRng(entry.meta?.seed ?? 0)),
+        caseId: entry.id,
+      }),
+      caseCode: entry.caseCode || null,
+      responseModel: entry.responseModel,
+      patientBehavior: entry.patientBehavior,
+    });
+  };
+
   const metaBits = useMemo(() => {
     if (!caseData) return [];
     const m = caseData.meta;
+    if (caseData.fileEntry && !m) {
+      const bits = [`症例ファイル: ${caseData.fileEntry.name}`];
+      if (caseData.difficulty) bits.push(`難易度: ${DIFFICULTY_LABELS[caseData.difficulty.band]}（${caseData.difficulty.score}点）`);
+      return bits;
+    }
     const bits = [
       `seed ${m.seed}`,
       AGE_LABELS[m.ageGroup] || m.ageGroup,
       m.sex === 'Male' ? '男性' : '女性',
-      PROFILE_LABELS[m.profile] || m.profile,
+      ...(m.stacked
+        ? [`右: ${profileLabel(m.rightProfile)}`, `左: ${profileLabel(m.leftProfile)}`]
+        : [PROFILE_LABELS[m.profile] || m.profile]),
       `程度: ${SEVERITY_LABELS[m.severity] ?? m.severity}`,
     ];
     if (m.affectedSide) bits.push(`患側: ${m.affectedSide === 'R' ? '右' : '左'}`);
+    if (pediatricMethodFor(m.ageGroup)) bits.push(`音場: ${PEDIATRIC_METHODS[pediatricMethodFor(m.ageGroup)].label}`);
     if (m.carhartApplied) bits.push('Carhart様付与');
     if (m.aomMixedApplied) bits.push('AOM混合型');
+    if (m.maskingDilemma) bits.push('マスキングジレンマ');
+    if (caseData.difficulty) bits.push(`難易度: ${DIFFICULTY_LABELS[caseData.difficulty.band]}（${caseData.difficulty.score}点）`);
+    if (caseData.responseModel?.centralMasking) bits.push('中枢マスキングあり');
+    if (caseData.responseModel?.occlusionEffect) bits.push('閉塞効果あり');
+    if (caseData.patientBehavior?.enabled) bits.push(`模擬患者: ${PATIENT_BEHAVIOR_PRESETS[caseData.patientBehaviorKey]?.label}`);
     return bits;
   }, [caseData]);
 
@@ -374,7 +539,7 @@ export default function InstructorCaseGenerator() {
         <label className="text-sm text-gray-700">
           年齢群
           <select className={`${selectClass} mt-1`} value={ageGroup} onChange={(e) => setAgeGroup(e.target.value)}>
-            {EngineConstants.AGE_GROUPS.map((g) => (
+            {[...EngineConstants.AGE_GROUPS, ...EngineConstants.PEDIATRIC_AGE_GROUPS].map((g) => (
               <option key={g} value={g}>{AGE_LABELS[g]}</option>
             ))}
           </select>
@@ -388,12 +553,22 @@ export default function InstructorCaseGenerator() {
         </label>
         <label className="text-sm text-gray-700">
           聴力像パターン
-          <select className={`${selectClass} mt-1`} value={profile} onChange={(e) => setProfile(e.target.value)}>
+          <select className={`${selectClass} mt-1`} value={profile} onChange={(e) => setProfile(e.target.value)} disabled={stackMode}>
             {EngineConstants.PROFILES.map((p) => (
               <option key={p} value={p}>{PROFILE_LABELS[p] || p}</option>
             ))}
           </select>
         </label>
+        <label className="text-sm text-gray-700">
+          マスキング難易度
+          <select className={`${selectClass} mt-1`} value={difficulty} onChange={(e) => setDifficulty(e.target.value)}>
+            <option value="">指定なし</option>
+            {DIFFICULTY_BANDS.map((b) => (
+              <option key={b} value={b}>{DIFFICULTY_LABELS[b]}</option>
+            ))}
+          </select>
+          <span className="block text-xs text-gray-400 mt-1">指定すると seed を順に試して該当する症例を探します</span>
+        </label>
         <label className="text-sm text-gray-700">
           程度
           <select className={`${selectClass} mt-1`} value={severity} onChange={(e) => setSeverity(Number(e.target.value))}>
@@ -426,6 +601,62 @@ export default function InstructorCaseGenerator() {
             onChange={(e) => setSeedInput(e.target.value)}
           />
         </label>
+        <div className="text-sm text-gray-700">
+          応答モデル
+          <div className="flex flex-wrap gap-4 mt-2">
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={centralMasking} onChange={(e) => setCentralMasking(e.target.checked)} />
+              中枢マスキング
+            </label>
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={occlusionEffect} onChange={(e) => setOcclusionEffect(e.target.checked)} />
+              閉塞効果
+            </label>
+          </div>
+        </div>
+        <label className="text-sm text-gray-700">
+          マスキングジレンマ
+          <span className="flex items-center gap-1 mt-2">
+            <input type="checkbox" checked={maskingDilemma} onChange={(e) => setMaskingDilemma(e.target.checked)} disabled={stackMode} />
+            両側の最大伝音難聴にする
+          </span>
+          <span className="block text-xs text-gray-400 mt-1">伝音性以外のパターンは滲出性中耳炎に置き換えます</span>
+        </label>
+        <label className="text-sm text-gray-700">
+          病態の重ね合わせ
+          <span className="flex items-center gap-1 mt-2">
+            <input type="checkbox" checked={stackMode} onChange={(e) => setStackMode(e.target.checked)} />
+            耳ごとに複数の病態を指定する
+          </span>
+          <span className="block text-xs text-gray-400 mt-1">感音成分は加算、伝音成分は最大の気骨導差を上乗せします</span>
+        </label>
+        {stackMode && (
+          <div className="text-sm text-gray-700 sm:col-span-2 lg:col-span-3 grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {['R', 'L'].map((ear) => (
+              <div key={ear}>
+                {ear === 'R' ? '右耳' : '左耳'}の病態
+                <div className="flex gap-2 mt-1">
+                  {Array.from({ length: STACK_SLOTS }, (_, i) => (
+                    <select key={i} className={selectClass} value={stacks[ear][i]} onChange={(e) => setStackSlot(ear, i, e.target.value)}>
+                      <option value="">なし</option>
+                      {EngineConstants.PROFILES.filter((p) => p !== 'Normal').map((p) => (
+                        <option key={p} value={p}>{PROFILE_LABELS[p] || p}</option>
+                      ))}
+                    </select>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+        <label className="text-sm text-gray-700">
+          模擬患者のふるまい
+          <select className={`${selectClass} mt-1`} value={behaviorKey} onChange={(e) => setBehaviorKey(e.target.value)}>
+            {Object.entries(PATIENT_BEHAVIOR_PRESETS).map(([key, p]) => (
+              <option key={key} value={key}>{p.label}</option>
+            ))}
+          </select>
+        </label>
       </div>
 
       <div className="flex flex-wrap gap-2 mb-6">
@@ -445,6 +676,60 @@ export default function InstructorCaseGenerator() {
         </button>
       </div>
 
+      <div className="flex flex-wrap items-center gap-2 mb-6 text-sm">
+        <span className="text-gray-700">症例バンク（{bank.length}件）</span>
+        <button
+          type="button"
+          onClick={addToBank}
+          disabled={!caseData || !!caseData.fileEntry}
+          className="px-3 py-1.5 bg-teal-600 text-white rounded-lg hover:bg-teal-700 disabled:opacity-50 text-xs"
+        >
+          生成した症例を追加
+        </button>
+        <button
+          type="button"
+          onClick={() => downloadCaseFile(buildCaseFile(bank), 'audioscope-case-bank')}
+          disabled={!bank.length}
+          className="px-3 py-1.5 bg-gray-700 text-white rounded-lg hover:bg-gray-800 disabled:opacity-50 text-xs"
+        >
+          症例ファイルに書き出す
+        </button>
+        <label className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 text-xs cursor-pointer">
+          症例ファイルを読み込む
+          <input
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(e) => { importBank(e.target.files?.[0]); e.target.value = ''; }}
+          />
+        </label>
+        {bank.length > 0 && (
+          <>
+            <select
+              className="px-2 py-1.5 border border-gray-300 rounded-lg text-xs bg-white"
+              value={caseData?.fileEntry?.id || ''}
+              onChange={(e) => {
+                const entry = bank.find((c) => c.id === e.target.value);
+                if (entry) previewEntry(entry);
+              }}
+            >
+              <option value="">一覧から表示…</option>
+              {bank.map((c) => (
+                <option key={c.id} value={c.id}>{c.name}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => setBank([])}
+              className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-xs"
+            >
+              バンクを空にする
+            </button>
+          </>
+        )}
+        <span className="block w-full text-xs text-gray-400">学習者画面の「症例ファイル」から読み込めます。形式は docs/症例ファイル形式.md を参照</span>
+      </div>
+
       {caseData && (
         <div className="space-y-4">
           <div className="flex flex-wrap gap-2">
@@ -452,6 +737,14 @@ export default function InstructorCaseGenerator() {
               <span key={b} className="text-xs px-2 py-1 rounded-full bg-blue-50 text-blue-800 border border-blue-100">{b}</span>
             ))}
           </div>
+          {caseData.difficulty && (
+            <p className="text-xs text-gray-600">
+              要マスク {caseData.difficulty.masking} 点・プラトー探索 {caseData.difficulty.plateau} 点・オーバーマスキング注意 {caseData.difficulty.overMasking} 点・スケールアウト {caseData.difficulty.scaleOut} 点
+              {caseData.difficultySearch && (caseData.difficultySearch.found
+                ? `（${caseData.difficultySearch.tries} 件目で「${DIFFICULTY_LABELS[caseData.difficultySearch.band]}」に該当）`
+                : `（${caseData.difficultySearch.tries} 件試しても「${DIFFICULTY_LABELS[caseData.difficultySearch.band]}」に届かず、最も近い症例を表示。パターンや程度を変えてください）`)}
+            </p>
+          )}
           <p className="text-xs text-gray-500">記号は測定画面と同じ（右＝赤・左＝青）。学習者の正答照合は緑です。</p>
           <div className="flex flex-wrap items-center justify-between gap-2">
             <button
@@ -464,8 +757,36 @@ export default function InstructorCaseGenerator() {
             </button>
             <span className="text-xs text-gray-400">プレビューと同じ記号・縦横比で出力します</span>
           </div>
+          {caseData.caseCode && (
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-gray-700">症例コード</span>
+            <span className="font-mono text-xs px-2 py-1 rounded bg-gray-100 text-gray-800">{caseData.caseCode}</span>
+            <button
+              type="button"
+              onClick={copyCaseLink}
+              className="px-3 py-1.5 bg-gray-700 text-white rounded-lg hover:bg-gray-800 text-xs"
+            >
+              {copied ? 'コピーしました' : '学習者用リンクをコピー'}
+            </button>
+            <span className="text-xs text-gray-400">学習者画面で同じオージオグラム・Tym・症例文が開きます（応答モデル・模擬患者は含みません）</span>
+          </div>
+          )}
           <AudiogramPreview ref={audiogramSvgRef} right={caseData.right} left={caseData.left} />
           <ThresholdTable right={caseData.right} left={caseData.left} />
+          {caseData.consistency?.length > 0 && (
+            <div className="bg-amber-50 border border-amber-300 rounded-xl p-4 text-sm space-y-2">
+              <div className="font-semibold text-amber-900">
+                検査間の矛盾 {caseData.consistency.length} 件（学習者画面の Tym・ART・DPOAE とオージオグラムが食い違います）
+              </div>
+              {caseData.consistency.map((f, i) => (
+                <div key={i} className="text-xs text-amber-900">
+                  <span className="font-mono mr-1">[{f.rule}]</span>
+                  <span className="font-semibold">{f.label}</span>：{f.message}
+                  <div className="text-amber-700 mt-0.5">{BATTERY_RULES[f.rule]?.explanation}</div>
+                </div>
+              ))}
+            </div>
+          )}
           <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-sm">
             {['ティンパノメトリー', 'ART', 'DPOAE'].map((name) => (
               <div key={name} className="border border-dashed border-gray-300 rounded-xl p-4 text-gray-400">
@@ -10,6 +10,10 @@ import {
   averageAccuracyForPresets,
 } from './usageEvents';
 import InstructorCaseGenerator from './InstructorCaseGenerator';
+import RubricEditor from './RubricEditor';
+import ExamManager from './ExamManager';
+import AssignmentManager from './AssignmentManager';
+import StudentSessionReplays from './StudentSessionReplays';
 
 export default function InstructorDashboard({ instructor, onLogout }) {
   const [mainTab, setMainTab] = useState('generate');
@@ -306,7 +310,7 @@ export default function InstructorDashboard({ instructor, onLogout }) {
           </div>
         </header>
 
-        <div className="grid grid-cols-2 gap-2 mb-6 bg-white rounded-2xl shadow p-2">
+        <div className="grid grid-cols-5 gap-2 mb-6 bg-white rounded-2xl shadow p-2">
           <button
             type="button"
             onClick={() => setMainTab('generate')}
@@ -321,12 +325,45 @@ export default function InstructorDashboard({ instructor, onLogout }) {
           >
             学生の進捗
           </button>
+          <button
+            type="button"
+            onClick={() => setMainTab('assignments')}
+            className={`px-4 py-3 rounded-xl text-base font-semibold ${mainTab === 'assignments' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            課題
+          </button>
+          <button
+            type="button"
+            onClick={() => setMainTab('rubrics')}
+            className={`px-4 py-3 rounded-xl text-base font-semibold ${mainTab === 'rubrics' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            採点基準
+          </button>
+          <button
+            type="button"
+            onClick={() => setMainTab('exams')}
+            className={`px-4 py-3 rounded-xl text-base font-semibold ${mainTab === 'exams' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            試験
+          </button>
         </div>
 
         {mainTab === 'generate' && (
           <InstructorCaseGenerator />
         )}
 
+        {mainTab === 'assignments' && (
+          <AssignmentManager instructor={instructor} />
+        )}
+
+        {mainTab === 'rubrics' && (
+          <RubricEditor instructor={instructor} />
+        )}
+
+        {mainTab === 'exams' && (
+          <ExamManager instructor={instructor} />
+        )}
+
         {mainTab === 'progress' && (
         <>
         {/* 統計カード */}
@@ -722,6 +759,16 @@ export default function InstructorDashboard({ instructor, onLogout }) {
                                     <div className="text-xs text-gray-600 mt-1">
                                       {caseData.correct}/{caseData.total}
                                     </div>
+                                    {caseData.masking && (
+                                      <div className="text-xs text-indigo-600 mt-1" title="記録したマスキング条件でその閾値が得られたはずの打点の割合">
+                                        マスキング妥当 {caseData.masking.validRate}%
+                                      </div>
+                                    )}
+                                    {caseData.rubric && (
+                                      <div className={`text-xs mt-1 ${caseData.rubric.passed ? 'text-emerald-700' : 'text-rose-700'}`} title={caseData.rubric.name}>
+                                        {caseData.rubric.earned}/{caseData.rubric.max}点 {caseData.rubric.passed ? '合格' : '不合格'}
+                                      </div>
+                                    )}
                                     {caseData.completedAt && (
                                       <div className="text-xs text-gray-500 mt-1">
                                         {new Date(caseData.completedAt).toLocaleDateString('ja-JP')}
@@ -784,6 +831,14 @@ export default function InstructorDashboard({ instructor, onLogout }) {
                     })()}
                   </div>
                 )}
+
+                {/* 操作の記録（セッションの再生） */}
+                {!isSupabaseDisabled && (
+                  <div className="bg-gray-50 rounded-lg p-4">
+                    <h3 className="font-semibold text-gray-800 mb-3">操作の記録（セッションの再生）</h3>
+                    <StudentSessionReplays studentId={selectedStudent.student_id} />
+                  </div>
+                )}
               </div>
 
               <div className="mt-6 flex justify-end gap-3">
@@ -0,0 +1,40 @@
+import React, { useState } from 'react';
+
+/**
+ * 講師パスワードの再入力（書き込みはサーバーの関数が講師ID・パスワードを確かめる）
+ * 確認した資格情報は呼び出し側が画面を閉じるまでメモリにだけ持つ。
+ * @param {{ instructorId: string }} instructor
+ * @param {(credentials: { instructorId: string, password: string }) => void} onConfirm
+ * @param {string} note - 入力欄の横の説明
+ * @param {string} buttonClassName - 確認ボタンの色（入力があるとき）
+ */
+export default function InstructorPasswordPrompt({ instructor, onConfirm, note, buttonClassName = 'bg-rose-600 hover:bg-rose-700' }) {
+  const [password, setPassword] = useState('');
+
+  return (
+    <div className="flex flex-wrap items-end gap-3 text-sm">
+      <label className="flex flex-col gap-1">
+        <span className="text-xs text-gray-600">講師パスワード（{instructor?.instructorId}）</span>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="border rounded-lg px-2 py-1 w-48"
+        />
+      </label>
+      <button
+        type="button"
+        onClick={() => {
+          if (!password) return;
+          onConfirm({ instructorId: instructor?.instructorId, password });
+          setPassword('');
+        }}
+        disabled={!password}
+        className={`px-3 py-1.5 rounded-lg text-white ${password ? buttonClassName : 'bg-gray-300 cursor-not-allowed'}`}
+      >
+        確認
+      </button>
+      {note && <span className="text-xs text-gray-500">{note}</span>}
+    </div>
+  );
+}
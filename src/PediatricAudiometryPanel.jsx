@@ -0,0 +1,267 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  PEDIATRIC_AGE_LABELS,
+  PEDIATRIC_METHODS,
+  SOUND_FIELD_MAX_DB,
+  MRL_TOLERANCE_DB,
+  pediatricMethodFor,
+  soundFieldTargets,
+  soundFieldResponse,
+  scoreSoundField,
+} from './pediatricLogic';
+
+const fmtThr = (v) => (v == null ? '-' : Number.isFinite(v) ? `${v} dB` : 'SO');
+
+/**
+ * 小児の音場検査（乳児: VRA ／ 幼児: 遊戯聴力検査）
+ * スピーカーから提示し、耳を分けずに周波数ごとの最小反応レベル（MRL）を記録して正答と照合する。
+ * @param {string|null} ageGroup - 症例の年齢区分（'infant' | 'child'。成人なら検査できない）
+ * @param {(ageGroup: string) => void} onGenerate - 小児症例を生成して読み込む
+ */
+export default function PediatricAudiometryPanel({ targets, ageGroup, onGenerate, generating = false }) {
+  const [open, setOpen] = useState(false);
+  const [freq, setFreq] = useState(1000);
+  const [level, setLevel] = useState(50);
+  const [trials, setTrials] = useState(0);
+  const [breaks, setBreaks] = useState(0);
+  const [log, setLog] = useState([]);
+  const [recorded, setRecorded] = useState({});
+  const [revealed, setRevealed] = useState(false);
+
+  const method = pediatricMethodFor(ageGroup);
+  const config = method ? PEDIATRIC_METHODS[method] : null;
+  const expected = useMemo(() => soundFieldTargets(targets, method), [targets, method]);
+  const result = useMemo(() => (revealed ? scoreSoundField(recorded, expected, targets) : null), [revealed, recorded, expected, targets]);
+
+  useEffect(() => {
+    setTrials(0);
+    setBreaks(0);
+    setLog([]);
+    setRecorded({});
+    setRevealed(false);
+    setLevel(50);
+    setFreq(1000);
+  }, [targets]);
+
+  const hasCase = Array.isArray(targets) && targets.length > 0 && !!config;
+  const habituated = !!config && trials >= config.maxTrials;
+
+  function present() {
+    const trial = trials + 1;
+    const { responded, habituated: tired } = soundFieldResponse(expected, method, { freq, level, trial });
+    setTrials(trial);
+    setLog((prev) => [...prev, { freq, level, responded, habituated: tired }]);
+  }
+  const record = (so) => setRecorded((prev) => ({ ...prev, [freq]: so ? { dB: SOUND_FIELD_MAX_DB, so: true } : { dB: level } }));
+  const clearRecord = () => setRecorded((prev) => {
+    const next = { ...prev };
+    delete next[freq];
+    return next;
+  });
+
+  const generateButtons = (
+    <div className="flex flex-wrap gap-2">
+      {Object.keys(PEDIATRIC_AGE_LABELS).map((g) => (
+        <button
+          key={g}
+          type="button"
+          onClick={() => onGenerate(g)}
+          disabled={generating}
+          className={`px-3 py-2 rounded-xl text-sm border ${generating ? 'bg-gray-100 text-gray-400 border-gray-200 cursor-not-allowed' : 'bg-white text-teal-700 border-teal-400 hover:bg-teal-50'}`}
+        >
+          {PEDIATRIC_AGE_LABELS[g]}の症例を生成
+        </button>
+      ))}
+    </div>
+  );
+
+  if (!open) {
+    return (
+      <div className="bg-white rounded-2xl shadow border border-teal-200 p-4 flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <div className="font-semibold text-teal-900">小児聴力検査（VRA・遊戯聴力検査）</div>
+          <div className="text-xs text-gray-600 mt-0.5">音場（スピーカー）で提示し、耳を分けずに最小反応レベル（MRL）を求めます。</div>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          {generateButtons}
+          <button
+            type="button"
+            onClick={() => setOpen(true)}
+            disabled={!hasCase}
+            className={`px-4 py-2 rounded-xl text-sm font-medium text-white ${hasCase ? 'bg-teal-600 hover:bg-teal-700' : 'bg-gray-300 cursor-not-allowed'}`}
+          >
+            {hasCase ? '小児聴力検査を開く' : '小児症例をLOADしてください'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!hasCase) {
+    return (
+      <div className="bg-white rounded-2xl shadow border border-teal-200 p-4 flex flex-wrap items-center justify-between gap-3">
+        <div className="text-sm text-gray-600">成人の症例です。小児症例を生成すると音場検査ができます。</div>
+        <div className="flex flex-wrap items-center gap-2">
+          {generateButtons}
+          <button type="button" onClick={() => setOpen(false)} className="px-3 py-1.5 rounded-lg border text-sm hover:bg-gray-50">閉じる</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow border border-teal-200 overflow-hidden">
+      <div className="bg-teal-700 text-white px-5 py-3 flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <div className="font-semibold">{config.label}（{PEDIATRIC_AGE_LABELS[ageGroup]}）</div>
+          <div className="text-xs text-teal-100 mt-0.5">音場・耳の特定なし（記号 S） ／ 反応: {config.response}</div>
+        </div>
+        <button
+          type="button"
+          onClick={() => setOpen(false)}
+          className="px-3 py-1.5 rounded-lg bg-white/15 hover:bg-white/25 text-sm"
+        >
+          閉じる
+        </button>
+      </div>
+
+      <div className="p-5 space-y-4 text-sm">
+        <div className="flex flex-wrap items-end gap-4">
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-gray-600">周波数（震音）</span>
+            <select value={freq} onChange={(e) => setFreq(Number(e.target.value))} className="border rounded-lg px-2 py-1">
+              {config.freqs.map((f) => <option key={f} value={f}>{f} Hz{recorded[f] ? ' ✓' : ''}</option>)}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-gray-600">提示レベル（dB HL）</span>
+            <input
+              type="number"
+              step={5}
+              min={-10}
+              max={SOUND_FIELD_MAX_DB}
+              value={level}
+              onChange={(e) => setLevel(Math.min(SOUND_FIELD_MAX_DB, Math.round(Number(e.target.value) / 5) * 5))}
+              className="border rounded-lg px-2 py-1 w-24"
+            />
+          </label>
+          <button
+            type="button"
+            onClick={present}
+            disabled={revealed}
+            className={`px-4 py-2 rounded-xl text-white ${revealed ? 'bg-gray-300 cursor-not-allowed' : 'bg-teal-600 hover:bg-teal-700'}`}
+          >
+            提示
+          </button>
+          <button type="button" onClick={() => record(false)} disabled={revealed} className="px-3 py-2 rounded-xl border border-teal-400 text-teal-700 hover:bg-teal-50">
+            この値を MRL に記録
+          </button>
+          <button type="button" onClick={() => record(true)} disabled={revealed} className="px-3 py-2 rounded-xl border border-gray-300 hover:bg-gray-50">
+            最大出力で反応なし
+          </button>
+          {recorded[freq] && !revealed && (
+            <button type="button" onClick={clearRecord} className="px-3 py-2 rounded-xl border border-gray-300 text-xs hover:bg-gray-50">
+              記録を消す
+            </button>
+          )}
+        </div>
+
+        <div className={`text-xs ${habituated ? 'text-rose-700 font-semibold' : 'text-gray-600'}`}>
+          提示 {trials} / {config.maxTrials} 回（休憩 {breaks} 回）
+          {habituated && ' — 慣れて反応しなくなりました。休憩をとってから再開してください。'}
+          {habituated && (
+            <button
+              type="button"
+              onClick={() => { setTrials(0); setBreaks((b) => b + 1); }}
+              className="ml-2 px-2 py-0.5 rounded border border-rose-300 bg-white hover:bg-rose-50"
+            >
+              休憩して再開
+            </button>
+          )}
+        </div>
+
+        {log.length > 0 && (
+          <div className="max-h-40 overflow-y-auto">
+            <table className="text-xs border-collapse">
+              <thead>
+                <tr className="text-gray-500">
+                  <th className="px-2 py-1 text-left">#</th>
+                  <th className="px-2 py-1 text-left">周波数</th>
+                  <th className="px-2 py-1 text-left">レベル</th>
+                  <th className="px-2 py-1 text-left">反応</th>
+                </tr>
+              </thead>
+              <tbody>
+                {log.map((x, i) => (
+                  <tr key={i} className="border-t">
+                    <td className="px-2 py-1">{i + 1}</td>
+                    <td className="px-2 py-1">{x.freq} Hz</td>
+                    <td className="px-2 py-1">{x.level} dB</td>
+                    <td className={`px-2 py-1 font-semibold ${x.responded ? 'text-emerald-700' : 'text-rose-700'}`}>
+                      {x.responded ? 'あり' : x.habituated ? 'なし（慣れ）' : 'なし'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {!revealed ? (
+          <button
+            type="button"
+            onClick={() => setRevealed(true)}
+            disabled={Object.keys(recorded).length === 0}
+            className={`px-4 py-2 rounded-xl text-white ${Object.keys(recorded).length ? 'bg-teal-600 hover:bg-teal-700' : 'bg-gray-300 cursor-not-allowed'}`}
+          >
+            {Object.keys(recorded).length ? `記録した MRL を確認する（${Object.keys(recorded).length} / ${config.freqs.length}）` : 'MRL を記録してください'}
+          </button>
+        ) : (
+          <div className="bg-teal-50 border border-teal-200 rounded-lg p-3 space-y-2">
+            <div className="font-semibold text-teal-900">MRL の一致: {result.correct} / {result.total}（±{MRL_TOLERANCE_DB} dB）</div>
+            <table className="text-xs border-collapse">
+              <thead>
+                <tr className="text-gray-500">
+                  <th className="px-2 py-1 text-left">周波数</th>
+                  <th className="px-2 py-1 text-left">記録</th>
+                  <th className="px-2 py-1 text-left">正答 MRL</th>
+                  <th className="px-2 py-1 text-left">右 AC</th>
+                  <th className="px-2 py-1 text-left">左 AC</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.items.map((x) => (
+                  <tr key={x.freq} className="border-t">
+                    <td className="px-2 py-1">{x.freq} Hz</td>
+                    <td className={`px-2 py-1 font-semibold ${x.ok ? 'text-emerald-700' : 'text-rose-700'}`}>
+                      {x.ok ? '○ ' : '× '}{x.recorded ? (x.recorded.so ? 'SO' : `${x.recorded.dB} dB`) : '未記録'}
+                    </td>
+                    <td className="px-2 py-1">{x.expected.so ? 'SO' : `${x.expected.dB} dB`}</td>
+                    <td className="px-2 py-1">{fmtThr(x.R)}</td>
+                    <td className="px-2 py-1">{fmtThr(x.L)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {result.asymmetricFreqs.length > 0 && (
+              <div className="text-xs text-rose-700">
+                ⚠ {result.asymmetricFreqs.join(' / ')} Hz は左右差が大きい。音場の MRL は良聴耳の聴力しか表さないため、一側性の難聴は見逃される（耳別にはインサートイヤホンで測る）。
+              </div>
+            )}
+            <div className="text-xs text-gray-600">
+              目安: MRL は成人の閾値より高く出る（VRA で約 {PEDIATRIC_METHODS.vra.mrlOffsetDb} dB、遊戯聴力検査で約 {PEDIATRIC_METHODS.play.mrlOffsetDb} dB）。
+              音場では骨導とマスキングを行わないため、伝音・感音の区別はティンパノメトリーと合わせて判断する。
+            </div>
+            <button
+              type="button"
+              onClick={() => setRevealed(false)}
+              className="mt-1 px-3 py-1.5 rounded-lg border border-teal-300 bg-white text-xs hover:bg-teal-100"
+            >
+              記録を続ける
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
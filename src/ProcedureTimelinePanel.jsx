@@ -0,0 +1,106 @@
+import React from 'react';
+import { PROTOCOL_FLAG_LABELS } from './hughsonWestlakeLogic';
+
+const SPARK_W = 220;
+const SPARK_H = 48;
+const SPARK_PAD = 6;
+
+/**
+ * 周波数ごとの手順タイムライン（Hughson–Westlake）
+ * analyzeProtocol() の結果を、現在の耳・変換器について周波数行で表示する。
+ */
+export default function ProcedureTimelinePanel({ analysis, ear, trans, freq, freqs }) {
+  const rows = freqs
+    .map((f) => ({ f, row: analysis?.byFreq?.[`${ear}|${trans}|${f}`] }))
+    .filter((x) => x.row);
+  const sessionFlags = (analysis?.sessionFlags || []).filter((x) => x.ear === ear && trans === 'AC');
+
+  return (
+    <div className="bg-amber-50 border border-amber-200 rounded-xl p-3 text-[15px] leading-snug max-w-[420px]">
+      <div className="flex items-start gap-2 mb-2">
+        <div className="text-amber-600 text-[18px]">⏱</div>
+        <div>
+          <div className="font-semibold text-amber-900 text-[16px]">手順タイムライン（Hughson–Westlake）</div>
+          <div className="text-xs text-amber-700">
+            {ear === 'R' ? '右耳' : '左耳'} {trans} ／ ●反応 ○無反応 ／ 10 dB下降・5 dB上昇、2/3上昇反応で閾値
+          </div>
+        </div>
+      </div>
+
+      {sessionFlags.length > 0 && (
+        <ul className="mb-2 text-xs text-rose-700 space-y-0.5">
+          {sessionFlags.map((x) => (
+            <li key={x.flag}>⚠ {PROTOCOL_FLAG_LABELS[x.flag] || x.flag}</li>
+          ))}
+        </ul>
+      )}
+
+      {rows.length === 0 ? (
+        <p className="text-xs text-gray-600">レベルを操作（または「提示」）すると、提示ごとの反応がここに記録されます。</p>
+      ) : (
+        <div className="space-y-2 max-h-80 overflow-y-auto pr-1">
+          {rows.map(({ f, row }) => {
+            const cond = row.conditions[row.conditions.length - 1];
+            return (
+              <div
+                key={f}
+                className={`rounded-lg border p-2 bg-white ${f === freq ? 'border-amber-500 ring-1 ring-amber-300' : 'border-amber-100'}`}
+              >
+                <div className="flex items-center justify-between text-xs">
+                  <span className="font-semibold text-gray-800">
+                    {f} Hz{cond.masked ? `（マスク ${cond.maskLevel} dB）` : ''}
+                  </span>
+                  <span className={row.threshold != null ? 'text-emerald-700' : 'text-gray-500'}>
+                    2/3上昇: {row.threshold != null ? `${row.threshold} dB` : '未確定'}
+                    {row.plotted != null ? ` ／ プロット ${row.plotted} dB` : ''}
+                  </span>
+                </div>
+                <StepSparkline steps={cond.steps} threshold={cond.threshold} />
+                {row.flags.length > 0 && (
+                  <ul className="text-[11px] text-rose-700 space-y-0.5">
+                    {row.flags.map((flag) => (
+                      <li key={flag}>⚠ {PROTOCOL_FLAG_LABELS[flag] || flag}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function StepSparkline({ steps, threshold }) {
+  if (!steps.length) return null;
+  const levels = steps.map((s) => s.level);
+  const lo = Math.min(...levels) - 5;
+  const hi = Math.max(...levels) + 5;
+  const dx = steps.length > 1 ? (SPARK_W - SPARK_PAD * 2) / (steps.length - 1) : 0;
+  // オージオグラムと同じく上が小さいdB
+  const yAt = (L) => SPARK_PAD + ((L - lo) / (hi - lo)) * (SPARK_H - SPARK_PAD * 2);
+  const xAt = (i) => SPARK_PAD + i * dx;
+  const pts = steps.map((s, i) => `${xAt(i)},${yAt(s.level)}`).join(' ');
+  return (
+    <svg width={SPARK_W} height={SPARK_H} className="block my-1">
+      {threshold != null && (
+        <line x1={0} x2={SPARK_W} y1={yAt(threshold)} y2={yAt(threshold)} stroke="#10b981" strokeDasharray="3 3" />
+      )}
+      <polyline points={pts} fill="none" stroke="#94a3b8" strokeWidth="1.5" />
+      {steps.map((s, i) => (
+        <circle
+          key={i}
+          cx={xAt(i)}
+          cy={yAt(s.level)}
+          r={3.5}
+          fill={s.responded ? '#f97316' : '#ffffff'}
+          stroke={s.flag ? '#e11d48' : '#475569'}
+          strokeWidth={s.flag ? 2 : 1}
+        >
+          <title>{`${s.level} dB ${s.responded ? '反応' : '無反応'}${s.flag ? ` ⚠ ${PROTOCOL_FLAG_LABELS[s.flag]}` : ''}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
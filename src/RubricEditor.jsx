@@ -0,0 +1,325 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { isSupabaseDisabled } from './supabaseClient';
+import { PRESET_MAP, PRESET_DETAILS } from './data/presetCases';
+import {
+  DEFAULT_RUBRIC,
+  RUBRIC_TEMPLATES,
+  RUBRIC_CATEGORIES,
+  RUBRIC_CATEGORY_LABELS,
+  normalizeRubric,
+  validateRubric,
+  scoreWithRubric,
+  rubricSummaryLine,
+} from './rubricLogic';
+import {
+  RUBRIC_TARGET,
+  fetchRubrics,
+  fetchRubricAttachments,
+  saveRubric,
+  deleteRubric,
+  attachRubric,
+  warnIfRubricTableMissing,
+  rubricErrorMessage,
+} from './rubrics';
+import InstructorPasswordPrompt from './InstructorPasswordPrompt';
+
+const PRESET_KEYS = Object.keys(PRESET_MAP);
+
+/** 入力欄は文字列で持つ（途中の空欄を許す） */
+const toForm = (r, id = null) => ({
+  id,
+  name: r.name,
+  toleranceDb: String(r.toleranceDb),
+  partialToleranceDb: String(r.partialToleranceDb),
+  partialCredit: String(r.partialCredit),
+  weights: Object.fromEntries(RUBRIC_CATEGORIES.map((c) => [c, String(r.weights[c])])),
+  scaleOutPenalty: String(r.scaleOutPenalty),
+  passMark: String(r.passMark),
+});
+
+/** 配点の見本: 各区分 1 項目ずつ、正答から 5 dB ずれた記録と SO 記号の付け忘れ */
+const SAMPLE_ITEMS = [
+  { key: 'R|AC|1000', ear: 'R', transducer: 'AC', freq: 1000, target: { dB: 40 }, measured: { dB: 40 }, maskingRequired: false },
+  { key: 'L|AC|1000', ear: 'L', transducer: 'AC', freq: 1000, target: { dB: 70 }, measured: { dB: 75 }, maskingRequired: true },
+  { key: 'R|BC|1000', ear: 'R', transducer: 'BC', freq: 1000, target: { dB: 10 }, measured: { dB: 10 }, maskingRequired: false },
+  { key: 'L|BC|1000', ear: 'L', transducer: 'BC', freq: 1000, target: { dB: 50 }, measured: { dB: 60 }, maskingRequired: true },
+  { key: 'L|AC|4000', ear: 'L', transducer: 'AC', freq: 4000, target: { dB: 110, so: true }, measured: { dB: 110 }, maskingRequired: true },
+];
+
+/**
+ * 採点基準（ルーブリック）の作成とプリセット症例への割り当て
+ * 割り当てのない症例は既定の基準（完全一致・80%）で採点される。
+ */
+export default function RubricEditor({ instructor }) {
+  const [rubrics, setRubrics] = useState([]);
+  const [attachments, setAttachments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(() => toForm(RUBRIC_TEMPLATES[1]));
+  const [message, setMessage] = useState('');
+  // 保存・削除・割り当てはサーバーで講師パスワードを確かめる（画面を閉じるまでメモリにだけ持つ）
+  const [credentials, setCredentials] = useState(null);
+
+  const handleWriteError = (error, label) => {
+    warnIfRubricTableMissing(error, label);
+    if (error.message?.includes('instructor mismatch')) setCredentials(null);
+    setMessage(rubricErrorMessage(error));
+  };
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    const [r, a] = await Promise.all([fetchRubrics(), fetchRubricAttachments()]);
+    if (r.error) warnIfRubricTableMissing(r.error, '採点基準の取得エラー');
+    if (a.error) warnIfRubricTableMissing(a.error, '割り当ての取得エラー');
+    setRubrics(r.data || []);
+    setAttachments(a.data || []);
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const errors = useMemo(() => validateRubric(form), [form]);
+  const sample = useMemo(() => (errors.length ? null : scoreWithRubric(SAMPLE_ITEMS, normalizeRubric(form))), [errors, form]);
+  const presetRubric = (key) => attachments.find((a) => a.target_type === RUBRIC_TARGET.PRESET && a.target_key === key)?.rubric_id ?? null;
+
+  const setField = (k, v) => setForm((prev) => ({ ...prev, [k]: v }));
+  const setWeight = (c, v) => setForm((prev) => ({ ...prev, weights: { ...prev.weights, [c]: v } }));
+
+  async function handleSave() {
+    if (errors.length || !credentials) return;
+    setSaving(true);
+    const { data, error } = await saveRubric({ id: form.id, name: form.name.trim(), config: form }, credentials);
+    setSaving(false);
+    if (error) {
+      handleWriteError(error, '採点基準の保存エラー');
+      return;
+    }
+    setMessage(`「${data?.name || form.name}」を保存しました`);
+    setForm((prev) => ({ ...prev, id: data?.id ?? prev.id }));
+    load();
+  }
+
+  async function handleDelete(row) {
+    if (!credentials) {
+      setMessage('削除するには講師パスワードを入力してください');
+      return;
+    }
+    if (!window.confirm(`採点基準「${row.name}」を削除しますか？割り当て先は既定の基準に戻ります。`)) return;
+    const { error } = await deleteRubric(row.id, credentials);
+    if (error) {
+      handleWriteError(error, '採点基準の削除エラー');
+      return;
+    }
+    if (form.id === row.id) setForm((prev) => ({ ...prev, id: null }));
+    load();
+  }
+
+  async function handleAttach(presetKey, value) {
+    if (!credentials) return;
+    const rubricId = value === '' ? null : Number(value);
+    const { error } = await attachRubric(RUBRIC_TARGET.PRESET, presetKey, rubricId, credentials);
+    if (error) {
+      handleWriteError(error, '割り当ての保存エラー');
+      return;
+    }
+    load();
+  }
+
+  const numInput = (value, onChange, { step = 1, width = 'w-20' } = {}) => (
+    <input
+      type="number"
+      step={step}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className={`border rounded-lg px-2 py-1 ${width}`}
+    />
+  );
+
+  return (
+    <div className="space-y-6">
+      {isSupabaseDisabled && (
+        <div className="bg-amber-50 border border-amber-200 rounded-xl p-3 text-sm text-amber-800">
+          Supabase が無効のため、採点基準は保存できません（学生側は既定の基準で採点されます）。
+        </div>
+      )}
+
+      <div className="bg-white rounded-2xl shadow border border-indigo-200 overflow-hidden">
+        <div className="bg-indigo-700 text-white px-5 py-3">
+          <div className="font-semibold">採点基準の作成</div>
+          <div className="text-xs text-indigo-100 mt-0.5">許容差・部分点・配点・SO 記号の減点・合格点を決めます。配点の区分は正答の条件でマスキングが必要かどうかで分けます。</div>
+        </div>
+        {!credentials && (
+          <div className="px-5 pt-4">
+            <InstructorPasswordPrompt
+              instructor={instructor}
+              onConfirm={(c) => {
+                setCredentials(c);
+                setMessage('');
+              }}
+              note="採点基準の保存・削除・割り当てには、講師パスワードの再入力が必要です。"
+              buttonClassName="bg-indigo-600 hover:bg-indigo-700"
+            />
+          </div>
+        )}
+        <div className="p-5 space-y-4 text-sm">
+          <div className="flex flex-wrap gap-2">
+            {RUBRIC_TEMPLATES.map((t) => (
+              <button
+                key={t.name}
+                type="button"
+                onClick={() => setForm(toForm(t))}
+                className="px-3 py-1.5 rounded-lg border border-indigo-300 text-indigo-700 hover:bg-indigo-50 text-xs"
+              >
+                ひな形: {t.name}
+              </button>
+            ))}
+            {form.id && (
+              <button type="button" onClick={() => setField('id', null)} className="px-3 py-1.5 rounded-lg border text-xs hover:bg-gray-50">
+                新規として保存する
+              </button>
+            )}
+          </div>
+
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-gray-600">名前{form.id ? `（編集中 #${form.id}）` : ''}</span>
+            <input value={form.name} onChange={(e) => setField('name', e.target.value)} className="border rounded-lg px-2 py-1 max-w-md" />
+          </label>
+
+          <div className="flex flex-wrap items-end gap-4">
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-gray-600">満点の許容差（±dB）</span>
+              {numInput(form.toleranceDb, (v) => setField('toleranceDb', v), { step: 5 })}
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-gray-600">部分点の範囲（±dB）</span>
+              {numInput(form.partialToleranceDb, (v) => setField('partialToleranceDb', v), { step: 5 })}
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-gray-600">部分点の割合（0〜1）</span>
+              {numInput(form.partialCredit, (v) => setField('partialCredit', v), { step: 0.1 })}
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-gray-600">SO 記号の付け忘れ（1件の減点）</span>
+              {numInput(form.scaleOutPenalty, (v) => setField('scaleOutPenalty', v), { step: 0.5 })}
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-gray-600">合格点（%）</span>
+              {numInput(form.passMark, (v) => setField('passMark', v), { step: 5 })}
+            </label>
+          </div>
+
+          <div>
+            <div className="text-xs text-gray-600 mb-1">1 項目あたりの配点</div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              {RUBRIC_CATEGORIES.map((c) => (
+                <label key={c} className="flex flex-col gap-1">
+                  <span className="text-xs text-gray-700">{RUBRIC_CATEGORY_LABELS[c]}</span>
+                  {numInput(form.weights[c], (v) => setWeight(c, v), { step: 0.5 })}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {errors.length > 0 ? (
+            <ul className="text-xs text-rose-700 list-disc pl-5">
+              {errors.map((e) => <li key={e}>{e}</li>)}
+            </ul>
+          ) : (
+            <div className="bg-indigo-50 border border-indigo-200 rounded-lg p-3 text-xs text-indigo-900">
+              <div className="font-semibold mb-1">見本の採点（5 項目）: {rubricSummaryLine(sample)}</div>
+              {sample.items.map((x) => (
+                <div key={x.key}>
+                  {x.ear} {x.transducer} {x.freq}Hz（{RUBRIC_CATEGORY_LABELS[x.category]}）
+                  正答 {x.target.so ? 'SO' : `${x.target.dB}dB`} ／ 記録 {x.measured.so ? 'SO' : `${x.measured.dB}dB`} → {x.points} / {x.weight} 点
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="flex items-center gap-3">
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={errors.length > 0 || saving || !credentials || isSupabaseDisabled}
+              className={`px-4 py-2 rounded-xl text-white ${errors.length || saving || !credentials || isSupabaseDisabled ? 'bg-gray-300 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700'}`}
+            >
+              {saving ? '保存中…' : form.id ? '上書き保存' : '保存'}
+            </button>
+            {message && <span className="text-xs text-gray-600">{message}</span>}
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow p-5 text-sm">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="text-lg font-semibold text-gray-900">保存済みの採点基準</h2>
+          <button
+            type="button"
+            onClick={load}
+            disabled={loading || isSupabaseDisabled}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            {loading ? '読込中…' : '一覧を更新'}
+          </button>
+        </div>
+        {rubrics.length === 0 ? (
+          <p className="text-xs text-gray-500">保存された採点基準はありません。</p>
+        ) : (
+          <table className="w-full text-xs border-collapse">
+            <thead>
+              <tr className="text-gray-500 text-left">
+                <th className="px-2 py-1">名前</th>
+                <th className="px-2 py-1">許容差</th>
+                <th className="px-2 py-1">配点（AC / AC-M / BC / BC-M）</th>
+                <th className="px-2 py-1">SO 減点</th>
+                <th className="px-2 py-1">合格点</th>
+                <th className="px-2 py-1" />
+              </tr>
+            </thead>
+            <tbody>
+              {rubrics.map((row) => {
+                const r = normalizeRubric({ ...row.config, name: row.name });
+                return (
+                  <tr key={row.id} className="border-t">
+                    <td className="px-2 py-1 font-medium">{r.name}</td>
+                    <td className="px-2 py-1">±{r.toleranceDb} dB（部分点 ±{r.partialToleranceDb} dB × {r.partialCredit}）</td>
+                    <td className="px-2 py-1">{RUBRIC_CATEGORIES.map((c) => r.weights[c]).join(' / ')}</td>
+                    <td className="px-2 py-1">{r.scaleOutPenalty}</td>
+                    <td className="px-2 py-1">{r.passMark}%</td>
+                    <td className="px-2 py-1 whitespace-nowrap">
+                      <button type="button" onClick={() => setForm(toForm(r, row.id))} className="px-2 py-0.5 rounded border hover:bg-gray-50 mr-1">編集</button>
+                      <button type="button" onClick={() => handleDelete(row)} className="px-2 py-0.5 rounded border border-rose-300 text-rose-700 hover:bg-rose-50">削除</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="bg-white rounded-2xl shadow p-5 text-sm">
+        <h2 className="text-lg font-semibold text-gray-900 mb-1">プリセット症例への割り当て</h2>
+        <p className="text-xs text-gray-500 mb-3">学生の「正答照合」はここで選んだ基準で採点されます。未設定の症例は「{DEFAULT_RUBRIC.name}」です。</p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+          {PRESET_KEYS.map((key) => (
+            <label key={key} className="flex items-center gap-2">
+              <span className="w-48 text-xs text-gray-700 truncate">症例{key}: {PRESET_DETAILS[key]?.diseaseName || ''}</span>
+              <select
+                value={presetRubric(key) ?? ''}
+                onChange={(e) => handleAttach(key, e.target.value)}
+                disabled={!credentials || isSupabaseDisabled}
+                className="flex-1 border rounded-lg px-2 py-1 text-xs bg-white"
+              >
+                <option value="">{DEFAULT_RUBRIC.name}</option>
+                {rubrics.map((row) => <option key={row.id} value={row.id}>{row.name}</option>)}
+              </select>
+            </label>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import React, { useEffect, useState } from 'react';
+import SessionReplayPlayer from './SessionReplayPlayer';
+import { summarizeSessionEvents, formatReplayTime } from './sessionEventLogic';
+import { fetchSessionRecordings, fetchSessionRecordingEvents } from './sessionRecordings';
+
+/**
+ * 操作の再生（学生用）
+ * 今のセッションの記録と、正答照合で保存した過去のセッションを再生する。
+ * @param {{ events: object[], truncated: boolean }|null} session - 記録中のセッション
+ * @param {string|null} studentId - ログイン中なら保存済みの記録も選べる
+ */
+export default function SessionReplayPanel({ session, studentId }) {
+  const [open, setOpen] = useState(false);
+  const [replay, setReplay] = useState(null);
+  const [saved, setSaved] = useState([]);
+  const [loadingId, setLoadingId] = useState(null);
+
+  useEffect(() => {
+    if (!open || !studentId) return;
+    fetchSessionRecordings(studentId).then(({ data }) => setSaved(data || []));
+  }, [open, studentId]);
+
+  const hasEvents = (session?.events?.length || 0) > 1;
+  // 再生中に記録が増えても位置が飛ばないよう、開いた時点の記録を写して再生する
+  const playCurrent = () => setReplay({ label: '今のセッション', events: [...session.events], truncated: session.truncated });
+
+  async function playSaved(row) {
+    setLoadingId(row.id);
+    const { data } = await fetchSessionRecordingEvents(row.id);
+    setLoadingId(null);
+    if (data) setReplay({ label: `症例${data.case_id}（${new Date(data.started_at).toLocaleString('ja-JP')}）`, events: data.events || [], truncated: data.truncated });
+  }
+
+  if (!open) {
+    return (
+      <div className="bg-white rounded-2xl shadow border border-slate-200 p-4 flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <div className="font-semibold text-slate-900">操作の再生</div>
+          <div className="text-xs text-gray-600 mt-0.5">提示・ランプ・マスキング・打点の操作を時間に沿って見直します。</div>
+        </div>
+        <button
+          type="button"
+          onClick={() => setOpen(true)}
+          className="px-4 py-2 rounded-xl text-sm font-medium text-white bg-slate-700 hover:bg-slate-800"
+        >
+          操作の再生を開く
+        </button>
+      </div>
+    );
+  }
+
+  const current = hasEvents ? summarizeSessionEvents(session.events) : null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow border border-slate-200 overflow-hidden">
+      <div className="bg-slate-700 text-white px-5 py-3 flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <div className="font-semibold">操作の再生{replay ? ` — ${replay.label}` : ''}</div>
+          <div className="text-xs text-slate-200 mt-0.5">スライダーで任意の時点へ移動できます。誤った閾値に至るまでの提示とマスキングを確かめましょう。</div>
+        </div>
+        <button
+          type="button"
+          onClick={() => setOpen(false)}
+          className="px-3 py-1.5 rounded-lg bg-white/15 hover:bg-white/25 text-sm"
+        >
+          閉じる
+        </button>
+      </div>
+
+      <div className="p-5 space-y-4 text-sm">
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            type="button"
+            onClick={playCurrent}
+            disabled={!hasEvents}
+            className={`px-3 py-1.5 rounded-lg text-xs text-white ${hasEvents ? 'bg-slate-700 hover:bg-slate-800' : 'bg-gray-300 cursor-not-allowed'}`}
+          >
+            今のセッションを再生
+          </button>
+          {current && (
+            <span className="text-xs text-gray-600">
+              {formatReplayTime(current.durationMs)} ・ 提示 {current.presentations} 回 ・ 打点 {current.pointsAdded} ・ 削除 {current.pointsRemoved}
+            </span>
+          )}
+        </div>
+
+        {studentId && saved.length > 0 && (
+          <div>
+            <div className="text-xs text-gray-600 mb-1">保存済みのセッション（正答照合で保存）</div>
+            <div className="flex flex-wrap gap-2">
+              {saved.map((row) => (
+                <button
+                  key={row.id}
+                  type="button"
+                  onClick={() => playSaved(row)}
+                  disabled={loadingId != null}
+                  className="px-2 py-1 rounded-lg border border-slate-300 text-xs hover:bg-slate-50"
+                >
+                  症例{row.case_id} {new Date(row.started_at).toLocaleDateString('ja-JP')}
+                  {row.summary?.durationMs != null ? `（${formatReplayTime(row.summary.durationMs)}）` : ''}
+                  {loadingId === row.id ? ' …' : ''}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {replay ? (
+          <SessionReplayPlayer events={replay.events} truncated={replay.truncated} />
+        ) : (
+          <p className="text-xs text-gray-500">再生するセッションを選んでください。</p>
+        )}
+      </div>
+    </div>
+  );
+}
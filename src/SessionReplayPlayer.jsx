@@ -0,0 +1,177 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  buildReplayFrames,
+  frameIndexAt,
+  describeSessionEvent,
+  formatReplayTime,
+  SESSION_EVENT_LIMIT,
+} from './sessionEventLogic';
+
+const SPEEDS = [1, 4, 16];
+const TICK_MS = 100;
+/** 直近のイベントとして並べる件数 */
+const RECENT_EVENTS = 8;
+
+const GRAPH_W = 320;
+const GRAPH_H = 220;
+const PAD = { l: 34, r: 10, t: 10, b: 22 };
+const F_MIN = 125;
+const F_MAX = 8000;
+const DB_MIN = -10;
+const DB_MAX = 120;
+const AXIS_FREQS = [125, 250, 500, 1000, 2000, 4000, 8000];
+
+const xOf = (f) => PAD.l + (Math.log2(f / F_MIN) / Math.log2(F_MAX / F_MIN)) * (GRAPH_W - PAD.l - PAD.r);
+const yOf = (dB) => PAD.t + ((Math.min(DB_MAX, Math.max(DB_MIN, dB)) - DB_MIN) / (DB_MAX - DB_MIN)) * (GRAPH_H - PAD.t - PAD.b);
+
+/** オージオグラムの記号（右: 赤、左: 青） */
+function symbolOf(p) {
+  if (p.transducer === 'BC') return p.ear === 'R' ? (p.masked ? '[' : '<') : (p.masked ? ']' : '>');
+  return p.ear === 'R' ? (p.masked ? '△' : '○') : (p.masked ? '□' : '×');
+}
+
+/**
+ * セッションの再生（オージオメータの状態と応答ランプを時間に沿って動かす）
+ * @param {object[]} events - sessionEventLogic のイベント列（先頭は start）
+ * @param {boolean} truncated - 上限で記録が途中までの場合
+ */
+export default function SessionReplayPlayer({ events, truncated = false }) {
+  const frames = useMemo(() => buildReplayFrames(events), [events]);
+  const duration = frames.length ? frames[frames.length - 1].t : 0;
+  const [time, setTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(4);
+
+  useEffect(() => {
+    setTime(0);
+    setPlaying(false);
+  }, [events]);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    const id = setInterval(() => {
+      setTime((prev) => {
+        const next = prev + TICK_MS * speed;
+        if (next >= duration) {
+          setPlaying(false);
+          return duration;
+        }
+        return next;
+      });
+    }, TICK_MS);
+    return () => clearInterval(id);
+  }, [playing, speed, duration]);
+
+  if (!frames.length) {
+    return <p className="text-xs text-gray-500">再生できる操作記録がありません。</p>;
+  }
+
+  const index = frameIndexAt(frames, time);
+  const frame = frames[index];
+  const { state, points, undetermined, lastPresentation } = frame;
+  const recent = frames.slice(Math.max(0, index - RECENT_EVENTS + 1), index + 1).reverse();
+  const step = (dir) => {
+    const next = frames[Math.min(frames.length - 1, Math.max(0, index + dir))];
+    setPlaying(false);
+    setTime(next.t);
+  };
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          onClick={() => {
+            if (time >= duration) setTime(0);
+            setPlaying((v) => !v);
+          }}
+          className="px-3 py-1.5 rounded-lg bg-slate-700 text-white hover:bg-slate-800 text-xs"
+        >
+          {playing ? '⏸ 一時停止' : '▶ 再生'}
+        </button>
+        <button type="button" onClick={() => step(-1)} className="px-2 py-1.5 rounded-lg border text-xs hover:bg-gray-50">◀ 前の操作</button>
+        <button type="button" onClick={() => step(1)} className="px-2 py-1.5 rounded-lg border text-xs hover:bg-gray-50">次の操作 ▶</button>
+        <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} className="border rounded-lg px-2 py-1 text-xs bg-white">
+          {SPEEDS.map((s) => <option key={s} value={s}>{s}倍速</option>)}
+        </select>
+        <span className="text-xs text-gray-600 tabular-nums">
+          {formatReplayTime(time)} / {formatReplayTime(duration)} ・ 操作 {index + 1} / {frames.length}
+        </span>
+      </div>
+      <input
+        type="range"
+        min={0}
+        max={Math.max(duration, 1)}
+        step={100}
+        value={Math.min(time, duration)}
+        onChange={(e) => {
+          setPlaying(false);
+          setTime(Number(e.target.value));
+        }}
+        className="w-full"
+        aria-label="再生位置"
+      />
+      {truncated && (
+        <div className="text-xs text-amber-700">記録が {SESSION_EVENT_LIMIT} 件の上限に達したため、途中までの再生です。</div>
+      )}
+
+      <div className="flex flex-wrap gap-4">
+        <div className="rounded-xl border border-slate-200 bg-slate-50 p-3 min-w-[220px] space-y-1">
+          <div className="flex items-center gap-2">
+            <span
+              className={`inline-block w-5 h-5 rounded-full border ${state.lamp ? 'bg-yellow-300 border-yellow-500 shadow-[0_0_10px_rgba(250,204,21,0.9)]' : 'bg-gray-200 border-gray-300'}`}
+              aria-label={state.lamp ? '応答ランプ点灯' : '応答ランプ消灯'}
+            />
+            <span className="text-xs text-gray-600">応答ランプ</span>
+          </div>
+          <div className="text-xs text-gray-700">検査耳: <b className={state.ear === 'R' ? 'text-red-600' : 'text-blue-600'}>{state.ear === 'R' ? '右' : '左'}</b> ／ {state.transducer}</div>
+          <div className="text-xs text-gray-700">周波数: <b>{state.freq} Hz</b> ／ レベル: <b>{state.level} dB</b></div>
+          <div className="text-xs text-gray-700">マスキング: <b>{state.masked ? `ON ${state.maskLevel} dB` : 'OFF'}</b></div>
+          {lastPresentation && (
+            <div className="text-[11px] text-gray-500 pt-1 border-t">直前の提示: {describeSessionEvent(lastPresentation)}</div>
+          )}
+          {undetermined.length > 0 && (
+            <div className="text-[11px] text-gray-500">決定不能: {undetermined.map((k) => k.split('|').join(' ')).join(' / ')}</div>
+          )}
+        </div>
+
+        <svg width={GRAPH_W} height={GRAPH_H} className="bg-white rounded-xl border border-slate-200">
+          {AXIS_FREQS.map((f) => (
+            <g key={f}>
+              <line x1={xOf(f)} x2={xOf(f)} y1={PAD.t} y2={GRAPH_H - PAD.b} stroke="#e5e7eb" />
+              <text x={xOf(f)} y={GRAPH_H - 6} fontSize="9" textAnchor="middle" fill="#6b7280">{f >= 1000 ? `${f / 1000}k` : f}</text>
+            </g>
+          ))}
+          {[0, 20, 40, 60, 80, 100, 120].map((d) => (
+            <g key={d}>
+              <line x1={PAD.l} x2={GRAPH_W - PAD.r} y1={yOf(d)} y2={yOf(d)} stroke="#e5e7eb" />
+              <text x={PAD.l - 4} y={yOf(d) + 3} fontSize="9" textAnchor="end" fill="#6b7280">{d}</text>
+            </g>
+          ))}
+          {/* 現在の提示位置 */}
+          <circle cx={xOf(state.freq)} cy={yOf(state.level)} r={7} fill={state.lamp ? 'rgba(250,204,21,0.5)' : 'none'} stroke="#334155" strokeDasharray="2 2" />
+          {points.map((p) => (
+            <text
+              key={`${p.ear}|${p.transducer}|${p.masked ? 'M' : 'U'}|${p.freq}`}
+              x={xOf(p.freq) + (p.transducer === 'BC' ? (p.ear === 'R' ? -7 : 7) : 0)}
+              y={yOf(p.dB) + 4}
+              fontSize="12"
+              textAnchor="middle"
+              fill={p.ear === 'R' ? '#dc2626' : '#2563eb'}
+            >
+              {symbolOf(p)}{p.so ? '↓' : ''}
+            </text>
+          ))}
+        </svg>
+
+        <ol className="text-xs text-gray-700 space-y-0.5 min-w-[220px] max-w-sm">
+          {recent.map((f, i) => (
+            <li key={`${f.t}-${index - i}`} className={i === 0 ? 'font-semibold text-slate-900' : 'text-gray-500'}>
+              <span className="tabular-nums mr-1">{formatReplayTime(f.t)}</span>{describeSessionEvent(f.event)}
+            </li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,336 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  SPEECH_LEVEL_MAX_DB,
+  SPEECH_FLAG_LABELS,
+  ROLLOVER_INDEX_CRITERION,
+  WRS_TOLERANCE_PCT,
+  SRT_TOLERANCE_DB,
+  getSpeechIa,
+  earPureToneSummary,
+  buildSpeechModel,
+  observedSpeechScore,
+  wordRecognitionScore,
+  piSummary,
+  scoreSpeechAnswer,
+} from './speechAudiometryLogic';
+import { EARPHONE_LABELS } from './guidedMaskingLogic';
+
+const PI_LEVELS = Array.from({ length: (SPEECH_LEVEL_MAX_DB + 10) / 5 + 1 }, (_, i) => -10 + i * 5);
+const EMPTY_ANSWER = { srt: '', srtMasked: false, wrs: '', wrsLevel: '', wrsMasked: false };
+const PI_W = 260;
+const PI_H = 120;
+const PI_PAD = 18;
+
+/**
+ * 語音聴力検査（SRT・語音明瞭度）
+ * 症例の正答から導いた SRT / PI 関数に対して、学習者が提示・記録・採点する。
+ * @param {{ R: string|null, L: string|null }} profiles - 耳ごとのプロファイル名
+ * @param {{ retrocochlear?: 'R'|'L'|'B', nonOrganic?: 'R'|'L'|null }} speech - 症例側の語音設定（後迷路性の耳・機能性難聴の耳）
+ */
+export default function SpeechAudiometryPanel({ targets, profiles, speech, earphone = 'supraAural' }) {
+  const [open, setOpen] = useState(false);
+  const [testEar, setTestEar] = useState('R');
+  const [kind, setKind] = useState('SRT');
+  const [level, setLevel] = useState(40);
+  const [masked, setMasked] = useState(false);
+  const [maskLevel, setMaskLevel] = useState(40);
+  const [log, setLog] = useState([]);
+  const [answers, setAnswers] = useState({ R: EMPTY_ANSWER, L: EMPTY_ANSWER });
+  const [results, setResults] = useState(null);
+
+  const ia = getSpeechIa(earphone);
+
+  const models = useMemo(() => {
+    const retro = speech?.retrocochlear;
+    const build = (ear) => buildSpeechModel(
+      earPureToneSummary(targets, ear),
+      profiles?.[ear],
+      { retrocochlear: retro === ear || retro === 'B', nonOrganic: speech?.nonOrganic === ear }
+    );
+    return { R: build('R'), L: build('L') };
+  }, [targets, profiles, speech]);
+
+  // 症例が変わったら記録と回答を消す
+  useEffect(() => {
+    setLog([]);
+    setAnswers({ R: EMPTY_ANSWER, L: EMPTY_ANSWER });
+    setResults(null);
+  }, [targets]);
+
+  const hasCase = Array.isArray(targets) && targets.length > 0;
+
+  function present() {
+    const nteEar = testEar === 'R' ? 'L' : 'R';
+    const obs = observedSpeechScore(
+      { kind, level, masked, maskLevel, ia },
+      models[testEar],
+      models[nteEar]
+    );
+    setLog((prev) => [...prev, { ear: testEar, kind, level, masked, maskLevel: masked ? maskLevel : null, score: obs.score }]);
+  }
+
+  function updateAnswer(ear, patch) {
+    setAnswers((prev) => ({ ...prev, [ear]: { ...prev[ear], ...patch } }));
+  }
+
+  function grade() {
+    const out = {};
+    ['R', 'L'].forEach((ear) => {
+      const nteEar = ear === 'R' ? 'L' : 'R';
+      out[ear] = {
+        ...scoreSpeechAnswer(answers[ear], models[ear], models[nteEar], ia),
+        pi: piSummary(models[ear], PI_LEVELS),
+      };
+    });
+    setResults(out);
+  }
+
+  if (!open) {
+    return (
+      <div className="bg-white rounded-2xl shadow border border-violet-200 p-4 flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <div className="font-semibold text-violet-900">語音聴力検査（SRT・語音明瞭度）</div>
+          <div className="text-xs text-gray-600 mt-0.5">
+            スポンデー／単音節リストを提示し、SRT と語音明瞭度を記録します。語音のマスキング: 提示レベル − IA ≥ 非検査耳の最良BC
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={() => setOpen(true)}
+          disabled={!hasCase}
+          className={`px-4 py-2 rounded-xl text-sm font-medium text-white ${hasCase ? 'bg-violet-600 hover:bg-violet-700' : 'bg-gray-300 cursor-not-allowed'}`}
+        >
+          {hasCase ? '語音検査を開く' : '症例をLOADしてください'}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow border border-violet-200 overflow-hidden">
+      <div className="bg-violet-700 text-white px-5 py-3 flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <div className="font-semibold">語音聴力検査（SRT・語音明瞭度）</div>
+          <div className="text-xs text-violet-100 mt-0.5">
+            {EARPHONE_LABELS[earphone]} ／ 語音IA {ia} dB ／ 1リスト25語（4%刻み）
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={() => setOpen(false)}
+          className="px-3 py-1.5 rounded-lg bg-white/15 hover:bg-white/25 text-sm"
+        >
+          閉じる
+        </button>
+      </div>
+
+      <div className="p-5 grid gap-5 lg:grid-cols-2">
+        {/* 提示 */}
+        <div className="space-y-3">
+          <h3 className="font-semibold text-gray-900">提示</h3>
+          <div className="flex flex-wrap gap-2 text-sm">
+            {['R', 'L'].map((e) => (
+              <button
+                key={e}
+                type="button"
+                onClick={() => setTestEar(e)}
+                className={`px-3 py-1.5 rounded-lg border ${testEar === e ? 'bg-violet-600 text-white border-violet-600' : 'bg-white border-gray-300'}`}
+              >
+                {e === 'R' ? '右耳' : '左耳'}
+              </button>
+            ))}
+            <span className="mx-1 text-gray-300">|</span>
+            {[['SRT', 'スポンデー（SRT）'], ['WRS', '単音節（明瞭度）']].map(([k, label]) => (
+              <button
+                key={k}
+                type="button"
+                onClick={() => setKind(k)}
+                className={`px-3 py-1.5 rounded-lg border ${kind === k ? 'bg-violet-600 text-white border-violet-600' : 'bg-white border-gray-300'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <label className="flex items-center gap-1">
+              提示レベル
+              <input
+                type="number"
+                step={5}
+                min={-10}
+                max={SPEECH_LEVEL_MAX_DB}
+                value={level}
+                onChange={(e) => setLevel(Number(e.target.value) || 0)}
+                className="w-20 px-2 py-1 border rounded"
+              />
+              dB HL
+            </label>
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={masked} onChange={(e) => setMasked(e.target.checked)} />
+              マスキング
+            </label>
+            {masked && (
+              <label className="flex items-center gap-1">
+                <input
+                  type="number"
+                  step={5}
+                  min={0}
+                  max={SPEECH_LEVEL_MAX_DB}
+                  value={maskLevel}
+                  onChange={(e) => setMaskLevel(Number(e.target.value) || 0)}
+                  className="w-20 px-2 py-1 border rounded"
+                />
+                dB EM（非検査耳）
+              </label>
+            )}
+            <button
+              type="button"
+              onClick={present}
+              className="px-4 py-1.5 rounded-xl bg-violet-600 text-white hover:bg-violet-700"
+            >
+              1リスト提示
+            </button>
+          </div>
+          {log.length > 0 && (
+            <div className="max-h-48 overflow-y-auto border rounded-lg">
+              <table className="min-w-full text-xs">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-2 py-1 text-left">耳</th>
+                    <th className="px-2 py-1 text-left">種類</th>
+                    <th className="px-2 py-1 text-right">レベル</th>
+                    <th className="px-2 py-1 text-right">マスク</th>
+                    <th className="px-2 py-1 text-right">正答率</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {log.map((x, i) => (
+                    <tr key={i} className="border-t">
+                      <td className="px-2 py-1">{x.ear === 'R' ? '右' : '左'}</td>
+                      <td className="px-2 py-1">{x.kind}</td>
+                      <td className="px-2 py-1 text-right">{x.level} dB</td>
+                      <td className="px-2 py-1 text-right">{x.masked ? `${x.maskLevel} dB` : '—'}</td>
+                      <td className="px-2 py-1 text-right font-semibold">{x.score}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* 回答と採点 */}
+        <div className="space-y-3">
+          <h3 className="font-semibold text-gray-900">結果の記入</h3>
+          <p className="text-xs text-gray-600">
+            SRT は50%正答の最小レベル（空欄＝測定不能）。語音明瞭度はその提示レベルとともに記入します。
+          </p>
+          {['R', 'L'].map((e) => {
+            const a = answers[e];
+            const r = results?.[e];
+            return (
+              <div key={e} className="border rounded-lg p-3 text-sm space-y-2">
+                <div className="font-semibold">{e === 'R' ? '右耳' : '左耳'}</div>
+                <div className="flex flex-wrap items-center gap-3">
+                  <label className="flex items-center gap-1">
+                    SRT
+                    <input
+                      type="number"
+                      step={5}
+                      value={a.srt}
+                      onChange={(ev) => updateAnswer(e, { srt: ev.target.value })}
+                      className="w-16 px-2 py-1 border rounded"
+                    />
+                    dB
+                  </label>
+                  <label className="flex items-center gap-1 text-xs">
+                    <input type="checkbox" checked={a.srtMasked} onChange={(ev) => updateAnswer(e, { srtMasked: ev.target.checked })} />
+                    マスクあり
+                  </label>
+                </div>
+                <div className="flex flex-wrap items-center gap-3">
+                  <label className="flex items-center gap-1">
+                    明瞭度
+                    <input
+                      type="number"
+                      step={4}
+                      min={0}
+                      max={100}
+                      value={a.wrs}
+                      onChange={(ev) => updateAnswer(e, { wrs: ev.target.value })}
+                      className="w-16 px-2 py-1 border rounded"
+                    />
+                    %
+                  </label>
+                  <label className="flex items-center gap-1">
+                    @
+                    <input
+                      type="number"
+                      step={5}
+                      value={a.wrsLevel}
+                      onChange={(ev) => updateAnswer(e, { wrsLevel: ev.target.value })}
+                      className="w-16 px-2 py-1 border rounded"
+                    />
+                    dB
+                  </label>
+                  <label className="flex items-center gap-1 text-xs">
+                    <input type="checkbox" checked={a.wrsMasked} onChange={(ev) => updateAnswer(e, { wrsMasked: ev.target.checked })} />
+                    マスクあり
+                  </label>
+                </div>
+                {r && (
+                  <div className="bg-gray-50 rounded p-2 text-xs space-y-1">
+                    <div className={r.srtOk ? 'text-emerald-700' : 'text-rose-700'}>
+                      SRT: {r.srtOk ? '○' : '×'}（正答 {models[e].srt != null ? `${models[e].srt} dB` : '測定不能'}、許容 ±{SRT_TOLERANCE_DB} dB）
+                    </div>
+                    {r.wrsOk != null && (
+                      <div className={r.wrsOk ? 'text-emerald-700' : 'text-rose-700'}>
+                        明瞭度: {r.wrsOk ? '○' : '×'}（その提示レベルでの正答 {r.wrsExpected}%、許容 ±{WRS_TOLERANCE_PCT}%）
+                      </div>
+                    )}
+                    <div className="text-gray-700">
+                      最高明瞭度 {Math.round(r.pi.pbMax)}%（{r.pi.pbMaxLevel} dB）／ ロールオーバー指数 {r.pi.rolloverIndex.toFixed(2)}
+                      {r.pi.rolloverIndex > ROLLOVER_INDEX_CRITERION ? `（>${ROLLOVER_INDEX_CRITERION}: 後迷路性を疑う）` : ''}
+                    </div>
+                    {r.flags.length > 0 && (
+                      <ul className="text-rose-700 space-y-0.5">
+                        {r.flags.map((f) => <li key={f}>⚠ {SPEECH_FLAG_LABELS[f] || f}</li>)}
+                      </ul>
+                    )}
+                    <PiCurve model={models[e]} log={log.filter((x) => x.ear === e && x.kind === 'WRS')} />
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          <button
+            type="button"
+            onClick={grade}
+            className="px-4 py-2 rounded-xl bg-emerald-600 text-white text-sm hover:bg-emerald-700"
+          >
+            採点
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** 正答の PI 関数（線）と学習者の提示結果（点） */
+function PiCurve({ model, log }) {
+  const xAt = (L) => PI_PAD + ((L + 10) / (SPEECH_LEVEL_MAX_DB + 10)) * (PI_W - PI_PAD * 2);
+  const yAt = (pct) => PI_PAD + (1 - pct / 100) * (PI_H - PI_PAD * 2);
+  const pts = PI_LEVELS.map((L) => `${xAt(L)},${yAt(wordRecognitionScore(model, L))}`).join(' ');
+  return (
+    <svg width={PI_W} height={PI_H} className="block bg-white rounded border">
+      <line x1={PI_PAD} x2={PI_W - PI_PAD} y1={yAt(0)} y2={yAt(0)} stroke="#e5e7eb" />
+      <line x1={PI_PAD} x2={PI_W - PI_PAD} y1={yAt(100)} y2={yAt(100)} stroke="#e5e7eb" />
+      <polyline points={pts} fill="none" stroke="#7c3aed" strokeWidth="1.5" />
+      {log.map((x, i) => (
+        <circle key={i} cx={xAt(x.level)} cy={yAt(x.score)} r={3} fill="#f97316" />
+      ))}
+      <text x={PI_PAD} y={PI_H - 3} fontSize="9" fill="#6b7280">-10</text>
+      <text x={PI_W - PI_PAD} y={PI_H - 3} fontSize="9" fill="#6b7280" textAnchor="end">{SPEECH_LEVEL_MAX_DB} dB HL</text>
+    </svg>
+  );
+}
@@ -1,4 +1,5 @@
 import React, { useEffect, useRef, useState } from 'react';
+import { artReflexThreshold } from './testBatteryLogic';
 
 export default function StapedialReflexGif({
   width = 800,
@@ -37,83 +38,8 @@ export default function StapedialReflexGif({
     console.log('StapedialReflexGif received hearingConfig:', JSON.stringify(hearingConfig, null, 2));
   }
 
-  // 周波数ごとの正常反射閾値設定（文献値）
-  const NORMAL_THRESHOLDS = {
-    500: { ipsi: 80, cont: 85 },
-    1000: { ipsi: 75, cont: 80 },
-    2000: { ipsi: 80, cont: 85 }
-  };
-
-  // 反射閾値計算関数：BC値とティンパノグラム型を考慮
-  const calculateThreshold = (freq, isIpsi, isLeft) => {
-    const normal = NORMAL_THRESHOLDS[freq] || NORMAL_THRESHOLDS[1000];
-    const normalThresh = isIpsi ? (normal?.ipsi ?? 80) : (normal?.cont ?? 85);
-    
-    // 測定側と刺激側の耳を特定（反射弓）
-    // Rt測定: IPSI=右耳刺激、CONT=左耳刺激
-    // Lt測定: IPSI=左耳刺激、CONT=右耳刺激
-    const stimulusEar = (!isLeft && isIpsi) || (isLeft && !isIpsi) ? 'right' : 'left';
-    const measuredEar = isLeft ? 'left' : 'right';
-    
-    const stimulusConfig = stimulusEar === 'right' ? HEARING_CONFIG.right : HEARING_CONFIG.left;
-    const measuredConfig = measuredEar === 'right' ? HEARING_CONFIG.right : HEARING_CONFIG.left;
-    
-    const overrideKey = isIpsi ? 'ipsilateralOverride' : 'contralateralOverride';
-    
-    // 測定側のoverrideを優先的に確認（AOM症例などで正常側のCONT反射を上昇させる場合など）
-    const overrideMeasured = measuredConfig?.[overrideKey]?.[freq];
-    if (overrideMeasured !== undefined) {
-      console.log(`ART override (measured): ${measuredEar} ${overrideKey}[${freq}] = ${overrideMeasured}`);
-      return overrideMeasured;
-    }
-
-    // 刺激側のoverrideも確認
-    const overrideStimulus = stimulusConfig?.[overrideKey]?.[freq];
-    if (overrideStimulus !== undefined) {
-      console.log(`ART override (stimulus): ${stimulusEar} ${overrideKey}[${freq}] = ${overrideStimulus}`);
-      return overrideStimulus;
-    }
-    
-    // overrideが設定されていない場合のみ、ティンパノグラム型で判定
-    // 伝音障害の判定：ティンパノグラムB型は伝音障害を示す
-    // 測定側が伝音障害（B型）なら反射消失
-    if (measuredConfig.tympanogramType === 'B') {
-      return 999; // 反射消失
-    }
-    
-    // 刺激側が伝音障害（B型）の場合
-    // 測定側が正常で対側刺激のCONT反射は、閾値上昇するが反応あり
-    if (stimulusConfig.tympanogramType === 'B') {
-      if (measuredConfig.tympanogramType !== 'B' && !isIpsi) {
-        const acLoss = stimulusConfig.acThresholds?.[freq];
-        const acBasedElev = (typeof acLoss === 'number' && acLoss > 10)
-          ? Math.min(35, Math.round(acLoss * 0.2))
-          : 15;
-        return normalThresh + acBasedElev;
-      }
-      return 999; // 同側刺激・測定側伝音障害は反射消失
-    }
-    
-    // BC値（感音成分）を参照して反射閾値を計算
-    const bcThreshold = stimulusConfig.bcThresholds[freq];
-    
-    // BC値が70dB以上（スケールアウト）なら反射消失
-    if (bcThreshold >= 70) {
-      return 999; // 反射消失
-    }
-    
-    // BC値が正常（0dB程度）なら正常反射閾値
-    if (bcThreshold <= 10) {
-      return normalThresh;
-    }
-    
-    // 感音難聴がある場合：BC値に基づいて反射閾値が上昇
-    // 例：BC値60dB難聴で反射閾値が75dB→90dB（+15dB上昇）
-    // 上昇量は難聴レベルに比例（約25%程度）
-    const thresholdElevation = bcThreshold * 0.25; // BC値の25%が反射閾値上昇
-    
-    return normalThresh + thresholdElevation;
-  };
+  // 反射閾値（BC値・ティンパノグラム型・症例ごとの上書きから。999は反射消失）
+  const calculateThreshold = (freq, isIpsi, isLeft) => artReflexThreshold(HEARING_CONFIG, freq, isIpsi, isLeft);
 
   const FREQUENCIES = [500, 1000, 2000];
 
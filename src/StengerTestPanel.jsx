@@ -0,0 +1,174 @@
+import React, { useEffect, useState } from 'react';
+
+const STENGER_FREQS = [500, 1000, 2000, 4000];
+const CONCLUSION_LABELS = { positive: '陽性（機能性難聴を疑う）', negative: '陰性' };
+
+/**
+ * Stenger テスト（両耳同時提示）
+ * 良聴耳に閾値上 10 dB、不良聴耳に申告閾値の 10 dB 下を同時に提示し、応答の有無から機能性難聴を判定する。
+ * @param {'R'|'L'|null} nonOrganicEar - 症例の機能性難聴の耳（なければ null）
+ * @param {(freq: number, levels: { R: number, L: number }) => boolean} onPresent - 同時提示に対する応答
+ */
+export default function StengerTestPanel({ targets, nonOrganicEar, onPresent }) {
+  const [open, setOpen] = useState(false);
+  const [freq, setFreq] = useState(1000);
+  const [levels, setLevels] = useState({ R: 10, L: 10 });
+  const [log, setLog] = useState([]);
+  const [conclusion, setConclusion] = useState(null);
+  const [judged, setJudged] = useState(false);
+
+  useEffect(() => {
+    setLog([]);
+    setConclusion(null);
+    setJudged(false);
+  }, [targets]);
+
+  const hasCase = Array.isArray(targets) && targets.length > 0;
+  const truth = nonOrganicEar ? 'positive' : 'negative';
+
+  function present() {
+    const responded = onPresent(freq, levels);
+    setLog((prev) => [...prev, { freq, R: levels.R, L: levels.L, responded }]);
+  }
+  const setLevel = (ear, v) => setLevels((prev) => ({ ...prev, [ear]: Math.round(Number(v) / 5) * 5 }));
+
+  if (!open) {
+    return (
+      <div className="bg-white rounded-2xl shadow border border-orange-200 p-4 flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <div className="font-semibold text-orange-900">Stenger テスト</div>
+          <div className="text-xs text-gray-600 mt-0.5">左右差の大きい一側性難聴で、両耳同時提示により機能性難聴を見分けます。</div>
+        </div>
+        <button
+          type="button"
+          onClick={() => setOpen(true)}
+          disabled={!hasCase}
+          className={`px-4 py-2 rounded-xl text-sm font-medium text-white ${hasCase ? 'bg-orange-600 hover:bg-orange-700' : 'bg-gray-300 cursor-not-allowed'}`}
+        >
+          {hasCase ? 'Stenger テストを開く' : '症例をLOADしてください'}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow border border-orange-200 overflow-hidden">
+      <div className="bg-orange-700 text-white px-5 py-3 flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <div className="font-semibold">Stenger テスト</div>
+          <div className="text-xs text-orange-100 mt-0.5">良聴耳: 閾値 + 10 dB ／ 不良聴耳: 申告閾値 − 10 dB を同時に提示</div>
+        </div>
+        <button
+          type="button"
+          onClick={() => setOpen(false)}
+          className="px-3 py-1.5 rounded-lg bg-white/15 hover:bg-white/25 text-sm"
+        >
+          閉じる
+        </button>
+      </div>
+
+      <div className="p-5 space-y-4 text-sm">
+        <div className="flex flex-wrap items-end gap-4">
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-gray-600">周波数</span>
+            <select value={freq} onChange={(e) => setFreq(Number(e.target.value))} className="border rounded-lg px-2 py-1">
+              {STENGER_FREQS.map((f) => <option key={f} value={f}>{f} Hz</option>)}
+            </select>
+          </label>
+          {['R', 'L'].map((ear) => (
+            <label key={ear} className="flex flex-col gap-1">
+              <span className="text-xs text-gray-600">{ear === 'R' ? '右耳' : '左耳'}（dB HL）</span>
+              <input
+                type="number"
+                step={5}
+                min={-10}
+                max={110}
+                value={levels[ear]}
+                onChange={(e) => setLevel(ear, e.target.value)}
+                className="border rounded-lg px-2 py-1 w-24"
+              />
+            </label>
+          ))}
+          <button
+            type="button"
+            onClick={present}
+            className="px-4 py-2 rounded-xl bg-orange-600 hover:bg-orange-700 text-white"
+          >
+            同時提示
+          </button>
+        </div>
+
+        {log.length > 0 && (
+          <table className="text-xs border-collapse">
+            <thead>
+              <tr className="text-gray-500">
+                <th className="px-2 py-1 text-left">周波数</th>
+                <th className="px-2 py-1 text-left">右</th>
+                <th className="px-2 py-1 text-left">左</th>
+                <th className="px-2 py-1 text-left">応答</th>
+              </tr>
+            </thead>
+            <tbody>
+              {log.map((x, i) => (
+                <tr key={i} className="border-t">
+                  <td className="px-2 py-1">{x.freq} Hz</td>
+                  <td className="px-2 py-1">{x.R} dB</td>
+                  <td className="px-2 py-1">{x.L} dB</td>
+                  <td className={`px-2 py-1 font-semibold ${x.responded ? 'text-emerald-700' : 'text-rose-700'}`}>{x.responded ? 'あり' : 'なし'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div>
+          <div className="font-semibold mb-1">判定</div>
+          <div className="flex flex-wrap gap-1.5">
+            {Object.keys(CONCLUSION_LABELS).map((c) => (
+              <button
+                key={c}
+                type="button"
+                disabled={judged}
+                onClick={() => setConclusion(c)}
+                className={`px-2.5 py-1 rounded-lg border text-xs ${
+                  conclusion === c ? 'bg-orange-600 text-white border-orange-600' : 'bg-white border-gray-300 hover:border-orange-400'
+                } ${judged ? 'opacity-80 cursor-default' : ''}`}
+              >
+                {CONCLUSION_LABELS[c]}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {!judged ? (
+          <button
+            type="button"
+            onClick={() => setJudged(true)}
+            disabled={!conclusion || log.length === 0}
+            className={`px-4 py-2 rounded-xl text-white ${conclusion && log.length > 0 ? 'bg-orange-600 hover:bg-orange-700' : 'bg-gray-300 cursor-not-allowed'}`}
+          >
+            {log.length === 0 ? '先に同時提示を行ってください' : conclusion ? '判定を確定する' : '判定を選んでください'}
+          </button>
+        ) : (
+          <div className="bg-orange-50 border border-orange-200 rounded-lg p-3 space-y-1">
+            <div className={`font-semibold ${conclusion === truth ? 'text-emerald-700' : 'text-rose-700'}`}>
+              {conclusion === truth ? '○ 正解' : '× 不正解'}: {CONCLUSION_LABELS[truth]}
+              {nonOrganicEar && `（${nonOrganicEar === 'R' ? '右' : '左'}耳の機能性難聴）`}
+            </div>
+            <div className="text-xs text-gray-600">
+              目安: 音像は感覚レベルの高い耳に定位する。器質的な難聴なら良聴耳の音が聞こえて応答するが、
+              不良聴耳の聴力を誇張していると音像が不良聴耳にあるため「聞こえない」と答える（陽性）。
+            </div>
+            <button
+              type="button"
+              onClick={() => { setConclusion(null); setJudged(false); }}
+              className="mt-1 px-3 py-1.5 rounded-lg border border-orange-300 bg-white text-xs hover:bg-orange-100"
+            >
+              もう一度判定する
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React, { useEffect, useState } from 'react';
+import SessionReplayPlayer from './SessionReplayPlayer';
+import { formatReplayTime } from './sessionEventLogic';
+import { fetchSessionRecordings, fetchSessionRecordingEvents } from './sessionRecordings';
+
+/**
+ * 講師用: 学生のセッションの操作記録を一覧し、選んだものを再生する
+ * 誤った閾値（特にマスキング時）にどの提示・マスク量の操作で至ったかを確かめるためのもの。
+ */
+export default function StudentSessionReplays({ studentId }) {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [replay, setReplay] = useState(null);
+  const [loadingId, setLoadingId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setReplay(null);
+    setLoading(true);
+    fetchSessionRecordings(studentId).then(({ data }) => {
+      if (cancelled) return;
+      setRows(data || []);
+      setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [studentId]);
+
+  async function open(row) {
+    setLoadingId(row.id);
+    const { data } = await fetchSessionRecordingEvents(row.id);
+    setLoadingId(null);
+    if (data) setReplay({ id: row.id, caseId: data.case_id, events: data.events || [], truncated: data.truncated });
+  }
+
+  if (loading) return <p className="text-sm text-gray-600">読込中…</p>;
+  if (rows.length === 0) return <p className="text-sm text-gray-600">記録がありません（学生が正答照合をすると保存されます）</p>;
+
+  return (
+    <div className="space-y-3">
+      <div className="overflow-x-auto max-h-48 overflow-y-auto text-xs">
+        <table className="w-full border-collapse">
+          <thead>
+            <tr className="text-left text-gray-600 border-b">
+              <th className="py-1 pr-2">開始</th>
+              <th className="py-1 pr-2">症例</th>
+              <th className="py-1 pr-2">時間</th>
+              <th className="py-1 pr-2">提示（反応）</th>
+              <th className="py-1 pr-2">マスク変更</th>
+              <th className="py-1 pr-2">打点 / 削除</th>
+              <th className="py-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => {
+              const s = row.summary || {};
+              return (
+                <tr key={row.id} className={`border-b border-gray-200 ${replay?.id === row.id ? 'bg-slate-100' : ''}`}>
+                  <td className="py-1 pr-2 whitespace-nowrap">{new Date(row.started_at).toLocaleString('ja-JP')}</td>
+                  <td className="py-1 pr-2">{row.case_id}</td>
+                  <td className="py-1 pr-2">{formatReplayTime(s.durationMs || 0)}</td>
+                  <td className="py-1 pr-2">{s.presentations ?? '—'}（{s.responses ?? '—'}）</td>
+                  <td className="py-1 pr-2">{s.maskChanges ?? '—'}</td>
+                  <td className="py-1 pr-2">{s.pointsAdded ?? '—'} / {s.pointsRemoved ?? '—'}</td>
+                  <td className="py-1">
+                    <button
+                      type="button"
+                      onClick={() => open(row)}
+                      disabled={loadingId != null}
+                      className="px-2 py-0.5 rounded border border-slate-300 hover:bg-white"
+                    >
+                      {loadingId === row.id ? '…' : '再生'}
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      {replay && (
+        <div className="bg-white rounded-lg border border-slate-200 p-3">
+          <div className="text-xs font-semibold text-slate-800 mb-2">症例{replay.caseId} の再生</div>
+          <SessionReplayPlayer events={replay.events} truncated={replay.truncated} />
+        </div>
+      )}
+    </div>
+  );
+}
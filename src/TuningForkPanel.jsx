@@ -0,0 +1,168 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  FORK_FREQS,
+  WEBER_LABELS,
+  RINNE_LABELS,
+  BING_LABELS,
+  WEBER_CHOICES,
+  RINNE_CHOICES,
+  BING_CHOICES,
+  predictTuningForks,
+  scoreForkPrediction,
+} from './tuningForkLogic';
+
+const PATTERN_LABELS = { normal: '正常', conductive: '伝音性', sensorineural: '感音性', mixed: '混合性' };
+const EMPTY_PREDICTION = { weber: null, rinne: { R: {}, L: {} }, bing: {} };
+
+/**
+ * 音叉検査（Weber・Rinne・Bing）
+ * 学習者が先に所見を予測し、確定後に症例から導いた結果と照合する。
+ * @param {{ R: string, L: string }} patterns - 耳ごとの型（normal / conductive / sensorineural）
+ */
+export default function TuningForkPanel({ targets, patterns }) {
+  const [open, setOpen] = useState(false);
+  const [prediction, setPrediction] = useState(EMPTY_PREDICTION);
+  const [revealed, setRevealed] = useState(false);
+
+  const truth = useMemo(() => predictTuningForks(targets), [targets]);
+  const result = useMemo(() => (revealed ? scoreForkPrediction(prediction, truth) : null), [revealed, prediction, truth]);
+
+  useEffect(() => {
+    setPrediction(EMPTY_PREDICTION);
+    setRevealed(false);
+  }, [targets]);
+
+  const hasCase = Array.isArray(targets) && targets.length > 0;
+  const complete = prediction.weber != null
+    && ['R', 'L'].every((e) => FORK_FREQS.every((f) => prediction.rinne[e][f] != null) && prediction.bing[e] != null);
+
+  const setRinne = (ear, fork, v) => setPrediction((p) => ({ ...p, rinne: { ...p.rinne, [ear]: { ...p.rinne[ear], [fork]: v } } }));
+  const setBing = (ear, v) => setPrediction((p) => ({ ...p, bing: { ...p.bing, [ear]: v } }));
+
+  if (!open) {
+    return (
+      <div className="bg-white rounded-2xl shadow border border-lime-200 p-4 flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <div className="font-semibold text-lime-900">音叉検査（Weber・Rinne・Bing）</div>
+          <div className="text-xs text-gray-600 mt-0.5">オージオグラムからベッドサイド所見を予測してから、結果を確認します。</div>
+        </div>
+        <button
+          type="button"
+          onClick={() => setOpen(true)}
+          disabled={!hasCase}
+          className={`px-4 py-2 rounded-xl text-sm font-medium text-white ${hasCase ? 'bg-lime-600 hover:bg-lime-700' : 'bg-gray-300 cursor-not-allowed'}`}
+        >
+          {hasCase ? '音叉検査を開く' : '症例をLOADしてください'}
+        </button>
+      </div>
+    );
+  }
+
+  const byId = Object.fromEntries((result?.items || []).map((x) => [x.id, x]));
+  const mark = (id) => {
+    const x = byId[id];
+    if (!x) return null;
+    return <span className={`ml-1 text-xs font-semibold ${x.ok ? 'text-emerald-700' : 'text-rose-700'}`}>{x.ok ? '○' : '×'}</span>;
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow border border-lime-200 overflow-hidden">
+      <div className="bg-lime-700 text-white px-5 py-3 flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <div className="font-semibold">音叉検査（Weber・Rinne・Bing）</div>
+          <div className="text-xs text-lime-100 mt-0.5">Rinne 256/512 Hz ／ Weber 512 Hz（前額部） ／ Bing 256 Hz</div>
+        </div>
+        <button
+          type="button"
+          onClick={() => setOpen(false)}
+          className="px-3 py-1.5 rounded-lg bg-white/15 hover:bg-white/25 text-sm"
+        >
+          閉じる
+        </button>
+      </div>
+
+      <div className="p-5 space-y-4 text-sm">
+        <div>
+          <div className="font-semibold mb-1">Weber{mark('weber')}</div>
+          <ChoiceRow value={prediction.weber} choices={WEBER_CHOICES} labels={WEBER_LABELS} disabled={revealed} onChange={(v) => setPrediction((p) => ({ ...p, weber: v }))} />
+          {revealed && <div className="text-xs text-gray-600 mt-1">結果: {WEBER_LABELS[truth.weber]}</div>}
+        </div>
+
+        <div className="grid gap-4 md:grid-cols-2">
+          {['R', 'L'].map((ear) => (
+            <div key={ear} className="border rounded-lg p-3 space-y-2">
+              <div className="font-semibold">
+                {ear === 'R' ? '右耳' : '左耳'}
+                {revealed && patterns?.[ear] && <span className="ml-2 text-xs text-gray-500">（{PATTERN_LABELS[patterns[ear]] || patterns[ear]}）</span>}
+              </div>
+              {FORK_FREQS.map((fork) => (
+                <div key={fork}>
+                  <div className="text-xs text-gray-600">Rinne {fork} Hz{mark(`rinne-${ear}-${fork}`)}</div>
+                  <ChoiceRow value={prediction.rinne[ear][fork]} choices={RINNE_CHOICES} labels={RINNE_LABELS} disabled={revealed} onChange={(v) => setRinne(ear, fork, v)} />
+                  {revealed && truth.rinne[ear][fork] && (
+                    <div className="text-xs text-gray-600 mt-0.5">結果: {RINNE_LABELS[truth.rinne[ear][fork]]}</div>
+                  )}
+                </div>
+              ))}
+              <div>
+                <div className="text-xs text-gray-600">Bing{mark(`bing-${ear}`)}</div>
+                <ChoiceRow value={prediction.bing[ear]} choices={BING_CHOICES} labels={BING_LABELS} disabled={revealed} onChange={(v) => setBing(ear, v)} />
+                {revealed && truth.bing[ear] && <div className="text-xs text-gray-600 mt-0.5">結果: {BING_LABELS[truth.bing[ear]]}</div>}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {!revealed ? (
+          <button
+            type="button"
+            onClick={() => setRevealed(true)}
+            disabled={!complete}
+            className={`px-4 py-2 rounded-xl text-white ${complete ? 'bg-lime-600 hover:bg-lime-700' : 'bg-gray-300 cursor-not-allowed'}`}
+          >
+            {complete ? '予測を確定して結果を見る' : 'すべての項目を予測してください'}
+          </button>
+        ) : (
+          <div className="bg-lime-50 border border-lime-200 rounded-lg p-3 space-y-1">
+            <div className="font-semibold text-lime-900">予測の一致: {result.correct} / {result.total}</div>
+            {['R', 'L'].some((e) => FORK_FREQS.some((f) => truth.rinne[e][f] === 'false_negative')) && (
+              <div className="text-xs text-rose-700">
+                ⚠ 聾耳の Rinne は、骨導音が対側の蝸牛で聞こえるため「陰性」に見える（偽陰性）。Weber は健側へ偏倚し、伝音性と区別できる。
+              </div>
+            )}
+            <div className="text-xs text-gray-600">
+              目安: 気骨導差が 256 Hz で約20 dB、512 Hz で約25 dB 以上あると Rinne 陰性。Weber は伝音障害側、または感音障害の良聴側へ偏倚する。
+            </div>
+            <button
+              type="button"
+              onClick={() => { setPrediction(EMPTY_PREDICTION); setRevealed(false); }}
+              className="mt-1 px-3 py-1.5 rounded-lg border border-lime-300 bg-white text-xs hover:bg-lime-100"
+            >
+              もう一度予測する
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ChoiceRow({ value, choices, labels, disabled, onChange }) {
+  return (
+    <div className="flex flex-wrap gap-1.5 mt-1">
+      {choices.map((c) => (
+        <button
+          key={c}
+          type="button"
+          disabled={disabled}
+          onClick={() => onChange(c)}
+          className={`px-2.5 py-1 rounded-lg border text-xs ${
+            value === c ? 'bg-lime-600 text-white border-lime-600' : 'bg-white border-gray-300 hover:border-lime-400'
+          } ${disabled ? 'opacity-80 cursor-default' : ''}`}
+        >
+          {labels[c]}
+        </button>
+      ))}
+    </div>
+  );
+}
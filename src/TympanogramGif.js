@@ -2,6 +2,7 @@ import React, { useEffect, useRef, useState } from 'react';
 
 // シンプルなティンパノグラム曲線（Type A想定）を描画し、gif.js を使ってGIF化
 // 仕様（デフォルト）: 800x600, 縦: 0-2.0 mL, 横: -200〜+200 daPa, 5秒, 20fps
+// probeToneHz: プローブ音（既定 226 Hz。乳児は 1000 Hz で、縦軸はアドミタンス mmho）
 
 export default function TympanogramGif({
   width = 800,
@@ -11,6 +12,7 @@ export default function TympanogramGif({
   yMin = 0,
   yMax = 2.0,
   tympanogramData = null,
+  probeToneHz = 226,
   durationMs = 5000,
   fps = 20,
   gridColor = '#e5e7eb',
@@ -25,6 +27,7 @@ export default function TympanogramGif({
   const audioContextRef = useRef(null);
   const oscillatorRef = useRef(null);
   const gainNodeRef = useRef(null);
+  const yUnit = probeToneHz === 226 ? 'mL' : 'mmho';
 
   // スケール変換
   function xToPx(x) {
@@ -102,7 +105,7 @@ export default function TympanogramGif({
     ctx.translate(18, (yToPx(effectiveYMax) + yToPx(yMin)) / 2);
     ctx.rotate(-Math.PI / 2);
     ctx.textAlign = 'center';
-    ctx.fillText('Compliance (mL)', 0, 0);
+    ctx.fillText(yUnit === 'mL' ? 'Compliance (mL)' : `Admittance (${yUnit}, ${probeToneHz} Hz)`, 0, 0);
     ctx.restore();
     ctx.textAlign = 'right';
     for (let c = yMin; c <= effectiveYMax + 1e-6; c += 0.5) {
@@ -171,10 +174,10 @@ export default function TympanogramGif({
     if (!c) return;
     const ctx = c.getContext('2d');
     drawFrame(ctx, 0);
-  }, [width, height, xMin, xMax, yMin, tympanogramData, effectiveYMax]);
+  }, [width, height, xMin, xMax, yMin, tympanogramData, effectiveYMax, probeToneHz]);
 
-  // 226 Hzの音を再生する関数
-  function play226HzTone() {
+  // プローブ音を再生する関数
+  function playProbeTone() {
     try {
       // AudioContextを初期化（既に存在する場合は再利用）
       if (!audioContextRef.current) {
@@ -191,7 +194,7 @@ export default function TympanogramGif({
       // Oscillator（音源）を作成
       const oscillator = audioContext.createOscillator();
       oscillator.type = 'sine'; // サイン波
-      oscillator.frequency.setValueAtTime(226, audioContext.currentTime); // 226 Hz
+      oscillator.frequency.setValueAtTime(probeToneHz, audioContext.currentTime);
       
       // GainNode（音量調整）を作成
       const gainNode = audioContext.createGain();
@@ -218,7 +221,7 @@ export default function TympanogramGif({
   }
 
   // 音を停止する関数
-  function stop226HzTone() {
+  function stopProbeTone() {
     if (oscillatorRef.current) {
       oscillatorRef.current.stop();
       oscillatorRef.current = null;
@@ -232,8 +235,8 @@ export default function TympanogramGif({
     if (!c) return;
     const ctx = c.getContext('2d');
     
-    // 226 Hzの音を再生開始
-    play226HzTone();
+    // プローブ音を再生開始
+    playProbeTone();
     
     let startTime = null;
     const animate = (timestamp) => {
@@ -247,7 +250,7 @@ export default function TympanogramGif({
         animationRef.current = requestAnimationFrame(animate);
       } else {
         setIsPlaying(false);
-        stop226HzTone(); // アニメーション終了時に音を停止
+        stopProbeTone(); // アニメーション終了時に音を停止
       }
     };
     
@@ -260,7 +263,7 @@ export default function TympanogramGif({
       if (animationRef.current) {
         cancelAnimationFrame(animationRef.current);
       }
-      stop226HzTone(); // コンポーネントがアンマウントされる時に音を停止
+      stopProbeTone(); // コンポーネントがアンマウントされる時に音を停止
       if (audioContextRef.current) {
         audioContextRef.current.close().catch(() => {});
         audioContextRef.current = null;
@@ -328,7 +331,7 @@ export default function TympanogramGif({
   return (
     <div className="space-y-3">
       <div className="flex items-center justify-between">
-        <div className="text-lg font-semibold">Tympanogram GIF（-200〜+200 daPa / 0〜2.0 mL）</div>
+        <div className="text-lg font-semibold">Tympanogram GIF（{probeToneHz !== 226 ? `${probeToneHz} Hz プローブ / ` : ''}-200〜+200 daPa / 0〜2.0 {yUnit}）</div>
         <div className="flex gap-2">
           <button
             onClick={playAnimation}
@@ -86,6 +86,33 @@ const TYMPANOGRAM_CASES = {
       findings: '左：鼓膜所見正常、右：鼓膜所見炎症（+）',
       diagnosis: '右側急性中耳炎'
     }
+  },
+  // 乳児は外耳道壁が柔らかく 226 Hz では貯留液があってもピークが出るため、1000 Hz プローブで測る
+  '乳児 1000 Hz（正常）': {
+    name: '乳児 1000 Hz（正常）',
+    description: '1000 Hz プローブで単峰性のピークを示す。乳児の中耳は正常で、貯留液はない。',
+    type: 'A',
+    probeToneHz: 1000,
+    left: { peakPressure: 0, peakCompliance: 1.0, sigma: 70 },
+    right: { peakPressure: -10, peakCompliance: 1.1, sigma: 70 },
+    clinicalInfo: {
+      age: '乳児（6か月）',
+      findings: '鼓膜所見正常',
+      diagnosis: '正常'
+    }
+  },
+  '乳児 1000 Hz（中耳貯留液）': {
+    name: '乳児 1000 Hz（中耳貯留液）',
+    description: '1000 Hz プローブでピークがなく平坦。226 Hz では A型に見えることがある（偽陰性）。',
+    type: 'B',
+    probeToneHz: 1000,
+    left: { peakPressure: -200, peakCompliance: 0.2, sigma: 80 },
+    right: { peakPressure: -200, peakCompliance: 0.15, sigma: 80 },
+    clinicalInfo: {
+      age: '乳児（8か月）',
+      findings: '鼓膜所見：混濁・膨隆なし',
+      diagnosis: '滲出性中耳炎（OME）'
+    }
   }
 };
 
@@ -122,6 +149,8 @@ export default function TympanogramViewer() {
   }, [selectedCase, showLeft, showRight, customLeft, customRight, customType]);
 
   const currentCase = TYMPANOGRAM_CASES[selectedCase];
+  const probeToneHz = selectedCase === 'カスタム設定' ? 226 : currentCase?.probeToneHz ?? 226;
+  const unit = probeToneHz === 226 ? 'mL' : 'mmho';
 
   return (
     <div className="min-h-screen bg-gray-50 p-6">
@@ -380,7 +409,7 @@ export default function TympanogramViewer() {
                       <span>左耳</span>
                       <span className="font-mono">
                         P: {selectedCase === 'カスタム設定' ? customLeft.peakPressure : currentCase?.left?.peakPressure} daPa, 
-                        C: {selectedCase === 'カスタム設定' ? customLeft.peakCompliance : currentCase?.left?.peakCompliance} mL
+                        C: {selectedCase === 'カスタム設定' ? customLeft.peakCompliance : currentCase?.left?.peakCompliance} {unit}
                       </span>
                     </div>
                   )}
@@ -390,7 +419,7 @@ export default function TympanogramViewer() {
                       <span>右耳</span>
                       <span className="font-mono">
                         P: {selectedCase === 'カスタム設定' ? customRight.peakPressure : currentCase?.right?.peakPressure} daPa, 
-                        C: {selectedCase === 'カスタム設定' ? customRight.peakCompliance : currentCase?.right?.peakCompliance} mL
+                        C: {selectedCase === 'カスタム設定' ? customRight.peakCompliance : currentCase?.right?.peakCompliance} {unit}
                       </span>
                     </div>
                   )}
@@ -407,6 +436,7 @@ export default function TympanogramViewer() {
                   yMin={0}
                   yMax={selectedCase === 'カスタム設定' ? (customType === 'Ad' || Math.max(customLeft?.peakCompliance || 0, customRight?.peakCompliance || 0) > 2.0 ? 3.5 : 2.5) : (currentCase?.type === 'Ad' ? 3.5 : 2.5)}
                   tympanogramData={tympanogramData}
+                  probeToneHz={probeToneHz}
                   durationMs={5000}
                   fps={20}
                 />
@@ -417,6 +447,9 @@ export default function TympanogramViewer() {
                 <div className="mt-6 p-4 bg-gray-50 rounded-lg">
                   <h3 className="font-semibold mb-2">タイプ別の特徴</h3>
                   <div className="text-sm text-gray-700 space-y-1">
+                    {probeToneHz !== 226 && (
+                      <p>• <strong>{probeToneHz} Hz プローブ</strong>：乳児（6か月未満を中心）に用いる。ピークがあれば正常、平坦なら中耳貯留液を疑う</p>
+                    )}
                     {(selectedCase === 'カスタム設定' ? customType : currentCase?.type) === 'A' && (
                       <>
                         <p>• <strong>A型</strong>：正常な鼓膜の可動性</p>
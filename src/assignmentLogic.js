@@ -0,0 +1,145 @@
+// 課題（講師が症例をまとめて期限つきでクラスに配る）
+// 症例はプリセット・症例コード（自動生成の seed）・症例ファイルの1件のいずれか。提出は正答照合ごとに最新で上書きする
+// （提出日時はサーバーが付け、期限後のやり直しは期限内の提出を上書きしない。assignments.sql）
+
+export const ASSIGNMENT_ITEM_KIND = {
+  PRESET: 'preset',
+  CASE_CODE: 'case_code',
+  CASE_FILE: 'case_file',
+};
+
+export const ASSIGNMENT_ITEM_KIND_LABELS = {
+  preset: 'プリセット',
+  case_code: '症例コード',
+  case_file: '症例ファイル',
+};
+
+/** 課題の状態（公開前・受付中・期限後） */
+export const ASSIGNMENT_STATUS_LABELS = {
+  upcoming: '公開前',
+  open: '受付中',
+  closed: '期限切れ',
+};
+
+/** 提出の照合に使うキー（同じ課題の中で一意） */
+export function assignmentItemKey(item) {
+  if (item.kind === ASSIGNMENT_ITEM_KIND.PRESET) return `preset:${item.key}`;
+  if (item.kind === ASSIGNMENT_ITEM_KIND.CASE_CODE) return `code:${String(item.code).trim().toUpperCase()}`;
+  return `file:${item.entry?.id}`;
+}
+
+export function assignmentItemLabel(item) {
+  if (item.kind === ASSIGNMENT_ITEM_KIND.PRESET) return `症例${item.key}`;
+  if (item.kind === ASSIGNMENT_ITEM_KIND.CASE_CODE) return item.label || `症例コード ${String(item.code).trim().toUpperCase()}`;
+  return item.entry?.name || item.entry?.id || '症例ファイルの症例';
+}
+
+/**
+ * いま画面に出ている症例がその課題の症例か（currentCaseInfo で判定）
+ * 課題から開いたあとに別の症例へ切り替えたら、正答照合しても課題の提出にはしない
+ */
+export function assignmentItemMatches(item, caseInfo) {
+  if (!item || !caseInfo) return false;
+  if (item.kind === ASSIGNMENT_ITEM_KIND.PRESET) return !caseInfo.caseFile && caseInfo.caseId === item.key;
+  if (item.kind === ASSIGNMENT_ITEM_KIND.CASE_CODE) {
+    return !!caseInfo.caseCode && String(caseInfo.caseCode).toUpperCase() === String(item.code).trim().toUpperCase();
+  }
+  return !!caseInfo.caseFile && caseInfo.caseId === item.entry?.id;
+}
+
+/** 対象クラスが空なら全員に配る */
+export function isAssignmentForClass(assignment, className) {
+  const classes = assignment.target_classes || [];
+  return classes.length === 0 || (!!className && classes.includes(className));
+}
+
+export function assignmentStatus(assignment, now = Date.now()) {
+  if (assignment.open_at && new Date(assignment.open_at).getTime() > now) return 'upcoming';
+  if (assignment.due_at && new Date(assignment.due_at).getTime() < now) return 'closed';
+  return 'open';
+}
+
+export function isSubmissionLate(assignment, submission) {
+  return !!assignment.due_at && new Date(submission.submitted_at).getTime() > new Date(assignment.due_at).getTime();
+}
+
+/**
+ * 1人の学生の課題の進み具合
+ * @param {object} assignment - assignments の行
+ * @param {object[]} submissions - この学生・この課題の提出
+ * @returns {{ done: number, total: number, completed: boolean, late: boolean, averagePercent: number|null, passed: number, byItem: Record<string, object> }}
+ */
+export function studentAssignmentProgress(assignment, submissions) {
+  const items = assignment.items || [];
+  const byItem = {};
+  (submissions || []).forEach((s) => {
+    if (s.assignment_id === assignment.id) byItem[s.item_key] = s;
+  });
+  const done = items.filter((item) => byItem[assignmentItemKey(item)]);
+  const subs = done.map((item) => byItem[assignmentItemKey(item)]);
+  const percents = subs.map((s) => s.score?.percent).filter((p) => typeof p === 'number');
+  return {
+    done: done.length,
+    total: items.length,
+    completed: items.length > 0 && done.length === items.length,
+    late: subs.some((s) => isSubmissionLate(assignment, s)),
+    averagePercent: percents.length ? Math.round(percents.reduce((a, b) => a + b, 0) / percents.length) : null,
+    passed: subs.filter((s) => s.score?.passed).length,
+    byItem,
+  };
+}
+
+/**
+ * 講師ダッシュ: 課題ごとの完了率と得点
+ * @param {object} assignment
+ * @param {object[]} students - students の行（class_name を含む）
+ * @param {object[]} submissions - この課題の提出
+ */
+export function summarizeAssignment(assignment, students, submissions) {
+  const targets = (students || []).filter((s) => isAssignmentForClass(assignment, s.class_name));
+  const rows = targets.map((s) => ({
+    student: s,
+    ...studentAssignmentProgress(assignment, (submissions || []).filter((x) => x.student_id === s.student_id)),
+  }));
+  const scored = rows.filter((r) => r.averagePercent != null);
+  return {
+    targetCount: rows.length,
+    completedCount: rows.filter((r) => r.completed).length,
+    startedCount: rows.filter((r) => r.done > 0 && !r.completed).length,
+    lateCount: rows.filter((r) => r.late).length,
+    completionRate: rows.length ? Math.round((rows.filter((r) => r.completed).length / rows.length) * 100) : 0,
+    averagePercent: scored.length ? Math.round(scored.reduce((a, r) => a + r.averagePercent, 0) / scored.length) : null,
+    rows,
+  };
+}
+
+/**
+ * 講師の入力 → 保存前の検証
+ * @param {{ title: string, items: object[], openAt: string, dueAt: string }} draft - 日時は datetime-local の文字列
+ * @returns {string[]} エラー（空なら保存できる）
+ */
+export function validateAssignment(draft) {
+  const errors = [];
+  if (!draft.title?.trim()) errors.push('課題名を入力してください');
+  if (!draft.items?.length) errors.push('症例を1件以上追加してください');
+  const keys = (draft.items || []).map(assignmentItemKey);
+  if (new Set(keys).size !== keys.length) errors.push('同じ症例が重複しています');
+  if (!draft.openAt) errors.push('公開日時を指定してください');
+  if (draft.openAt && draft.dueAt && new Date(draft.dueAt) <= new Date(draft.openAt)) {
+    errors.push('期限は公開日時より後にしてください');
+  }
+  return errors;
+}
+
+/** Date → <input type="datetime-local"> の値（端末の時刻） */
+export function toDateTimeLocal(value) {
+  if (!value) return '';
+  const d = new Date(value);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+export function formatAssignmentDate(value) {
+  if (!value) return '期限なし';
+  return new Date(value).toLocaleString('ja-JP', { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
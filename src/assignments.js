@@ -0,0 +1,152 @@
+import { supabase, isSupabaseDisabled } from './supabaseClient';
+import { isAssignmentForClass } from './assignmentLogic';
+
+function warnIfTableMissing(error, label) {
+  if (error.code === '42P01' || error.code === '42703' || error.code === '42883' || error.code === 'PGRST202' || error.message?.includes('does not exist')) {
+    console.warn('assignments テーブルがありません。SQL assignments.sql を実行してください。');
+  } else {
+    console.error(`${label}:`, error);
+  }
+}
+
+/** 講師向けのエラー表示（課題の保存・削除の関数は講師ID・パスワードを確かめる） */
+export function assignmentErrorMessage(error) {
+  if (!error) return '';
+  if (error.message?.includes('instructor mismatch')) return '講師IDまたはパスワードが正しくありません。';
+  if (error.message?.includes('assignment not found')) return 'この課題は削除されています。一覧を更新してください。';
+  if (error.code === '42883' || error.code === 'PGRST202' || error.message?.includes('does not exist')) return '課題の設定がサーバーにありません（assignments.sql 未実行）。';
+  return `サーバーエラー: ${error.message || error.code}`;
+}
+
+/** 講師: 全課題（新しい公開日時順） */
+export async function fetchAssignments() {
+  if (isSupabaseDisabled) return { data: [], error: null };
+  const res = await supabase
+    .from('assignments')
+    .select('*')
+    .order('open_at', { ascending: false });
+  if (res.error) warnIfTableMissing(res.error, '課題の取得エラー');
+  return res;
+}
+
+/**
+ * 講師: 課題を保存（id があれば更新）。サーバーの関数が講師ID・パスワードを確かめる
+ * @param {{ id?: number, title: string, description?: string, items: object[], targetClasses: string[], openAt: string, dueAt?: string|null }} assignment
+ * @param {{ instructorId: string, password: string }} credentials
+ */
+export async function saveAssignment({ id, title, description = '', items, targetClasses, openAt, dueAt = null }, { instructorId, password }) {
+  if (isSupabaseDisabled) return { data: null, error: { message: 'Supabase が無効です' } };
+  const res = await supabase.rpc('save_assignment', {
+    p_instructor_id: instructorId,
+    p_password: password,
+    p_id: id ?? null,
+    p_title: title,
+    p_description: description || null,
+    p_items: items,
+    p_target_classes: targetClasses,
+    p_open_at: new Date(openAt).toISOString(),
+    p_due_at: dueAt ? new Date(dueAt).toISOString() : null,
+  });
+  if (res.error) warnIfTableMissing(res.error, '課題の保存エラー');
+  return res;
+}
+
+/** 講師: 課題を削除（学生の提出と採点基準の割り当ても消える） */
+export async function deleteAssignment(id, { instructorId, password }) {
+  if (isSupabaseDisabled) return { error: null };
+  const res = await supabase.rpc('delete_assignment', { p_instructor_id: instructorId, p_password: password, p_id: id });
+  if (res.error) warnIfTableMissing(res.error, '課題の削除エラー');
+  return res;
+}
+
+/** 講師: 全課題の提出（assignmentId を渡せばその課題だけ） */
+export async function fetchAssignmentSubmissions(assignmentId = null) {
+  if (isSupabaseDisabled) return { data: [], error: null };
+  let query = supabase.from('assignment_submissions').select('*');
+  if (assignmentId != null) query = query.eq('assignment_id', assignmentId);
+  const res = await query.order('submitted_at', { ascending: false });
+  if (res.error) warnIfTableMissing(res.error, '課題の提出の取得エラー');
+  return res;
+}
+
+/** 講師: 学生をクラスに入れる（className が空ならクラスから外す） */
+export async function setStudentsClass(studentIds, className) {
+  if (isSupabaseDisabled) return { data: [], error: { message: 'Supabase が無効です' } };
+  const res = await supabase
+    .from('students')
+    .update({ class_name: className?.trim() || null })
+    .in('student_id', studentIds)
+    .select('student_id');
+  if (res.error) warnIfTableMissing(res.error, 'クラスの設定エラー');
+  return res;
+}
+
+/**
+ * 学生: 自分のクラスに配られた公開済みの課題と、自分の提出
+ * @returns {Promise<{ className: string|null, assignments: object[], submissions: object[], error: object|null }>}
+ */
+export async function fetchStudentAssignments(studentId) {
+  const empty = { className: null, assignments: [], submissions: [], error: null };
+  if (isSupabaseDisabled || !studentId) return empty;
+  try {
+    const [studentRes, assignmentsRes, submissionsRes] = await Promise.all([
+      supabase.from('students').select('class_name').eq('student_id', studentId).maybeSingle(),
+      supabase.from('assignments').select('*').lte('open_at', new Date().toISOString()).order('due_at', { ascending: true, nullsFirst: false }),
+      supabase.from('assignment_submissions').select('*').eq('student_id', studentId),
+    ]);
+    const error = studentRes.error || assignmentsRes.error || submissionsRes.error;
+    if (error) {
+      warnIfTableMissing(error, '課題の取得エラー');
+      return { ...empty, error };
+    }
+    const className = studentRes.data?.class_name || null;
+    return {
+      className,
+      assignments: (assignmentsRes.data || []).filter((a) => isAssignmentForClass(a, className)),
+      submissions: submissionsRes.data || [],
+      error: null,
+    };
+  } catch (e) {
+    console.warn('課題の取得に失敗:', e);
+    return { ...empty, error: e };
+  }
+}
+
+/**
+ * 学生: 課題の症例の正答照合結果を提出（同じ症例はやり直すたびに上書き）
+ * 提出日時はサーバーが付け、期限後のやり直しは期限内の提出を上書きしない（返る行は残った提出）
+ * @param {{ assignmentId: number, itemKey: string, accuracy: number, score: object }} submission
+ */
+export async function submitAssignmentItem(studentId, userId, { assignmentId, itemKey, accuracy, score }) {
+  if (isSupabaseDisabled || !studentId) return { data: null, error: null };
+  try {
+    const res = await supabase
+      .from('assignment_submissions')
+      .upsert({
+        assignment_id: assignmentId,
+        student_id: studentId,
+        user_id: userId || null,
+        item_key: itemKey,
+        accuracy,
+        score,
+      }, { onConflict: 'assignment_id,student_id,item_key' })
+      .select()
+      .single();
+    if (res.error) warnIfTableMissing(res.error, '課題の提出エラー');
+    return res;
+  } catch (e) {
+    console.warn('課題の提出に失敗:', e);
+    return { data: null, error: e };
+  }
+}
+
+/** 講師: 学生とクラス（課題の対象者の集計に使う） */
+export async function fetchClassRoster() {
+  if (isSupabaseDisabled) return { data: [], error: null };
+  const res = await supabase
+    .from('students')
+    .select('student_id, name, class_name')
+    .order('student_id', { ascending: true });
+  if (res.error) warnIfTableMissing(res.error, '名簿の取得エラー');
+  return res;
+}
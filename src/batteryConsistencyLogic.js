@@ -0,0 +1,153 @@
+// 検査間の整合チェック（オージオグラム・ティンパノグラム・アブミ骨筋反射・DPOAE）
+// 各検査の設定は別々に閾値と病態から組み立てるため、組み合わせたときに生理学的に矛盾しないかを規則ごとに確かめる
+import { artReflexThreshold, generateDPOAEData } from './testBatteryLogic';
+
+/** 規則 ID → 見出しと説明 */
+export const BATTERY_RULES = {
+  tymp_b_reflex: {
+    label: 'B型の耳で反射が出ている',
+    explanation: '中耳に可動性がない（B型）耳をプローブ耳とすると、アブミ骨筋が収縮してもアドミタンスは変化しないため反射は記録できない。',
+  },
+  tymp_b_without_abg: {
+    label: 'B型なのに気骨導差がない',
+    explanation: '中耳に滲出液や可動性低下（B型）があれば、通常は伝音成分（気骨導差）を伴う。',
+  },
+  abg_dpoae_pass: {
+    label: '気骨導差のある耳で DPOAE が PASS',
+    explanation: '伝音障害では刺激音とエミッションの両方が中耳で減衰するため、DPOAE は通常記録できない（第三の窓は除く）。',
+  },
+  snhl_dpoae_pass: {
+    label: '中等度以上の感音難聴で DPOAE が PASS',
+    explanation: '外有毛細胞障害で閾値が 40 dB HL 以上なら DPOAE は通常消失する。保たれるのはオーディトリー・ニューロパチーなど後迷路性の場合。',
+  },
+  normal_dpoae_refer: {
+    label: '正常聴力・正常中耳で DPOAE が REFER',
+    explanation: '気導閾値が正常で気骨導差もなく Tym が A型なら、DPOAE は通常記録できる。',
+  },
+  reflex_below_threshold: {
+    label: '刺激耳の閾値より小さい音で反射が出ている',
+    explanation: '反射は聞こえる音で起こるため、反射閾値が刺激耳の気導閾値（機能性難聴では器質的閾値）以下にはならない。',
+  },
+};
+
+const ART_FREQS = [500, 1000, 2000];
+const DPOAE_FREQS = [1, 2, 3, 4, 6, 8];
+/** ART 画面で出せる最大の刺激音（dB HL）。これより高い反射閾値は反応なしと同じ */
+const ART_MAX_STIMULUS_DB = 110;
+/** DPOAE の判定（DPOAE 画面と同じ）: SNR 6 dB 以上が 6 周波数中 4 つ以上で PASS */
+const DPOAE_PASS_SNR_DB = 5.99;
+const DPOAE_PASS_COUNT = 4;
+/** 伝音障害とみなす気骨導差（500〜2000 Hz 平均）。軽い陰圧（C型）で気導 20 dB 以内なら DPOAE は残りうる */
+const CONDUCTIVE_ABG_DB = 25;
+/** 気骨導差なしとみなす上限 */
+const NO_ABG_DB = 10;
+/** DPOAE が消失するとみなす気導閾値（1〜4 kHz 平均） */
+const OAE_LOSS_AC_DB = 40;
+/** 正常聴力とみなす気導閾値（1〜4 kHz の各周波数） */
+const NORMAL_AC_DB = 20;
+
+const earOf = (side) => (side === 'right' ? 'R' : 'L');
+const mean = (vals) => (vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : null);
+
+/** ティンパノグラムの耳ごとの型（ピーク圧・ピーク値から） */
+export function tympEarType(cfg) {
+  if (!cfg) return null;
+  const { peakPressure = 0, peakCompliance } = cfg;
+  if (typeof peakCompliance === 'number' && peakCompliance < 0.3) return 'B';
+  if (peakPressure >= 50) return 'B';
+  if (peakPressure <= -100) return 'C';
+  if (typeof peakCompliance === 'number' && peakCompliance < 0.8) return 'As';
+  if (typeof peakCompliance === 'number' && peakCompliance > 1.7) return 'Ad';
+  return 'A';
+}
+
+/** DPOAE の耳ごとの判定（generateDPOAEData の結果から） */
+function dpoaePass(dpoaeData, side) {
+  const levels = dpoaeData?.[side] || [];
+  const noise = dpoaeData?.noiseFloor?.[side] || [];
+  return DPOAE_FREQS.filter((_, i) => levels[i] - noise[i] >= DPOAE_PASS_SNR_DB).length >= DPOAE_PASS_COUNT;
+}
+
+/**
+ * 検査の組み合わせの矛盾を探す
+ * @param {{ targets: Array, tympanogram: object, artConfig: object, dpoaeConfig: object, caseId?: string }} battery
+ * @returns {{ rule: string, ear: string, freq?: number, label: string, message: string }[]}
+ */
+export function checkBatteryConsistency({ targets, tympanogram, artConfig, dpoaeConfig, caseId = '' }) {
+  const findings = [];
+  const push = (rule, ear, message, freq) => findings.push({ rule, ear, ...(freq ? { freq } : {}), label: BATTERY_RULES[rule].label, message });
+
+  const thr = (ear, tr, freq, { organic = false } = {}) => {
+    const t = (targets || []).find((x) => x.ear === ear && x.transducer === tr && x.freq === freq);
+    if (!t) return null;
+    if (organic && typeof t.organic === 'number') return t.organic;
+    return t.so ? Infinity : t.dB;
+  };
+  const abgOf = (ear) => mean(ART_FREQS
+    .map((f) => [thr(ear, 'AC', f), thr(ear, 'BC', f)])
+    .filter(([ac, bc]) => Number.isFinite(ac) && Number.isFinite(bc))
+    .map(([ac, bc]) => ac - bc));
+  const acMeanOf = (ear) => mean([1000, 2000, 4000].map((f) => thr(ear, 'AC', f)).filter((v) => v != null).map((v) => Math.min(v, 120)));
+  // 反射閾値（刺激耳・測定耳は ART 画面と同じ割り当て）
+  const reflexes = [];
+  if (artConfig) {
+    ['right', 'left'].forEach((measured) => {
+      [true, false].forEach((isIpsi) => {
+        ART_FREQS.forEach((freq) => {
+          const t = artReflexThreshold(artConfig, freq, isIpsi, measured === 'left');
+          const stimulus = isIpsi ? measured : (measured === 'right' ? 'left' : 'right');
+          reflexes.push({ measured, stimulus, isIpsi, freq, threshold: t, present: Number.isFinite(t) && t <= ART_MAX_STIMULUS_DB });
+        });
+      });
+    });
+  }
+  const dpoaeData = dpoaeConfig ? generateDPOAEData(dpoaeConfig, caseId) : null;
+
+  ['right', 'left'].forEach((side) => {
+    const ear = earOf(side);
+    const type = tympEarType(tympanogram?.[side]);
+    const abg = abgOf(ear);
+    const acMean = acMeanOf(ear);
+    const probeReflexes = reflexes.filter((r) => r.measured === side && r.present);
+    const ipsiPresent = reflexes.some((r) => r.measured === side && r.isIpsi && r.present);
+
+    if (type === 'B' && probeReflexes.length) {
+      const r = probeReflexes[0];
+      push('tymp_b_reflex', ear, `${side === 'right' ? '右' : '左'}耳が B型なのに${r.isIpsi ? '同側' : '対側'} ${r.freq} Hz の反射が ${Math.round(r.threshold)} dB で出ている`, r.freq);
+    }
+    if (type === 'B' && abg != null && abg < NO_ABG_DB) {
+      push('tymp_b_without_abg', ear, `${side === 'right' ? '右' : '左'}耳が B型なのに気骨導差が平均 ${Math.round(abg)} dB`);
+    }
+
+    if (!dpoaeData) return;
+    const pass = dpoaePass(dpoaeData, side);
+    // 第三の窓（上半規管裂隙など）: 気骨導差があっても Tym は A型で同側反射が出る。DPOAE は保たれてよい
+    const thirdWindow = type === 'A' && ipsiPresent;
+    if (pass && abg != null && abg >= CONDUCTIVE_ABG_DB && !thirdWindow) {
+      push('abg_dpoae_pass', ear, `${side === 'right' ? '右' : '左'}耳は気骨導差が平均 ${Math.round(abg)} dB なのに DPOAE が PASS`);
+    }
+    // オーディトリー・ニューロパチー: DPOAE が保たれ、この耳を刺激する反射がすべて消失する
+    const neuropathyLike = !reflexes.some((r) => r.stimulus === side && r.present);
+    if (pass && acMean != null && acMean >= OAE_LOSS_AC_DB && !neuropathyLike && !(abg != null && abg >= CONDUCTIVE_ABG_DB)) {
+      push('snhl_dpoae_pass', ear, `${side === 'right' ? '右' : '左'}耳は気導閾値が平均 ${Math.round(acMean)} dB なのに DPOAE が PASS`);
+    }
+    const acNormal = [1000, 2000, 4000].every((f) => {
+      const v = thr(ear, 'AC', f);
+      return v != null && v <= NORMAL_AC_DB;
+    });
+    if (!pass && acNormal && type === 'A' && (abg == null || abg < NO_ABG_DB)) {
+      push('normal_dpoae_refer', ear, `${side === 'right' ? '右' : '左'}耳は聴力・中耳とも正常なのに DPOAE が REFER`);
+    }
+  });
+
+  reflexes.filter((r) => r.present).forEach((r) => {
+    const ear = earOf(r.stimulus);
+    const ac = thr(ear, 'AC', r.freq, { organic: true });
+    if (ac == null || r.threshold > ac) return;
+    if (findings.some((f) => f.rule === 'reflex_below_threshold' && f.ear === ear)) return;
+    push('reflex_below_threshold', ear,
+      `${r.stimulus === 'right' ? '右' : '左'}耳刺激の${r.isIpsi ? '同側' : '対側'}反射（${r.freq} Hz）が ${Math.round(r.threshold)} dB で、気導閾値 ${Number.isFinite(ac) ? `${ac} dB` : 'スケールアウト'} 以下`, r.freq);
+  });
+
+  return findings;
+}
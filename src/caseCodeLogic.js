@@ -0,0 +1,178 @@
+// 症例コード（共有・再現用）
+// 生成エンジンの版・seed・生成時に指定した条件を短い英数字にまとめる。
+// 条件は「生成時に指定したもの」を残し、エンジン任せの項目は空きにする（乱数の消費順が変わると別症例になるため）。
+// 形式: <版>-<seed>-<条件>[-<病態スタック>]（いずれも36進。一目で病態が読めないよう表の番号で持つ）
+// 条件欄には講師が決める応答モデル（中枢マスキング・閉塞効果）と模擬患者の型も入る（症例の閾値は変えない）
+import { generateAudiogram, makeRng, ENGINE_VERSION } from './engine/generateAudiogram';
+import { PATIENT_BEHAVIOR_PRESETS } from './engine/patientBehavior';
+
+/** 版ごとの生成関数。出力が変わるエンジン変更では旧版をここに残す */
+const ENGINES = { 1: generateAudiogram };
+
+/** 病態の番号表（追加は末尾のみ。並べ替えると既存コードが別の病態を指す） */
+const CODE_PROFILES = [
+  'Normal', 'SNHL_Age', 'SNHL_NoiseNotch', 'SNHL_Meniere', 'SNHL_Sudden', 'SNHL_Mumps',
+  'CHL_OME', 'CHL_AOM', 'CHL_Otosclerosis', 'CHL_OssicularDiscontinuity',
+  'SNHL_VestibularSchwannoma', 'SNHL_AuditoryNeuropathy', 'TW_SuperiorCanalDehiscence', 'FHL_NonOrganic',
+];
+const CODE_AGE_GROUPS = ['20s', '30s', '40s', '50s', '60s', '70s', 'infant', 'child'];
+const CODE_SEXES = ['Male', 'Female'];
+const CODE_SIDES = ['R', 'L'];
+/** 模擬患者の型（PATIENT_BEHAVIOR_PRESETS のキー。0 = 理想。追加は末尾のみ） */
+const CODE_BEHAVIORS = ['typical', 'unreliable', 'tinnitus'];
+/** 耳ごとに持てる病態スタックの数 */
+const STACK_SLOTS = 2;
+
+// 条件欄の桁（下位から）。0 はエンジン任せ（応答モデル・模擬患者は 0 = なし）
+// 桁の追加は上位（末尾）にだけ行う。追加前のコードは新しい桁が 0 として読めるので、同じ症例・同じ設定のまま
+const FIELDS = [
+  ['interim', 2],
+  ['dilemma', 2],
+  ['side', CODE_SIDES.length + 1],
+  ['sex', CODE_SEXES.length + 1],
+  ['severity', 5],
+  ['age', 128],
+  ['profile', 32],
+  ['central', 2],
+  ['occlusion', 2],
+  ['behavior', 8],
+];
+
+/** URL パラメータ名（?case=…） */
+export const CASE_CODE_PARAM = 'case';
+
+function slotOf(list, value) {
+  const i = list.indexOf(value);
+  return i < 0 ? 0 : i + 1;
+}
+
+/** 年齢欄: 1〜8 は年代・小児の区分、18〜85 は歳 */
+function ageSlot(ageGroup) {
+  if (typeof ageGroup === 'number' && Number.isFinite(ageGroup)) return Math.max(18, Math.min(85, Math.round(ageGroup)));
+  return slotOf(CODE_AGE_GROUPS, ageGroup);
+}
+
+/**
+ * generateAudiogram に渡した条件（seed を含む）から症例コードを作る
+ * @param {object} opts - { seed, profile?, severity?, ageGroup?, sex?, affectedSide?, maskingDilemma?, interimFreqs?, stacks? }
+ * @param {{ responseModel?: { centralMasking?: boolean, occlusionEffect?: boolean }, patientBehaviorKey?: string }} settings - 講師の応答設定
+ * @returns {string} 例: '1-21I3V9-1'
+ */
+export function encodeCaseCode(opts, settings = {}) {
+  if (opts?.seed == null) throw new Error('seed のない症例はコードにできません');
+  const values = {
+    central: settings.responseModel?.centralMasking ? 1 : 0,
+    occlusion: settings.responseModel?.occlusionEffect ? 1 : 0,
+    behavior: slotOf(CODE_BEHAVIORS, settings.patientBehaviorKey),
+    interim: opts.interimFreqs ? 1 : 0,
+    dilemma: opts.maskingDilemma ? 1 : 0,
+    side: slotOf(CODE_SIDES, opts.affectedSide),
+    sex: slotOf(CODE_SEXES, opts.sex),
+    severity: opts.severity == null ? 0 : Number(opts.severity) + 1,
+    age: ageSlot(opts.ageGroup),
+    profile: opts.stacks ? 0 : slotOf(CODE_PROFILES, opts.profile),
+  };
+  let body = 0;
+  for (let i = FIELDS.length - 1; i >= 0; i -= 1) {
+    const [key, radix] = FIELDS[i];
+    body = body * radix + values[key];
+  }
+  const parts = [String(ENGINE_VERSION), (opts.seed >>> 0).toString(36), body.toString(36)];
+  if (opts.stacks) {
+    const slots = ['right', 'left'].flatMap((side) =>
+      Array.from({ length: STACK_SLOTS }, (_, i) => slotOf(CODE_PROFILES, (opts.stacks[side] || [])[i])));
+    parts.push(slots.reduce((n, s) => n * 32 + s, 0).toString(36));
+  }
+  return parts.join('-').toUpperCase();
+}
+
+/**
+ * 症例コード → { version, opts, settings }（opts はそのまま generateAudiogram に渡せる）
+ * settings は症例情報に載せる応答設定 { responseModel?, patientBehavior?, patientBehaviorKey? }（なしの項目は省く）
+ * 形式が壊れていれば Error を投げる
+ */
+export function decodeCaseCode(code) {
+  const text = String(code || '').trim().toLowerCase();
+  if (!/^\d+(-[0-9a-z]+){2,3}$/.test(text)) throw new Error('症例コードの形式が正しくありません');
+  const [versionPart, seedPart, bodyPart, stackPart] = text.split('-');
+  const version = Number(versionPart);
+  const seed = parseInt(seedPart, 36);
+  let body = parseInt(bodyPart, 36);
+  if (!Number.isSafeInteger(seed) || seed > 0xffffffff) throw new Error('症例コードの seed が範囲外です');
+  const values = {};
+  FIELDS.forEach(([key, radix]) => {
+    values[key] = body % radix;
+    body = Math.floor(body / radix);
+  });
+  const badAge = (values.age > CODE_AGE_GROUPS.length && values.age < 18) || values.age > 85;
+  if (body !== 0 || badAge || values.profile > CODE_PROFILES.length || values.behavior > CODE_BEHAVIORS.length) {
+    throw new Error('症例コードの条件欄が範囲外です');
+  }
+
+  const opts = { seed };
+  if (values.interim) opts.interimFreqs = true;
+  if (values.dilemma) opts.maskingDilemma = true;
+  if (values.side) opts.affectedSide = CODE_SIDES[values.side - 1];
+  if (values.sex) opts.sex = CODE_SEXES[values.sex - 1];
+  if (values.severity) opts.severity = values.severity - 1;
+  if (values.age >= 18) opts.ageGroup = values.age;
+  else if (values.age >= 1 && values.age <= CODE_AGE_GROUPS.length) opts.ageGroup = CODE_AGE_GROUPS[values.age - 1];
+  if (values.profile) opts.profile = CODE_PROFILES[values.profile - 1];
+  if (stackPart) {
+    let n = parseInt(stackPart, 36);
+    const slots = [];
+    for (let i = 0; i < STACK_SLOTS * 2; i += 1) {
+      slots.unshift(n % 32);
+      n = Math.floor(n / 32);
+    }
+    if (n !== 0 || slots.some((s) => s > CODE_PROFILES.length)) throw new Error('症例コードの病態欄が範囲外です');
+    const names = slots.map((s) => (s ? CODE_PROFILES[s - 1] : null));
+    opts.stacks = { right: names.slice(0, STACK_SLOTS).filter(Boolean), left: names.slice(STACK_SLOTS).filter(Boolean) };
+  }
+  const settings = {};
+  if (values.central || values.occlusion) {
+    settings.responseModel = { centralMasking: !!values.central, occlusionEffect: !!values.occlusion };
+  }
+  if (values.behavior) {
+    // seed は持たない（学習者画面で症例の seed を使う）
+    const key = CODE_BEHAVIORS[values.behavior - 1];
+    settings.patientBehavior = { ...PATIENT_BEHAVIOR_PRESETS[key].behavior };
+    settings.patientBehaviorKey = key;
+  }
+  return { version, opts, settings };
+}
+
+/**
+ * 同じ症例を指すコードを1つの書き方にそろえる（大文字・先頭の 0 なし。試験の症例コードとの照合用）
+ * 形式が壊れていれば Error を投げる
+ */
+export function canonicalCaseCode(code) {
+  decodeCaseCode(code);
+  const parts = String(code).trim().toLowerCase().split('-');
+  return [String(Number(parts[0])), ...parts.slice(1).map((p) => parseInt(p, 36).toString(36))].join('-').toUpperCase();
+}
+
+/**
+ * 症例コードから症例を再生成する（コードを作った版のエンジンを使う）
+ * @returns {{ caseData: object, version: number, opts: object, settings: object }}
+ */
+export function resolveCaseCode(code) {
+  const { version, opts, settings } = decodeCaseCode(code);
+  const engine = ENGINES[version];
+  if (!engine) throw new Error(`この症例コードは生成エンジン v${version} 用です（この版で使えるのは v${Object.keys(ENGINES).join(', v')}）`);
+  return { caseData: engine(opts), version, opts, settings };
+}
+
+/**
+ * 症例文・鼓膜所見・ティンパノグラムの選択に使う乱数列（オージオグラムとは別系列）
+ * seed から決まるので、コードで読み込んだ症例も同じ文面になる
+ */
+export function makeCaseStoryRng(seed) {
+  return makeRng(((seed >>> 0) ^ 0x27d4eb2d) >>> 0);
+}
+
+/** 学習者画面でそのまま開ける共有 URL */
+export function caseShareUrl(code) {
+  const { origin, pathname } = window.location;
+  return `${origin}${pathname}?${CASE_CODE_PARAM}=${encodeURIComponent(code)}`;
+}
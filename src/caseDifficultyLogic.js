@@ -0,0 +1,138 @@
+// 症例のマスキング難易度（教材生成用）
+// 要マスク点・プラトー探索が要る点・オーバーマスキングの恐れがある点・スケールアウトを数えて点数化する
+import {
+  evaluateMaskNeed,
+  computeMaskingWindow,
+  getDefaultIaAC,
+  PLATEAU_MIN_WIDTH_DB,
+} from './guidedMaskingLogic';
+
+export const DIFFICULTY_BANDS = ['easy', 'medium', 'hard'];
+export const DIFFICULTY_LABELS = { easy: 'やさしい', medium: 'ふつう', hard: 'むずかしい' };
+
+/** 点数の重み（プラトー・オーバーマスキングは要マスクより手間がかかる） */
+const WEIGHTS = { masking: 1, plateau: 2, overMasking: 3, scaleOut: 1 };
+/** 点数の帯（easy: 〜EASY_MAX、hard: HARD_MIN〜） */
+const EASY_MAX = 4;
+const HARD_MIN = 16;
+/** 未マスク時の見かけの閾値が真の閾値よりこれ以上良ければ、マスク量を上げてプラトーを探す必要がある */
+const PLATEAU_SHIFT_DB = 15;
+/** 有効範囲がプラトー幅＋2ステップ未満ならオーバーマスキングしやすい */
+const OVER_MASKING_MARGIN_DB = 10;
+/** 骨導は見かけの気骨導差がこれを超えるときにマスキングを要する */
+const BC_ABG_DB = 10;
+/** seed 探索の既定の上限回数 */
+export const DIFFICULTY_MAX_TRIES = 300;
+
+const FREQ_HZ = {
+  '0.125kHz': 125, '0.25kHz': 250, '0.5kHz': 500, '0.75kHz': 750, '1kHz': 1000, '1.5kHz': 1500,
+  '2kHz': 2000, '3kHz': 3000, '4kHz': 4000, '6kHz': 6000, '8kHz': 8000,
+};
+
+/**
+ * 生成エンジンの行（right / left）を正答ターゲットに変換する
+ * 骨導は 250〜4000 Hz のみ。機能性難聴の耳は器質的閾値（organic）も持たせる
+ * @returns {{ ear: string, transducer: string, masked: boolean, freq: number, dB: number, so?: boolean, organic?: number }[]}
+ */
+export function targetsFromCase(caseData) {
+  const targets = [];
+  const pushEar = (rows, ear) => {
+    (rows || []).forEach((r) => {
+      const f = FREQ_HZ[r.freq];
+      if (typeof r.ac === 'number') {
+        targets.push({ ear, transducer: 'AC', masked: false, freq: f, dB: r.ac, ...(r.soAC ? { so: true } : {}), ...(typeof r.organicAc === 'number' ? { organic: r.organicAc } : {}) });
+      }
+      if (typeof r.bc === 'number' && f >= 250 && f <= 4000) {
+        targets.push({ ear, transducer: 'BC', masked: true, freq: f, dB: r.bc, ...(r.soBC ? { so: true } : {}), ...(typeof r.organicBc === 'number' ? { organic: r.organicBc } : {}) });
+      }
+    });
+  };
+  pushEar(caseData?.right, 'R');
+  pushEar(caseData?.left, 'L');
+  return targets;
+}
+
+/** 点数 → 難易度帯 */
+export function difficultyBand(score) {
+  if (score <= EASY_MAX) return 'easy';
+  if (score >= HARD_MIN) return 'hard';
+  return 'medium';
+}
+
+/**
+ * 正答ターゲットからマスキングの難しさを見積もる
+ * 骨導を測らない周波数（125 / 8000 Hz・中間周波数）は最も近い骨導の周波数で代用する
+ * @param {Array} targets - { ear, transducer, freq, dB, so? }[]
+ * @param {{ earphone?: string, iaBC?: number }} [opts]
+ * @returns {{ score: number, band: string, masking: number, plateau: number, overMasking: number, scaleOut: number, keys: object }}
+ */
+export function analyzeCaseDifficulty(targets, { earphone = 'supraAural', iaBC = 0 } = {}) {
+  const rows = (targets || []).filter((t) => typeof t.dB === 'number');
+  const thrOf = (ear, tr, freq) => {
+    const t = rows.find((x) => x.ear === ear && x.transducer === tr && x.freq === freq);
+    return !t || t.so ? null : t.dB;
+  };
+  const bcNear = (ear, freq) => {
+    const bcs = rows.filter((x) => x.ear === ear && x.transducer === 'BC' && !x.so);
+    if (!bcs.length) return null;
+    return bcs.reduce((a, b) => (Math.abs(Math.log2(b.freq / freq)) < Math.abs(Math.log2(a.freq / freq)) ? b : a)).dB;
+  };
+
+  const keys = { masking: [], plateau: [], overMasking: [], scaleOut: [] };
+  rows.forEach((t) => {
+    const key = `${t.ear}|${t.transducer}|${t.freq}`;
+    if (t.so) {
+      keys.scaleOut.push(key);
+      return;
+    }
+    const nte = t.ear === 'R' ? 'L' : 'R';
+    const ia = getDefaultIaAC(earphone, t.freq);
+    const teAC = thrOf(t.ear, 'AC', t.freq);
+    const teBC = bcNear(t.ear, t.freq);
+    const nteBC = bcNear(nte, t.freq);
+    if (nteBC == null) return;
+
+    const need = evaluateMaskNeed({ transducer: t.transducer, earphone, freq: t.freq, teAC, teBC, nteBC, iaAC: ia, iaBC });
+    // 骨導は教育上いつも要マスクなので、厳密な比較と見かけの気骨導差で絞る
+    const needed = t.transducer === 'AC'
+      ? need.needed === true
+      : need.strictlyNeeded === true && teAC != null && teAC - nteBC > BC_ABG_DB;
+    if (!needed) return;
+    keys.masking.push(key);
+
+    // 未マスクでは非検査耳で聞こえる（真の閾値との差が大きいほどマスク量を上げる段数が増える）
+    const apparent = Math.min(t.dB, nteBC + (t.transducer === 'BC' ? iaBC : ia));
+    if (t.dB - apparent >= PLATEAU_SHIFT_DB) keys.plateau.push(key);
+
+    const win = computeMaskingWindow({ transducer: t.transducer, earphone, freq: t.freq, teBC, nteAC: thrOf(nte, 'AC', t.freq), ia });
+    if (win.empty || (win.empty === false && win.max - win.min < PLATEAU_MIN_WIDTH_DB + OVER_MASKING_MARGIN_DB)) {
+      keys.overMasking.push(key);
+    }
+  });
+
+  const counts = Object.fromEntries(Object.entries(keys).map(([k, v]) => [k, v.length]));
+  const score = Object.entries(WEIGHTS).reduce((sum, [k, w]) => sum + w * counts[k], 0);
+  return { score, band: difficultyBand(score), ...counts, keys };
+}
+
+/**
+ * 指定した難易度帯に入るまで seed を順に試す
+ * 同じ条件で seed だけを変えるので、見つかった症例は seed を指定すれば再現できる
+ * @param {(seed: number) => object} generate - seed から症例（エンジンの出力）を作る
+ * @param {string} band - 'easy' | 'medium' | 'hard'
+ * @param {{ startSeed?: number, maxTries?: number }} [opts]
+ * @returns {{ caseData: object, difficulty: object, tries: number, found: boolean }} 見つからなければ帯に最も近い症例
+ */
+export function findCaseForDifficulty(generate, band, { startSeed, maxTries = DIFFICULTY_MAX_TRIES } = {}) {
+  const target = DIFFICULTY_BANDS.indexOf(band);
+  const start = (startSeed != null ? startSeed : Math.floor(Math.random() * 1e9)) >>> 0;
+  let best = null;
+  for (let i = 0; i < maxTries; i += 1) {
+    const caseData = generate((start + i) >>> 0);
+    const difficulty = analyzeCaseDifficulty(targetsFromCase(caseData));
+    if (difficulty.band === band) return { caseData, difficulty, tries: i + 1, found: true };
+    const gap = Math.abs(DIFFICULTY_BANDS.indexOf(difficulty.band) - target);
+    if (!best || gap < best.gap) best = { caseData, difficulty, gap };
+  }
+  return { caseData: best.caseData, difficulty: best.difficulty, tries: maxTries, found: false };
+}
@@ -0,0 +1,344 @@
+/**
+ * 症例ファイル（JSON）の形式・検証・読み書き
+ * 教員が症例バンクを作ってやりとりするための形式。学習者画面と教材生成の両方で読み書きする。
+ *
+ * {
+ *   "format": "audioscope-case",
+ *   "version": 1,
+ *   "exportedAt": "2026-10-19T09:00:00.000Z",   // 任意
+ *   "cases": [{
+ *     "id": "otoscl-01",                         // 必須・ファイル内で一意
+ *     "name": "耳硬化症（右）",                    // 任意（一覧の表示名）
+ *     "targets": [                               // 必須・正答の閾値（学習者には見せない）
+ *       { "ear": "R", "transducer": "AC", "freq": 1000, "dB": 45 },
+ *       { "ear": "R", "transducer": "BC", "freq": 4000, "dB": 70, "so": true },   // so: スケールアウト
+ *       { "ear": "L", "transducer": "AC", "freq": 1000, "dB": 110, "so": true, "organic": 10 }  // organic: 機能性難聴の器質的閾値
+ *     ],
+ *     "details": { "age", "gender", "chiefComplaint", "history", "findings", "diagnosis", "diseaseName", "explanation" },  // 任意・文字列
+ *     "tympanogram": { "type": "A", "right": { "peakPressure": 0, "peakCompliance": 0.5, "sigma": 60 }, "left": { … } },
+ *     "reflexes": { "right": { "ipsilateral": { "500": 85, "1000": null }, "contralateral": { … } }, "left": { … } },
+ *                                                // 任意・ART の閾値（dB HL）。null は反射消失。耳の割り当ては ART 画面と同じ
+ *     "dpoae": { "right": "present", "left": "absent" },   // 任意・'present' | 'absent' | 'auto'（auto はオージオグラムとTymから判定）
+ *     "ia": { "1000": { "AC": 60, "BC": 0 } },   // 任意・周波数ごとの両耳間移行減衰量（受話器の既定値を上書き）
+ *     "responseModel", "patientBehavior", "nonOrganic", "speech",   // 任意・プリセット症例と同じ意味
+ *     "meta": { … },                             // 任意・生成エンジンの meta（Tym・ART・DPOAE を省略したときの推定に使う）
+ *     "caseCode": "1-21I3V9-1"                   // 任意・生成エンジンの症例コード
+ *   }]
+ * }
+ *
+ * tympanogram・reflexes・dpoae を省略すると、学習者画面で閾値と病態から従来どおり推定する。
+ */
+
+import {
+  buildSimpleTympanogramFromProfile,
+  inferCasePatternFromProfile,
+  inferCasePatternFromDisorderName,
+  buildArtConfig,
+  buildDPOAEConfig,
+} from './testBatteryLogic';
+
+export const CASE_FILE_FORMAT = 'audioscope-case';
+/** 形式の版。項目の意味を変えるときは上げ、旧版は migrateCaseFile で読み替える */
+export const CASE_FILE_VERSION = 1;
+
+const FREQS = [125, 250, 500, 750, 1000, 1500, 2000, 3000, 4000, 6000, 8000];
+const ART_FREQS = [500, 1000, 2000];
+const DB_MIN = -10;
+const DB_MAX = 120;
+const DETAIL_KEYS = ['age', 'gender', 'chiefComplaint', 'history', 'findings', 'diagnosis', 'diseaseName', 'explanation'];
+const PASS_THROUGH_KEYS = ['responseModel', 'patientBehavior', 'nonOrganic', 'speech', 'meta'];
+export const DPOAE_CHOICES = ['present', 'absent', 'auto'];
+
+const isObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+const isFiniteNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/** 旧版の症例ファイルを現在の版へ読み替える（いまは v1 のみ） */
+function migrateCaseFile(data) {
+  return data;
+}
+
+function validateTarget(t, path, errors) {
+  if (!isObject(t)) {
+    errors.push(`${path}: オブジェクトで指定してください`);
+    return null;
+  }
+  if (t.ear !== 'R' && t.ear !== 'L') errors.push(`${path}.ear: 'R' か 'L' を指定してください`);
+  if (t.transducer !== 'AC' && t.transducer !== 'BC') errors.push(`${path}.transducer: 'AC' か 'BC' を指定してください`);
+  if (!FREQS.includes(t.freq)) errors.push(`${path}.freq: ${FREQS.join(' / ')} のいずれかを指定してください`);
+  if (!isFiniteNumber(t.dB) || t.dB < DB_MIN || t.dB > DB_MAX || t.dB % 5 !== 0) {
+    errors.push(`${path}.dB: ${DB_MIN}〜${DB_MAX} の 5 dB 刻みで指定してください`);
+  }
+  if (t.so != null && typeof t.so !== 'boolean') errors.push(`${path}.so: true / false で指定してください`);
+  if (t.organic != null && !isFiniteNumber(t.organic)) errors.push(`${path}.organic: 数値で指定してください`);
+  return {
+    ear: t.ear,
+    transducer: t.transducer,
+    masked: t.transducer === 'BC',
+    freq: t.freq,
+    dB: t.dB,
+    ...(t.so ? { so: true } : {}),
+    ...(isFiniteNumber(t.organic) ? { organic: t.organic } : {}),
+  };
+}
+
+function validateEarConfig(value, path, errors) {
+  if (!isObject(value)) {
+    errors.push(`${path}: オブジェクトで指定してください`);
+    return;
+  }
+  ['peakPressure', 'peakCompliance', 'sigma'].forEach((k) => {
+    if (!isFiniteNumber(value[k])) errors.push(`${path}.${k}: 数値で指定してください`);
+  });
+  if (isFiniteNumber(value.peakCompliance) && value.peakCompliance < 0) errors.push(`${path}.peakCompliance: 0 以上で指定してください`);
+  if (isFiniteNumber(value.sigma) && value.sigma <= 0) errors.push(`${path}.sigma: 正の数で指定してください`);
+}
+
+/** 周波数キーの表（{ "1000": 値 }）を数値キーにそろえる */
+function numericFreqMap(map, path, errors, allowed, check) {
+  if (!isObject(map)) {
+    errors.push(`${path}: オブジェクトで指定してください`);
+    return {};
+  }
+  const out = {};
+  Object.entries(map).forEach(([k, v]) => {
+    const f = Number(k);
+    if (!allowed.includes(f)) {
+      errors.push(`${path}.${k}: 周波数は ${allowed.join(' / ')} のいずれかです`);
+      return;
+    }
+    if (check(v, `${path}.${k}`)) out[f] = v;
+  });
+  return out;
+}
+
+function validateCase(c, path, errors) {
+  if (!isObject(c)) {
+    errors.push(`${path}: オブジェクトで指定してください`);
+    return null;
+  }
+  const entry = {};
+  if (typeof c.id !== 'string' || !c.id.trim()) errors.push(`${path}.id: 空でない文字列を指定してください`);
+  entry.id = String(c.id ?? '').trim();
+  if (c.name != null && typeof c.name !== 'string') errors.push(`${path}.name: 文字列で指定してください`);
+  entry.name = typeof c.name === 'string' && c.name.trim() ? c.name.trim() : entry.id;
+
+  if (!Array.isArray(c.targets) || !c.targets.length) {
+    errors.push(`${path}.targets: 1 件以上の閾値を配列で指定してください`);
+    entry.targets = [];
+  } else {
+    const seen = new Set();
+    entry.targets = c.targets.map((t, i) => validateTarget(t, `${path}.targets[${i}]`, errors)).filter(Boolean);
+    entry.targets.forEach((t, i) => {
+      const key = `${t.ear}|${t.transducer}|${t.freq}`;
+      if (seen.has(key)) errors.push(`${path}.targets[${i}]: ${t.ear} ${t.transducer} ${t.freq} Hz が重複しています`);
+      seen.add(key);
+    });
+  }
+
+  if (c.details != null) {
+    if (!isObject(c.details)) errors.push(`${path}.details: オブジェクトで指定してください`);
+    else {
+      entry.details = {};
+      DETAIL_KEYS.forEach((k) => {
+        if (c.details[k] == null) return;
+        if (typeof c.details[k] !== 'string') errors.push(`${path}.details.${k}: 文字列で指定してください`);
+        else entry.details[k] = c.details[k];
+      });
+    }
+  }
+
+  if (c.tympanogram != null) {
+    if (!isObject(c.tympanogram)) errors.push(`${path}.tympanogram: オブジェクトで指定してください`);
+    else {
+      if (typeof c.tympanogram.type !== 'string') errors.push(`${path}.tympanogram.type: 型（'A' など）を文字列で指定してください`);
+      ['right', 'left'].forEach((side) => validateEarConfig(c.tympanogram[side], `${path}.tympanogram.${side}`, errors));
+      entry.tympanogram = c.tympanogram;
+    }
+  }
+
+  if (c.reflexes != null) {
+    if (!isObject(c.reflexes)) errors.push(`${path}.reflexes: オブジェクトで指定してください`);
+    else {
+      entry.reflexes = {};
+      ['right', 'left'].forEach((side) => {
+        const ear = c.reflexes[side];
+        if (ear == null) return;
+        if (!isObject(ear)) {
+          errors.push(`${path}.reflexes.${side}: オブジェクトで指定してください`);
+          return;
+        }
+        entry.reflexes[side] = {};
+        ['ipsilateral', 'contralateral'].forEach((route) => {
+          if (ear[route] == null) return;
+          entry.reflexes[side][route] = numericFreqMap(ear[route], `${path}.reflexes.${side}.${route}`, errors, ART_FREQS, (v, p) => {
+            if (v === null || (isFiniteNumber(v) && v >= 0 && v <= DB_MAX)) return true;
+            errors.push(`${p}: 0〜${DB_MAX} の数値か null（反射消失）を指定してください`);
+            return false;
+          });
+        });
+      });
+    }
+  }
+
+  if (c.dpoae != null) {
+    if (!isObject(c.dpoae)) errors.push(`${path}.dpoae: オブジェクトで指定してください`);
+    else {
+      entry.dpoae = {};
+      ['right', 'left'].forEach((side) => {
+        const v = c.dpoae[side];
+        if (v == null) return;
+        if (!DPOAE_CHOICES.includes(v)) errors.push(`${path}.dpoae.${side}: ${DPOAE_CHOICES.join(' / ')} のいずれかを指定してください`);
+        else entry.dpoae[side] = v;
+      });
+    }
+  }
+
+  if (c.ia != null) {
+    entry.ia = numericFreqMap(c.ia, `${path}.ia`, errors, FREQS, (v, p) => {
+      if (!isObject(v)) {
+        errors.push(`${p}: { "AC": 数値, "BC": 数値 } で指定してください`);
+        return false;
+      }
+      let ok = true;
+      ['AC', 'BC'].forEach((k) => {
+        if (v[k] != null && !(isFiniteNumber(v[k]) && v[k] >= 0 && v[k] <= 100)) {
+          errors.push(`${p}.${k}: 0〜100 の数値で指定してください`);
+          ok = false;
+        }
+      });
+      return ok;
+    });
+  }
+
+  PASS_THROUGH_KEYS.forEach((k) => {
+    if (c[k] == null) return;
+    if (!isObject(c[k])) errors.push(`${path}.${k}: オブジェクトで指定してください`);
+    else entry[k] = c[k];
+  });
+  if (c.caseCode != null) {
+    if (typeof c.caseCode !== 'string') errors.push(`${path}.caseCode: 文字列で指定してください`);
+    else entry.caseCode = c.caseCode;
+  }
+  return entry;
+}
+
+/**
+ * 症例ファイルの中身を検証し、読み込める形にそろえる
+ * @returns {{ cases: object[], errors: string[] }} errors が空でなければ cases は空
+ */
+export function validateCaseFile(data) {
+  const errors = [];
+  if (!isObject(data)) return { cases: [], errors: ['ファイルの最上位は { "format", "version", "cases" } のオブジェクトにしてください'] };
+  if (data.format !== CASE_FILE_FORMAT) errors.push(`format: "${CASE_FILE_FORMAT}" を指定してください`);
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    errors.push('version: 1 以上の整数を指定してください');
+  } else if (data.version > CASE_FILE_VERSION) {
+    errors.push(`version: v${data.version} の症例ファイルはこの版（v${CASE_FILE_VERSION} まで）では読めません`);
+  }
+  if (!Array.isArray(data.cases) || !data.cases.length) errors.push('cases: 1 件以上の症例を配列で指定してください');
+  if (errors.length) return { cases: [], errors };
+
+  const migrated = migrateCaseFile(data);
+  const cases = migrated.cases.map((c, i) => validateCase(c, `cases[${i}]`, errors));
+  const ids = new Set();
+  cases.forEach((c, i) => {
+    if (!c || !c.id) return;
+    if (ids.has(c.id)) errors.push(`cases[${i}].id: "${c.id}" が重複しています`);
+    ids.add(c.id);
+  });
+  return errors.length ? { cases: [], errors } : { cases, errors };
+}
+
+/** JSON テキスト → validateCaseFile の結果（JSON として読めないときもエラーで返す） */
+export function parseCaseFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { cases: [], errors: [`JSON として読めません: ${e.message}`] };
+  }
+  return validateCaseFile(data);
+}
+
+/** 画面の正答（masked などを含む）→ 症例ファイルの targets */
+export function fileTargets(targets) {
+  return (targets || []).map(({ ear, transducer, freq, dB, so, organic }) => ({
+    ear, transducer, freq, dB, ...(so ? { so: true } : {}), ...(typeof organic === 'number' ? { organic } : {}),
+  }));
+}
+
+/** 症例（cases の要素）の配列 → 書き出す症例ファイル */
+export function buildCaseFile(cases) {
+  return { format: CASE_FILE_FORMAT, version: CASE_FILE_VERSION, exportedAt: new Date().toISOString(), cases };
+}
+
+/** 選んだファイル（<input type="file">）を読んで検証する */
+export async function readCaseFile(file) {
+  return parseCaseFile(await file.text());
+}
+
+export function downloadCaseFile(caseFile, filenamePrefix = 'audioscope-cases') {
+  const blob = new Blob([JSON.stringify(caseFile, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = `${filenamePrefix}-${new Date().toISOString().slice(0, 10)}.json`;
+  anchor.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * 症例 → Tym・ART・DPOAE の設定。指定がなければ閾値と病態（meta）から推定する
+ * @param {object} entry - validateCaseFile が返す症例
+ * @param {() => number} rand - ティンパノグラムの推定に使う乱数
+ */
+export function caseEntryBattery(entry, rand) {
+  const meta = entry.meta || {};
+  const details = entry.details || {};
+  const profileName = meta.profile || meta.rightProfile || null;
+  const tympanogram = entry.tympanogram || buildSimpleTympanogramFromProfile(profileName || 'Normal', meta, rand);
+  const casePattern = profileName ? inferCasePatternFromProfile(profileName) : inferCasePatternFromDisorderName(details.diseaseName);
+  const artConfig = buildArtConfig(entry.targets, tympanogram, details.diseaseName || profileName, casePattern, meta);
+  Object.entries(reflexOverrides(entry.reflexes)).forEach(([side, o]) => Object.assign(artConfig[side], o));
+  const dpoaeConfig = buildDPOAEConfig(entry.targets, tympanogram, meta);
+  Object.entries(entry.dpoae || {}).forEach(([side, v]) => {
+    // present: AC によらず反応あり（ANと同じ扱い）／absent: 伝音障害と同じく全周波数 REFER
+    if (v === 'present') {
+      dpoaeConfig[`${side}IsNeuropathy`] = true;
+      dpoaeConfig.tympanogramType[side] = 'A';
+    } else if (v === 'absent') {
+      dpoaeConfig.tympanogramType[side] = 'B';
+    }
+  });
+  return { tympanogram, artConfig, dpoaeConfig };
+}
+
+/** 読み込んだ ART 閾値を ART 画面の上書き設定（消失は 999）に変換する */
+export function reflexOverrides(reflexes) {
+  const out = {};
+  ['right', 'left'].forEach((side) => {
+    const ear = reflexes?.[side];
+    if (!ear) return;
+    out[side] = {};
+    [['ipsilateral', 'ipsilateralOverride'], ['contralateral', 'contralateralOverride']].forEach(([route, key]) => {
+      if (!ear[route]) return;
+      out[side][key] = Object.fromEntries(Object.entries(ear[route]).map(([f, v]) => [f, v == null ? 999 : v]));
+    });
+  });
+  return out;
+}
+
+/** ART 画面の上書き設定 → 症例ファイルの reflexes（999 は null） */
+export function reflexesFromArtConfig(artConfig) {
+  const out = {};
+  ['right', 'left'].forEach((side) => {
+    const cfg = artConfig?.[side];
+    if (!cfg) return;
+    [['ipsilateralOverride', 'ipsilateral'], ['contralateralOverride', 'contralateral']].forEach(([key, route]) => {
+      if (!cfg[key]) return;
+      out[side] = out[side] || {};
+      out[side][route] = Object.fromEntries(Object.entries(cfg[key]).map(([f, v]) => [f, v >= 999 ? null : v]));
+    });
+  });
+  return Object.keys(out).length ? out : undefined;
+}
@@ -0,0 +1,232 @@
+// プリセット症例（A〜I）の正答閾値と症例情報
+// 学習者画面と検証スクリプト（scripts/verify-audiogram-generation.mjs）の両方から読む
+
+// --- preset helpers (compress verbose targets to keep file small) ---
+const mk = (ear, transducer, list) =>
+  list.map(([freq, dB, so=false]) => ({ ear, transducer, masked:transducer==='BC', freq, dB, ...(so?{so:true}:{}) }));
+const preset = (name, parts) => ({ name, targets: parts.flat() });
+// 機能性難聴の耳: 申告閾値（dB）とは別に器質的閾値（organic）を持たせる
+const withOrganic = (list, organic) => list.map(t => ({ ...t, organic: organic[t.freq] }));
+
+// --- Preset cases (targets kept "secret"; used for overlay/validation only) ---
+// Each target: { ear:'R'|'L', transducer:'AC'|'BC', masked:false, freq:number, dB:number, so?:true }
+export const PRESET_A = preset('症例A', [
+  mk('R','AC', [[125,5],[250,5],[500,5],[1000,5],[2000,5],[4000,0],[8000,0]]),
+  mk('L','AC', [[125,10],[250,10],[500,5],[1000,5],[2000,5],[4000,0],[8000,-5]]),
+  mk('R','BC', [[250,5],[500,10],[1000,5],[2000,5],[4000,-5]]),
+  mk('L','BC', [[250,5],[500,5],[1000,0],[2000,5],[4000,0]])
+]);
+
+export const PRESET_B = preset('症例B', [
+  // Right AC / BC
+  mk('R','AC', [[125,10],[250,10],[500,30],[1000,50],[2000,70],[4000,90],[8000,100]]),
+  mk('R','BC', [[125,10],[250,15],[500,30],[1000,50],[2000,70],[4000,110,true],[8000,100]]),
+  // Left AC / BC
+  mk('L','AC', [[125,15],[250,15],[500,10],[1000,10],[2000,5],[4000,5],[8000,10]]),
+  mk('L','BC', [[250,15],[500,10],[1000,10],[2000,5],[4000,5]])
+]);
+
+export const PRESET_C = preset('症例C', [
+  // Right AC / BC
+  mk('R','AC', [[125,20],[250,20],[500,15],[1000,10],[2000,10],[4000,5],[8000,5]]),
+  mk('R','BC', [[250,15],[500,15],[1000,10],[2000,5],[4000,10]]),
+  // Left AC/BC (SO)
+  mk('L','AC', [[125,110,true],[250,110,true],[500,110,true],[1000,110,true],[2000,110,true],[4000,110,true],[8000,110,true]]),
+  mk('L','BC', [[250,110,true],[500,110,true],[1000,110,true],[2000,110,true],[4000,110,true]])
+]);
+
+export const PRESET_D = preset('症例D', [
+  // Right AC / BC - 高音域の聴力低下
+  mk('R','AC', [[125,5],[250,5],[500,5],[1000,10],[2000,25],[4000,45],[8000,65]]),
+  mk('R','BC', [[125,5],[250,5],[500,5],[1000,10],[2000,20],[4000,35],[8000,50]]),
+  // Left AC / BC - 低音域の聴力低下
+  mk('L','AC', [[125,25],[250,30],[500,20],[1000,10],[2000,5],[4000,5],[8000,10]]),
+  mk('L','BC', [[125,20],[250,25],[500,20],[1000,10],[2000,5],[4000,5],[8000,10]])
+]);
+
+export const PRESET_E = preset('症例E', [
+  // Right AC / BC - 混合性難聴パターン
+  mk('R','AC', [[125,15],[250,20],[500,20],[1000,30],[2000,35],[4000,35],[8000,45]]),
+  mk('R','BC', [[125,10],[250,15],[500,20],[1000,25],[2000,30],[4000,35],[8000,40]]),
+  // Left AC / BC - 感音性難聴パターン
+  mk('L','AC', [[125,40],[250,45],[500,40],[1000,55],[2000,60],[4000,60],[8000,70]]),
+  mk('L','BC', [[125,35],[250,40],[500,45],[1000,50],[2000,55],[4000,60],[8000,65]])
+]);
+
+export const PRESET_F = preset('症例F', [
+  // Right AC / BC
+  mk('R','AC', [[125,15],[250,15],[500,15],[1000,30],[2000,45],[4000,60],[8000,80]]),
+  mk('R','BC', [[250,20],[500,20],[1000,25],[2000,45],[4000,60]]),
+  // Left AC / BC
+  mk('L','AC', [[125,10],[250,15],[500,20],[1000,30],[2000,45],[4000,65],[8000,80]]),
+  mk('L','BC', [[250,15],[500,20],[1000,30],[2000,45],[4000,110,true]])
+]);
+
+export const PRESET_G = preset('症例G', [
+  // Right AC / BC - 伝音難聴パターン
+  mk('R','AC', [[125,35],[250,25],[500,20],[1000,25],[2000,25],[4000,10],[8000,20]]),
+  mk('R','BC', [[125,5],[250,5],[500,10],[1000,10],[2000,5],[4000,5],[8000,5]]),
+  // Left AC / BC - 伝音難聴パターン（B型なので 500〜2000 Hz に気骨導差を残す）
+  mk('L','AC', [[125,35],[250,25],[500,25],[1000,20],[2000,20],[4000,25],[8000,35]]),
+  mk('L','BC', [[250,10],[500,10],[1000,5],[2000,10],[4000,0]])
+]);
+
+export const PRESET_H = preset('症例H', [
+  // PTAのみ左右入替（症例情報・Tymは急性中耳炎のまま）
+  mk('R','AC', [[125,35],[250,40],[500,40],[1000,50],[2000,45],[4000,40],[8000,50]]),
+  mk('R','BC', [[250,10],[500,15],[1000,20],[2000,25],[4000,20]]),
+  mk('L','AC', [[125,10],[250,10],[500,10],[1000,25],[2000,30],[4000,30],[8000,50]]),
+  mk('L','BC', [[250,5],[500,5],[1000,30],[2000,30],[4000,25]])
+]);
+export const PRESET_I = preset('症例I', [
+  // 右は一側聾を装う（器質的には正常）。陰影曲線が出ないこと・Stengerで確認
+  withOrganic(mk('R','AC', [[125,110,true],[250,110,true],[500,110,true],[1000,110,true],[2000,110,true],[4000,110,true],[8000,110,true]]),
+    { 125: 10, 250: 10, 500: 5, 1000: 5, 2000: 10, 4000: 10, 8000: 15 }),
+  withOrganic(mk('R','BC', [[250,110,true],[500,110,true],[1000,110,true],[2000,110,true],[4000,110,true]]),
+    { 250: 5, 500: 5, 1000: 5, 2000: 10, 4000: 5 }),
+  mk('L','AC', [[125,10],[250,5],[500,5],[1000,5],[2000,5],[4000,10],[8000,15]]),
+  mk('L','BC', [[250,5],[500,5],[1000,0],[2000,5],[4000,5]])
+]);
+// 症例の詳細情報
+// responseModel: { centralMasking, occlusionEffect } を持たせると、その症例で模擬応答に反映（既定はOFF）
+// patientBehavior: { enabled, seed, slopeDb, falseAlarmRate, missRate, tinnitusFreqs, ... }（engine/patientBehavior.js 参照）
+// speech: { retrocochlear: 'R'|'L'|'B' } を持たせると、その耳の語音PI関数をロールオーバー型にする
+// nonOrganic: { ear } は機能性難聴の耳（応答は申告閾値＋再検査でのぶれ、クロスヒアリングによる陰影なし）
+export const PRESET_DETAILS = {
+  A: {
+    age: '12歳',
+    gender: '男子',
+    chiefComplaint: '学校検診で聞こえの悪さを指摘された',
+    history: '本人から話を聞くと周囲がうるさくて、検査音が聞こえなかった様子。念の為受信した',
+    findings: '鼓膜所見正常',
+    diagnosis: '正常聴力（学校検診での誤検出）',
+    diseaseName: '正常',
+    tympanogram: { 
+      type: 'A', 
+      left: { peakPressure: 0, peakCompliance: 1.5, sigma: 60 },
+      right: { peakPressure: 0, peakCompliance: 1.3, sigma: 60 }
+    }
+  },
+  B: {
+    age: '45歳',
+    gender: '男性',
+    chiefComplaint: '右耳難聴、耳鳴、めまい感',
+    history: '昨日から突然右耳の耳閉塞感と耳鳴、回転性めまい感あり。今日になってめまい感はだいぶ治ったが、聞こえの悪さは変わらないため受診した',
+    findings: '鼓膜所見正常',
+    diagnosis: '突発性難聴（右）',
+    diseaseName: '突発性難聴',
+    tympanogram: { 
+      type: 'A', 
+      left: { peakPressure: -10, peakCompliance: 1.5, sigma: 60 },
+      right: { peakPressure: 0, peakCompliance: 1.3, sigma: 60 }
+    }
+  },
+  C: {
+    age: '7歳',
+    gender: '女性',
+    chiefComplaint: '左耳の聞こえの悪さ',
+    history: '入学時の学校検診で左耳難聴を指摘され、精査のため受診した',
+    findings: '鼓膜所見正常',
+    diagnosis: '感音性難聴（左）',
+    diseaseName: '感音性難聴',
+    tympanogram: { 
+      type: 'A', 
+      left: { peakPressure: 0, peakCompliance: 0.8, sigma: 60 },
+      right: { peakPressure: 0, peakCompliance: 0.9, sigma: 60 }
+    }
+  },
+  D: {
+    age: '32歳',
+    gender: '男性',
+    chiefComplaint: '耳閉塞感、耳鳴り、めまい',
+    history: '20歳の時、右耳突発性難聴。1週間前から回転性めまいあり。良くなったり悪くなったり。左耳ゴーという耳鳴りが気になる',
+    findings: '鼓膜所見正常',
+    diagnosis: 'メニエール病（左）',
+    diseaseName: 'メニエール病',
+    // 低音の耳鳴（ゴー）で閾値下でも押してしまう
+    patientBehavior: { enabled: true, tinnitusFreqs: [125, 250], tinnitusFalseAlarmRate: 0.25 },
+    tympanogram: { 
+      type: 'A', 
+      left: { peakPressure: -15, peakCompliance: 1.3, sigma: 60 },
+      right: { peakPressure: 10, peakCompliance: 1.5, sigma: 60 }
+    }
+  },
+  E: {
+    age: '55歳',
+    gender: '女性',
+    chiefComplaint: '聞こえの悪さ（特に左耳）',
+    history: '徐々に聞こえ悪くなった。最近、電話を左で取ると聞こえづらいのがわかった。今は右耳で電話をとっている。いつから聞こえ悪いのかよくわからない',
+    findings: '鼓膜所見正常',
+    diagnosis: '感音性難聴（左優位）',
+    diseaseName: '感音性難聴',
+    tympanogram: { 
+      type: 'A', 
+      left: { peakPressure: -10, peakCompliance: 1.2, sigma: 60 },
+      right: { peakPressure: 15, peakCompliance: 1.4, sigma: 60 }
+    }
+  },
+  F: {
+    age: '70歳',
+    gender: '女性',
+    chiefComplaint: 'TVの音が聞こえにくい',
+    history: 'ご主人から聞こえの悪さを指摘される。TVの音が大きいと言われる。そう言われたらそうかなと。ご主人が補聴器を勧めてきたので、仕方なく受診した',
+    findings: '鼓膜所見正常',
+    diagnosis: '加齢性難聴（両側）',
+    diseaseName: '加齢性難聴',
+    tympanogram: { 
+      type: 'A', 
+      left: { peakPressure: 5, peakCompliance: 1.1, sigma: 60 },
+      right: { peakPressure: -20, peakCompliance: 1.3, sigma: 60 }
+    }
+  },
+  G: {
+    age: '12歳',
+    gender: '女性',
+    chiefComplaint: '鼻水が出る。聞こえの悪さ',
+    history: '小さい頃から滲出性中耳炎を繰り返す',
+    findings: '鼓膜所見：色が悪い・陥没あり',
+    diagnosis: '滲出性中耳炎（両側）',
+    diseaseName: '滲出性中耳炎',
+    tympanogram: { 
+      type: 'B', 
+      left: { peakPressure: 100, peakCompliance: 0.2, sigma: 80 },
+      right: { peakPressure: 100, peakCompliance: 0.1, sigma: 80 }
+    }
+  },
+  H: {
+    age: '68歳',
+    gender: '男性',
+    chiefComplaint: '耳痛、聞こえの悪さ、耳閉塞感',
+    history: '2日前より耳痛と耳閉塞感あり',
+    findings: '鼓膜所見炎症（＋）',
+    diagnosis: '急性中耳炎（右）',
+    diseaseName: '急性中耳炎',
+    tympanogram: { 
+      type: 'MIX',
+      left: { peakPressure: 0, peakCompliance: 1.2, sigma: 60 },
+      right: { peakPressure: 100, peakCompliance: 0.6, sigma: 60 }
+    }
+  },
+  I: {
+    age: '34歳',
+    gender: '男性',
+    chiefComplaint: '右耳がまったく聞こえない',
+    history: '1か月前の職場での事故のあとから右耳が聞こえないと訴える。補償の手続き中。会話は右側からの呼びかけにも自然に応じている',
+    findings: '鼓膜所見正常',
+    diagnosis: '機能性難聴（右）',
+    diseaseName: '機能性難聴',
+    nonOrganic: { ear: 'R' },
+    // 応答がばらつき、押すまでに時間がかかる
+    patientBehavior: { enabled: true, slopeDb: 4, falseAlarmRate: 0.05, missRate: 0.08, latencyMs: { mean: 900, sd: 300 } },
+    tympanogram: { 
+      type: 'A',
+      left: { peakPressure: 0, peakCompliance: 1.2, sigma: 60 },
+      right: { peakPressure: -5, peakCompliance: 1.1, sigma: 60 }
+    }
+  }
+};
+
+export const PRESET_MAP = {
+  A: PRESET_A, B: PRESET_B, C: PRESET_C, D: PRESET_D,
+  E: PRESET_E, F: PRESET_F, G: PRESET_G, H: PRESET_H, I: PRESET_I
+};
@@ -1,10 +1,35 @@
 // 臨床症例生成エンジン（再現性のためseed対応）
+import { isoBand, clampIsoAge, ageDecade, ISO_AGE_MIN } from "./iso7029";
+
+/**
+ * エンジンの版。同じ seed・条件で出力が変わる変更をしたら上げ、旧版は caseCodeLogic の ENGINES に残す
+ * （共有した症例コードが作成時と同じ症例を指し続けるため）
+ * 症例コードの条件欄に応答モデル・模擬患者の桁を足したときは上げていない（閾値は変わらず、旧コードはその桁が 0 として読める）
+ */
+export const ENGINE_VERSION = 1;
 
 // 周波数・年齢・性別・上限/下限・NR規則はデモと同一
 const FREQS = ["0.125kHz", "0.25kHz", "0.5kHz", "1kHz", "2kHz", "4kHz", "8kHz"];
+// 中間周波数（オクターブ生成の乱数列には関与させず、最終段で補間して追加する）
+const INTERIM_FREQS = ["0.75kHz", "1.5kHz", "3kHz", "6kHz"];
+const INTERIM_NEIGHBORS = {
+  "0.75kHz": ["0.5kHz", "1kHz"],
+  "1.5kHz": ["1kHz", "2kHz"],
+  "3kHz": ["2kHz", "4kHz"],
+  "6kHz": ["4kHz", "8kHz"],
+};
 const AGE_GROUPS = ["20s", "30s", "40s", "50s", "60s", "70s"];
+// 小児（明示指定時のみ。ランダムな年代選択には含めない）: infant は乳児（VRA・1 kHz Tym）、child は幼児（遊戯聴力検査）
+const PEDIATRIC_AGE_GROUPS = ["infant", "child"];
+// 小児で病態を指定しないときの重み（中耳炎が大半。加齢性・騒音性・耳硬化症などは出さない）
+const PEDIATRIC_PROFILE_WEIGHTS = {
+  infant: { Normal: 2, CHL_OME: 4, CHL_AOM: 4 },
+  child: { Normal: 2, CHL_OME: 5, CHL_AOM: 2, SNHL_Mumps: 1 },
+};
 const SEXES = ["Male", "Female"];
-const PROFILES = ["Normal", "SNHL_Age", "SNHL_NoiseNotch", "SNHL_Meniere", "SNHL_Sudden", "SNHL_Mumps", "CHL_OME", "CHL_AOM", "CHL_Otosclerosis", "CHL_OssicularDiscontinuity"];
+const RANDOM_PROFILES = ["Normal", "SNHL_Age", "SNHL_NoiseNotch", "SNHL_Meniere", "SNHL_Sudden", "SNHL_Mumps", "CHL_OME", "CHL_AOM", "CHL_Otosclerosis", "CHL_OssicularDiscontinuity"];
+// 後迷路性・第三の窓・機能性（非器質性）難聴は明示指定時のみ（ランダム選択の対象外＝既存seedの再現性を保つ）
+const PROFILES = [...RANDOM_PROFILES, "SNHL_VestibularSchwannoma", "SNHL_AuditoryNeuropathy", "TW_SuperiorCanalDehiscence", "FHL_NonOrganic"];
 const PROFILE_WEIGHTS = {
   Normal: 2,
   SNHL_Age: 2,
@@ -16,16 +41,24 @@ const PROFILE_WEIGHTS = {
   CHL_AOM: 3,
   CHL_Otosclerosis: 1,
   CHL_OssicularDiscontinuity: 12,
+  SNHL_VestibularSchwannoma: 0,
+  SNHL_AuditoryNeuropathy: 0,
+  TW_SuperiorCanalDehiscence: 0,
+  FHL_NonOrganic: 0,
 };
 
-const FREQ_NUM = { "0.125kHz": 0.125, "0.25kHz": 0.25, "0.5kHz": 0.5, "1kHz": 1, "2kHz": 2, "4kHz": 4, "8kHz": 8 };
+const FREQ_NUM = { "0.125kHz": 0.125, "0.25kHz": 0.25, "0.5kHz": 0.5, "0.75kHz": 0.75, "1kHz": 1, "1.5kHz": 1.5, "2kHz": 2, "3kHz": 3, "4kHz": 4, "6kHz": 6, "8kHz": 8 };
 const LIMITS_AC = {
   "0.125kHz": { min: 5, max: 70 },
   "0.25kHz":  { min: 5, max: 90 },
   "0.5kHz":   { min: 5, max: 110 },
+  "0.75kHz":  { min: 5, max: 110 },
   "1kHz":     { min: 0, max: 110 },
+  "1.5kHz":   { min: 0, max: 110 },
   "2kHz":     { min: 0, max: 110 },
+  "3kHz":     { min: 0, max: 110 },
   "4kHz":     { min: -5, max: 110 },
+  "6kHz":     { min: -5, max: 105 },
   "8kHz":     { min: -5, max: 100 },
 };
 const LIMITS_BC = {
@@ -46,9 +79,11 @@ import ISO_DATA from "../data/iso7029_age_hearing_thresholds_2sd.json";
 const ISO7029 = ISO_DATA;
 
 function normalizeAgeGroupForISO(sex, age) {
-  // ステップ1: 10歳以下や日本語の年齢グループをISO形式に変換
-  if (age === "10歳以下" || age === "10s" || (typeof age === 'string' && age.includes('10歳以下'))) {
-    return "20s"; // 10歳以下は20代のISOデータを使用
+  // ステップ1: 小児はそのまま（帯域は ISO 7029 の下限年齢で引く）。10歳以下は幼児として扱う
+  if (PEDIATRIC_AGE_GROUPS.includes(age)) return age;
+  if (typeof age === 'string' && age.includes('10歳以下')) return "child";
+  if (age === "10s") {
+    return "20s"; // 10代は20代のISOデータを使用
   }
   
   // 日本語の年齢グループをISO形式に変換
@@ -84,14 +119,18 @@ function normalizeAgeGroupForISO(sex, age) {
   return available.length ? available[0] : "20s";
 }
 
+// 年齢が数値（歳）なら連続式、年代ラベルなら同梱の表を引く。小児は加齢変化のない下限年齢の帯域
+// 表は式を年代ごとに評価したものではなく、男性50〜70代の 4・8 kHz では中央値が式より最大約10 dB 良い（verify:audiogram の I1）
 const getBand = (sex, age, f) => {
+  if (typeof age === 'number') return isoBand(sex, age, f);
+  if (PEDIATRIC_AGE_GROUPS.includes(age)) return isoBand(sex, ISO_AGE_MIN, f);
   const a = normalizeAgeGroupForISO(sex, age);
   const key = f === "0.125kHz" ? "0.25kHz" : f;
   return ISO7029[sex][a][key];
 };
 
 // Seeded RNG（LCG）
-function makeRng(seed) {
+export function makeRng(seed) {
   let s = (seed >>> 0) || 123456789;
   return function rand() {
     s = (1664525 * s + 1013904223) >>> 0;
@@ -151,6 +190,40 @@ function finalizeSoBc(rows) {
   return rows.map(pinSoBcRow);
 }
 
+// 最終: soAC判定（ACが機器上限超ならNR）
+function finalizeSo(rows) {
+  return rows.map(r => {
+    const lim = LIMITS_AC[r.freq];
+    const soAC = Boolean(r.soAC) || (r.ac > lim.max);
+    const ac = roundTo5(clamp(r.ac, lim.min, lim.max));
+    return { ...r, ac, soAC };
+  });
+}
+
+// 125 Hz / 8 kHz のBC内部ルール適用（表示には使わない）
+function applyBcEdgeInternal(rows, profileName) {
+  const isSNHL = (profileName || '').startsWith('SNHL_') || profileName === 'Normal';
+  if (isSNHL) {
+    return rows.map(r => {
+      if (r.freq === '0.125kHz' || r.freq === '8kHz') {
+        return { ...r, bcInternal: r.ac };
+      }
+      return r;
+    });
+  }
+  const isCHL = (profileName || '').startsWith('CHL_') || (profileName || '').startsWith('TW_');
+  if (isCHL) {
+    let bc025 = null, bc4k = null;
+    rows.forEach(r => { if (r.freq === '0.25kHz') bc025 = r.bc; if (r.freq === '4kHz') bc4k = r.bc; });
+    return rows.map(r => {
+      if (r.freq === '0.125kHz' && bc025 != null) return { ...r, bcInternal: bc025 };
+      if (r.freq === '8kHz' && bc4k != null) return { ...r, bcInternal: bc4k };
+      return r;
+    });
+  }
+  return rows;
+}
+
 // 片耳病型で非病側をNormal化
 function makeContralateralNormal(rand, sex, age) {
   const base = generateEarBase(rand, sex, age);
@@ -284,10 +357,125 @@ function enforceNoiseNotchGeometry(rows) {
     if (r.freq === '8kHz' && ac8 != null && typeof r.ac === 'number') {
       return { ...r, ac: ac8 };
     }
+    // 中間周波数: 3 kHz は 2k〜4k の間、6 kHz は 4k 寄りで 8k より悪い（8k の回復を保つ）
+    if (r.freq === '3kHz' && typeof r.ac === 'number') {
+      return { ...r, ac: roundTo5(clamp(r.ac, r2.ac, ac4)) };
+    }
+    if (r.freq === '6kHz' && typeof r.ac === 'number') {
+      const lo = ac8 != null ? Math.min(ac4, ac8 + 5) : ac4 - 10;
+      return { ...r, ac: roundTo5(clamp(Math.max(r.ac, ac4 - 10), lo, ac4)) };
+    }
     return r;
   });
 }
 
+/**
+ * 機能性難聴の誇張（severity 1〜2: 平坦な上乗せ、3: 一側聾を装う＝全周波数NR）
+ * 器質的閾値は organicAc / organicBc に残す（Stenger・陰影曲線の判定に使う）
+ */
+const NON_ORGANIC_EXAGGERATION_DB = [30, 35, 55, 75];
+function applyNonOrganicExaggeration(rows, severity) {
+  const sev = Math.min(3, Math.max(0, Math.round(severity || 0)));
+  return rows.map((r) => {
+    const organic = { organicAc: r.ac, organicBc: r.bc };
+    if (sev >= 3) return { ...forceScaleOutRow(r, { withBc: true }), ...organic };
+    const lim = LIMITS_AC[r.freq];
+    const raw = (r.ac ?? 0) + NON_ORGANIC_EXAGGERATION_DB[sev];
+    const ac = roundTo5(clamp(raw, lim.min, lim.max));
+    const soAC = raw > lim.max;
+    let bc = r.bc;
+    let soBC = Boolean(r.soBC);
+    if (isBCFreq(r.freq) && typeof r.bc === 'number') {
+      // 骨導も気導に沿って誇張（気骨導差を作らない）
+      const limB = LIMITS_BC[r.freq];
+      const th = TH_SNHL_BC_NR[r.freq];
+      if (ac - 5 > th) {
+        bc = roundTo5(th);
+        soBC = true;
+      } else {
+        bc = roundTo5(clamp(ac - 5, limB.min, limB.max));
+      }
+    }
+    return { ...r, ac, soAC, bc, soBC, ...organic };
+  });
+}
+
+/**
+ * 上半規管裂隙（第三の窓）: 低音部の骨導を正常以上（負の dB HL）にして気骨導差を作る
+ * 中耳は正常なのでティンパノグラムはA型、アブミ骨筋反射も保たれる（伝音難聴との鑑別点）
+ */
+const THIRD_WINDOW_BC_DB = { "0.25kHz": [0, -5, -10, -10], "0.5kHz": [0, -5, -10, -10], "1kHz": [0, 0, -5, -5] };
+const THIRD_WINDOW_MIN_ABG_DB = { "0.25kHz": 20, "0.5kHz": 15, "1kHz": 10 };
+function applyThirdWindow(rows, severity) {
+  const sev = Math.min(3, Math.max(0, Math.round(severity || 0)));
+  return rows.map((r) => {
+    const table = THIRD_WINDOW_BC_DB[r.freq];
+    if (!table || typeof r.bc !== 'number') return r;
+    const bc = Math.min(r.bc, table[sev]);
+    const lim = LIMITS_AC[r.freq];
+    const ac = roundTo5(clamp(Math.max(r.ac ?? 0, bc + THIRD_WINDOW_MIN_ABG_DB[r.freq]), lim.min, lim.max));
+    return { ...r, ac, bc, soBC: false };
+  });
+}
+
+/**
+ * マスキングジレンマ（両側の最大伝音難聴）: 骨導は正常域に抑え、気骨導差を約60 dBにする
+ * 最小有効マスキング（NTE_AC + 10）が最大許容量（TE_BC + IA）を超え、正確なマスキングができない
+ */
+const DILEMMA_ABG_DB = { "0.125kHz": 55, "0.25kHz": 60, "0.5kHz": 60, "1kHz": 60, "2kHz": 60, "4kHz": 55, "8kHz": 50 };
+const DILEMMA_BC_MAX_DB = 15;
+function applyMaskingDilemma(rows) {
+  const byFreq = Object.fromEntries(rows.map((r) => [r.freq, r]));
+  const bcOf = (f) => Math.min(byFreq[f]?.bc ?? 10, DILEMMA_BC_MAX_DB);
+  return rows.map((r) => {
+    const abg = DILEMMA_ABG_DB[r.freq];
+    if (abg == null) return r;
+    // 125 Hz / 8 kHz は骨導を測らないので隣の骨導を基準にする
+    const bcRef = isBCFreq(r.freq) ? bcOf(r.freq) : bcOf(r.freq === "0.125kHz" ? "0.25kHz" : "4kHz");
+    const lim = LIMITS_AC[r.freq];
+    const raw = bcRef + abg;
+    const ac = roundTo5(clamp(raw, lim.min, lim.max));
+    const next = { ...r, ac, soAC: raw > lim.max };
+    if (isBCFreq(r.freq)) Object.assign(next, { bc: roundTo5(bcRef), soBC: false });
+    return next;
+  });
+}
+
+/**
+ * 中間周波数（750/1500/3000/6000 Hz）の行を隣接オクターブから対数補間して追加
+ * 骨導は測定しない（bc: null）。両隣がSOなら中間もSO。
+ */
+function addInterimRows(rows) {
+  const by = Object.fromEntries(rows.map((r) => [r.freq, r]));
+  const interim = INTERIM_FREQS.map((f) => {
+    const [fa, fb] = INTERIM_NEIGHBORS[f];
+    const a = by[fa];
+    const b = by[fb];
+    if (!a || !b || typeof a.ac !== 'number' || typeof b.ac !== 'number') return null;
+    const w = Math.log2(FREQ_NUM[f] / FREQ_NUM[fa]);
+    const lerp = (x, y) => x + (y - x) * w;
+    const lim = LIMITS_AC[f];
+    const raw = lerp(a.ac, b.ac);
+    const soAC = (Boolean(a.soAC) && Boolean(b.soAC)) || raw > lim.max;
+    const organic = typeof a.organicAc === 'number' && typeof b.organicAc === 'number'
+      ? { organicAc: roundTo5(lerp(a.organicAc, b.organicAc)), organicBc: null }
+      : {};
+    return {
+      freq: f,
+      median: lerp(a.median, b.median),
+      minus2SD: lerp(a.minus2SD, b.minus2SD),
+      plus2SD: lerp(a.plus2SD, b.plus2SD),
+      ac: roundTo5(clamp(raw, lim.min, lim.max)),
+      bc: null,
+      soAC,
+      soBC: false,
+      interim: true,
+      ...organic,
+    };
+  }).filter(Boolean);
+  return [...rows, ...interim].sort((x, y) => FREQ_NUM[x.freq] - FREQ_NUM[y.freq]);
+}
+
 /** AOM混合型: 4 kHz骨導が0.5 kHz骨導より悪く、気導は骨導を下回らない */
 function enforceAomMixedGeometry(rows) {
   const by = Object.fromEntries(rows.map((r) => [r.freq, r]));
@@ -408,10 +596,25 @@ function applyProfileTransform(rand, rows, profile, severity, seed, sexForBands,
       const depth = [0, 30, 30, 30][Math.min(3, Math.max(0, Math.round(severity||0)))];
       const w = { "0.125kHz": 0.8, "0.25kHz": 1.0, "0.5kHz": 1.0, "1kHz": 0.9, "2kHz": 0.9, "4kHz": 0.7, "8kHz": 0.5 }[r.freq] || 0;
       add = w * depth;
+    } else if (profile === 'SNHL_VestibularSchwannoma') {
+      // 聴神経腫瘍: 患側のみの高音漸傾型（反射消失・語音明瞭度の低下はUI側で付与）
+      const depth = [0, 20, 35, 55][Math.min(3, Math.max(0, Math.round(severity||0)))];
+      const w = { "0.125kHz": 0.1, "0.25kHz": 0.15, "0.5kHz": 0.25, "1kHz": 0.45, "2kHz": 0.75, "4kHz": 1.0, "8kHz": 1.1 }[r.freq] || 0;
+      add = w * depth * (0.85 + 0.3 * rand());
+    } else if (profile === 'SNHL_AuditoryNeuropathy') {
+      // オーディトリー・ニューロパチー: 低音寄りの平坦型（OAEは保たれ、反射は消失）
+      const depth = [0, 20, 35, 50][Math.min(3, Math.max(0, Math.round(severity||0)))];
+      const w = { "0.125kHz": 1.0, "0.25kHz": 1.0, "0.5kHz": 0.9, "1kHz": 0.8, "2kHz": 0.7, "4kHz": 0.6, "8kHz": 0.7 }[r.freq] || 0;
+      add = w * depth;
+    } else if (profile === 'TW_SuperiorCanalDehiscence') {
+      // 上半規管裂隙: 低音部の気導上昇（骨導の過敏化は後段の applyThirdWindow で付与）
+      const depth = [0, 10, 15, 25][Math.min(3, Math.max(0, Math.round(severity||0)))];
+      const w = { "0.125kHz": 1.0, "0.25kHz": 1.0, "0.5kHz": 0.8, "1kHz": 0.4, "2kHz": 0.1 }[r.freq] || 0;
+      add = w * depth;
     }
     const ac = roundTo5(clamp((r.ac ?? 0) + add, LIMITS_AC[r.freq].min, LIMITS_AC[r.freq].max));
     let bc = r.bc;
-    if (profile === 'CHL_OME' || profile === 'CHL_AOM' || profile === 'CHL_Otosclerosis' || profile === 'CHL_OssicularDiscontinuity') {
+    if (profile === 'CHL_OME' || profile === 'CHL_AOM' || profile === 'CHL_Otosclerosis' || profile === 'CHL_OssicularDiscontinuity' || profile === 'TW_SuperiorCanalDehiscence') {
       // BCはほぼ正常帯域へ（年齢相応中央値±小揺らぎ）
       if (isBCFreq(r.freq)) {
         const lim = LIMITS_BC[r.freq];
@@ -471,6 +674,114 @@ function applyProfileTransform(rand, rows, profile, severity, seed, sexForBands,
   return out;
 }
 
+/** 耳ごとの病態スタックの区切り（meta.rightProfile = 'SNHL_Age+CHL_OME'） */
+export const PROFILE_STACK_SEPARATOR = '+';
+
+/** 'SNHL_Age+CHL_OME' → ['SNHL_Age', 'CHL_OME']（単一プロファイルはそのまま1要素） */
+export function profileComponents(profileName) {
+  if (!profileName || typeof profileName !== 'string') return [];
+  return profileName.split(PROFILE_STACK_SEPARATOR).map((p) => p.trim()).filter(Boolean);
+}
+
+const isAirBoneGapProfile = (p) => CONDUCTIVE_PROFILES.has(p) || p === 'TW_SuperiorCanalDehiscence';
+
+/**
+ * 病態スタックを1耳に合成する（各成分は同じベースに個別に変換し、AC上昇量を取り出して合成）
+ * - 感音成分: 上昇量を加算して蝸牛の閾値とし、BCも同量上げる（SNHLのBC NR規則は蝸牛の閾値で判定）
+ * - 伝音成分（CHL_* / TW_*）: 中耳は1つなので上昇量は最大の1成分だけを気骨導差として上乗せ
+ * - SO: 合成後のACが機器上限を超えればNR（突発・ムンプスのSOモードは適用しない）
+ * @param {{ profile: string, severity: number }[]} components
+ */
+function composeEarStack(rand, base, components, sex, ageForBands) {
+  const snhlAdd = {};
+  const gapAdd = {};
+  components.forEach((c) => {
+    if (c.profile === 'Normal' || c.profile === 'FHL_NonOrganic') return;
+    const rows = applyProfileTransform(rand, base, c.profile, c.severity, 0, sex, ageForBands);
+    rows.forEach((r, i) => {
+      const add = Math.max(0, (r.ac ?? 0) - (base[i].ac ?? 0));
+      if (isAirBoneGapProfile(c.profile)) {
+        gapAdd[r.freq] = Math.max(gapAdd[r.freq] ?? 0, add);
+      } else {
+        snhlAdd[r.freq] = (snhlAdd[r.freq] ?? 0) + add;
+      }
+    });
+  });
+  let rows = base.map((b) => {
+    const add = snhlAdd[b.freq] ?? 0;
+    const bc = isBCFreq(b.freq) && typeof b.bc === 'number' ? roundTo5(b.bc + add) : b.bc;
+    return { ...b, ac: roundTo5((b.ac ?? 0) + add), bc };
+  });
+  if (components.some((c) => c.profile.startsWith('SNHL_'))) rows = applySnhlBcNr(rows);
+  return rows.map((r) => ({ ...r, ac: roundTo5(r.ac + (gapAdd[r.freq] ?? 0)) }));
+}
+
+/**
+ * 耳ごとの病態スタックで症例を生成する（opts.stacks = { right: ['SNHL_Age','CHL_OME'], left: ['SNHL_Age'] }）
+ * 成分は文字列または { profile, severity }（省略時は症例の severity）。機能性難聴・第三の窓は合成後に重ねる
+ */
+function generateStackedAudiogram(rand, seed, sex, ageGroup, ageYears, opts) {
+  const ageForBands = ageYears ?? ageGroup;
+  const severity = opts.severity != null ? opts.severity : Math.floor(rand() * 4);
+  const normalize = (list) => {
+    const comps = (Array.isArray(list) ? list : [list])
+      .filter(Boolean)
+      .map((c) => (typeof c === 'string' ? { profile: c, severity } : { profile: c.profile, severity: c.severity ?? severity }))
+      .filter((c) => PROFILES.includes(c.profile));
+    return comps.length ? comps : [{ profile: 'Normal', severity: 0 }];
+  };
+  const stacks = { right: normalize(opts.stacks.right), left: normalize(opts.stacks.left) };
+
+  const rightBase = generateEarBase(rand, sex, ageForBands);
+  const leftBase = correlateLeft(rand, rightBase, sex, ageForBands);
+
+  const build = (base, comps) => {
+    // BC規則・125 Hz/8 kHz の内部BCは伝音成分があればそれ、なければ感音／正常として扱う
+    const gapComp = comps.find((c) => isAirBoneGapProfile(c.profile));
+    const ruleProfile = gapComp ? gapComp.profile : comps.some((c) => c.profile.startsWith('SNHL_')) ? 'SNHL_Age' : 'Normal';
+    let rows = composeEarStack(rand, base, comps, sex, ageForBands);
+    rows = applyBcRandomJitter(rand, rows);
+    rows = enforceBcRules(rows, ruleProfile);
+    rows = finalizeSoBc(finalizeSo(rows));
+    const tw = comps.find((c) => c.profile === 'TW_SuperiorCanalDehiscence');
+    if (tw) rows = applyThirdWindow(rows, tw.severity);
+    rows = applyBcEdgeInternal(rows, ruleProfile);
+    const fhl = comps.find((c) => c.profile === 'FHL_NonOrganic');
+    if (fhl) rows = applyNonOrganicExaggeration(rows, fhl.severity);
+    if (opts.interimFreqs) rows = addInterimRows(rows);
+    return rows;
+  };
+  const right = build(rightBase, stacks.right);
+  const left = build(leftBase, stacks.left);
+
+  const label = (comps) => comps.map((c) => c.profile).join(PROFILE_STACK_SEPARATOR);
+  const isNormal = (comps) => comps.every((c) => c.profile === 'Normal');
+  const involved = [...new Set([...stacks.right, ...stacks.left].map((c) => c.profile).filter((p) => p !== 'Normal'))];
+  const affectedSide = isNormal(stacks.left) && !isNormal(stacks.right) ? 'R'
+    : isNormal(stacks.right) && !isNormal(stacks.left) ? 'L' : null;
+  const nonOrganicEar = stacks.right.some((c) => c.profile === 'FHL_NonOrganic') ? 'R'
+    : stacks.left.some((c) => c.profile === 'FHL_NonOrganic') ? 'L' : null;
+
+  return {
+    meta: {
+      seed, sex, ageGroup,
+      ...(ageYears != null ? { age: ageYears } : {}),
+      profile: involved.join(PROFILE_STACK_SEPARATOR) || 'Normal',
+      severity, affectedSide,
+      rightProfile: label(stacks.right),
+      leftProfile: label(stacks.left),
+      rightComponents: stacks.right,
+      leftComponents: stacks.left,
+      stacked: true,
+      forcedUnilateralAOM: false, carhartApplied: false, aomMixedApplied: false,
+      suddenSoMode: 'none', suddenSoInclude2k: false,
+      ...(nonOrganicEar ? { nonOrganic: { ear: nonOrganicEar } } : {}),
+    },
+    right,
+    left,
+  };
+}
+
 function randomPick(rand, arr) { return arr[Math.floor(rand() * arr.length)]; }
 function weightedRandomPick(rand, items) {
   let total = 0;
@@ -490,52 +801,49 @@ export function generateAudiogram(opts = {}) {
   const sex = opts.sex || randomPick(rand, SEXES);
   let ageGroup = opts.ageGroup;
   
-  // 年齢グループの処理：数値で渡された場合はISO用の年齢グループに変換
+  // 数値の年齢（歳）は ISO 7029 の連続式で帯域を求め、年代ラベルは表示・補正用に残す
+  let ageYears = null;
   if (typeof ageGroup === 'number') {
-    // 数値の年齢が渡された場合、ISO用の年齢グループに変換
-    if (ageGroup <= 10) {
-      ageGroup = '20s'; // 10歳以下は20代のISOデータを使用
-    } else if (ageGroup <= 19) {
-      ageGroup = '20s'; // 10代も20代のISOデータを使用
-    } else if (ageGroup <= 29) {
-      ageGroup = '20s';
-    } else if (ageGroup <= 39) {
-      ageGroup = '30s';
-    } else if (ageGroup <= 49) {
-      ageGroup = '40s';
-    } else if (ageGroup <= 59) {
-      ageGroup = '50s';
-    } else if (ageGroup <= 69) {
-      ageGroup = '60s';
-    } else {
-      ageGroup = '70s';
-    }
+    ageYears = clampIsoAge(ageGroup);
+    ageGroup = ageDecade(ageGroup);
   } else if (!ageGroup) {
     // 年齢グループが指定されていない場合はランダムに選択
     ageGroup = randomPick(rand, AGE_GROUPS);
   }
   
-  // 年齢グループをISO用に正規化（日本語の年齢グループや10歳以下をISO形式に変換）
+  // 年齢グループをISO用に正規化（日本語の年齢グループをISO形式に、10歳以下は child に変換）
   ageGroup = normalizeAgeGroupForISO(sex, ageGroup);
+  const ageForBands = ageYears ?? ageGroup;
+  const pediatricWeights = PEDIATRIC_PROFILE_WEIGHTS[ageGroup];
+
+  // 耳ごとの病態スタック指定時は合成ルートへ（単一プロファイルの乱数列には影響しない）
+  if (opts.stacks) {
+    return generateStackedAudiogram(rand, seed, sex, ageGroup, ageYears, opts);
+  }
   
   // ステップ2: プロファイルと重症度を決定
-  const profile = opts.profile || randomPick(rand, PROFILES);
+  // マスキングジレンマ指定時は両側の伝音性に固定（未指定・非伝音性の指定は滲出性中耳炎）
+  const profile = opts.maskingDilemma
+    ? (CONDUCTIVE_PROFILES.has(opts.profile) ? opts.profile : 'CHL_OME')
+    : (opts.profile || (pediatricWeights
+      ? weightedRandomPick(rand, Object.entries(pediatricWeights).map(([value, weight]) => ({ value, weight })))
+      : randomPick(rand, RANDOM_PROFILES)));
   const severityWasRandom = opts.severity == null;
   let severity = opts.severity != null ? opts.severity : Math.floor(rand() * 4);
 
   // 一側性のSNHL系は重症度0（なし）を避けて最低1に補正（表示上の無変化を防止）
   // ※明示指定時は補正しない（検証・教員用の条件固定を優先）
-  const unilateralProfiles = new Set(['SNHL_Sudden', 'SNHL_Meniere', 'SNHL_Mumps', 'CHL_OssicularDiscontinuity']);
-  const forcedUnilateralAOM = profile === 'CHL_AOM' && rand() < 0.8;
-  const isUnilateralProfile = unilateralProfiles.has(profile) || forcedUnilateralAOM;
+  const unilateralProfiles = new Set(['SNHL_Sudden', 'SNHL_Meniere', 'SNHL_Mumps', 'CHL_OssicularDiscontinuity', 'SNHL_VestibularSchwannoma', 'TW_SuperiorCanalDehiscence', 'FHL_NonOrganic']);
+  const forcedUnilateralAOM = profile === 'CHL_AOM' && rand() < 0.8 && !opts.maskingDilemma;
+  const isUnilateralProfile = !opts.maskingDilemma && (unilateralProfiles.has(profile) || forcedUnilateralAOM);
 
-  if (severityWasRandom && isUnilateralProfile && profile.startsWith('SNHL_') && severity === 0) {
+  if (severityWasRandom && isUnilateralProfile && (profile.startsWith('SNHL_') || profile.startsWith('TW_') || profile === 'FHL_NonOrganic') && severity === 0) {
     severity = 1;
   }
 
   // ステップ3: 性別と年齢グループからISO7029データを参照してオージオグラムのベースを生成
   // これが最初のオージオグラム作成ステップ（年代・性別からISOデータを見て作成）
-  let right = generateEarBase(rand, sex, ageGroup);
+  let right = generateEarBase(rand, sex, ageForBands);
 
   // 耳硬化: Carhart様の発現を事前定義確率で決定（severity≥1）
   // ※severity=0でも乱数を1回消費し、同一seedで程度だけ変えたときのRNG位相を揃える
@@ -553,7 +861,7 @@ export function generateAudiogram(opts = {}) {
   const profileOpts = { carhartApplied, aomMixedApplied };
   
   // ステップ4: プロファイル（疾患パターン）を適用して難聴パターンを追加
-  right = applyProfileTransform(rand, right, profile, severity, seed, sex, ageGroup, profileOpts);
+  right = applyProfileTransform(rand, right, profile, severity, seed, sex, ageForBands, profileOpts);
 
   let left;
   let affectedSide = null;
@@ -565,12 +873,12 @@ export function generateAudiogram(opts = {}) {
     affectedSide = affectedRight ? 'R' : 'L';
     if (affectedRight) {
       // 左はNormal（同sex/age）
-      left = makeContralateralNormal(rand, sex, ageGroup);
+      left = makeContralateralNormal(rand, sex, ageForBands);
     } else {
       // 右をNormalにし、左を病側生成
-      const normalRight = makeContralateralNormal(rand, sex, ageGroup);
-      let diseasedLeft = generateEarBase(rand, sex, ageGroup);
-      diseasedLeft = applyProfileTransform(rand, diseasedLeft, profile, severity, seed, sex, ageGroup, profileOpts);
+      const normalRight = makeContralateralNormal(rand, sex, ageForBands);
+      let diseasedLeft = generateEarBase(rand, sex, ageForBands);
+      diseasedLeft = applyProfileTransform(rand, diseasedLeft, profile, severity, seed, sex, ageForBands, profileOpts);
       right = normalRight;
       left = diseasedLeft;
     }
@@ -597,7 +905,7 @@ export function generateAudiogram(opts = {}) {
     }
   } else {
     // 両側同時生成（相関あり）
-    left = correlateLeft(rand, right, sex, ageGroup);
+    left = correlateLeft(rand, right, sex, ageForBands);
   }
 
   right = applyBcRandomJitter(rand, right);
@@ -654,44 +962,43 @@ export function generateAudiogram(opts = {}) {
   }
 
   // 最終: soAC判定（ACが機器上限超ならNR）
-  const finalizeSo = (rows) => rows.map(r => {
-    const lim = LIMITS_AC[r.freq];
-    const soAC = Boolean(r.soAC) || (r.ac > lim.max);
-    const ac = roundTo5(clamp(r.ac, lim.min, lim.max));
-    return { ...r, ac, soAC };
-  });
   right = finalizeSo(right);
   left = finalizeSo(left);
   right = finalizeSoBc(right);
   left = finalizeSoBc(left);
 
-  // 125 Hz / 8 kHz のBC内部ルール適用（表示には使わない）
-  function applyBcEdgeInternal(rows, profileName) {
-    const isSNHL = (profileName || '').startsWith('SNHL_') || profileName === 'Normal';
-    if (isSNHL) {
-      return rows.map(r => {
-        if (r.freq === '0.125kHz' || r.freq === '8kHz') {
-          return { ...r, bcInternal: r.ac };
-        }
-        return r;
-      });
-    }
-    const isCHL = (profileName || '').startsWith('CHL_');
-    if (isCHL) {
-      let bc025 = null, bc4k = null;
-      rows.forEach(r => { if (r.freq === '0.25kHz') bc025 = r.bc; if (r.freq === '4kHz') bc4k = r.bc; });
-      return rows.map(r => {
-        if (r.freq === '0.125kHz' && bc025 != null) return { ...r, bcInternal: bc025 };
-        if (r.freq === '8kHz' && bc4k != null) return { ...r, bcInternal: bc4k };
-        return r;
-      });
-    }
-    return rows;
+
+  // マスキングジレンマ（指定時のみ）: 両耳とも気骨導差を最大化する（40 dB の上限ルールは適用しない）
+  if (opts.maskingDilemma) {
+    right = applyMaskingDilemma(right);
+    left = applyMaskingDilemma(left);
+  }
+
+  // 上半規管裂隙: 揺らぎ・BC規則の後に骨導の過敏化を付与（LIMITS_BC の下限を下回ってよい）
+  if (profile === 'TW_SuperiorCanalDehiscence') {
+    if (baseRightProfile === profile) right = applyThirdWindow(right, severity);
+    if (baseLeftProfile === profile) left = applyThirdWindow(left, severity);
   }
 
   right = applyBcEdgeInternal(right, profile);
   left = applyBcEdgeInternal(left, profile);
 
+  // 機能性難聴: 器質的閾値（organicAc/organicBc）は保持し、患側の応答閾値を誇張する
+  if (profile === 'FHL_NonOrganic') {
+    if (affectedSide === 'R') right = applyNonOrganicExaggeration(right, severity);
+    if (affectedSide === 'L') left = applyNonOrganicExaggeration(left, severity);
+  }
+
+  // 中間周波数（指定時のみ）。騒音性では 3k/6k もノッチ形状に合わせる
+  if (opts.interimFreqs) {
+    right = addInterimRows(right);
+    left = addInterimRows(left);
+    if (profile === 'SNHL_NoiseNotch' && severity >= 1) {
+      if (baseRightProfile === 'SNHL_NoiseNotch') right = enforceNoiseNotchGeometry(right);
+      if (baseLeftProfile === 'SNHL_NoiseNotch') left = enforceNoiseNotchGeometry(left);
+    }
+  }
+
   // 耳ごとの最終プロファイル（答え合わせ用）
   let rightProfile = baseRightProfile;
   let leftProfile  = baseLeftProfile;
@@ -715,15 +1022,127 @@ export function generateAudiogram(opts = {}) {
   return {
     meta: {
       seed, sex, ageGroup, profile, severity, affectedSide,
+      ...(ageYears != null ? { age: ageYears } : {}),
       rightProfile, leftProfile, forcedUnilateralAOM, carhartApplied, aomMixedApplied,
       suddenSoMode, suddenSoInclude2k,
+      ...(profile === 'FHL_NonOrganic' ? { nonOrganic: { ear: affectedSide } } : {}),
+      ...(opts.maskingDilemma ? { maskingDilemma: true } : {}),
     },
     right,
     left,
   };
 }
 
-export const EngineConstants = { FREQS, AGE_GROUPS, SEXES, PROFILES };
+// 経過（受診系列）の型: 突発性は回復、メニエールは変動、滲出性中耳炎は治癒、加齢性は進行。その他は不変
+const COURSE_BY_PROFILE = {
+  SNHL_Sudden: 'recovery',
+  SNHL_Meniere: 'fluctuation',
+  CHL_OME: 'resolution',
+  SNHL_Age: 'progression',
+};
+// 受診間隔（初診からの経過）
+const COURSE_SCHEDULES = {
+  recovery: { unit: 'week', offsets: [0, 1, 2, 4, 8] },
+  fluctuation: { unit: 'week', offsets: [0, 4, 8, 12, 16] },
+  resolution: { unit: 'week', offsets: [0, 4, 8, 12, 16] },
+  progression: { unit: 'year', offsets: [0, 3, 6, 9, 12] },
+  stable: { unit: 'week', offsets: [0, 4, 8, 12, 16] },
+};
+export const MAX_VISITS = 5;
+/** 経過が変化する病型（経過観察の出題用） */
+export const COURSE_PROFILES = Object.keys(COURSE_BY_PROFILE);
+
+/**
+ * 経過の型と初診の重症度から、受診ごとの重症度を決める
+ * - 回復: 完全／部分／不変をほぼ1/3ずつ（回復は初期に大きい）
+ * - 変動: 発作期と間欠期を行き来し、まれに悪化が残る
+ * - 治癒: 約70%で消退、残りは遷延
+ * - 進行: 2回の受診ごとに1段階進む（年齢も加算）
+ */
+function planCourse(rand, course, severity, n) {
+  const s = Math.min(3, Math.max(0, Math.round(severity || 0)));
+  const toward = (target, pace) => Array.from({ length: n }, (_, i) => {
+    const p = n > 1 ? Math.min(1, (i / (n - 1)) * pace) : 0;
+    return Math.round(s - (s - target) * p);
+  });
+  if (course === 'recovery') {
+    const roll = rand();
+    const outcome = roll < 1 / 3 ? 'complete' : roll < 2 / 3 ? 'partial' : 'none';
+    const target = outcome === 'complete' ? 0 : outcome === 'partial' ? Math.ceil(s / 2) : s;
+    return { outcome: target === s ? 'none' : outcome, severities: toward(target, 1.5) };
+  }
+  if (course === 'resolution') {
+    const resolved = rand() < 0.7;
+    return { outcome: resolved && s > 0 ? 'resolved' : 'persistent', severities: resolved ? toward(0, 1) : toward(s, 1) };
+  }
+  if (course === 'fluctuation') {
+    let drift = 0;
+    const severities = [s];
+    for (let i = 1; i < n; i++) {
+      const attack = rand() < 0.5;
+      if (rand() < 0.25) drift += 1;
+      severities.push(Math.min(3, Math.max(0, (attack ? s : s - 1) + drift)));
+    }
+    return { outcome: 'fluctuating', severities };
+  }
+  if (course === 'progression') {
+    return { outcome: 'progressive', severities: Array.from({ length: n }, (_, i) => Math.min(3, s + Math.floor(i / 2))) };
+  }
+  return { outcome: 'stable', severities: Array.from({ length: n }, () => s) };
+}
+
+/**
+ * 同一患者の受診系列を生成する（各受診は generateAudiogram と同じ形の完全な症例）
+ * 同じseedで重症度・年齢だけを変えて生成するため、個人差の揺らぎは受診間で共通になる。
+ * 初診の条件（性別・年齢・病型・重症度・患側）は opts から1回生成して決め、経過の乱数は別系列で引く。
+ * @param {object} opts - generateAudiogram と同じ指定 + visits（受診回数、2〜5。既定3）
+ * @returns {{ meta: object, visits: object[] }}
+ */
+export function generateAudiogramSeries(opts = {}) {
+  const { visits: visitCount, ...caseOpts } = opts;
+  const first = generateAudiogram(caseOpts);
+  const { seed, sex, ageGroup, profile, severity, affectedSide } = first.meta;
+  const pediatric = PEDIATRIC_AGE_GROUPS.includes(ageGroup);
+  const n = Math.min(MAX_VISITS, Math.max(2, Math.round(visitCount || 3)));
+  const course = opts.stacks ? 'stable' : (COURSE_BY_PROFILE[profile] || 'stable');
+  const schedule = COURSE_SCHEDULES[course];
+  const rand = makeRng((seed ^ 0x5bd1e995) >>> 0);
+  // 年単位の経過で帯域を連続的に動かせるよう、年代指定は年代内の年齢に具体化する（小児は年齢区分のまま）
+  const startAge = pediatric ? null : first.meta.age ?? clampIsoAge(parseInt(ageGroup, 10) + Math.floor(rand() * 10));
+  // 経過を追えるよう、乱択で重症度0（なし）になった初診は軽度に補正
+  const startSeverity = opts.severity == null && course !== 'stable' && severity === 0 ? 1 : severity;
+  const { outcome, severities } = planCourse(rand, course, startSeverity, n);
+
+  const visits = severities.map((sev, i) => {
+    const offset = schedule.offsets[i];
+    const visitOpts = {
+      ...caseOpts,
+      seed, sex, affectedSide,
+      ageGroup: pediatric ? ageGroup : clampIsoAge(startAge + (schedule.unit === 'year' ? offset : 0)),
+    };
+    const c = generateAudiogram({ ...visitOpts, ...(opts.stacks ? {} : { profile }), severity: sev });
+    const meta = { ...c.meta, visit: { index: i + 1, offset, unit: schedule.unit }, course, courseOutcome: outcome };
+    if (sev !== 0 || course === 'stable' || course === 'progression') return { ...c, meta };
+
+    // 回復・治癒した耳は正常の聴力像に置き換えてから正常と答えさせる（鼓膜・反射・OAE も正常として扱わせる）
+    // 病型のまま重症度0で作ると OME などは気骨導差が残るため、同じ seed の Normal から取る
+    const normal = generateAudiogram({ ...visitOpts, profile: 'Normal', severity: 0 });
+    const visit = { ...c, meta: { ...meta, carhartApplied: false, aomMixedApplied: false, suddenSoMode: 'none', suddenSoInclude2k: false } };
+    for (const side of ['right', 'left']) {
+      if (meta[`${side}Profile`] !== profile) continue;
+      visit[side] = normal[side];
+      visit.meta[`${side}Profile`] = 'Normal';
+    }
+    return visit;
+  });
+
+  return {
+    meta: { seed, sex, profile, course, outcome, unit: schedule.unit, affectedSide, visits: n },
+    visits,
+  };
+}
+
+export const EngineConstants = { FREQS, INTERIM_FREQS, AGE_GROUPS, PEDIATRIC_AGE_GROUPS, SEXES, PROFILES, RANDOM_PROFILES };
 
 function applyBcRandomJitter(rand, rows, options = {}) {
   const { stepOptions = [-10, -5, 0, 5, 10] } = options;
@@ -762,7 +1181,8 @@ function enforceMinAbg(rows, earProfile) {
 }
 
 function enforceBcRules(rows, earProfile) {
-  const isConductive = CONDUCTIVE_PROFILES.has(earProfile);
+  // 上半規管裂隙も気骨導差を許容する（中耳は正常だが見かけ上は伝音性）
+  const isConductive = CONDUCTIVE_PROFILES.has(earProfile) || earProfile === 'TW_SuperiorCanalDehiscence';
   const minMaps = {
     CHL_OME: { "0.25kHz": 10, "0.5kHz": 15, "1kHz": 15, "2kHz": 8 },
     CHL_AOM: { "0.25kHz": 10, "0.5kHz": 15, "1kHz": 15, "2kHz": 8 },
@@ -0,0 +1,113 @@
+// ISO 7029:2000（第2版）Acoustics — Statistical distribution of hearing thresholds as a function of age
+// 中央値: H_md(Y) = α (Y − 18)²（18歳未満は 0）
+// ばらつき: 中央値より悪い側と良い側で別の標準偏差を持つ半正規分布
+//   上側（悪い側） s_u = b_u + 0.445 H_md(Y)、下側（良い側） s_l = b_l + 0.356 H_md(Y)
+// 係数は同版の表（α・b_u・b_l、125〜8000 Hz）。規格の適用範囲は 18〜70 歳
+// 同梱の年代別表（iso7029_age_hearing_thresholds_2sd.json）はこの式とは一致しない（年代ラベルの症例は表、歳を指定した症例は式）。
+// 中央値は男性50〜70代の 4・8 kHz で表が式より最大約10 dB 良く、±2SD の幅も別物。
+// 差の一覧は scripts/verify-audiogram-generation.mjs の I1 と結果の「ISO 7029 式と年代別表の差」
+
+export const ISO_AGE_MIN = 18;
+/** 70歳より上は外挿（85歳で打ち切り） */
+export const ISO_AGE_MAX = 85;
+
+/** [α, b_u, b_l] */
+const ISO_COEFFS = {
+  Male: {
+    "0.125kHz": [0.0030, 7.23, 5.78],
+    "0.25kHz": [0.0030, 6.67, 5.34],
+    "0.5kHz": [0.0035, 6.12, 4.89],
+    "1kHz": [0.0040, 6.12, 4.89],
+    "1.5kHz": [0.0055, 6.67, 5.34],
+    "2kHz": [0.0070, 7.23, 5.78],
+    "3kHz": [0.0115, 7.78, 6.23],
+    "4kHz": [0.0160, 8.34, 6.67],
+    "6kHz": [0.0180, 9.45, 7.56],
+    "8kHz": [0.0220, 10.56, 8.45],
+  },
+  Female: {
+    "0.125kHz": [0.0030, 6.67, 5.34],
+    "0.25kHz": [0.0030, 6.12, 4.89],
+    "0.5kHz": [0.0035, 6.12, 4.89],
+    "1kHz": [0.0040, 6.12, 4.89],
+    "1.5kHz": [0.0050, 6.67, 5.34],
+    "2kHz": [0.0060, 6.67, 5.34],
+    "3kHz": [0.0075, 7.23, 5.78],
+    "4kHz": [0.0090, 7.78, 6.23],
+    "6kHz": [0.0120, 8.90, 7.12],
+    "8kHz": [0.0150, 10.56, 8.45],
+  },
+};
+const SPREAD_UPPER = 0.445;
+const SPREAD_LOWER = 0.356;
+
+const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
+
+/** 年齢（歳）を式の適用範囲に丸める */
+export function clampIsoAge(age) {
+  return clamp(Math.round(Number(age) || ISO_AGE_MIN), ISO_AGE_MIN, ISO_AGE_MAX);
+}
+
+/** 年齢（歳）→ 年代ラベル（'20s'〜'70s'。20歳未満は 20s、80歳以上は 70s） */
+export function ageDecade(age) {
+  return `${clamp(Math.floor(Number(age) / 10) * 10, 20, 70)}s`;
+}
+
+function coeffsFor(sex, freq) {
+  const c = (ISO_COEFFS[sex] || ISO_COEFFS.Male)[freq];
+  return c ? { alpha: c[0], bu: c[1], bl: c[2] } : null;
+}
+
+/** 中央値（dB HL） */
+export function isoMedian(sex, age, freq) {
+  const c = coeffsFor(sex, freq);
+  if (!c) return null;
+  const t = clampIsoAge(age) - 18;
+  return c.alpha * t * t;
+}
+
+/**
+ * 中央値の上側（悪い側）と下側（良い側）の標準偏差（dB）
+ * @returns {{ upper: number, lower: number }|null}
+ */
+export function isoSpread(sex, age, freq) {
+  const c = coeffsFor(sex, freq);
+  if (!c) return null;
+  const median = isoMedian(sex, age, freq);
+  return { upper: c.bu + SPREAD_UPPER * median, lower: c.bl + SPREAD_LOWER * median };
+}
+
+/**
+ * 年代別表と同じ形の帯域（中央値・良い側 −2SD・悪い側 +2SD。上下で幅が違う）
+ * @returns {{ median: number, minus2SD: number, plus2SD: number }|undefined}
+ */
+export function isoBand(sex, age, freq) {
+  const median = isoMedian(sex, age, freq);
+  if (median == null) return undefined;
+  const { upper, lower } = isoSpread(sex, age, freq);
+  return { median, minus2SD: median - 2 * lower, plus2SD: median + 2 * upper };
+}
+
+/** 百分位（p = 0.1 なら良い側から10%点）の閾値 */
+export function isoPercentile(sex, age, freq, p) {
+  const median = isoMedian(sex, age, freq);
+  if (median == null) return null;
+  const { upper, lower } = isoSpread(sex, age, freq);
+  const z = normalQuantile(p);
+  return median + z * (z < 0 ? lower : upper);
+}
+
+// 標準正規分布の分位点（Acklam の近似、相対誤差 1e-9 程度）
+function normalQuantile(p) {
+  const q = clamp(p, 1e-9, 1 - 1e-9);
+  const A = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const B = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const C = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const D = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const tail = (r) => (((((C[0] * r + C[1]) * r + C[2]) * r + C[3]) * r + C[4]) * r + C[5]) / ((((D[0] * r + D[1]) * r + D[2]) * r + D[3]) * r + 1);
+  if (q < 0.02425) return tail(Math.sqrt(-2 * Math.log(q)));
+  if (q > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - q)));
+  const u = q - 0.5;
+  const r = u * u;
+  return ((((((A[0] * r + A[1]) * r + A[2]) * r + A[3]) * r + A[4]) * r + A[5]) * u) / (((((B[0] * r + B[1]) * r + B[2]) * r + B[3]) * r + B[4]) * r + 1);
+}
@@ -0,0 +1,121 @@
+// 模擬患者の応答ふるまい（心理測定関数・偽陽性・見逃し・耳鳴による誤反応・反応潜時）
+// seed と提示キー・提示回数から決定的に乱数を引くので、同じ症例・同じ操作列なら同じ応答になる。
+
+export const PATIENT_BEHAVIOR_DEFAULT = {
+  enabled: false,
+  seed: 1,
+  slopeDb: 2,                 // 心理測定関数の広がり（閾値で50%、±slope×2.2 で 10〜90%）
+  falseAlarmRate: 0.03,       // 聞こえていないのに押す
+  missRate: 0.02,             // 十分聞こえているのに押さない
+  tinnitusFreqs: [],          // 耳鳴周波数（Hz）。ここでは閾値下でも誤反応が増える
+  tinnitusFalseAlarmRate: 0.2,
+  latencyMs: { mean: 450, sd: 120 },
+};
+
+// 講師が選ぶ代表的な患者像
+export const PATIENT_BEHAVIOR_PRESETS = {
+  ideal: { label: '理想（決定的）', behavior: { enabled: false } },
+  typical: { label: '標準的な患者', behavior: { enabled: true } },
+  unreliable: {
+    label: '応答が不安定',
+    behavior: { enabled: true, slopeDb: 4, falseAlarmRate: 0.1, missRate: 0.08, latencyMs: { mean: 800, sd: 300 } },
+  },
+  tinnitus: {
+    label: '耳鳴あり（4kHz付近）',
+    behavior: { enabled: true, tinnitusFreqs: [4000], tinnitusFalseAlarmRate: 0.25 },
+  },
+};
+
+const LATENCY_MIN_MS = 150;
+const LATENCY_NEAR_THRESHOLD_MS = 300; // 閾値付近では迷って遅くなる
+
+export function normalizePatientBehavior(behavior) {
+  const b = behavior || {};
+  return {
+    ...PATIENT_BEHAVIOR_DEFAULT,
+    ...b,
+    tinnitusFreqs: Array.isArray(b.tinnitusFreqs) ? b.tinnitusFreqs : PATIENT_BEHAVIOR_DEFAULT.tinnitusFreqs,
+    latencyMs: { ...PATIENT_BEHAVIOR_DEFAULT.latencyMs, ...(b.latencyMs || {}) },
+  };
+}
+
+// 文字列キー＋回数 → [0,1) の一様乱数列（FNV-1a でシードを作り LCG で回す）
+function makeKeyedRng(seed, key, count) {
+  let h = 0x811c9dc5 ^ (seed >>> 0);
+  const str = `${key}#${count}`;
+  for (let i = 0; i < str.length; i += 1) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  let s = h || 123456789;
+  return function rand() {
+    s = (1664525 * s + 1013904223) >>> 0;
+    return s / 0x100000000;
+  };
+}
+
+/** 刺激レベル L が閾値 threshold に対して聞こえる確率（ロジスティック） */
+export function psychometricProbability(L, threshold, slopeDb = PATIENT_BEHAVIOR_DEFAULT.slopeDb) {
+  if (!Number.isFinite(threshold)) return 0;
+  if (!(slopeDb > 0)) return L >= threshold ? 1 : 0;
+  return 1 / (1 + Math.exp(-(L - threshold) / slopeDb));
+}
+
+/**
+ * 1回の提示に対する患者の応答
+ * @param {object} behavior - normalizePatientBehavior 済み
+ * @param {{ key: string, count: number, level: number, threshold: number, freq: number }} presentation
+ *   threshold は「測定耳 or クロスヒアリングで聞こえる最小レベル」
+ * @returns {{ responded: boolean, pHeard: number, heard: boolean, reason: string, latencyMs: number }}
+ */
+export function simulateResponse(behavior, { key, count, level, threshold, freq }) {
+  if (!behavior?.enabled) {
+    const heard = level >= threshold;
+    return { responded: heard, pHeard: heard ? 1 : 0, heard, reason: heard ? 'heard' : 'silent', latencyMs: 0 };
+  }
+  const rand = makeKeyedRng(behavior.seed, key, count);
+  const pHeard = psychometricProbability(level, threshold, behavior.slopeDb);
+  const heard = rand() < pHeard;
+
+  let responded;
+  let reason;
+  if (heard) {
+    responded = rand() >= behavior.missRate;
+    reason = responded ? 'heard' : 'miss';
+  } else {
+    const tinnitus = behavior.tinnitusFreqs.includes(freq);
+    const pFalse = tinnitus
+      ? 1 - (1 - behavior.falseAlarmRate) * (1 - behavior.tinnitusFalseAlarmRate)
+      : behavior.falseAlarmRate;
+    responded = rand() < pFalse;
+    reason = responded ? (tinnitus ? 'tinnitus' : 'false_alarm') : 'silent';
+  }
+
+  // Box-Muller。閾値付近（pHeard≈0.5）ほど遅い
+  const u = Math.max(1e-12, rand());
+  const v = Math.max(1e-12, rand());
+  const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  const hesitation = LATENCY_NEAR_THRESHOLD_MS * (1 - Math.abs(2 * pHeard - 1));
+  const latencyMs = Math.max(LATENCY_MIN_MS, Math.round(behavior.latencyMs.mean + behavior.latencyMs.sd * z + hesitation));
+
+  return { responded, pHeard, heard, reason, latencyMs };
+}
+
+// 機能性（非器質性）難聴: 再検査のたびに応答閾値がぶれる（器質的閾値より良くはならない）
+export const NON_ORGANIC_RETEST_SPREAD_DB = 15;
+
+/**
+ * 機能性難聴の耳の応答閾値
+ * @param {number} seed - 症例の seed
+ * @param {string} key - 耳・変換器・周波数のキー
+ * @param {number} retest - その条件で閾値を決定した回数（0 = 初回は申告どおり）
+ * @param {number} admitted - 申告（誇張）閾値
+ * @param {number} organic - 器質的閾値
+ */
+export function nonOrganicThreshold(seed, key, retest, admitted, organic) {
+  if (!retest) return admitted;
+  const rand = makeKeyedRng(seed, `non-organic|${key}`, retest);
+  const steps = NON_ORGANIC_RETEST_SPREAD_DB / 5;
+  const offset = (Math.floor(rand() * (2 * steps + 1)) - steps) * 5;
+  return Math.max(organic, admitted + offset);
+}
@@ -0,0 +1,131 @@
+// 試験モード（時間制限つきの実技試験）
+// 試験中はヒント・警告・正答表示を使えず、制限時間で自動提出する。結果はサーバーが署名して1回だけ受け付ける
+import { resolveCaseCode } from './caseCodeLogic';
+import { targetsFromCase } from './caseDifficultyLogic';
+import { getDefaultIaAC, maskingDilemmaKeys } from './guidedMaskingLogic';
+import { isInterimFreq, requiredInterimFreqs, acThresholdsByEar } from './interimFrequencyRules';
+import { buildScoringItems, scoreWithRubric } from './rubricLogic';
+
+export const EXAM_PAYLOAD_VERSION = 2;
+/** 試験の制限時間の選択肢（分） */
+export const EXAM_TIME_LIMIT_OPTIONS = [10, 15, 20, 30, 45, 60];
+/** 残りがこれ以下になったら残り時間を強調する */
+export const EXAM_WARNING_MS = 60 * 1000;
+
+/**
+ * start_exam の返り値 → 画面で使う形
+ * サーバー時刻との差を補正し、学生の端末の時計がずれていても制限時間はサーバー基準で数える
+ * 症例コード（case_code）は症例の生成にだけ使い、ここには残さない（画面・提出結果に出さない）
+ * @param {object} row - start_exam の JSON
+ * @param {number} now - 受け取った時点の Date.now()
+ */
+export function examFromStartResponse(row, now = Date.now()) {
+  const offsetMs = new Date(row.server_now).getTime() - now;
+  return {
+    attemptId: row.attempt_id,
+    examId: row.exam_id,
+    examCode: row.exam_code,
+    title: row.title,
+    timeLimitSec: row.time_limit_sec,
+    startedAt: new Date(row.started_at).getTime() - offsetMs,
+    rubric: row.rubric || null,
+    submitted: !!row.submitted_at,
+    receipt: row.submitted_at ? { submittedAt: row.submitted_at, signature: row.signature } : null,
+  };
+}
+
+export function examDeadline(exam) {
+  return exam.startedAt + exam.timeLimitSec * 1000;
+}
+
+export function examRemainingMs(exam, now = Date.now()) {
+  return Math.max(0, examDeadline(exam) - now);
+}
+
+/** ms → m:ss */
+export function formatExamClock(ms) {
+  const s = Math.ceil(Math.max(0, ms) / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 提出する結果（サーバーでこの JSON のハッシュと受験記録に署名する）
+ * points・accuracy・masking はブラウザでの自己採点で、講師側は plotted と undetermined から再採点する（regradeExamPayload）
+ * @param {{ exam: object, studentId: string, score: object, accuracy: object, masking: object, earphone: string,
+ *   session: { events: object[], truncated?: boolean }|null, points: object[], undetermined: string[], expired: boolean, now?: number }} p
+ */
+export function buildExamPayload({ exam, studentId, score, accuracy, masking, earphone, session, points, undetermined, expired, now = Date.now() }) {
+  return {
+    version: EXAM_PAYLOAD_VERSION,
+    examId: exam.examId,
+    examCode: exam.examCode,
+    studentId,
+    expired,
+    earphone,
+    clientTimeTakenMs: now - exam.startedAt,
+    points: {
+      rubric: score.rubric.name,
+      earned: score.earned,
+      max: score.max,
+      penalty: score.penalty,
+      percent: score.percent,
+      passed: score.passed,
+      items: score.items.map((x) => ({ key: x.key, category: x.category, status: x.status, points: x.points, weight: x.weight })),
+    },
+    accuracy: { total: accuracy.total, correct: accuracy.correct, accuracy: accuracy.accuracy },
+    masking: { valid: masking.valid, total: masking.total, validRate: masking.validRate },
+    plotted: points.map((p) => ({
+      ear: p.ear,
+      transducer: p.transducer,
+      freq: p.freq,
+      dB: p.dB,
+      masked: !!p.masked,
+      ...(p.masked && p.maskLevel != null ? { maskLevel: p.maskLevel } : {}),
+      ...(p.so ? { so: true } : {}),
+    })),
+    undetermined,
+    events: session?.events || [],
+    eventsTruncated: !!session?.truncated,
+  };
+}
+
+/** 試験の症例の正答（症例コードから再生成。講師側の再採点用） */
+export function examTargets(caseCode) {
+  return targetsFromCase(resolveCaseCode(caseCode).caseData);
+}
+
+/**
+ * 講師側の再採点: 提出された打点と「決定不能」を、再生成した正答と試験の採点基準で採点し直す
+ * マスキングの要否（配点の区分）は古典的なクロスオーバー（NTE_BC + IA < 正答）で判定し、模擬患者の閉塞効果・中枢マスキングは含めない
+ * @param {{ targets: object[], payload: object, rubric: object }} p - targets は examTargets の結果
+ */
+export function regradeExamPayload({ targets, payload, rubric }) {
+  const earphone = payload?.earphone === 'insert' ? 'insert' : 'supraAural';
+  const plotted = (Array.isArray(payload?.plotted) ? payload.plotted : [])
+    .filter((p) => p && ['R', 'L'].includes(p.ear) && ['AC', 'BC'].includes(p.transducer) && (p.so || Number.isFinite(p.dB)));
+  const undetermined = (Array.isArray(payload?.undetermined) ? payload.undetermined : []).filter((k) => typeof k === 'string');
+  const thrOf = (t) => (t.so ? Infinity : t.dB);
+  // 骨導を測らない周波数は最も近い骨導の周波数で代用（maskingDilemmaKeys と同じ）
+  const bcNear = (ear, freq) => {
+    const bcs = targets.filter((t) => t.ear === ear && t.transducer === 'BC');
+    if (!bcs.length) return null;
+    return thrOf(bcs.reduce((a, b) => (Math.abs(Math.log2(b.freq / freq)) < Math.abs(Math.log2(a.freq / freq)) ? b : a)));
+  };
+  const soAc = (f) => (targets.find((t) => t.transducer === 'AC' && t.freq === f && t.so)?.dB ?? 110) + 50;
+  const trueAc = acThresholdsByEar(targets, soAc);
+  const requiredInterim = new Set(['R', 'L'].flatMap((e) => requiredInterimFreqs(trueAc[e]).map((x) => `${e}|${x.freq}`)));
+  const items = buildScoringItems({
+    targets,
+    points: plotted,
+    undetermined,
+    dilemma: maskingDilemmaKeys(targets, { earphone }),
+    isExcluded: (t) => t.transducer === 'BC' && isInterimFreq(t.freq),
+    isOptional: (t) => isInterimFreq(t.freq) && !requiredInterim.has(`${t.ear}|${t.freq}`),
+    maskingRequired: (t) => {
+      const nteBC = bcNear(t.ear === 'R' ? 'L' : 'R', t.freq);
+      if (nteBC == null || !Number.isFinite(nteBC)) return false;
+      return nteBC + (t.transducer === 'AC' ? getDefaultIaAC(earphone, t.freq) : 0) < thrOf(t);
+    },
+  });
+  return scoreWithRubric(items, rubric);
+}
@@ -0,0 +1,104 @@
+import { supabase, isSupabaseDisabled } from './supabaseClient';
+
+function warnIfTableMissing(error, label) {
+  if (error.code === '42P01' || error.code === '42883' || error.code === 'PGRST202' || error.message?.includes('does not exist')) {
+    console.warn('exams テーブル（または関数）がありません。SQL exams.sql を実行してください。');
+  } else {
+    console.error(`${label}:`, error);
+  }
+}
+
+/** サーバーのエラー → 学生に見せる文 */
+export function examErrorMessage(error) {
+  if (!error) return '';
+  if (error.message?.includes('exam not found')) return 'この試験コードの試験はありません。講師に確認してください。';
+  if (error.message?.includes('exam closed')) return 'この試験は締め切られています。講師に確認してください。';
+  if (error.message?.includes('instructor mismatch')) return '講師IDまたはパスワードが正しくありません。';
+  if (error.message?.includes('already submitted')) return 'この試験はすでに提出済みです。再提出はできません。';
+  if (error.message?.includes('student mismatch') || error.message?.includes('attempt not found')) return 'ログインし直してから試験を開始してください。';
+  if (error.code === '42883' || error.message?.includes('does not exist')) return '試験の設定がサーバーにありません（exams.sql 未実行）。';
+  return `サーバーエラー: ${error.message || error.code}`;
+}
+
+/**
+ * 学生: 講師から配られた試験コードで試験を開始（すでに開始していればその記録を返す。開始時刻はサーバーが決める）
+ * @returns {Promise<{ data: object|null, error: object|null }>}
+ */
+export async function startExam(examCode, studentId) {
+  if (isSupabaseDisabled) return { data: null, error: { message: 'Supabase が無効です' } };
+  const res = await supabase.rpc('start_exam', { p_exam_code: String(examCode).trim().toUpperCase(), p_student_id: studentId });
+  if (res.error) warnIfTableMissing(res.error, '試験の開始エラー');
+  return res;
+}
+
+/** 学生: 結果を提出（1回だけ。サーバーが署名して返す） */
+export async function submitExam(attemptId, payload) {
+  if (isSupabaseDisabled) return { data: null, error: { message: 'Supabase が無効です' } };
+  const res = await supabase.rpc('submit_exam', { p_attempt_id: attemptId, p_payload: payload });
+  if (res.error) warnIfTableMissing(res.error, '試験の提出エラー');
+  return res;
+}
+
+/**
+ * 症例コードが試験に使われているか（練習モードでは開かせない）
+ * exams.sql が未実行なら試験もないので false。通信エラーなどは error を返す
+ * @param {string} caseCode - canonicalCaseCode でそろえたコード
+ */
+export async function isExamCaseCode(caseCode) {
+  if (isSupabaseDisabled) return { data: false, error: null };
+  const res = await supabase.rpc('is_exam_case_code', { p_case_code: caseCode });
+  if (res.error) {
+    warnIfTableMissing(res.error, '試験の症例の確認エラー');
+    if (res.error.code === '42883' || res.error.code === 'PGRST202') return { data: false, error: null };
+  }
+  return res;
+}
+
+/** 講師: 発行済みの試験（新しい順。症例コードを含むので講師パスワードが要る） */
+export async function fetchExams({ instructorId, password }) {
+  if (isSupabaseDisabled) return { data: [], error: null };
+  const res = await supabase.rpc('list_exams', { p_instructor_id: instructorId, p_password: password });
+  if (res.error) warnIfTableMissing(res.error, '試験の取得エラー');
+  return res;
+}
+
+/**
+ * 講師: 症例コードを試験として発行（サーバーで講師IDとパスワードを確かめる）
+ * @param {{ caseCode: string, title: string, timeLimitSec: number, rubricId?: number|null }} exam
+ * @param {{ instructorId: string, password: string }} credentials
+ */
+export async function createExam({ caseCode, title, timeLimitSec, rubricId = null }, { instructorId, password }) {
+  if (isSupabaseDisabled) return { data: null, error: { message: 'Supabase が無効です' } };
+  const res = await supabase.rpc('issue_exam', {
+    p_instructor_id: instructorId,
+    p_password: password,
+    p_case_code: String(caseCode).trim().toUpperCase(),
+    p_title: title,
+    p_time_limit_sec: timeLimitSec,
+    p_rubric_id: rubricId,
+  });
+  if (res.error) warnIfTableMissing(res.error, '試験の発行エラー');
+  return res;
+}
+
+/** 講師: 試験を締め切る（受験記録と署名は残す。削除はできない） */
+export async function archiveExam(id, { instructorId, password }) {
+  if (isSupabaseDisabled) return { error: null };
+  const res = await supabase.rpc('archive_exam', { p_instructor_id: instructorId, p_password: password, p_exam_id: id });
+  if (res.error) warnIfTableMissing(res.error, '試験の締め切りエラー');
+  return res;
+}
+
+/** 講師: 試験の受験記録（結果の本体を含む。開始の早い順） */
+export async function fetchExamAttempts(examId, { instructorId, password }) {
+  if (isSupabaseDisabled) return { data: [], error: null };
+  const res = await supabase.rpc('list_exam_attempts', { p_instructor_id: instructorId, p_password: password, p_exam_id: examId });
+  if (res.error) warnIfTableMissing(res.error, '受験記録の取得エラー');
+  return res;
+}
+
+/** 講師: 保存された結果が署名と一致するか（改ざんされていないか） */
+export async function verifyExamAttempt(attemptId) {
+  if (isSupabaseDisabled) return { data: null, error: null };
+  return supabase.rpc('verify_exam_attempt', { p_attempt_id: attemptId });
+}
@@ -0,0 +1,76 @@
+// 経過観察（受診系列）の判定ロジック
+// 4分法平均聴力（(500 + 2×1000 + 2000) / 4）の変化で改善・不変・悪化を決める
+
+export const CHANGE_CHOICES = ['improved', 'unchanged', 'worse'];
+export const CHANGE_LABELS = { improved: '改善', unchanged: '不変', worse: '悪化' };
+export const COURSE_LABELS = {
+  recovery: '突発性難聴の回復経過',
+  fluctuation: 'メニエール病の変動',
+  resolution: '滲出性中耳炎の経過',
+  progression: '加齢性難聴の進行',
+  stable: '経過観察',
+};
+export const OUTCOME_LABELS = {
+  complete: '治癒',
+  partial: '回復（一部）',
+  none: '不変',
+  resolved: '消退',
+  persistent: '遷延',
+  fluctuating: '変動',
+  progressive: '進行',
+  stable: '不変',
+};
+/** 4分法平均で 10 dB 以上の差を変化とみなす */
+export const CHANGE_THRESHOLD_DB = 10;
+
+/** 受診時期の表示（初診／n週後／n年後） */
+export function visitLabel(visit) {
+  if (!visit || visit.offset === 0) return '初診';
+  return `${visit.offset}${visit.unit === 'year' ? '年' : '週'}後`;
+}
+
+/**
+ * 気導閾値の4分法平均（マスキングありの値を優先）。必要な周波数が欠ければ null
+ * @param {{ ear: string, transducer: string, freq: number, dB: number, masked?: boolean }[]} rows - 正答ターゲットまたは測定点
+ */
+export function fourFreqPta(rows, ear) {
+  const ac = (freq) => {
+    const hits = (rows || []).filter((r) => r.ear === ear && r.transducer === 'AC' && r.freq === freq);
+    const pick = hits.find((r) => r.masked) || hits[0];
+    return pick ? pick.dB : null;
+  };
+  const v = [ac(500), ac(1000), ac(2000)];
+  if (v.some((x) => x == null)) return null;
+  return (v[0] + 2 * v[1] + v[2]) / 4;
+}
+
+/** 前回から今回への変化（改善・不変・悪化） */
+export function classifyChange(prevRows, nextRows, ear) {
+  const before = fourFreqPta(prevRows, ear);
+  const after = fourFreqPta(nextRows, ear);
+  if (before == null || after == null) return null;
+  const diff = after - before;
+  if (diff <= -CHANGE_THRESHOLD_DB) return 'improved';
+  if (diff >= CHANGE_THRESHOLD_DB) return 'worse';
+  return 'unchanged';
+}
+
+/**
+ * 次回受診の予測を採点する
+ * @param {{ R?: string, L?: string }} prediction
+ * @returns {{ items: { ear: string, predicted: string, actual: string, ok: boolean, before: number, after: number }[], correct: number, total: number }}
+ */
+export function scoreChangePrediction(prediction, prevTargets, nextTargets) {
+  const items = ['R', 'L'].map((ear) => {
+    const actual = classifyChange(prevTargets, nextTargets, ear);
+    return {
+      ear,
+      predicted: prediction?.[ear] || null,
+      actual,
+      ok: actual != null && prediction?.[ear] === actual,
+      before: fourFreqPta(prevTargets, ear),
+      after: fourFreqPta(nextTargets, ear),
+    };
+  }).filter((x) => x.actual != null);
+  return { items, correct: items.filter((x) => x.ok).length, total: items.length };
+}
@@ -30,6 +30,23 @@ export const GUIDED_STEPS = [
   },
 ];
 
+/** AC受話器の種類（BC測定時はマスカーを送る受話器） */
+export const EARPHONE_LABELS = {
+  supraAural: 'ヘッドホン',
+  insert: 'インサートイヤホン',
+};
+
+/** インサートイヤホンのIA（周波数依存・教育用の保守的な最小値） */
+export const INSERT_EARPHONE_IA_AC = {
+  125: 70, 250: 70, 500: 70, 750: 65, 1000: 60, 1500: 55, 2000: 55, 3000: 55, 4000: 55, 6000: 55, 8000: 55,
+};
+
+/** 受話器と周波数から既定のAC IAを返す（ヘッドホンは一律 50 dB） */
+export function getDefaultIaAC(earphone, freq) {
+  if (earphone === 'insert') return INSERT_EARPHONE_IA_AC[freq] ?? 55;
+  return 50;
+}
+
 export const NEED_REASON_OPTIONS = [
   { id: 'crossover', label: '刺激−IA が非検査耳BCに達しうる（クロスオーバー）' },
   { id: 'abg', label: '気骨導差が大きく、真の閾値確認が必要' },
@@ -72,10 +89,12 @@ export function getContextThresholds(targets, ear, freq) {
  */
 export function evaluateMaskNeed({
   transducer,
+  earphone = 'supraAural',
+  freq,
   teAC,
   teBC,
   nteBC,
-  iaAC = 50,
+  iaAC = getDefaultIaAC(earphone, freq),
   iaBC = 0,
 }) {
   if (transducer === 'AC') {
@@ -91,7 +110,7 @@ export function evaluateMaskNeed({
     const needed = crossoverLevel >= nteBC;
     return {
       needed,
-      rule: 'AC: TE_AC − IA ≥ NTE_BC',
+      rule: `AC（${EARPHONE_LABELS[earphone] || earphone}）: TE_AC − IA ≥ NTE_BC`,
       detail: needed
         ? `TE_AC(${teAC}) − IA(${iaAC}) = ${crossoverLevel} ≥ NTE_BC(${nteBC}) → マスク推奨`
         : `TE_AC(${teAC}) − IA(${iaAC}) = ${crossoverLevel} < NTE_BC(${nteBC}) → 当面マスク不要の見込み`,
@@ -121,16 +140,19 @@ export function evaluateMaskNeed({
 
 /**
  * 初期マスク量の教育用提案（HL）
- * シラバス案: TE_AC + margin − IA（AC刺激時）
- * NTE_AC が分かる場合は NTE_AC + 10 も併記
+ * シラバス案: TE_AC + margin − IA（AC刺激時。IA は受話器の種類で変わる）
+ * NTE_AC が分かる場合は NTE_AC + 10 も併記（BC刺激時は閉塞効果 OE を加算）
  */
 export function suggestInitialMaskLevel({
   transducer,
+  earphone = 'supraAural',
+  freq,
   teAC,
   nteAC,
   nteBC,
-  ia = 50,
+  ia = getDefaultIaAC(earphone, freq),
   margin = 10,
+  occlusion = 0,
 }) {
   const suggestions = [];
 
@@ -145,12 +167,13 @@ export function suggestInitialMaskLevel({
   }
 
   if (nteAC != null) {
-    const fromNte = nteAC + 10;
+    const oe = transducer === 'BC' ? occlusion : 0;
+    const fromNte = nteAC + 10 + oe;
     suggestions.push({
       id: 'nte_plus10',
-      label: 'NTE_AC + 10',
+      label: oe > 0 ? 'NTE_AC + 10 + OE' : 'NTE_AC + 10',
       value: clampMask(fromNte),
-      formula: `${nteAC} + 10 = ${fromNte}`,
+      formula: oe > 0 ? `${nteAC} + 10 + ${oe} = ${fromNte}` : `${nteAC} + 10 = ${fromNte}`,
     });
   }
 
@@ -176,10 +199,149 @@ export function suggestInitialMaskLevel({
   return suggestions;
 }
 
+/**
+ * 有効マスキングの範囲（HL）
+ * 最小: NTE_AC + 10（BC刺激時は閉塞効果 OE を加算）／最大: TE_BC + IA（これを超えるとオーバーマスキング）
+ * 最小 > 最大 のときはマスキングジレンマ（正確なマスキングができない）
+ * @returns {{ min: number|null, max: number|null, empty: boolean|null, detail: string }}
+ */
+export function computeMaskingWindow({
+  transducer,
+  earphone = 'supraAural',
+  freq,
+  teBC,
+  nteAC,
+  ia = getDefaultIaAC(earphone, freq),
+  occlusion = 0,
+}) {
+  const oe = transducer === 'BC' ? occlusion : 0;
+  const min = nteAC == null ? null : nteAC + 10 + oe;
+  const max = teBC == null ? null : teBC + ia;
+  if (min == null || max == null) {
+    return { min, max, empty: null, detail: '非検査耳ACまたは測定耳BCが未確定のため、有効範囲を計算できません。' };
+  }
+  const empty = min > max;
+  const fmtMin = Number.isFinite(min) ? `${min}` : 'SO';
+  return {
+    min,
+    max,
+    empty,
+    detail: empty
+      ? `最小 ${fmtMin}（NTE_AC + 10${oe > 0 ? ' + OE' : ''}） > 最大 ${max}（TE_BC + IA） → マスキングジレンマ。正確な閾値は決定できません。`
+      : `有効マスキング範囲: ${fmtMin}〜${max} dB HL`,
+  };
+}
+
+/**
+ * 正答上でマスキングジレンマになる測定条件（要マスクかつ有効範囲が空）
+ * @param {Array} targets - { ear, transducer, freq, dB, so? }[]
+ * @param {{ earphone?: string, iaFor?: (freq: number) => number, iaBC?: number }} [opts]
+ * @returns {Set<string>} `${ear}|${transducer}|${freq}`
+ */
+export function maskingDilemmaKeys(targets, { earphone = 'supraAural', iaFor, iaBC = 0 } = {}) {
+  const keys = new Set();
+  // SO は「それ以上」なので、最小有効マスキングの計算では無限大として扱う
+  const thrOf = (ear, tr, freq) => {
+    const t = (targets || []).find((x) => x.ear === ear && x.transducer === tr && x.freq === freq);
+    return !t ? null : t.so ? Infinity : t.dB;
+  };
+  // 骨導を測らない周波数（125 / 8000 Hz・中間周波数）は最も近い骨導の周波数で代用
+  const bcNear = (ear, freq) => {
+    const bcs = (targets || []).filter((x) => x.ear === ear && x.transducer === 'BC');
+    if (!bcs.length) return null;
+    const near = bcs.reduce((a, b) => (Math.abs(Math.log2(b.freq / freq)) < Math.abs(Math.log2(a.freq / freq)) ? b : a));
+    return thrOf(ear, 'BC', near.freq);
+  };
+  (targets || []).forEach((t) => {
+    const nte = t.ear === 'R' ? 'L' : 'R';
+    const ia = iaFor ? iaFor(t.freq) : getDefaultIaAC(earphone, t.freq);
+    const teBC = bcNear(t.ear, t.freq);
+    const nteBC = bcNear(nte, t.freq);
+    const teThr = thrOf(t.ear, t.transducer, t.freq);
+    // 非検査耳の骨導が SO ならクロスヒアリングは起きない
+    if (teBC == null || nteBC == null || !Number.isFinite(teBC) || !Number.isFinite(nteBC)) return;
+    // クロスヒアリングが起こりうる条件（BC は IA_BC）だけを対象にする
+    const needed = teThr - (t.transducer === 'BC' ? iaBC : ia) >= nteBC;
+    if (!needed) return;
+    const win = computeMaskingWindow({ transducer: t.transducer, teBC, nteAC: thrOf(nte, 'AC', t.freq), ia });
+    if (win.empty) keys.add(`${t.ear}|${t.transducer}|${t.freq}`);
+  });
+  return keys;
+}
+
+/** プラトーとみなすマスク量の幅と、その間に許す閾値の変動 */
+export const PLATEAU_MIN_WIDTH_DB = 15;
+export const PLATEAU_TOLERANCE_DB = 5;
+
+/**
+ * 記録した（マスク量, 閾値）の組からプラトーを判定
+ * マスク量の昇順で、閾値の変動が許容内に収まる最長の連続区間を探す。
+ * 区間より前で閾値が上がっていく点は未マスク域、後で上がる点は過剰マスク域とみなす。
+ * マスクが効く前の平坦部（陰影聴取の閾値が変わらない区間）を拾わないよう、区間は最小有効マスキング
+ * （computeMaskingWindow の min = NTE_AC + 10）以上から始まるか、モデルのプラトー（maskingFunction の region）と重なるものに限る。
+ * どちらも渡さなければ平坦さだけで判定する。
+ * @param {Array<{ mask: number, threshold: number, so?: boolean }>} pairs
+ * @param {{ minWidth?: number, tolerance?: number, minEffective?: number|null,
+ *   model?: Array<{ mask: number, region: 'under'|'plateau'|'over' }> }} [opts]
+ * @returns {{ plateau: boolean, width: number, start: number|null, end: number|null, threshold: number|null,
+ *   points: Array<{ mask, threshold, so?, region: 'under'|'plateau'|'over' }>, detail: string }}
+ */
+export function analyzePlateau(pairs, {
+  minWidth = PLATEAU_MIN_WIDTH_DB,
+  tolerance = PLATEAU_TOLERANCE_DB,
+  minEffective = null,
+  model = [],
+} = {}) {
+  const pts = [...(pairs || [])]
+    .filter((p) => Number.isFinite(p.mask) && Number.isFinite(p.threshold))
+    .sort((a, b) => a.mask - b.mask);
+  const modelMasks = (model || []).filter((m) => m.region === 'plateau').map((m) => m.mask);
+  const modelRange = modelMasks.length ? { start: Math.min(...modelMasks), end: Math.max(...modelMasks) } : null;
+  const checkEffective = Number.isFinite(minEffective) || modelRange != null;
+  const isEffective = (run) => !checkEffective
+    || (Number.isFinite(minEffective) && pts[run.i].mask >= minEffective)
+    || (modelRange != null && pts[run.i].mask <= modelRange.end && pts[run.j].mask >= modelRange.start);
+  let best = null;
+  let flat = null;
+  for (let i = 0; i < pts.length; i += 1) {
+    if (pts[i].so) continue;
+    let lo = pts[i].threshold;
+    let hi = pts[i].threshold;
+    let j = i;
+    while (j + 1 < pts.length && !pts[j + 1].so) {
+      const t = pts[j + 1].threshold;
+      if (Math.max(hi, t) - Math.min(lo, t) > tolerance) break;
+      lo = Math.min(lo, t);
+      hi = Math.max(hi, t);
+      j += 1;
+    }
+    // 許容内の変動があるときは高い方（マスクが効いた側）をプラトーの閾値とする
+    const run = { i, j, width: pts[j].mask - pts[i].mask, threshold: hi };
+    if (!flat || run.width > flat.width) flat = run;
+    if (isEffective(run) && (!best || run.width > best.width)) best = run;
+  }
+  const plateau = Boolean(best) && best.width >= minWidth && best.j > best.i;
+  const points = pts.map((p, k) => ({
+    ...p,
+    region: !best ? 'under' : k < best.i ? 'under' : k > best.j ? 'over' : 'plateau',
+  }));
+  const start = best ? pts[best.i].mask : null;
+  const end = best ? pts[best.j].mask : null;
+  let detail;
+  if (pts.length < 2) detail = 'マスク量を変えて2点以上の閾値を記録してください。';
+  else if (plateau) detail = `マスク ${start}〜${end} dB（幅 ${best.width} dB）で閾値 ${best.threshold} dB が安定 → プラトー`;
+  else if (flat && flat !== best && flat.width >= minWidth) {
+    const effectiveText = Number.isFinite(minEffective) ? `最小有効マスキング ${minEffective} dB（NTE_AC + 10）` : 'マスクが効く範囲';
+    detail = `マスク ${pts[flat.i].mask}〜${pts[flat.j].mask} dB で閾値は変わりませんが、${effectiveText}に届いていません。`
+      + 'マスクが効く前の平坦部（陰影聴取）の可能性があります。マスク量を上げて確かめてください。';
+  } else detail = `閾値が安定している幅は ${best ? best.width : 0} dB です。${minWidth} dB 以上の幅で閾値が変わらないことを示してください。`;
+  return { plateau, width: best ? best.width : 0, start, end, threshold: best ? best.threshold : null, points, detail };
+}
+
 export function isOverMasking(maskLevel, teBC, iaToTe = 50) {
   if (typeof maskLevel !== 'number' || maskLevel <= -15) return false;
   if (teBC == null) return false;
-  // アプリ本体: maskingLimit ≈ teBC + 50
+  // アプリ本体: maskingLimit ≈ teBC + マスカー受話器のIA（ヘッドホン 50）
   return maskLevel > teBC + iaToTe;
 }
 
@@ -0,0 +1,169 @@
+/**
+ * Hughson–Westlake 法（修正上昇法）の手順トラッカー — 判定ロジック（教育用）
+ * 提示ごとの記録 { ear, transducer, freq, level, masked, maskLevel, responded, at } から
+ * 10 dB 下降 / 5 dB 上昇のブラケット、2/3 上昇反応による閾値、手順逸脱を判定する。
+ */
+
+export const FAMILIARISATION_START_DB = 30;
+export const DOWN_STEP_DB = 10;
+export const UP_STEP_DB = 5;
+export const FIRST_FREQ_HZ = 1000;
+
+export const PROTOCOL_FLAG_LABELS = {
+  down_step: '反応後は10 dB下げる',
+  up_step: '無反応後は5 dB上げる',
+  wrong_direction: '反応の有無と逆方向にレベルを動かした',
+  repeat_after_response: '反応後に同じレベル以上で再提示した',
+  descending_only: '下降法のみで閾値を決めている（上昇反応がない）',
+  not_two_of_three: '2/3上昇反応の基準を満たす前に閾値を決めた',
+  threshold_mismatch: 'プロット値が2/3上昇法の閾値と異なる',
+  skipped_familiarisation: '慣らし提示（明瞭に聞こえる音）を省略した',
+  first_freq_not_1k: '最初の周波数が1 kHzではない',
+  no_retest_1k: '高音域のあと1 kHzを再検査していない',
+};
+
+/** 同一条件（耳・変換器・周波数・マスク量）のキー */
+export function conditionKey(p) {
+  return `${p.ear}|${p.transducer}|${p.freq}|${p.masked ? p.maskLevel : 'U'}`;
+}
+
+/** 耳・変換器・周波数のキー（タイムライン行） */
+export function frequencyKey(p) {
+  return `${p.ear}|${p.transducer}|${p.freq}`;
+}
+
+/**
+ * 1条件の提示列を解析
+ * @returns {{ steps, ascending, threshold, deviations }}
+ *   ascending: { [level]: { attempts, responses } }（直前が下のレベルで無反応だった提示のみ）
+ */
+export function analyzeSequence(presentations) {
+  const steps = [];
+  const ascending = {};
+  const deviations = [];
+  let seenResponse = false;
+
+  presentations.forEach((p, i) => {
+    const prev = i > 0 ? presentations[i - 1] : null;
+    let direction = 'start';
+    let flag = null;
+    if (prev) {
+      const delta = p.level - prev.level;
+      direction = delta < 0 ? 'down' : delta > 0 ? 'up' : 'same';
+      if (prev.responded) {
+        if (delta >= 0) flag = delta === 0 ? 'repeat_after_response' : 'wrong_direction';
+        else if (delta !== -DOWN_STEP_DB) flag = 'down_step';
+      } else if (delta < 0) {
+        flag = 'wrong_direction';
+      } else if (seenResponse && delta !== UP_STEP_DB && delta !== 0) {
+        // 最初の反応までは10 dBステップでの上昇を許容（慣らし）
+        flag = 'up_step';
+      }
+      if (!prev.responded && delta > 0) {
+        const a = ascending[p.level] || { attempts: 0, responses: 0 };
+        a.attempts += 1;
+        if (p.responded) a.responses += 1;
+        ascending[p.level] = a;
+      }
+    }
+    if (flag) deviations.push({ index: i, level: p.level, flag });
+    steps.push({ level: p.level, responded: p.responded, direction, flag });
+    if (p.responded) seenResponse = true;
+  });
+
+  return { steps, ascending, threshold: twoOfThreeThreshold(ascending), deviations };
+}
+
+/** 上昇提示で 2/3（2/2 を含む）以上反応した最小レベル */
+export function twoOfThreeThreshold(ascending) {
+  const levels = Object.keys(ascending)
+    .map(Number)
+    .sort((a, b) => a - b);
+  for (const L of levels) {
+    const { attempts, responses } = ascending[L];
+    if (responses >= 2 && responses / attempts >= 0.5) return L;
+  }
+  return null;
+}
+
+/**
+ * 全提示とプロット済み閾値から手順を評価
+ * @param {Array} presentations - 時系列順
+ * @param {Array} points - { ear, transducer, freq, dB, masked, maskLevel?, so? }[]
+ */
+export function analyzeProtocol(presentations, points = []) {
+  const list = Array.isArray(presentations) ? presentations : [];
+  const byCondition = new Map();
+  list.forEach((p) => {
+    const k = conditionKey(p);
+    if (!byCondition.has(k)) byCondition.set(k, []);
+    byCondition.get(k).push(p);
+  });
+
+  const byFreq = {};
+  byCondition.forEach((seq, k) => {
+    const fk = frequencyKey(seq[0]);
+    const analysis = analyzeSequence(seq);
+    byFreq[fk] = byFreq[fk] || { conditions: [], flags: [] };
+    byFreq[fk].conditions.push({ key: k, masked: !!seq[0].masked, maskLevel: seq[0].maskLevel, ...analysis });
+    analysis.deviations.forEach((d) => byFreq[fk].flags.push(d.flag));
+  });
+
+  // プロット値との照合（同じ耳・変換器・周波数・マスク有無の最後の条件で判定）
+  (points || []).forEach((pt) => {
+    if (pt.so) return;
+    const fk = frequencyKey(pt);
+    const row = byFreq[fk];
+    if (!row) return;
+    const cond = [...row.conditions].reverse().find((c) => c.masked === !!pt.masked);
+    if (!cond) return;
+    const asc = cond.ascending[pt.dB];
+    if (!asc || asc.responses === 0) {
+      const respondedHere = cond.steps.some((s) => s.level === pt.dB && s.responded);
+      row.flags.push(respondedHere ? 'descending_only' : 'not_two_of_three');
+    } else if (cond.threshold == null) {
+      row.flags.push('not_two_of_three');
+    } else if (cond.threshold !== pt.dB) {
+      row.flags.push('threshold_mismatch');
+    }
+    row.plotted = pt.dB;
+  });
+
+  Object.values(byFreq).forEach((row) => {
+    row.flags = [...new Set(row.flags)];
+    const last = row.conditions[row.conditions.length - 1];
+    row.threshold = last ? last.threshold : null;
+  });
+
+  return { byFreq, sessionFlags: analyzeSessionOrder(list) };
+}
+
+/** 慣らし提示と検査順（1 kHz から開始し、高音域のあと 1 kHz を再検査）を耳ごとに判定（AC のみ） */
+export function analyzeSessionOrder(presentations) {
+  const flags = [];
+  ['R', 'L'].forEach((ear) => {
+    const seq = presentations.filter((p) => p.ear === ear && p.transducer === 'AC');
+    if (!seq.length) return;
+
+    // 慣らし: 最初の提示で反応、または最初の反応まで10 dB以上のステップで上昇
+    if (!seq[0].responded) {
+      const firstHit = seq.findIndex((p) => p.responded);
+      const climb = firstHit < 0 ? seq : seq.slice(0, firstHit + 1);
+      const smallStep = climb.some((p, i) => i > 0 && p.level - climb[i - 1].level < DOWN_STEP_DB);
+      if (seq[0].level < FAMILIARISATION_START_DB || smallStep) {
+        flags.push({ ear, flag: 'skipped_familiarisation' });
+      }
+    }
+
+    const order = [];
+    seq.forEach((p) => {
+      if (order[order.length - 1] !== p.freq) order.push(p.freq);
+    });
+    if (order[0] !== FIRST_FREQ_HZ) flags.push({ ear, flag: 'first_freq_not_1k' });
+    const firstHigh = order.findIndex((f) => f > FIRST_FREQ_HZ);
+    if (firstHigh >= 0 && !order.slice(firstHigh + 1).includes(FIRST_FREQ_HZ)) {
+      flags.push({ ear, flag: 'no_retest_1k' });
+    }
+  });
+  return flags;
+}
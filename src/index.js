@@ -5,11 +5,14 @@ import TympanogramViewer from './TympanogramViewer';
 import EpidemiologyViewer from './EpidemiologyViewer';
 import InstructorApp from './InstructorApp';
 import EyeMovementSimulator from './EyeMovementSimulator';
+import { CASE_CODE_PARAM } from './caseCodeLogic';
 
 // URLパラメータで表示するコンポーネントを切り替え
 const urlParams = new URLSearchParams(window.location.search);
 const view = urlParams.get('view');
 const mode = urlParams.get('mode');
+// 共有された症例コード（?case=…）は学習者画面で同じ症例を開く
+const caseCode = urlParams.get(CASE_CODE_PARAM);
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 
@@ -40,7 +43,7 @@ if (view === 'tympanogram') {
 } else {
   root.render(
     <React.StrictMode>
-      <AudiogramMaskingMVP />
+      <AudiogramMaskingMVP initialCaseCode={caseCode} />
     </React.StrictMode>
   );
 }
\ No newline at end of file
@@ -0,0 +1,74 @@
+/**
+ * 中間周波数（750/1500/3000/6000 Hz）の測定要否ルール（教育用）
+ * - 隣接オクターブの気導閾値差が 20 dB 以上 → その間の中間周波数
+ * - 騒音性ノッチ（4 kHz が 2 kHz より 10 dB 以上悪く、8 kHz で回復） → 3 kHz と 6 kHz
+ */
+
+export const INTERIM_FREQS = [750, 1500, 3000, 6000];
+export const INTERIM_NEIGHBORS = {
+  750: [500, 1000],
+  1500: [1000, 2000],
+  3000: [2000, 4000],
+  6000: [4000, 8000],
+};
+export const INTERIM_GAP_DB = 20;
+export const NOTCH_DEPTH_DB = 10;
+
+export const INTERIM_REASON_LABELS = {
+  octave_gap: `隣接オクターブの差が${INTERIM_GAP_DB} dB以上`,
+  noise_notch: '4 kHzノッチ（騒音性難聴の疑い）',
+};
+
+export function isInterimFreq(f) {
+  return INTERIM_FREQS.includes(f);
+}
+
+/**
+ * 1耳の気導閾値から中間周波数の要否を判定
+ * @param {Object<number, number>} acByFreq - { [Hz]: dB }（SOは上限+αなどの大きな値で渡す）
+ * @returns {Array<{ freq: number, reasons: string[] }>}
+ */
+export function requiredInterimFreqs(acByFreq) {
+  const ac = acByFreq || {};
+  const has = (f) => Number.isFinite(ac[f]);
+  const notch = has(2000) && has(4000) && has(8000)
+    && ac[4000] - ac[2000] >= NOTCH_DEPTH_DB && ac[4000] > ac[8000];
+
+  return INTERIM_FREQS.map((f) => {
+    const [lo, hi] = INTERIM_NEIGHBORS[f];
+    const reasons = [];
+    if (has(lo) && has(hi) && Math.abs(ac[hi] - ac[lo]) >= INTERIM_GAP_DB) reasons.push('octave_gap');
+    if (notch && (f === 3000 || f === 6000)) reasons.push('noise_notch');
+    return { freq: f, reasons };
+  }).filter((x) => x.reasons.length > 0);
+}
+
+/**
+ * 打点（または正答）の一覧から耳ごとの気導閾値マップを作る（マスクありを優先）
+ * @param {Array} list - { ear, transducer, freq, dB, masked, so? }[]
+ * @param {(f: number) => number} soValue - SO の点に使う値
+ */
+export function acThresholdsByEar(list, soValue) {
+  const out = { R: {}, L: {} };
+  (list || []).forEach((p) => {
+    if (!p || p.transducer !== 'AC' || !out[p.ear]) return;
+    if (out[p.ear][p.freq] != null && !p.masked) return;
+    out[p.ear][p.freq] = p.so ? soValue(p.freq) : p.dB;
+  });
+  return out;
+}
+
+/**
+ * 学習者への通知: 必要なのに未測定の中間周波数
+ * @returns {Array<{ ear: 'R'|'L', freq: number, reasons: string[], measured: boolean }>}
+ */
+export function interimNotices(points, soValue) {
+  const byEar = acThresholdsByEar(points, soValue);
+  const notices = [];
+  ['R', 'L'].forEach((ear) => {
+    requiredInterimFreqs(byEar[ear]).forEach(({ freq, reasons }) => {
+      notices.push({ ear, freq, reasons, measured: Number.isFinite(byEar[ear][freq]) });
+    });
+  });
+  return notices;
+}
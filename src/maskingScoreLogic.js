@@ -0,0 +1,56 @@
+/**
+ * マスキングを含めた採点 — 判定ロジック（教育用）
+ * 打点ごとに、記録したマスキング条件（masked / maskLevel）でその閾値が得られたはずかを確かめる。
+ * 閾値の一致（dB）とは別に、条件の妥当性で次の5区分に分ける。
+ */
+
+export const MASKING_GRADES = ['unmasked_valid', 'masked_valid', 'undermasked', 'overmasked', 'lucky'];
+
+export const MASKING_GRADE_LABELS = {
+  unmasked_valid: 'マスキングなしで妥当',
+  masked_valid: 'マスキングして妥当',
+  undermasked: 'マスキング不足（非検査耳で聞こえている）',
+  overmasked: 'オーバーマスキング（検査耳の閾値が上がっている）',
+  lucky: '閾値は正答だが条件が不適切（偶然の一致）',
+};
+
+/** 条件を満たせば「妥当」とする区分 */
+const VALID_GRADES = new Set(['unmasked_valid', 'masked_valid']);
+
+/**
+ * 1打点の区分
+ * 応答閾値（クロスヒアリング込み）が検査耳の閾値より低ければ非検査耳で聞いている（マスキング不足）。
+ * マスキング時の検査耳の閾値が、中枢マスキング分を除いても本来の閾値より高ければオーバーマスキング。
+ * @param {{ masked: boolean, correct: boolean, responseThreshold: number, actualThreshold: number,
+ *   trueThreshold: number, centralShiftDb?: number, maxLevel: number }} p
+ *   responseThreshold / actualThreshold は打点時の条件での値、trueThreshold はマスキングの影響を除いた検査耳の閾値
+ * @returns {string} MASKING_GRADES のいずれか
+ */
+export function classifyMaskingGrade({ masked, correct, responseThreshold, actualThreshold, trueThreshold, centralShiftDb = 0, maxLevel }) {
+  // 機器の出力範囲で届かないクロスヒアリングは結果に影響しない
+  const crossHeard = responseThreshold < actualThreshold && responseThreshold <= maxLevel;
+  const overMasked = masked && actualThreshold - centralShiftDb > trueThreshold;
+  if (!crossHeard && !overMasked) return masked ? 'masked_valid' : 'unmasked_valid';
+  if (correct) return 'lucky';
+  return crossHeard ? 'undermasked' : 'overmasked';
+}
+
+/**
+ * 区分の集計（耳・変換器ごと）
+ * @param {{ key: string, ear: string, transducer: string, freq: number, grade: string }[]} items
+ * @returns {{ counts: object, byEarTransducer: object, valid: number, total: number, validRate: number }}
+ */
+export function summarizeMaskingGrades(items) {
+  const zero = () => Object.fromEntries(MASKING_GRADES.map((g) => [g, 0]));
+  const counts = zero();
+  const byEarTransducer = {};
+  (items || []).forEach((x) => {
+    counts[x.grade] += 1;
+    const k = `${x.ear}-${x.transducer}`;
+    byEarTransducer[k] = byEarTransducer[k] || zero();
+    byEarTransducer[k][x.grade] += 1;
+  });
+  const total = (items || []).length;
+  const valid = (items || []).filter((x) => VALID_GRADES.has(x.grade)).length;
+  return { counts, byEarTransducer, valid, total, validRate: total ? Math.round((valid / total) * 100) : 0 };
+}
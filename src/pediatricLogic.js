@@ -0,0 +1,119 @@
+// 小児の聴力検査（音場での VRA・遊戯聴力検査）と乳児のティンパノメトリー
+// 音場ではどちらの耳で聞いたか分からないため、良聴耳の気導閾値に年齢ごとの上乗せをした最小反応レベル（MRL）として記録する
+import { EngineConstants } from './engine/generateAudiogram';
+
+export const PEDIATRIC_AGE_LABELS = { infant: '乳児（6〜12か月）', child: '幼児（3〜5歳）' };
+/** 症例文・聴力像の分析に渡す代表年齢（歳） */
+export const PEDIATRIC_AGE_YEARS = { infant: 1, child: 4 };
+
+/**
+ * 検査法ごとの条件
+ * mrlOffsetDb: 成人の閾値に対する MRL の上乗せ。floorDb: 音場の暗騒音で決まる下限。
+ * maxTrials: 集中が続く提示回数（超えると慣れて反応しなくなる）
+ */
+export const PEDIATRIC_METHODS = {
+  vra: {
+    label: 'VRA（視覚強化式聴力検査）',
+    response: '音源の方を振り向く（正しく振り向いたら人形が光って動く）',
+    freqs: [500, 1000, 2000, 4000],
+    mrlOffsetDb: 10,
+    floorDb: 15,
+    maxTrials: 30,
+  },
+  play: {
+    label: '遊戯聴力検査',
+    response: '音が聞こえたらおはじきを箱に入れる',
+    freqs: [250, 500, 1000, 2000, 4000, 8000],
+    mrlOffsetDb: 5,
+    floorDb: 10,
+    maxTrials: 50,
+  },
+};
+const METHOD_BY_AGE_GROUP = { infant: 'vra', child: 'play' };
+
+/** 音場の打点は耳を特定しない（記号 S） */
+export const SOUND_FIELD_EAR = 'S';
+/** スピーカーの最大出力（dB HL）。これで反応がなければスケールアウト */
+export const SOUND_FIELD_MAX_DB = 90;
+/** MRL はこの差以内なら正答とする（小児の反応は成人の閾値ほど安定しない） */
+export const MRL_TOLERANCE_DB = 5;
+/** 左右の気導閾値がこれ以上違えば、音場では不良聴耳を見逃す */
+const EAR_ASYMMETRY_DB = 20;
+
+/** 生後6か月未満の外耳道は柔らかく、226 Hz では中耳貯留液があってもピークが出るため乳児は 1000 Hz で測る */
+export const INFANT_PROBE_TONE_HZ = 1000;
+export const DEFAULT_PROBE_TONE_HZ = 226;
+
+export function isPediatricAgeGroup(ageGroup) {
+  return EngineConstants.PEDIATRIC_AGE_GROUPS.includes(ageGroup);
+}
+
+/** 年齢区分 → 検査法（'vra' | 'play'）。成人は null */
+export function pediatricMethodFor(ageGroup) {
+  return METHOD_BY_AGE_GROUP[ageGroup] || null;
+}
+
+export function probeToneForAgeGroup(ageGroup) {
+  return ageGroup === 'infant' ? INFANT_PROBE_TONE_HZ : DEFAULT_PROBE_TONE_HZ;
+}
+
+function acThreshold(targets, ear, freq) {
+  const t = (targets || []).find((x) => x.ear === ear && x.transducer === 'AC' && x.freq === freq);
+  if (!t) return null;
+  return t.so ? Infinity : t.dB;
+}
+
+/**
+ * 音場での MRL の正答（良聴耳の気導閾値 + 上乗せ、5 dB 刻み）
+ * @param {Array} targets - 症例の正答ターゲット（耳別の AC）
+ * @param {'vra'|'play'} method
+ * @returns {{ ear: 'S', transducer: 'SF', freq: number, dB: number, so?: boolean }[]}
+ */
+export function soundFieldTargets(targets, method) {
+  const m = PEDIATRIC_METHODS[method];
+  if (!m) return [];
+  return m.freqs.flatMap((freq) => {
+    const acs = ['R', 'L'].map((ear) => acThreshold(targets, ear, freq)).filter((v) => v != null);
+    if (!acs.length) return [];
+    const mrl = Math.max(m.floorDb, Math.round((Math.min(...acs) + m.mrlOffsetDb) / 5) * 5);
+    const base = { ear: SOUND_FIELD_EAR, transducer: 'SF', freq };
+    return mrl > SOUND_FIELD_MAX_DB ? [{ ...base, dB: SOUND_FIELD_MAX_DB, so: true }] : [{ ...base, dB: mrl }];
+  });
+}
+
+/**
+ * 音場での1回の提示に対する反応
+ * @param {{ freq: number, level: number, trial: number }} presentation - trial は休憩後から数えた提示回数（1始まり）
+ * @returns {{ responded: boolean, habituated: boolean }}
+ */
+export function soundFieldResponse(expected, method, { freq, level, trial }) {
+  const m = PEDIATRIC_METHODS[method];
+  if (m && trial > m.maxTrials) return { responded: false, habituated: true };
+  const t = (expected || []).find((x) => x.freq === freq);
+  return { responded: !!t && !t.so && level >= t.dB, habituated: false };
+}
+
+/**
+ * 記録した MRL を正答と照合する
+ * @param {Object<number, { dB: number, so?: boolean }>} recorded - 周波数 → 記録値
+ * @returns {{ total: number, correct: number, items: object[], asymmetricFreqs: number[] }}
+ */
+export function scoreSoundField(recorded, expected, targets) {
+  const items = (expected || []).map((t) => {
+    const r = recorded?.[t.freq] || null;
+    const ok = !!r && (t.so ? !!r.so : !r.so && Math.abs(r.dB - t.dB) <= MRL_TOLERANCE_DB);
+    return {
+      freq: t.freq,
+      expected: t,
+      recorded: r,
+      ok,
+      R: acThreshold(targets, 'R', t.freq),
+      L: acThreshold(targets, 'L', t.freq),
+    };
+  });
+  // 音場の MRL は良聴耳しか反映しない。左右差が大きい周波数は耳別の検査（インサートイヤホン）が要る
+  const asymmetricFreqs = items
+    .filter((x) => x.R != null && x.L != null && Math.abs(Math.min(x.R, 120) - Math.min(x.L, 120)) >= EAR_ASYMMETRY_DB)
+    .map((x) => x.freq);
+  return { total: items.length, correct: items.filter((x) => x.ok).length, items, asymmetricFreqs };
+}
@@ -0,0 +1,205 @@
+/**
+ * 採点基準（ルーブリック） — 配点ロジック（教育用）
+ * 講師が項目ごとの許容差・部分点・配点（変換器 × マスキングの要否）・SO 記号の付け忘れの減点・合格点を決める。
+ * 既定の基準は従来の採点（完全一致・均等配点・80%）と同じ結果になる。
+ */
+
+/** 配点の区分: 変換器 × 正答の条件でマスキングが必要か */
+export const RUBRIC_CATEGORIES = ['AC_unmasked', 'AC_masked', 'BC_unmasked', 'BC_masked'];
+
+export const RUBRIC_CATEGORY_LABELS = {
+  AC_unmasked: '気導（マスキング不要）',
+  AC_masked: '気導（マスキング必要）',
+  BC_unmasked: '骨導（マスキング不要）',
+  BC_masked: '骨導（マスキング必要）',
+};
+
+export const RUBRIC_STATUS_LABELS = {
+  exact: '一致',
+  within: '許容差内',
+  partial: '部分点',
+  wrong: '不一致',
+  missing: '未測定',
+  so_missing: 'SO 記号なし',
+  so_wrong: '誤って SO',
+  undetermined_ok: '決定不能（正しい判断）',
+  undetermined_ng: '決定不能（測定できたはず）',
+};
+
+export const DEFAULT_RUBRIC = {
+  name: '完全一致（既定）',
+  toleranceDb: 0,
+  partialToleranceDb: 0,
+  partialCredit: 0.5,
+  weights: { AC_unmasked: 1, AC_masked: 1, BC_unmasked: 1, BC_masked: 1 },
+  scaleOutPenalty: 0,
+  passMark: 80,
+};
+
+/** 試験でよく使う例: ±5 dB を許容し、マスキングが必要な骨導を重く配点する */
+export const RUBRIC_TEMPLATES = [
+  DEFAULT_RUBRIC,
+  {
+    name: '臨床基準（±5 dB）',
+    toleranceDb: 5,
+    partialToleranceDb: 10,
+    partialCredit: 0.5,
+    weights: { AC_unmasked: 1, AC_masked: 2, BC_unmasked: 1, BC_masked: 3 },
+    scaleOutPenalty: 1,
+    passMark: 70,
+  },
+];
+
+const num = (v, fallback) => (Number.isFinite(Number(v)) && v !== '' && v != null ? Number(v) : fallback);
+
+/**
+ * 不足や範囲外の値を既定値で補う（保存済みの基準は項目が欠けていてもよい）
+ * @param {object} raw
+ * @returns {typeof DEFAULT_RUBRIC}
+ */
+export function normalizeRubric(raw) {
+  const r = raw && typeof raw === 'object' ? raw : {};
+  const toleranceDb = Math.max(0, num(r.toleranceDb, DEFAULT_RUBRIC.toleranceDb));
+  return {
+    name: typeof r.name === 'string' && r.name.trim() ? r.name.trim() : DEFAULT_RUBRIC.name,
+    toleranceDb,
+    partialToleranceDb: Math.max(toleranceDb, num(r.partialToleranceDb, toleranceDb)),
+    partialCredit: Math.min(1, Math.max(0, num(r.partialCredit, DEFAULT_RUBRIC.partialCredit))),
+    weights: Object.fromEntries(RUBRIC_CATEGORIES.map((c) => [c, Math.max(0, num(r.weights?.[c], DEFAULT_RUBRIC.weights[c]))])),
+    scaleOutPenalty: Math.max(0, num(r.scaleOutPenalty, DEFAULT_RUBRIC.scaleOutPenalty)),
+    passMark: Math.min(100, Math.max(0, num(r.passMark, DEFAULT_RUBRIC.passMark))),
+  };
+}
+
+/**
+ * 講師の入力を確かめる
+ * @returns {string[]} エラー文（空なら保存できる）
+ */
+export function validateRubric(raw) {
+  const errors = [];
+  const r = raw || {};
+  const isNum = (v) => v !== '' && v != null && Number.isFinite(Number(v));
+  if (!String(r.name || '').trim()) errors.push('名前を入力してください');
+  if (!isNum(r.toleranceDb) || Number(r.toleranceDb) < 0) errors.push('許容差は 0 以上の数にしてください');
+  if (!isNum(r.partialToleranceDb) || Number(r.partialToleranceDb) < Number(r.toleranceDb)) errors.push('部分点の範囲は許容差以上にしてください');
+  if (!isNum(r.partialCredit) || Number(r.partialCredit) < 0 || Number(r.partialCredit) > 1) errors.push('部分点の割合は 0〜1 にしてください');
+  RUBRIC_CATEGORIES.forEach((c) => {
+    if (!isNum(r.weights?.[c]) || Number(r.weights[c]) < 0) errors.push(`${RUBRIC_CATEGORY_LABELS[c]}の配点は 0 以上にしてください`);
+  });
+  if (RUBRIC_CATEGORIES.every((c) => Number(r.weights?.[c]) === 0)) errors.push('配点がすべて 0 です');
+  if (!isNum(r.scaleOutPenalty) || Number(r.scaleOutPenalty) < 0) errors.push('SO 記号の減点は 0 以上にしてください');
+  if (!isNum(r.passMark) || Number(r.passMark) < 0 || Number(r.passMark) > 100) errors.push('合格点は 0〜100 にしてください');
+  return errors;
+}
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+/**
+ * 1項目の得点割合と判定
+ * @returns {{ credit: number, status: string, diff: number|null, soMissing: boolean }}
+ */
+function gradeItem(item, rubric) {
+  const { target, measured } = item;
+  if (item.undetermined) {
+    return item.dilemma ? { credit: 1, status: 'undetermined_ok', diff: null, soMissing: false } : { credit: 0, status: 'undetermined_ng', diff: null, soMissing: false };
+  }
+  if (!measured) return { credit: 0, status: 'missing', diff: null, soMissing: false };
+  if (target.so) {
+    // 正答が SO なら SO 記号が必要（dB 値は問わない）。数値だけの記録は記号の付け忘れ
+    return measured.so ? { credit: 1, status: 'exact', diff: null, soMissing: false } : { credit: 0, status: 'so_missing', diff: null, soMissing: true };
+  }
+  if (measured.so) return { credit: 0, status: 'so_wrong', diff: null, soMissing: false };
+  const diff = Math.abs(measured.dB - target.dB);
+  if (diff === 0) return { credit: 1, status: 'exact', diff, soMissing: false };
+  if (diff <= rubric.toleranceDb) return { credit: 1, status: 'within', diff, soMissing: false };
+  if (diff <= rubric.partialToleranceDb) return { credit: rubric.partialCredit, status: 'partial', diff, soMissing: false };
+  return { credit: 0, status: 'wrong', diff, soMissing: false };
+}
+
+/**
+ * 正答と記録から採点項目を作る（学習者画面の採点と、講師側での試験の再採点で共用）
+ * @param {{ targets: object[], points: object[], undetermined?: string[], dilemma?: Set<string>,
+ *   isExcluded?: (target: object) => boolean, isOptional?: (target: object) => boolean,
+ *   maskingRequired?: (target: object) => boolean }} p
+ *   isExcluded: 採点しない条件（骨導の 125 / 8000 Hz など）。isOptional: 測定・決定不能の記録がなければ採点しない条件（必要でない中間周波数）
+ */
+export function buildScoringItems({
+  targets, points, undetermined = [], dilemma = new Set(),
+  isExcluded = () => false, isOptional = () => false, maskingRequired = () => false,
+}) {
+  const items = [];
+  (targets || []).forEach((target) => {
+    if (isExcluded(target)) return;
+    // マスキング状態は問わず、最終的な閾値のみで判定
+    const measured = (points || []).find((p) => p.ear === target.ear && p.transducer === target.transducer && p.freq === target.freq) || null;
+    const key = `${target.ear}|${target.transducer}|${target.freq}`;
+    const markedUndetermined = undetermined.includes(key);
+    if (!measured && !markedUndetermined && isOptional(target)) return;
+    items.push({
+      key,
+      ear: target.ear,
+      transducer: target.transducer,
+      freq: target.freq,
+      target,
+      measured,
+      undetermined: markedUndetermined,
+      dilemma: dilemma.has(key),
+      maskingRequired: !!maskingRequired(target),
+    });
+  });
+  return items;
+}
+
+/**
+ * ルーブリックで採点する
+ * @param {{ key: string, ear: string, transducer: 'AC'|'BC', freq: number, target: { dB: number, so?: boolean },
+ *   measured: { dB: number, so?: boolean }|null, undetermined?: boolean, dilemma?: boolean, maskingRequired?: boolean }[]} items
+ *   採点対象の正答（採点しない中間周波数などは呼び出し側で除く）
+ * @param {object} rubric - normalizeRubric 前の値でもよい
+ * @returns {{ rubric: object, earned: number, max: number, penalty: number, percent: number, passed: boolean,
+ *   byCategory: object, items: object[] }}
+ */
+export function scoreWithRubric(items, rubric) {
+  const r = normalizeRubric(rubric);
+  const byCategory = Object.fromEntries(RUBRIC_CATEGORIES.map((c) => [c, { earned: 0, max: 0, count: 0 }]));
+  let earned = 0;
+  let max = 0;
+  let soMissingCount = 0;
+  const scored = (items || []).map((item) => {
+    const category = `${item.transducer}_${item.maskingRequired ? 'masked' : 'unmasked'}`;
+    const weight = r.weights[category] ?? 0;
+    const { credit, status, diff, soMissing } = gradeItem(item, r);
+    const points = weight * credit;
+    earned += points;
+    max += weight;
+    if (soMissing) soMissingCount += 1;
+    if (byCategory[category]) {
+      byCategory[category].earned += points;
+      byCategory[category].max += weight;
+      byCategory[category].count += 1;
+    }
+    return { ...item, category, weight, credit, points: round1(points), diff, status };
+  });
+  const penalty = soMissingCount * r.scaleOutPenalty;
+  const net = Math.max(0, earned - penalty);
+  Object.values(byCategory).forEach((c) => {
+    c.earned = round1(c.earned);
+  });
+  const percent = max > 0 ? Math.round((net / max) * 100) : 0;
+  return {
+    rubric: r,
+    earned: round1(net),
+    max: round1(max),
+    penalty: round1(penalty),
+    percent,
+    passed: max > 0 && percent >= r.passMark,
+    byCategory,
+    items: scored,
+  };
+}
+
+/** 学習進捗・結果表示用の一行要約 */
+export function rubricSummaryLine(score) {
+  const p = score.penalty > 0 ? `（SO 記号の減点 -${score.penalty}）` : '';
+  return `${score.earned} / ${score.max} 点${p} = ${score.percent}% ／ 合格点 ${score.rubric.passMark}% → ${score.passed ? '合格' : '不合格'}`;
+}
@@ -0,0 +1,98 @@
+import { supabase, isSupabaseDisabled } from './supabaseClient';
+import { DEFAULT_RUBRIC, normalizeRubric } from './rubricLogic';
+
+/** 採点基準を付けられる対象（課題は assignment の id を target_key にする） */
+export const RUBRIC_TARGET = {
+  PRESET: 'preset',
+  ASSIGNMENT: 'assignment',
+};
+
+export function warnIfRubricTableMissing(error, label) {
+  if (error.code === '42P01' || error.code === '42883' || error.code === 'PGRST202' || error.message?.includes('does not exist')) {
+    console.warn('rubrics テーブルがありません。SQL rubrics.sql を実行してください。');
+  } else {
+    console.error(`${label}:`, error);
+  }
+}
+
+/** 講師向けのエラー表示（書き込みの関数は講師ID・パスワードを確かめる） */
+export function rubricErrorMessage(error) {
+  if (!error) return '';
+  if (error.message?.includes('instructor mismatch')) return '講師IDまたはパスワードが正しくありません。';
+  if (error.message?.includes('rubric not found')) return 'この採点基準は削除されています。一覧を更新してください。';
+  if (error.code === '42883' || error.code === 'PGRST202' || error.message?.includes('does not exist')) return '採点基準の設定がサーバーにありません（rubrics.sql 未実行）。';
+  return `サーバーエラー: ${error.message || error.code}`;
+}
+
+export async function fetchRubrics() {
+  if (isSupabaseDisabled) return { data: [], error: null };
+  return supabase
+    .from('rubrics')
+    .select('*')
+    .order('created_at', { ascending: false });
+}
+
+export async function fetchRubricAttachments() {
+  if (isSupabaseDisabled) return { data: [], error: null };
+  return supabase
+    .from('rubric_attachments')
+    .select('*');
+}
+
+/**
+ * @param {{ id?: number, name: string, config: object }} rubric - id があれば更新
+ * @param {{ instructorId: string, password: string }} credentials
+ */
+export async function saveRubric({ id, name, config }, { instructorId, password }) {
+  if (isSupabaseDisabled) return { data: null, error: { message: 'Supabase が無効です' } };
+  return supabase.rpc('save_rubric', {
+    p_instructor_id: instructorId,
+    p_password: password,
+    p_id: id ?? null,
+    p_name: name,
+    p_config: normalizeRubric({ ...config, name }),
+  });
+}
+
+export async function deleteRubric(id, { instructorId, password }) {
+  if (isSupabaseDisabled) return { error: null };
+  return supabase.rpc('delete_rubric', { p_instructor_id: instructorId, p_password: password, p_id: id });
+}
+
+/** 対象に採点基準を付ける（rubricId が null なら外して既定の基準に戻す） */
+export async function attachRubric(targetType, targetKey, rubricId, { instructorId, password }) {
+  if (isSupabaseDisabled) return { error: { message: 'Supabase が無効です' } };
+  return supabase.rpc('attach_rubric', {
+    p_instructor_id: instructorId,
+    p_password: password,
+    p_target_type: targetType,
+    p_target_key: String(targetKey),
+    p_rubric_id: rubricId,
+  });
+}
+
+/**
+ * 学生側: 対象に付いた採点基準（なければ・取得できなければ既定の基準）
+ * @returns {Promise<{ rubric: object, rubricId: number|null }>}
+ */
+export async function fetchRubricFor(targetType, targetKey) {
+  const fallback = { rubric: DEFAULT_RUBRIC, rubricId: null };
+  if (isSupabaseDisabled || targetKey == null) return fallback;
+  try {
+    const { data, error } = await supabase
+      .from('rubric_attachments')
+      .select('rubric_id, rubrics(id, name, config)')
+      .eq('target_type', targetType)
+      .eq('target_key', String(targetKey))
+      .maybeSingle();
+    if (error) {
+      warnIfRubricTableMissing(error, '採点基準の取得エラー');
+      return fallback;
+    }
+    if (!data?.rubrics) return fallback;
+    return { rubric: normalizeRubric({ ...data.rubrics.config, name: data.rubrics.name }), rubricId: data.rubrics.id };
+  } catch (e) {
+    console.warn('採点基準の取得に失敗:', e);
+    return fallback;
+  }
+}
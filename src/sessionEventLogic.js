@@ -0,0 +1,222 @@
+// セッションの操作記録（イベントストリーム）と再生
+// オージオメータの状態変化（耳・変換器・周波数・レベル・マスキング・応答ランプ）、提示、打点の追加・削除を
+// 時刻付きで残し、再生時は先頭からたどって任意の時刻の状態を組み立てる
+
+/** 1セッションで残すイベントの上限（スライダーを動かし続けたときの保存量を抑える） */
+export const SESSION_EVENT_LIMIT = 5000;
+
+export const SESSION_EVENT_LABELS = {
+  start: '症例開始',
+  ear: '検査耳',
+  transducer: '変換器',
+  freq: '周波数',
+  level: '提示レベル',
+  mask: 'マスキング',
+  lamp: '応答ランプ',
+  present: '提示',
+  point_add: '打点',
+  point_remove: '打点の削除',
+  undetermined_add: '決定不能',
+  undetermined_remove: '決定不能の解除',
+};
+
+const earLabel = (ear) => (ear === 'R' ? '右' : ear === 'L' ? '左' : ear);
+const pointKey = (p) => `${p.ear}|${p.transducer}|${p.masked ? 'M' : 'U'}|${p.freq}`;
+
+/** 記録する打点の形（表示と再生に要る項目だけ） */
+function compactPoint(p) {
+  return {
+    ear: p.ear,
+    transducer: p.transducer,
+    freq: p.freq,
+    dB: p.dB,
+    masked: !!p.masked,
+    ...(p.masked && p.maskLevel != null ? { maskLevel: p.maskLevel } : {}),
+    ...(p.so ? { so: true } : {}),
+  };
+}
+const samePoint = (a, b) => a.dB === b.dB && !!a.so === !!b.so && (a.maskLevel ?? null) === (b.maskLevel ?? null);
+
+/**
+ * 新しいセッション（症例の読み込みごと）
+ * @param {{ caseId: string, state: object, points?: Array, undetermined?: string[], now?: number }} p
+ *   state は audiometer の状態（ear, transducer, freq, level, masked, maskLevel, lamp）
+ */
+export function startSession({ caseId, state, points = [], undetermined = [], now = Date.now() }) {
+  return {
+    sessionId: `${caseId}-${now}`,
+    caseId,
+    startedAt: now,
+    truncated: false,
+    events: [{ t: 0, type: 'start', caseId, state: { ...state }, points: points.map(compactPoint), undetermined: [...undetermined] }],
+  };
+}
+
+/** イベントを追加する（上限を超えた分は捨て、truncated を立てる） */
+export function appendSessionEvents(session, events) {
+  if (!session || !events.length) return session;
+  const room = SESSION_EVENT_LIMIT - session.events.length;
+  if (room <= 0) return session.truncated ? session : { ...session, truncated: true };
+  return {
+    ...session,
+    truncated: session.truncated || events.length > room,
+    events: [...session.events, ...events.slice(0, room)],
+  };
+}
+
+/** オージオメータの状態の差分 → イベント */
+export function diffAudiometerState(prev, next, t) {
+  if (!prev) return [];
+  const out = [];
+  ['ear', 'transducer', 'freq', 'level'].forEach((k) => {
+    if (prev[k] !== next[k]) out.push({ t, type: k, value: next[k] });
+  });
+  if (prev.masked !== next.masked || prev.maskLevel !== next.maskLevel) {
+    out.push({ t, type: 'mask', masked: !!next.masked, maskLevel: next.maskLevel });
+  }
+  if (!!prev.lamp !== !!next.lamp) out.push({ t, type: 'lamp', on: !!next.lamp });
+  return out;
+}
+
+/** 打点と「決定不能」の差分 → イベント（値の変わった打点は削除と追加の組） */
+export function diffMarks(prev, next, t) {
+  const out = [];
+  const before = new Map((prev.points || []).map((p) => [pointKey(p), p]));
+  const after = new Map((next.points || []).map((p) => [pointKey(p), p]));
+  before.forEach((p, k) => {
+    const q = after.get(k);
+    if (!q || !samePoint(compactPoint(p), compactPoint(q))) out.push({ t, type: 'point_remove', point: compactPoint(p) });
+  });
+  after.forEach((q, k) => {
+    const p = before.get(k);
+    if (!p || !samePoint(compactPoint(p), compactPoint(q))) out.push({ t, type: 'point_add', point: compactPoint(q) });
+  });
+  const u0 = new Set(prev.undetermined || []);
+  const u1 = new Set(next.undetermined || []);
+  u1.forEach((key) => { if (!u0.has(key)) out.push({ t, type: 'undetermined_add', key }); });
+  u0.forEach((key) => { if (!u1.has(key)) out.push({ t, type: 'undetermined_remove', key }); });
+  return out;
+}
+
+/**
+ * 再生用のフレーム（各イベント直後の状態）
+ * @returns {{ t: number, event: object, state: object, points: object[], undetermined: string[], lastPresentation: object|null }[]}
+ */
+export function buildReplayFrames(events) {
+  const frames = [];
+  let cur = null;
+  (events || []).forEach((e) => {
+    if (e.type === 'start') {
+      cur = { state: { ...e.state }, points: [...(e.points || [])], undetermined: [...(e.undetermined || [])], lastPresentation: null };
+    } else if (!cur) {
+      return;
+    } else {
+      cur = { ...cur };
+      switch (e.type) {
+        case 'ear':
+        case 'transducer':
+        case 'freq':
+        case 'level':
+          cur.state = { ...cur.state, [e.type]: e.value };
+          break;
+        case 'mask':
+          cur.state = { ...cur.state, masked: e.masked, maskLevel: e.maskLevel };
+          break;
+        case 'lamp':
+          cur.state = { ...cur.state, lamp: e.on };
+          break;
+        case 'present':
+          cur.lastPresentation = e;
+          break;
+        case 'point_add':
+          cur.points = [...cur.points.filter((p) => pointKey(p) !== pointKey(e.point)), e.point];
+          break;
+        case 'point_remove':
+          cur.points = cur.points.filter((p) => pointKey(p) !== pointKey(e.point));
+          break;
+        case 'undetermined_add':
+          cur.undetermined = cur.undetermined.includes(e.key) ? cur.undetermined : [...cur.undetermined, e.key];
+          break;
+        case 'undetermined_remove':
+          cur.undetermined = cur.undetermined.filter((k) => k !== e.key);
+          break;
+        default:
+          break;
+      }
+    }
+    frames.push({ t: e.t, event: e, ...cur });
+  });
+  return frames;
+}
+
+/** 時刻 t（ms）に表示するフレームの番号（t 以前で最後のもの） */
+export function frameIndexAt(frames, t) {
+  let lo = 0;
+  let hi = frames.length - 1;
+  if (hi < 0) return -1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (frames[mid].t <= t) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+function describePoint(p) {
+  const mask = p.masked ? `（マスク ${p.maskLevel ?? '-'} dB）` : '';
+  return `${earLabel(p.ear)} ${p.transducer} ${p.freq}Hz ${p.so ? 'SO' : `${p.dB}dB`}${mask}`;
+}
+
+/** イベントの一行表示 */
+export function describeSessionEvent(e) {
+  switch (e.type) {
+    case 'start':
+      return `症例${e.caseId}を開始`;
+    case 'ear':
+      return `検査耳 → ${earLabel(e.value)}`;
+    case 'transducer':
+      return `変換器 → ${e.value}`;
+    case 'freq':
+      return `周波数 → ${e.value} Hz`;
+    case 'level':
+      return `レベル → ${e.value} dB`;
+    case 'mask':
+      return e.masked ? `マスキング ON ${e.maskLevel} dB` : 'マスキング OFF';
+    case 'lamp':
+      return e.on ? 'ランプ点灯' : 'ランプ消灯';
+    case 'present':
+      return `提示 ${earLabel(e.ear)} ${e.transducer} ${e.freq}Hz ${e.level}dB${e.masked ? `（マスク ${e.maskLevel} dB）` : ''} → ${e.responded ? '反応あり' : '反応なし'}`;
+    case 'point_add':
+      return `打点 ${describePoint(e.point)}`;
+    case 'point_remove':
+      return `打点を削除 ${describePoint(e.point)}`;
+    case 'undetermined_add':
+      return `決定不能 ${e.key.split('|').join(' ')}Hz`;
+    case 'undetermined_remove':
+      return `決定不能を解除 ${e.key.split('|').join(' ')}Hz`;
+    default:
+      return SESSION_EVENT_LABELS[e.type] || e.type;
+  }
+}
+
+/** 一覧表示・保存用の要約 */
+export function summarizeSessionEvents(events) {
+  const list = events || [];
+  const count = (type) => list.filter((e) => e.type === type).length;
+  const presents = list.filter((e) => e.type === 'present');
+  return {
+    durationMs: list.length ? list[list.length - 1].t : 0,
+    eventCount: list.length,
+    presentations: presents.length,
+    responses: presents.filter((e) => e.responded).length,
+    maskChanges: count('mask'),
+    pointsAdded: count('point_add'),
+    pointsRemoved: count('point_remove'),
+  };
+}
+
+/** ms → m:ss */
+export function formatReplayTime(ms) {
+  const s = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,62 @@
+import { supabase, isSupabaseDisabled } from './supabaseClient';
+import { summarizeSessionEvents } from './sessionEventLogic';
+
+function warnIfTableMissing(error, label) {
+  if (error.code === '42P01' || error.message?.includes('does not exist')) {
+    console.warn('session_recordings テーブルがありません。SQL session_recordings.sql を実行してください。');
+  } else {
+    console.error(`${label}:`, error);
+  }
+}
+
+/**
+ * セッションの操作記録を保存（同じ session_id は上書き。正答照合をやり直したときも最新の記録になる）
+ * @param {string} studentId
+ * @param {string|null|undefined} userId
+ * @param {{ sessionId: string, caseId: string, startedAt: number, events: object[], truncated?: boolean }} session
+ */
+export async function saveSessionRecording(studentId, userId, session) {
+  if (isSupabaseDisabled || !studentId || !session?.events?.length) return;
+  try {
+    const { error } = await supabase.from('session_recordings').upsert({
+      session_id: session.sessionId,
+      student_id: studentId,
+      user_id: userId || null,
+      case_id: String(session.caseId),
+      started_at: new Date(session.startedAt).toISOString(),
+      summary: summarizeSessionEvents(session.events),
+      events: session.events,
+      truncated: !!session.truncated,
+    }, { onConflict: 'session_id' });
+    if (error) warnIfTableMissing(error, '操作記録の保存エラー');
+  } catch (e) {
+    console.warn('操作記録の保存に失敗:', e);
+  }
+}
+
+/** 学生の記録一覧（イベント本体は含めない） */
+export async function fetchSessionRecordings(studentId, limit = 50) {
+  if (isSupabaseDisabled || !studentId) {
+    return { data: [], error: null };
+  }
+  const res = await supabase
+    .from('session_recordings')
+    .select('id, session_id, case_id, started_at, summary, truncated')
+    .eq('student_id', studentId)
+    .order('started_at', { ascending: false })
+    .limit(limit);
+  if (res.error) warnIfTableMissing(res.error, '操作記録の取得エラー');
+  return res;
+}
+
+/** 1セッション分のイベント */
+export async function fetchSessionRecordingEvents(id) {
+  if (isSupabaseDisabled) return { data: null, error: null };
+  const res = await supabase
+    .from('session_recordings')
+    .select('id, session_id, case_id, started_at, events, truncated')
+    .eq('id', id)
+    .single();
+  if (res.error) warnIfTableMissing(res.error, '操作記録の取得エラー');
+  return res;
+}
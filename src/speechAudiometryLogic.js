@@ -0,0 +1,235 @@
+/**
+ * 語音聴力検査（SRT・語音明瞭度）— 判定ロジック（教育用）
+ * 症例の純音閾値（正答）から SRT と PI 関数（提示レベル−語音明瞭度）を導き、
+ * 語音のクロスヒアリング（提示レベル − IA ≥ 非検査耳の最良BC）とマスキングを扱う。
+ */
+
+import { profileComponents } from './engine/generateAudiogram';
+
+/** 語音の IA（受話器別・保守的な値） */
+export const SPEECH_IA_DB = { supraAural: 40, insert: 60 };
+export const PTA_FREQS = [500, 1000, 2000];
+/** 1リスト25語 → 4% 刻み */
+export const WRS_LIST_SIZE = 25;
+export const SRT_TOLERANCE_DB = 5;
+export const WRS_TOLERANCE_PCT = 12;
+/** SRT（スポンデー50%）より単音節50%点が高い分 */
+const WORD_OFFSET_DB = 8;
+/** 50% 点から最高明瞭度付近までの広がり（ロジスティックの尺度） */
+const PI_SPREAD_DB = 5;
+/** 最高明瞭度に達するレベル（50% 点からの距離）。これより上でロールオーバー */
+const PI_PEAK_ABOVE_DB = 25;
+/** 機能性難聴: SRT は申告PTAより良く、器質的PTAよりこの分だけ悪い程度に出る */
+const NON_ORGANIC_SRT_BETTER_DB = 15;
+const NON_ORGANIC_SRT_ABOVE_ORGANIC_DB = 20;
+export const ROLLOVER_INDEX_CRITERION = 0.45;
+export const SPEECH_LEVEL_MAX_DB = 110;
+
+/**
+ * プロファイル別の PI 関数パラメータ
+ * maxWrs = base − k × max(0, PTA − 25)、rolloverPerDb は最高点より上の低下（%/dB）
+ */
+export const SPEECH_PROFILE_PARAMS = {
+  Normal: { base: 100, k: 0, rolloverPerDb: 0 },
+  SNHL_Age: { base: 100, k: 0.6, rolloverPerDb: 0 },
+  SNHL_NoiseNotch: { base: 100, k: 0.4, rolloverPerDb: 0 },
+  SNHL_Meniere: { base: 95, k: 0.9, rolloverPerDb: 0.2 },
+  SNHL_Sudden: { base: 95, k: 0.8, rolloverPerDb: 0 },
+  SNHL_Mumps: { base: 90, k: 1.0, rolloverPerDb: 0 },
+  CHL: { base: 100, k: 0, rolloverPerDb: 0 },
+  // 後迷路性（聴神経腫瘍など）: 純音に比して明瞭度が低く、高レベルでロールオーバー
+  Retrocochlear: { base: 85, k: 1.2, rolloverPerDb: 1.6 },
+  // オーディトリー・ニューロパチー: 閾値が軽度でも明瞭度は極端に悪い
+  AuditoryNeuropathy: { base: 60, k: 1.5, rolloverPerDb: 0.8 },
+};
+
+/** 病態で PI 関数を読み替えるプロファイル */
+const SPEECH_PROFILE_ALIASES = {
+  SNHL_VestibularSchwannoma: 'Retrocochlear',
+  SNHL_AuditoryNeuropathy: 'AuditoryNeuropathy',
+};
+
+export const SPEECH_FLAG_LABELS = {
+  srt_off: 'SRTが正答とずれている',
+  srt_mask_missing: 'SRT測定でマスキングが必要だった',
+  wrs_off: '語音明瞭度が正答とずれている',
+  wrs_mask_missing: '語音明瞭度測定でマスキングが必要だった',
+  wrs_level_low: '提示レベルが低い（SRT+30 dB 以上が目安）',
+};
+
+const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
+const round5 = (x) => Math.round(x / 5) * 5;
+
+/** 語音の IA */
+export function getSpeechIa(earphone) {
+  return SPEECH_IA_DB[earphone] ?? SPEECH_IA_DB.supraAural;
+}
+
+/** 語音のマスキング要否: 提示レベル − IA ≥ 非検査耳の最良BC */
+export function speechMaskNeeded(level, ia, nteBestBc) {
+  if (!Number.isFinite(level) || !Number.isFinite(nteBestBc)) return false;
+  return level - ia >= nteBestBc;
+}
+
+/** 症例プロファイル名から PI パラメータのキーを決める（未知は閾値から推定） */
+export function speechProfileKey(profile, ear) {
+  if (profile && SPEECH_PROFILE_PARAMS[profile]) return profile;
+  // 病態スタック（'SNHL_Age+CHL_OME'）は後迷路性・AN の成分を優先し、ほかは閾値から推定する
+  const alias = profileComponents(profile).map((p) => SPEECH_PROFILE_ALIASES[p]).find(Boolean);
+  if (alias) return alias;
+  if (profile && (profile.startsWith('CHL_') || profile.startsWith('TW_'))) return 'CHL';
+  if (ear && Number.isFinite(ear.pta) && Number.isFinite(ear.bcPta) && ear.pta - ear.bcPta >= 15) return 'CHL';
+  if (ear && Number.isFinite(ear.pta) && ear.pta > 25) return 'SNHL_Age';
+  return 'Normal';
+}
+
+/**
+ * 正答（targets）から1耳の純音情報を集約
+ * @returns {{ pta: number|null, bcPta: number|null, bestBc: number, organicPta: number|null, organicBestBc: number }}
+ *   pta は 500/1k/2k の AC 平均（SOを含めば null）、bestBc は BC の最小値（なければ AC の最小値）
+ *   organic* は器質的閾値（t.organic があればそれ、なければ申告値）から求めた値
+ */
+export function earPureToneSummary(targets, ear) {
+  const list = (targets || []).filter((t) => t && t.ear === ear);
+  const ac = (f) => list.find((t) => t.transducer === 'AC' && t.freq === f);
+  const bc = (f) => list.find((t) => t.transducer === 'BC' && t.freq === f);
+  const acPts = PTA_FREQS.map(ac);
+  const bcPts = PTA_FREQS.map(bc);
+  const pta = acPts.every((t) => t && !t.so) ? acPts.reduce((s, t) => s + t.dB, 0) / PTA_FREQS.length : null;
+  const bcPta = bcPts.every((t) => t && !t.so) ? bcPts.reduce((s, t) => s + t.dB, 0) / PTA_FREQS.length : null;
+  const bcVals = list.filter((t) => t.transducer === 'BC' && !t.so).map((t) => t.dB);
+  const acVals = list.filter((t) => t.transducer === 'AC' && !t.so).map((t) => t.dB);
+  const bestBc = bcVals.length ? Math.min(...bcVals) : acVals.length ? Math.min(...acVals) : Infinity;
+  const organicOf = (t) => (!t ? null : typeof t.organic === 'number' ? t.organic : t.so ? null : t.dB);
+  const organicAc = PTA_FREQS.map((f) => organicOf(ac(f)));
+  const organicPta = organicAc.every((v) => v != null) ? organicAc.reduce((s, v) => s + v, 0) / PTA_FREQS.length : null;
+  const organicBc = list.filter((t) => t.transducer === 'BC').map(organicOf).filter((v) => v != null);
+  const organicAcAll = list.filter((t) => t.transducer === 'AC').map(organicOf).filter((v) => v != null);
+  const organicBestBc = organicBc.length ? Math.min(...organicBc) : organicAcAll.length ? Math.min(...organicAcAll) : Infinity;
+  return { pta, bcPta, bestBc, organicPta, organicBestBc };
+}
+
+/**
+ * 1耳の語音の正答モデル
+ * @param {{ pta, bcPta, bestBc }} summary - earPureToneSummary()
+ * @param {string} profile - 耳ごとのプロファイル名
+ * @param {{ retrocochlear?: boolean, nonOrganic?: boolean }} [override] - 症例側の指定（後迷路性・機能性難聴として扱う）
+ */
+export function buildSpeechModel(summary, profile, override = {}) {
+  if (override.nonOrganic && Number.isFinite(summary.organicPta)) return buildNonOrganicSpeechModel(summary);
+  const key = override.retrocochlear ? 'Retrocochlear' : speechProfileKey(profile, summary);
+  const params = SPEECH_PROFILE_PARAMS[key];
+  if (!Number.isFinite(summary.pta) || summary.pta > 100) {
+    return { profileKey: key, srt: null, maxWrs: 0, rolloverPerDb: 0, word50: null, bestBc: summary.bestBc };
+  }
+  const srt = round5(summary.pta);
+  // 明瞭度は内耳（BC）の障害度で決まる。伝音性は PI が右へずれるだけ
+  const cochlearPta = Number.isFinite(summary.bcPta) ? Math.max(summary.bcPta, key === 'CHL' ? 0 : summary.pta) : summary.pta;
+  const maxWrs = clamp(params.base - params.k * Math.max(0, cochlearPta - 25), 0, 100);
+  return {
+    profileKey: key,
+    srt,
+    maxWrs,
+    rolloverPerDb: params.rolloverPerDb,
+    word50: srt + WORD_OFFSET_DB,
+    bestBc: summary.bestBc,
+  };
+}
+
+/**
+ * 機能性難聴の耳: SRT が申告PTAより明らかに良い（SRT/PTA の不一致）。
+ * 明瞭度は器質的な聴力で決まり、非検査耳としての骨導は器質的な値を使う
+ */
+function buildNonOrganicSpeechModel(summary) {
+  const nearOrganic = summary.organicPta + NON_ORGANIC_SRT_ABOVE_ORGANIC_DB;
+  const srt = round5(Number.isFinite(summary.pta) ? Math.min(summary.pta - NON_ORGANIC_SRT_BETTER_DB, nearOrganic) : nearOrganic);
+  // 器質的には加齢変化程度として明瞭度を決める
+  const params = SPEECH_PROFILE_PARAMS.SNHL_Age;
+  return {
+    profileKey: 'NonOrganic',
+    srt,
+    maxWrs: clamp(params.base - params.k * Math.max(0, summary.organicPta - 25), 0, 100),
+    rolloverPerDb: 0,
+    word50: srt + WORD_OFFSET_DB,
+    bestBc: summary.organicBestBc,
+  };
+}
+
+/** スポンデー（SRT用）の正答率 0〜100 */
+export function spondeeScore(model, level) {
+  if (!model || model.srt == null) return 0;
+  return 100 / (1 + Math.exp(-(level - model.srt) / (PI_SPREAD_DB * 0.6)));
+}
+
+/** 単音節（語音明瞭度）の PI 関数 0〜100。最高点より上でロールオーバー */
+export function wordRecognitionScore(model, level) {
+  if (!model || model.word50 == null || model.maxWrs <= 0) return 0;
+  const peakLevel = model.word50 + PI_PEAK_ABOVE_DB;
+  const rise = model.maxWrs / (1 + Math.exp(-(Math.min(level, peakLevel) - model.word50) / PI_SPREAD_DB));
+  const drop = level > peakLevel ? model.rolloverPerDb * (level - peakLevel) : 0;
+  return clamp(rise - drop, 0, 100);
+}
+
+/** PI 関数の最高点（PBmax）・最低点（PBmin, PBmax より上）とロールオーバー指数 */
+export function piSummary(model, levels) {
+  const pts = levels.map((L) => ({ level: L, score: wordRecognitionScore(model, L) }));
+  const maxPt = pts.reduce((a, b) => (b.score > a.score ? b : a), pts[0]);
+  const above = pts.filter((p) => p.level > maxPt.level);
+  const minAbove = above.length ? Math.min(...above.map((p) => p.score)) : maxPt.score;
+  const rolloverIndex = maxPt.score > 0 ? (maxPt.score - minAbove) / maxPt.score : 0;
+  return { pbMax: maxPt.score, pbMaxLevel: maxPt.level, rolloverIndex, points: pts };
+}
+
+export function toListScore(pct) {
+  return Math.round((clamp(pct, 0, 100) / 100) * WRS_LIST_SIZE) * (100 / WRS_LIST_SIZE);
+}
+
+/**
+ * 1回の語音提示で観察される正答率（クロスヒアリング・オーバーマスキングを含む）
+ * @param {{ kind: 'SRT'|'WRS', level, masked, maskLevel, ia }} presentation
+ * @param {object} te - 検査耳の buildSpeechModel()
+ * @param {object} nte - 非検査耳の buildSpeechModel()
+ */
+export function observedSpeechScore({ kind, level, masked, maskLevel, ia }, te, nte) {
+  const scoreOf = kind === 'SRT' ? spondeeScore : wordRecognitionScore;
+  // オーバーマスキング: マスカー − IA が検査耳の最良BCを超えた分だけ検査耳の聴取が下がる
+  const overMask = masked ? Math.max(0, maskLevel - ia - te.bestBc) : 0;
+  const teScore = scoreOf(te, level - overMask);
+  // 非検査耳: 骨導経由で届く語音（蝸牛の予備能で聴く）。マスクは最良BCを超えた分だけ閾値を上げる
+  const leaked = level - ia;
+  const shift = masked ? Math.max(0, maskLevel - nte.bestBc) : 0;
+  const nteCochlear = nte.srt == null ? null : { ...nte, srt: nte.bestBc, word50: nte.bestBc + WORD_OFFSET_DB };
+  const nteScore = nteCochlear && leaked - shift >= nte.bestBc ? scoreOf(nteCochlear, leaked - shift) : 0;
+  return {
+    score: toListScore(Math.max(teScore, nteScore)),
+    crossHeard: nteScore > teScore,
+    overMasked: overMask > 0,
+  };
+}
+
+/**
+ * 学習者の回答を採点
+ * @param {{ srt, srtMasked, wrs, wrsLevel, wrsMasked }} answer - srt が null/空は「測定不能」
+ * @param {object} te - 検査耳モデル
+ * @param {object} nte - 非検査耳モデル
+ * @param {number} ia - 語音 IA
+ */
+export function scoreSpeechAnswer(answer, te, nte, ia) {
+  const flags = [];
+  const srtAns = answer.srt === '' || answer.srt == null ? null : Number(answer.srt);
+  const srtOk = te.srt == null ? srtAns == null : srtAns != null && Math.abs(srtAns - te.srt) <= SRT_TOLERANCE_DB;
+  if (!srtOk) flags.push('srt_off');
+  if (te.srt != null && speechMaskNeeded(te.srt, ia, nte.bestBc) && !answer.srtMasked) flags.push('srt_mask_missing');
+
+  let wrsExpected = null;
+  let wrsOk = null;
+  if (answer.wrs !== '' && answer.wrs != null && Number.isFinite(Number(answer.wrsLevel))) {
+    const L = Number(answer.wrsLevel);
+    wrsExpected = toListScore(wordRecognitionScore(te, L));
+    wrsOk = Math.abs(Number(answer.wrs) - wrsExpected) <= WRS_TOLERANCE_PCT;
+    if (!wrsOk) flags.push('wrs_off');
+    if (speechMaskNeeded(L, ia, nte.bestBc) && !answer.wrsMasked) flags.push('wrs_mask_missing');
+    if (te.srt != null && L < te.srt + 30) flags.push('wrs_level_low');
+  }
+  return { srtOk, wrsOk, wrsExpected, flags };
+}
@@ -0,0 +1,810 @@
+// 聴力検査以外の検査（ティンパノグラム・アブミ骨筋反射・DPOAE）の設定を、正答閾値と病態から組み立てる
+// 学習者画面の各検査と、検査間の整合チェック（batteryConsistencyLogic.js）で共通に使う
+import { profileComponents } from './engine/generateAudiogram';
+
+const PROFILE_PATTERN_MAP = {
+  Normal: 'normal',
+  NormalHearing: 'normal',
+  SNHL_Age: 'sensorineural',
+  SNHL_NoiseNotch: 'sensorineural',
+  SNHL_Meniere: 'sensorineural',
+  SNHL_Sudden: 'sensorineural',
+  SNHL_Mumps: 'sensorineural',
+  SNHL_Other: 'sensorineural',
+  CHL_OME: 'conductive',
+  CHL_AOM: 'conductive',
+  CHL_Otosclerosis: 'conductive',
+  CHL_OssicularDiscontinuity: 'conductive',
+  SNHL_VestibularSchwannoma: 'sensorineural',
+  SNHL_AuditoryNeuropathy: 'sensorineural',
+  // 上半規管裂隙は中耳正常だが、オージオグラム上は低音の気骨導差（見かけ上の伝音性）
+  TW_SuperiorCanalDehiscence: 'conductive',
+};
+
+/** 病態スタックのうち中耳の所見（ティンパノ・反射）を決める成分（伝音・第三の窓）。なければ先頭 */
+export function middleEarProfile(profileName) {
+  const components = profileComponents(profileName);
+  return components.find((p) => /^(CHL|TW)_/.test(p)) || components[0] || profileName;
+}
+
+export function inferCasePatternFromProfile(profileName) {
+  if (!profileName || typeof profileName !== 'string') {
+    return 'sensorineural';
+  }
+  const key = profileName.trim();
+  // 病態スタック（'SNHL_Age+CHL_OME'）: 感音成分と伝音成分が両方あれば混合性
+  const components = profileComponents(key);
+  if (components.length > 1) {
+    const patterns = new Set(components.map(inferCasePatternFromProfile).filter((p) => p !== 'normal'));
+    if (patterns.has('conductive') && patterns.has('sensorineural')) return 'mixed';
+    return [...patterns][0] || 'normal';
+  }
+  if (PROFILE_PATTERN_MAP[key]) return PROFILE_PATTERN_MAP[key];
+  if (/^SNHL_/i.test(key)) return 'sensorineural';
+  if (/^CHL_/i.test(key)) return 'conductive';
+  if (/^Normal/i.test(key)) return 'normal';
+  return 'sensorineural';
+}
+
+export function inferCasePatternFromDisorderName(diseaseName) {
+  if (!diseaseName || diseaseName === '正常') return 'normal';
+  if (/中耳炎|耳硬化|耳小骨|伝音/.test(diseaseName)) return 'conductive';
+  if (/メニエール|突発|感音|難聴|加齢|騒音|NIHL/.test(diseaseName)) return 'sensorineural';
+  return 'sensorineural';
+}
+
+// ART設定を構築する関数（プリセットのAC/BC値とティンパノグラム型から）
+export function buildArtConfig(presetTargets, tympanogram, disorderName = null, casePattern = null, meta = {}) {
+  const ART_NORMAL_THRESHOLDS = {
+    500: { ipsi: 80, cont: 85 },
+    1000: { ipsi: 75, cont: 80 },
+    2000: { ipsi: 80, cont: 85 }
+  };
+
+  const acThresholds = { right: {}, left: {} };
+  const bcThresholds = { right: {}, left: {} };
+  
+  // プリセットからAC/BC値を抽出（ART用の周波数: 500, 1000, 2000Hz）
+  presetTargets.forEach(target => {
+    if ([500, 1000, 2000].includes(target.freq)) {
+      const earKey = target.ear === 'R' ? 'right' : 'left';
+      if (target.transducer === 'AC') {
+        acThresholds[earKey][target.freq] = target.so ? 110 : target.dB;
+      } else if (target.transducer === 'BC') {
+        bcThresholds[earKey][target.freq] = target.so ? 110 : target.dB;
+      }
+    }
+  });
+  
+  // ティンパノグラム型とpeakPressureを取得
+  const getTympanogramType = (ear, tymp) => {
+    // 各耳のpeakComplianceとpeakPressureを個別にチェック（tymp.typeは全体の型なので、個別判定には使わない）
+    const peakCompliance = tymp?.[ear]?.peakCompliance;
+    const peak = tymp?.[ear]?.peakPressure || 0;
+    
+    // B型の判定（優先順位：peakCompliance < 0.5 または peakPressure異常）
+    // peakComplianceが非常に低い場合（0.3など、AOMのB型）はB型として判定
+    if (peakCompliance !== undefined && peakCompliance < 0.5) {
+      return 'B';
+    }
+    // 陽圧（peakPressure>50daPa）は伝音障害として扱う
+    if (peak > 50) return 'B';
+    // 陰圧が強すぎる場合もB型
+    if (peak < -150) return 'B';
+    
+    // As型（コンプライアンス低）を検出（peakComplianceが0.5以上0.8未満の場合）
+    if (peakCompliance !== undefined && peakCompliance >= 0.5 && peakCompliance < 0.8) {
+      return 'As'; // As型（耳硬化症など）
+    }
+    // Ad型（コンプライアンス増大）を検出
+    if (peakCompliance !== undefined && peakCompliance > 1.7) {
+      return 'Ad'; // Ad型（耳小骨離断など）
+    }
+    
+    return 'A';
+  };
+  
+  // 耳硬化症の場合はART消失（As型でも反射消失）
+  const isOtosclerosis = disorderName === '耳硬化症';
+  
+  const rightType = getTympanogramType('right', tympanogram);
+  const leftType = getTympanogramType('left', tympanogram);
+  
+  // 耳硬化症の場合、または伝音性難聴でAs型の場合は反射消失を示すため、B型として扱う
+  // （StapedialReflexGifコンポーネントはB型で反射消失を判定するため）
+  const getEffectiveType = (type, ear) => {
+    if (isOtosclerosis && type === 'As') {
+      return 'B'; // 耳硬化症のAs型は反射消失のため、B型として扱う
+    }
+    // 伝音性難聴でAs型の場合も反射消失（耳硬化症以外でも可能性あり）
+    if (casePattern === 'conductive' && type === 'As') {
+      return 'B'; // As型で伝音性難聴は反射消失
+    }
+    return type;
+  };
+  
+  const artConfig = {
+    right: {
+      acThresholds: acThresholds.right,
+      bcThresholds: bcThresholds.right,
+      tympanogramType: getEffectiveType(rightType, 'right'),
+      peakPressure: tympanogram?.right?.peakPressure || 0
+    },
+    left: {
+      acThresholds: acThresholds.left,
+      bcThresholds: bcThresholds.left,
+      tympanogramType: getEffectiveType(leftType, 'left'),
+      peakPressure: tympanogram?.left?.peakPressure || 0
+    }
+  };
+
+  const profiles = {
+    right: middleEarProfile(meta?.rightProfile || meta?.profile) || null,
+    left: middleEarProfile(meta?.leftProfile || meta?.profile) || null
+  };
+  const isOssicular = disorderName === 'CHL_OssicularDiscontinuity'
+    || disorderName === '耳小骨離断'
+    || profiles.right === 'CHL_OssicularDiscontinuity'
+    || profiles.left === 'CHL_OssicularDiscontinuity';
+
+  // AOM症例の判定（片側AOM、片側正常の場合）
+  const isAOM = disorderName === 'AOM' 
+    || disorderName === '急性中耳炎'
+    || profiles.right === 'CHL_AOM'
+    || profiles.left === 'CHL_AOM';
+  
+  // OME症例の判定
+  const isOME = disorderName === 'OME'
+    || disorderName === '滲出性中耳炎'
+    || profiles.right === 'CHL_OME'
+    || profiles.left === 'CHL_OME';
+  
+  // OMEの軽度/中程度判定（metaから取得）
+  const rightIsMildOME = meta?.rightIsMild || false;
+  const leftIsMildOME = meta?.leftIsMild || false;
+  
+  if (isOssicular) {
+    let affectedSide = meta?.affectedSide || null;
+    if (!affectedSide) {
+      if (profiles.right === 'CHL_OssicularDiscontinuity' && profiles.left !== 'CHL_OssicularDiscontinuity') {
+        affectedSide = 'R';
+      } else if (profiles.left === 'CHL_OssicularDiscontinuity' && profiles.right !== 'CHL_OssicularDiscontinuity') {
+        affectedSide = 'L';
+      }
+    }
+
+    const freqs = [500, 1000, 2000];
+    const elevation = 15;
+
+    const ensureOverride = (earKey, key) => {
+      if (!artConfig[earKey][key]) artConfig[earKey][key] = {};
+      return artConfig[earKey][key];
+    };
+
+    const markAbsent = (earKey) => {
+      freqs.forEach(freq => {
+        ensureOverride(earKey, 'ipsilateralOverride')[freq] = 999;
+        ensureOverride(earKey, 'contralateralOverride')[freq] = 999;
+      });
+    };
+
+    const elevateContralateral = (earKey) => {
+      freqs.forEach(freq => {
+        const contBase = ART_NORMAL_THRESHOLDS[freq]?.cont ?? 85;
+        const ipsiBase = ART_NORMAL_THRESHOLDS[freq]?.ipsi ?? 80;
+        ensureOverride(earKey, 'contralateralOverride')[freq] = contBase + elevation;
+        ensureOverride(earKey, 'ipsilateralOverride')[freq] = ipsiBase;
+      });
+    };
+
+    if (affectedSide === 'R') {
+      markAbsent('right');
+      elevateContralateral('left');
+    } else if (affectedSide === 'L') {
+      markAbsent('left');
+      elevateContralateral('right');
+    } else {
+      // 影響側が不明な場合は両側を安全側にする
+      markAbsent('right');
+      markAbsent('left');
+    }
+  } else if (isAOM) {
+    // AOM症例の場合：AOM側（B型）の耳でのみ反射消失、正常側（A型）の耳では反射保持
+    const freqs = [500, 1000, 2000];
+    const elevation = 15; // CONT反射の閾値上昇量
+
+    const ensureOverride = (earKey, key) => {
+      if (!artConfig[earKey][key]) artConfig[earKey][key] = {};
+      return artConfig[earKey][key];
+    };
+
+    // AOM側（B型）の耳：IPSI/CONTともに反射消失
+    const markAbsent = (earKey) => {
+      freqs.forEach(freq => {
+        ensureOverride(earKey, 'ipsilateralOverride')[freq] = 999;
+        ensureOverride(earKey, 'contralateralOverride')[freq] = 999;
+      });
+    };
+
+    // 正常側（A型）の耳：IPSI反射あり、CONT反射は閾値上昇するも反応あり
+    const elevateContralateral = (earKey) => {
+      freqs.forEach(freq => {
+        const base = ART_NORMAL_THRESHOLDS[freq]?.cont ?? 85;
+        // CONT反射は閾値上昇するが、反応あり（999ではなく上昇した閾値を設定）
+        ensureOverride(earKey, 'contralateralOverride')[freq] = base + elevation;
+        // IPSI反射は正常閾値を明示的に設定（overrideで確実に正常反射を保証）
+        const ipsiBase = ART_NORMAL_THRESHOLDS[freq]?.ipsi ?? 80;
+        ensureOverride(earKey, 'ipsilateralOverride')[freq] = ipsiBase;
+      });
+    };
+
+    // 左右どちらがAOM側かを判定
+    const rightIsAOM = rightType === 'B' || profiles.right === 'CHL_AOM';
+    const leftIsAOM = leftType === 'B' || profiles.left === 'CHL_AOM';
+
+    if (rightIsAOM && !leftIsAOM) {
+      // Rt AOM, Lt normal
+      markAbsent('right');
+      elevateContralateral('left');
+    } else if (leftIsAOM && !rightIsAOM) {
+      // Rt normal, Lt AOM
+      markAbsent('left');
+      elevateContralateral('right');
+    } else if (rightIsAOM && leftIsAOM) {
+      // 両側AOM
+      markAbsent('right');
+      markAbsent('left');
+    }
+    // 両側正常の場合は何もしない（正常反射）
+  } else if (isOME) {
+    // OME症例の場合：軽度/中程度に応じて処理を分岐
+    const freqs = [500, 1000, 2000];
+    const elevation = 15; // CONT反射の閾値上昇量
+
+    const ensureOverride = (earKey, key) => {
+      if (!artConfig[earKey][key]) artConfig[earKey][key] = {};
+      return artConfig[earKey][key];
+    };
+
+    // 中程度以上（B型）の耳：IPSI/CONTともに反射消失
+    const markAbsent = (earKey) => {
+      freqs.forEach(freq => {
+        ensureOverride(earKey, 'ipsilateralOverride')[freq] = 999;
+        ensureOverride(earKey, 'contralateralOverride')[freq] = 999;
+      });
+    };
+
+    // 軽度（C型）の耳：振幅減弱するもIPSI/CONT反射（+）
+    // ART振幅減弱：閾値上昇（+15dB）するが反応あり
+    const markAttenuated = (earKey) => {
+      freqs.forEach(freq => {
+        const ipsiBase = ART_NORMAL_THRESHOLDS[freq]?.ipsi ?? 80;
+        const contBase = ART_NORMAL_THRESHOLDS[freq]?.cont ?? 85;
+        // 振幅減弱：閾値上昇（+15dB）するが反応あり（999ではなく上昇した閾値を設定）
+        ensureOverride(earKey, 'ipsilateralOverride')[freq] = ipsiBase + elevation;
+        ensureOverride(earKey, 'contralateralOverride')[freq] = contBase + elevation;
+      });
+    };
+
+    // 左右どちらが軽度/中程度かを判定
+    const rightIsMild = rightIsMildOME || rightType === 'C';
+    const leftIsMild = leftIsMildOME || leftType === 'C';
+
+    if (rightIsMild && !leftIsMild) {
+      // Rt 軽度（C型）, Lt 中程度以上（B型）
+      markAttenuated('right');
+      markAbsent('left');
+    } else if (leftIsMild && !rightIsMild) {
+      // Rt 中程度以上（B型）, Lt 軽度（C型）
+      markAbsent('right');
+      markAttenuated('left');
+    } else if (!rightIsMild && !leftIsMild) {
+      // 両側中程度以上（B型）
+      markAbsent('right');
+      markAbsent('left');
+    } else {
+      // 両側軽度（C型）：振幅減弱
+      markAttenuated('right');
+      markAttenuated('left');
+    }
+  }
+
+  // 後迷路性・第三の窓: 反射はオージオグラムから予測した所見と食い違う（刺激耳単位で設定）
+  // 聴神経腫瘍は患側刺激で消失（軽度は閾値上昇＝減衰を伴う反応）、ANは刺激耳で消失、上半規管裂隙は気骨導差があっても正常
+  const RETRO_ELEVATION = 20;
+  const setStimulusReflex = (earKey, ipsi, cont) => {
+    const otherKey = earKey === 'right' ? 'left' : 'right';
+    [500, 1000, 2000].forEach(freq => {
+      if (!artConfig[earKey].ipsilateralOverride) artConfig[earKey].ipsilateralOverride = {};
+      if (!artConfig[otherKey].contralateralOverride) artConfig[otherKey].contralateralOverride = {};
+      artConfig[earKey].ipsilateralOverride[freq] = ipsi(freq);
+      artConfig[otherKey].contralateralOverride[freq] = cont(freq);
+    });
+  };
+  ['right', 'left'].forEach(earKey => {
+    const earComponents = profileComponents(meta?.[`${earKey}Profile`] || meta?.profile);
+    if (earComponents.includes('SNHL_VestibularSchwannoma')) {
+      const decayOnly = (meta?.severity ?? 2) <= 1;
+      setStimulusReflex(
+        earKey,
+        (freq) => (decayOnly && freq !== 2000 ? ART_NORMAL_THRESHOLDS[freq].ipsi + RETRO_ELEVATION : 999),
+        (freq) => (decayOnly && freq !== 2000 ? ART_NORMAL_THRESHOLDS[freq].cont + RETRO_ELEVATION : 999)
+      );
+    } else if (earComponents.includes('SNHL_AuditoryNeuropathy')) {
+      setStimulusReflex(earKey, () => 999, () => 999);
+    } else if (earComponents.includes('TW_SuperiorCanalDehiscence')) {
+      setStimulusReflex(earKey, (freq) => ART_NORMAL_THRESHOLDS[freq].ipsi, (freq) => ART_NORMAL_THRESHOLDS[freq].cont);
+    }
+  });
+
+  // 片側伝音障害（AOM/OME/耳小骨離断以外、または疾患判定漏れ時）のフォールバック
+  const artFreqs = [500, 1000, 2000];
+  const contElevation = 15;
+  const ensureArtOverride = (earKey, key) => {
+    if (!artConfig[earKey][key]) artConfig[earKey][key] = {};
+    return artConfig[earKey][key];
+  };
+  const markAbsentEar = (earKey) => {
+    artFreqs.forEach(freq => {
+      ensureArtOverride(earKey, 'ipsilateralOverride')[freq] = 999;
+      ensureArtOverride(earKey, 'contralateralOverride')[freq] = 999;
+    });
+  };
+  const elevateNormalEar = (normalEarKey) => {
+    artFreqs.forEach(freq => {
+      const contBase = ART_NORMAL_THRESHOLDS[freq]?.cont ?? 85;
+      const ipsiBase = ART_NORMAL_THRESHOLDS[freq]?.ipsi ?? 80;
+      ensureArtOverride(normalEarKey, 'contralateralOverride')[freq] = contBase + contElevation;
+      ensureArtOverride(normalEarKey, 'ipsilateralOverride')[freq] = ipsiBase;
+    });
+  };
+  const earHasArtOverride = (earKey) => {
+    const cfg = artConfig[earKey];
+    return !!(cfg.ipsilateralOverride || cfg.contralateralOverride);
+  };
+
+  const rightIsConductive = artConfig.right.tympanogramType === 'B';
+  const leftIsConductive = artConfig.left.tympanogramType === 'B';
+
+  if (rightIsConductive && !leftIsConductive && !earHasArtOverride('right') && !earHasArtOverride('left')) {
+    markAbsentEar('right');
+    elevateNormalEar('left');
+  } else if (leftIsConductive && !rightIsConductive && !earHasArtOverride('left') && !earHasArtOverride('right')) {
+    markAbsentEar('left');
+    elevateNormalEar('right');
+  }
+
+  return artConfig;
+}
+export function buildSimpleTympanogramFromProfile(profileName, meta = {}, rand = Math.random) {
+  const resolvedProfile = profileName || 'Normal';
+  const rightEarProfile = middleEarProfile(meta.rightProfile || resolvedProfile);
+  const leftEarProfile = middleEarProfile(meta.leftProfile || resolvedProfile);
+
+  const createEarConfig = (earProfile) => {
+    if (!earProfile || earProfile === 'Normal' || earProfile.startsWith('SNHL_')) {
+      return { config: { peakPressure: 0, peakCompliance: 1.1, sigma: 60 }, type: 'A' };
+    }
+    if (earProfile === 'TW_SuperiorCanalDehiscence') {
+      // 気骨導差があっても中耳は正常（伝音難聴と誤認しないためのA型）
+      return { config: { peakPressure: 0, peakCompliance: 1.0, sigma: 60 }, type: 'A' };
+    }
+    if (earProfile === 'CHL_Otosclerosis') {
+      return { config: { peakPressure: 0, peakCompliance: 0.5, sigma: 60 }, type: 'As' };
+    }
+    if (earProfile === 'CHL_OssicularDiscontinuity') {
+      const compliance = Number((rand() * 1 + 3).toFixed(1)); // 3.0 - 4.0 mL
+      return { config: { peakPressure: 0, peakCompliance: compliance, sigma: 30 }, type: 'Ad' }; // sigmaを小さくしてより尖らせる
+    }
+    if (earProfile === 'CHL_AOM') {
+      // 急性中耳炎：ピークは +50〜+200 daPa
+      const peak = 50 + Math.round(rand() * 150);
+      return { config: { peakPressure: peak, peakCompliance: 0.3, sigma: 80 }, type: 'B' };
+    }
+    if (earProfile === 'CHL_OME') {
+      return { config: { peakPressure: -150, peakCompliance: 1.0, sigma: 60 }, type: 'C' };
+    }
+    return { config: { peakPressure: 0, peakCompliance: 1.1, sigma: 60 }, type: 'A' };
+  };
+
+  let rightResult = createEarConfig(rightEarProfile);
+  let leftResult = createEarConfig(leftEarProfile);
+
+  if (resolvedProfile === 'CHL_OssicularDiscontinuity' && !meta.rightProfile && !meta.leftProfile && meta.affectedSide) {
+    if (meta.affectedSide === 'R') {
+      rightResult = createEarConfig('CHL_OssicularDiscontinuity');
+      leftResult = createEarConfig('Normal');
+    } else if (meta.affectedSide === 'L') {
+      rightResult = createEarConfig('Normal');
+      leftResult = createEarConfig('CHL_OssicularDiscontinuity');
+    }
+  }
+
+  let right = rightResult.config;
+  let left = leftResult.config;
+
+  if (right.peakCompliance === left.peakCompliance && right.peakPressure === left.peakPressure) {
+    left = {
+      ...left,
+      peakPressure: left.peakPressure - 12,
+      peakCompliance: Number(Math.max(0.2, left.peakCompliance * 1.05).toFixed(2)),
+    };
+  }
+
+  const clampAdCompliance = (earConfig, earType) => {
+    if (earType !== 'Ad' || !earConfig || typeof earConfig.peakCompliance !== 'number') {
+      return earConfig;
+    }
+    const capped = Math.min(earConfig.peakCompliance, 4.0);
+    if (capped === earConfig.peakCompliance) {
+      return earConfig;
+    }
+    return {
+      ...earConfig,
+      peakCompliance: Number(capped.toFixed(2)),
+    };
+  };
+
+  right = clampAdCompliance(right, rightResult.type);
+  left = clampAdCompliance(left, leftResult.type);
+
+  const overallType = rightResult.type === leftResult.type
+    ? rightResult.type
+    : (rightResult.type !== 'A' ? rightResult.type : leftResult.type);
+
+  return { type: overallType, right, left };
+}
+// DPOAE設定を構築する関数（プリセットのAC値とティンパノグラム型から）
+export function buildDPOAEConfig(presetTargets, tympanogram, meta = {}) {
+  // DPOAEの周波数: [1, 2, 3, 4, 6, 8] kHz
+  const dpoaeFrequencies = [1, 2, 3, 4, 6, 8];
+  
+  // オージオグラムのAC値を抽出（Hz単位で保存）。BCは気骨導差の計算用
+  const audiogramAC = { right: {}, left: {} };
+  const audiogramBC = { right: {}, left: {} };
+  presetTargets.forEach(target => {
+    const earKey = target.ear === 'R' ? 'right' : 'left';
+    if (target.transducer === 'AC') {
+      audiogramAC[earKey][target.freq] = target.so ? 110 : target.dB;
+    } else if (target.transducer === 'BC' && !target.so) {
+      audiogramBC[earKey][target.freq] = target.dB;
+    }
+  });
+
+  // 気骨導差（500〜2000 Hz 平均）。C型でも伝音障害が大きければ高音のACが軽くてもDPOAEは出ない
+  const abgOf = (ear) => {
+    const gaps = [500, 1000, 2000]
+      .filter((f) => audiogramAC[ear][f] !== undefined && audiogramBC[ear][f] !== undefined)
+      .map((f) => audiogramAC[ear][f] - audiogramBC[ear][f]);
+    return gaps.length ? gaps.reduce((a, b) => a + b, 0) / gaps.length : null;
+  };
+  
+  // DPOAE周波数ごとにAC値を設定
+  const acThresholds = { right: {}, left: {} };
+  dpoaeFrequencies.forEach(dpoaeFreq => {
+    ['right', 'left'].forEach(ear => {
+      const earKey = ear;
+      let acValue;
+      
+      if (dpoaeFreq === 1) {
+        // DPOAE 1kHz → オージオグラム 1kHz
+        acValue = audiogramAC[earKey][1000];
+      } else if (dpoaeFreq === 2) {
+        // DPOAE 2kHz → オージオグラム 2kHz
+        acValue = audiogramAC[earKey][2000];
+      } else if (dpoaeFreq === 3) {
+        // DPOAE 3kHz → オージオグラム 2kHzと4kHzのAC平均
+        const ac2k = audiogramAC[earKey][2000];
+        const ac4k = audiogramAC[earKey][4000];
+        if (ac2k !== undefined && ac4k !== undefined) {
+          acValue = Math.round((ac2k + ac4k) / 2);
+        } else if (ac4k !== undefined) {
+          acValue = ac4k; // フォールバック：4kHzのみ
+        } else if (ac2k !== undefined) {
+          acValue = ac2k; // フォールバック：2kHzのみ
+        }
+      } else if (dpoaeFreq === 4) {
+        // DPOAE 4kHz → オージオグラム 4kHz
+        acValue = audiogramAC[earKey][4000];
+      } else if (dpoaeFreq === 6) {
+        // DPOAE 6kHz → オージオグラム 4kHzと8kHzのAC平均
+        const ac4k = audiogramAC[earKey][4000];
+        const ac8k = audiogramAC[earKey][8000];
+        if (ac4k !== undefined && ac8k !== undefined) {
+          acValue = Math.round((ac4k + ac8k) / 2);
+        } else if (ac8k !== undefined) {
+          acValue = ac8k; // フォールバック：8kHzのみ
+        } else if (ac4k !== undefined) {
+          acValue = ac4k; // フォールバック：4kHzのみ
+        }
+      } else if (dpoaeFreq === 8) {
+        // DPOAE 8kHz → オージオグラム 8kHz
+        acValue = audiogramAC[earKey][8000];
+      }
+      
+      if (acValue !== undefined) {
+        acThresholds[earKey][dpoaeFreq] = acValue;
+      }
+    });
+  });
+  
+  // ティンパノグラム型を取得（Ad/As も伝音扱いとして 'B' に寄せる）
+  // 各耳ごとに個別に判定（片側AOM、片側正常の場合に対応）
+  const getTympanogramType = (ear, tymp) => {
+    // 各耳ごとのpeakComplianceとpeakPressureを優先的に確認
+    const peakCompliance = tymp?.[ear]?.peakCompliance;
+    const peak = tymp?.[ear]?.peakPressure || 0;
+    
+    // B型の判定（優先順位：peakCompliance < 0.5 または peakPressure異常）
+    // peakComplianceが非常に低い場合（0.3など、AOMのB型）はB型として判定
+    if (peakCompliance !== undefined && peakCompliance < 0.5) {
+      return 'B';
+    }
+    // 陽圧（peakPressure>50daPa）は伝音障害として扱う
+    if (peak > 50) return 'B';
+    // 強い陰圧（peakPressure<-150）はB型
+    if (peak < -150) return 'B';
+    
+    // C型の判定（OME軽度：peakPressure: -150, peakCompliance: 1.0）
+    // peakPressureが-150付近でpeakComplianceが1.0付近ならC型
+    if (peak <= -150 && peak >= -200 && peakCompliance !== undefined && peakCompliance >= 0.8 && peakCompliance <= 1.2) {
+      return 'C';
+    }
+    
+    // As型（コンプライアンス低）を検出（peakComplianceが0.5以上0.8未満の場合）
+    if (peakCompliance !== undefined && peakCompliance >= 0.5 && peakCompliance < 0.8) {
+      return 'B'; // As型も伝音障害としてB型扱い
+    }
+    // Ad型（コンプライアンス増大）を検出
+    if (peakCompliance !== undefined && peakCompliance > 1.7) {
+      return 'B'; // Ad型も伝音障害としてB型扱い
+    }
+    
+    // 全体のtypeプロパティは参考程度（各耳ごとの判定を優先）
+    if (tymp?.type === 'B' && peakCompliance === undefined && peak === 0) {
+      // 全体がB型で、各耳の情報がない場合のみ全体のtypeを使用
+      return 'B';
+    }
+    if (tymp?.type === 'C' && peakCompliance === undefined && peak === 0) {
+      // 全体がC型で、各耳の情報がない場合のみ全体のtypeを使用
+      return 'C';
+    }
+    
+    return 'A';
+  };
+  
+  const tympanogramType = {
+    right: getTympanogramType('right', tympanogram),
+    left: getTympanogramType('left', tympanogram)
+  };
+  
+  // OMEの軽度/中程度情報を追加
+  const rightIsMildOME = meta?.rightIsMild || false;
+  const leftIsMildOME = meta?.leftIsMild || false;
+  // オーディトリー・ニューロパチー: 外有毛細胞は正常なのでACが悪くてもDPOAEは保たれる
+  const rightIsNeuropathy = profileComponents(meta?.rightProfile || meta?.profile).includes('SNHL_AuditoryNeuropathy');
+  const leftIsNeuropathy = profileComponents(meta?.leftProfile || meta?.profile).includes('SNHL_AuditoryNeuropathy');
+  
+  return {
+    acThresholds,
+    tympanogramType,
+    airBoneGap: { right: abgOf('right'), left: abgOf('left') },
+    rightIsMildOME,
+    leftIsMildOME,
+    rightIsNeuropathy,
+    leftIsNeuropathy
+  };
+}
+// DPOAEデータを生成する関数（症例ごとに固定値）
+export function generateDPOAEData(dpoaeConfig, caseId = '') {
+  const frequencies = [1, 2, 3, 4, 6, 8];
+  
+  // ノイズフロアの基本値（周波数ごとの範囲の中間値）
+  const noiseFloorBase = {
+    1: 17,   // 12-22 の中央値
+    2: 15,   // 10-20 の中央値
+    3: 13,   // 8-18 の中央値
+    4: 11.5, // 7-16 の中央値
+    6: 10,   // 6-14 の中央値
+    8: 10    // 6-14 の中央値
+  };
+  
+  // デターミニスティックなノイズフロア（症例IDと周波数、耳に基づく固定変動）
+  // 左右で異なるノイズフロア値を生成（より大きな幅を持つ）
+  const getNoiseFloor = (freq, ear) => {
+    const base = noiseFloorBase[freq];
+    // 症例IDと周波数、耳に基づく固定変動パターン（左右で異なる変動を加える）
+    // 右耳と左耳で異なるseedを使用して、左右で異なるノイズフロア値を生成
+    const earMultiplier = ear === 'right' ? 1 : 5; // 左右で異なるパターンを作るための係数（より大きく）
+    const seed = (caseId.charCodeAt(0) || 65) * 100 + freq * 10 + earMultiplier;
+    // 左右で異なる変動パターン（右耳はsin系、左耳はcos系に偏らせる）
+    // 変動幅を大きくする（±3-4dB程度）
+    const sinVariation = Math.sin(seed * 0.1) * 3.5;
+    const cosVariation = Math.cos(seed * 0.15) * 2.5;
+    const variation = ear === 'right' 
+      ? sinVariation + cosVariation * 0.6  // 右耳のパターン
+      : cosVariation + sinVariation * 0.6; // 左耳のパターン（異なるパターン、より大きな差）
+    const rangeMin = { 1: 12, 2: 10, 3: 8, 4: 7, 6: 6, 8: 6 }[freq];
+    const rangeMax = { 1: 22, 2: 20, 3: 18, 4: 16, 6: 14, 8: 14 }[freq];
+    return Math.max(rangeMin, Math.min(rangeMax, base + variation));
+  };
+  
+  const generateEarData = (ear) => {
+    const acThresholds = dpoaeConfig.acThresholds[ear];
+    const tympanogramType = dpoaeConfig.tympanogramType[ear];
+    
+    return frequencies.map((freq, index) => {
+      const acThreshold = acThresholds[freq];
+      const noiseFloor = getNoiseFloor(freq, ear);
+      
+      // ルール判定（優先順位順）
+      // 【最重要】伝音障害（B型）がある場合は、AC閾値に関係なく全周波数でREFERを最優先
+      // 1. 伝音障害（ティンパノB型、またはC型で気骨導差 ≥ 25dB）→ 全周波数でSNR < 2dB（REFER）
+      // 2. OME軽度（C型）でAC <= 20dB → SNR >= 6dB（正常/PASS）
+      // 3. OME（C型またはB型）でAC > 20dB → SNR < 2dB（B型）またはSNR < 6dB（C型軽度）
+      // 4. AC ≥ 35dB（感音性難聴など、ANを除く）→ SNR < 2dB
+      // 5. それ以外 → 正常（SNR 6〜12dB、確実に6以上になるように）
+      
+      // OME軽度/中程度の判定
+      const isMildOME = (ear === 'right' ? dpoaeConfig.rightIsMildOME : dpoaeConfig.leftIsMildOME) || false;
+      const isOME = tympanogramType === 'C' || tympanogramType === 'B';
+      const isNeuropathy = (ear === 'right' ? dpoaeConfig.rightIsNeuropathy : dpoaeConfig.leftIsNeuropathy) || false;
+      const airBoneGap = dpoaeConfig.airBoneGap?.[ear];
+      const isConductive = tympanogramType === 'B' || (isOME && airBoneGap != null && airBoneGap >= 25);
+      
+      let snr;
+      // 【最優先】伝音障害（B型、または気骨導差の大きいC型）がある場合は、AC閾値に関係なく全周波数でREFER
+      if (isConductive) {
+        // B型（伝音障害）→ 全周波数でSNR < 2dB（REFER）
+        // AC閾値に関係なく、伝音障害がある場合は必ずREFER
+        const seed = (caseId.charCodeAt(0) || 65) * 1000 + freq * 100 + index * 10 + (ear === 'right' ? 1 : 2);
+        snr = 0.5 + (Math.sin(seed * 0.1) * 0.5 + Math.cos(seed * 0.2) * 0.3); // 0.5〜1.5dB程度の固定値
+      } else if (tympanogramType === 'C' && isMildOME && acThreshold !== undefined && acThreshold <= 20) {
+        // OME軽度（C型）でAC <= 20dB → SNR >= 6dB（正常/PASS）
+        // 確実に6dB以上になるように、最小値を6.5dBに設定
+        const seed = (caseId.charCodeAt(0) || 65) * 1000 + freq * 100 + index * 10 + (ear === 'right' ? 1 : 2);
+        // SNR 6.5〜12dBの範囲で生成（確実に6以上になるように）
+        const baseSNR = 8; // 基本SNR 8dB
+        const earOffset = ear === 'right' 
+          ? Math.sin(seed * 0.05) * 2.5  // 右耳の変動幅を大きく
+          : Math.cos(seed * 0.05) * 2.5; // 左耳の変動幅を大きく
+        snr = Math.max(6.5, Math.min(12, baseSNR + earOffset)); // 最小値を6.5dBに設定して確実に6dB以上にする
+      } else if (isOME && acThreshold !== undefined && acThreshold > 20) {
+        // OME（C型またはB型）でAC > 20dB → REFER
+        if (tympanogramType === 'C' && isMildOME) {
+          // OME軽度（C型）でAC > 20dB → SNR < 6dB（6dB未満でREFER）
+          const seed = (caseId.charCodeAt(0) || 65) * 1000 + freq * 100 + index * 10 + (ear === 'right' ? 1 : 2);
+          snr = 2 + (Math.sin(seed * 0.1) * 2 + Math.cos(seed * 0.2) * 1.5); // 2〜5.5dB程度の固定値
+          snr = Math.max(2, Math.min(5.5, snr)); // 6dB未満に制限（REFERになるように）
+        } else {
+          // OME中程度以上（B型）でAC > 20dB → SNR < 2dB（ただし、B型は既に上で処理済み）
+          const seed = (caseId.charCodeAt(0) || 65) * 1000 + freq * 100 + index * 10 + (ear === 'right' ? 1 : 2);
+          snr = 0.5 + (Math.sin(seed * 0.1) * 0.5 + Math.cos(seed * 0.2) * 0.3); // 0.5〜1.5dB程度の固定値
+        }
+      } else if (acThreshold !== undefined && acThreshold >= 35 && !isNeuropathy) {
+        // AC >= 35dB（感音性難聴など）→ SNR < 2dB（ANは除く）
+        const seed = (caseId.charCodeAt(0) || 65) * 1000 + freq * 100 + index * 10 + (ear === 'right' ? 1 : 2);
+        snr = 0.5 + (Math.sin(seed * 0.1) * 0.5 + Math.cos(seed * 0.2) * 0.3); // 0.5〜1.5dB程度の固定値
+      } else {
+        // 正常: SNR 6〜12dB（固定値で右左に差、確実に6以上になるように）
+        // 症例と周波数に基づく固定値
+        const seed = (caseId.charCodeAt(0) || 65) * 1000 + freq * 100 + index * 10 + (ear === 'right' ? 1 : 2);
+        // 右耳と左耳でより大きな差が出るように（±2-3dB程度）
+        const baseSNR = 8; // 基本SNR 8dB
+        // 左右で異なるオフセット（右耳はsin系、左耳はcos系でより大きな差）
+        const earOffset = ear === 'right' 
+          ? Math.sin(seed * 0.05) * 2.5  // 右耳の変動幅を大きく
+          : Math.cos(seed * 0.05) * 2.5; // 左耳の変動幅を大きく
+        // SNRが確実に6以上になるように（最小値6dB、最大値12dB程度）
+        snr = Math.max(6, Math.min(12, baseSNR + earOffset));
+      }
+      
+      const dpoaeLevel = noiseFloor + snr;
+      
+      return Math.max(0, Math.min(30, dpoaeLevel)); // 0〜30dBの範囲にクランプ
+    });
+  };
+  
+  // ノイズフロアデータも生成（SNR計算用）
+  const noiseFloorData = {
+    right: frequencies.map((freq) => getNoiseFloor(freq, 'right')),
+    left: frequencies.map((freq) => getNoiseFloor(freq, 'left'))
+  };
+  
+  return {
+    right: generateEarData('right'),
+    left: generateEarData('left'),
+    noiseFloor: noiseFloorData
+  };
+}
+
+// 反射閾値の正常値（文献値、dB HL）
+const ART_REFLEX_NORMAL = {
+  500: { ipsi: 80, cont: 85 },
+  1000: { ipsi: 75, cont: 80 },
+  2000: { ipsi: 80, cont: 85 }
+};
+
+/**
+ * ART の反射閾値（999 は反射消失）。BC値とティンパノグラム型、症例ごとの上書き（override）から決める
+ * 耳の割り当ては ART 画面と同じ（Rt測定: IPSI=右耳刺激、CONT=左耳刺激）
+ * @param {object} artConfig - buildArtConfig の結果
+ */
+export function artReflexThreshold(artConfig, freq, isIpsi, isLeft) {
+  const normal = ART_REFLEX_NORMAL[freq] || ART_REFLEX_NORMAL[1000];
+  const normalThresh = isIpsi ? (normal?.ipsi ?? 80) : (normal?.cont ?? 85);
+
+  // 測定側と刺激側の耳を特定（反射弓）
+  const stimulusEar = (!isLeft && isIpsi) || (isLeft && !isIpsi) ? 'right' : 'left';
+  const measuredEar = isLeft ? 'left' : 'right';
+  const stimulusConfig = artConfig[stimulusEar];
+  const measuredConfig = artConfig[measuredEar];
+  const overrideKey = isIpsi ? 'ipsilateralOverride' : 'contralateralOverride';
+
+  // 測定側のoverrideを優先（AOM症例などで正常側のCONT反射を上昇させる場合など）、次に刺激側
+  const overrideMeasured = measuredConfig?.[overrideKey]?.[freq];
+  if (overrideMeasured !== undefined) return overrideMeasured;
+  const overrideStimulus = stimulusConfig?.[overrideKey]?.[freq];
+  if (overrideStimulus !== undefined) return overrideStimulus;
+
+  // 測定側が伝音障害（B型）なら反射消失
+  if (measuredConfig.tympanogramType === 'B') return 999;
+
+  // 刺激側が伝音障害（B型）: 測定側が正常で対側刺激のCONT反射は、閾値上昇するが反応あり
+  if (stimulusConfig.tympanogramType === 'B') {
+    if (measuredConfig.tympanogramType !== 'B' && !isIpsi) {
+      const acLoss = stimulusConfig.acThresholds?.[freq];
+      const acBasedElev = (typeof acLoss === 'number' && acLoss > 10)
+        ? Math.min(35, Math.round(acLoss * 0.2))
+        : 15;
+      return normalThresh + acBasedElev;
+    }
+    return 999;
+  }
+
+  // BC値（感音成分）を参照して反射閾値を計算
+  const bcThreshold = stimulusConfig.bcThresholds[freq];
+  // BC値が70dB以上（スケールアウト）なら反射消失
+  if (bcThreshold >= 70) return 999;
+  if (bcThreshold <= 10) return normalThresh;
+  // 感音難聴: BC値の25%だけ反射閾値が上昇（例：BC 60dBで75dB→90dB）
+  return normalThresh + bcThreshold * 0.25;
+}
+
+/**
+ * 生成症例の Tym・ART・DPOAE 設定（学習者画面の自動生成と同じ組み立て）
+ * @param {Array} targets - 正答閾値
+ * @param {object} meta - 生成エンジンの meta
+ * @param {() => number} [rand] - ティンパノグラムの揺らぎに使う乱数
+ */
+export function buildCaseBattery(targets, meta = {}, rand = Math.random) {
+  const profileName = meta.profile || meta.rightProfile || meta.leftProfile || 'Normal';
+  const filledMeta = {
+    ...meta,
+    profile: meta.profile || profileName,
+    rightProfile: meta.rightProfile || profileName,
+    leftProfile: meta.leftProfile || profileName,
+  };
+  const casePattern = inferCasePatternFromProfile(profileName);
+  const tympanogram = buildSimpleTympanogramFromProfile(profileName, filledMeta, rand);
+  return {
+    profileName,
+    casePattern,
+    tympanogram,
+    artConfig: buildArtConfig(targets, tympanogram, profileName, casePattern, filledMeta),
+    dpoaeConfig: buildDPOAEConfig(targets, tympanogram, filledMeta),
+  };
+}
+
+/**
+ * プリセット症例の ART・DPOAE 設定（症例情報の Tym と疾患名から）
+ * @param {Array} targets - プリセットの正答閾値
+ * @param {object} details - PRESET_DETAILS の症例情報
+ */
+export function buildPresetBattery(targets, details) {
+  const casePattern = inferCasePatternFromDisorderName(details.diseaseName);
+  return {
+    artConfig: buildArtConfig(targets, details.tympanogram, details.diseaseName || null, casePattern),
+    dpoaeConfig: buildDPOAEConfig(targets, details.tympanogram),
+  };
+}
@@ -0,0 +1,153 @@
+/**
+ * 音叉検査（Weber・Rinne・Bing）— 判定ロジック（教育用）
+ * 症例の正答（AC/BC 閾値）から、ベッドサイドでの音叉所見を予測する。
+ * 256 Hz は 250 Hz、512 Hz は 500 Hz の閾値で代用する。
+ */
+
+export const FORK_FREQS = [256, 512];
+export const FORK_TO_AUDIOMETRIC = { 256: 250, 512: 500 };
+
+/**
+ * 打鍵直後の音叉の強さ（dB HL 相当）
+ * ac − bc が「Rinne が陰性に転じる気骨導差」になる（256 Hz ≈ 20 dB、512 Hz ≈ 25 dB）
+ */
+export const FORK_LEVEL_DB = {
+  256: { ac: 70, bc: 50 },
+  512: { ac: 75, bc: 50 },
+};
+const IA_AC_DB = 50;
+const IA_BC_DB = 0;
+/** Weber: 伝音障害側は気骨導差の一部だけ大きく聞こえる（閉塞効果様） */
+const WEBER_ABG_GAIN = 0.75;
+const WEBER_ABG_CAP_DB = 30;
+const WEBER_MIN_DIFF_DB = 10;
+/** Bing: この気骨導差以上では外耳道閉塞で音が大きくならない */
+const BING_ABG_DB = 10;
+
+export const WEBER_LABELS = { R: '右へ偏倚', L: '左へ偏倚', midline: '正中', not_heard: '聞こえない' };
+export const RINNE_LABELS = {
+  positive: '陽性（AC > BC）',
+  negative: '陰性（BC > AC）',
+  false_negative: '偽陰性（対側蝸牛でBCを聴取）',
+  not_heard: '聞こえない',
+};
+export const BING_LABELS = { positive: '陽性（大きくなる）', negative: '陰性（変化なし）', not_heard: '検査耳で聞こえない' };
+
+/** 予測フォームで選べる値（偽陰性は「陰性」として観察される） */
+export const RINNE_CHOICES = ['positive', 'negative', 'not_heard'];
+export const WEBER_CHOICES = ['R', 'midline', 'L', 'not_heard'];
+export const BING_CHOICES = ['positive', 'negative', 'not_heard'];
+
+/**
+ * 正答から耳・周波数ごとの閾値を取り出す（SO は聞こえないものとして Infinity）
+ * @returns {{ R: { [hz]: { ac, bc } }, L: {...} }}
+ */
+export function forkThresholds(targets) {
+  const out = { R: {}, L: {} };
+  ['R', 'L'].forEach((ear) => {
+    FORK_FREQS.forEach((fork) => {
+      const f = FORK_TO_AUDIOMETRIC[fork];
+      const pick = (tr) => (targets || []).find((t) => t.ear === ear && t.transducer === tr && t.freq === f);
+      const ac = pick('AC');
+      const bc = pick('BC');
+      const val = (t) => (!t ? null : t.so ? Infinity : t.dB);
+      out[ear][fork] = { ac: val(ac), bc: val(bc) };
+    });
+  });
+  return out;
+}
+
+/** Rinne（1耳・1周波数）。AC/BC とも対側経由の聴取を含めて感覚レベルで比べる */
+export function rinneResult(te, nte, fork) {
+  const lv = FORK_LEVEL_DB[fork];
+  if (te.ac == null || te.bc == null) return null;
+  const acSl = Math.max(lv.ac - te.ac, lv.ac - IA_AC_DB - (nte.bc ?? Infinity));
+  const bcTe = lv.bc - te.bc;
+  const bcCross = lv.bc - IA_BC_DB - (nte.bc ?? Infinity);
+  const bcSl = Math.max(bcTe, bcCross);
+  if (acSl < 0 && bcSl < 0) return 'not_heard';
+  if (acSl > bcSl) return 'positive';
+  // BC が勝つが、それは対側蝸牛で聞いている（検査耳は聾） → 偽陰性
+  return bcTe < 0 && bcCross >= 0 ? 'false_negative' : 'negative';
+}
+
+/** Weber（512 Hz、前額部） */
+export function weberResult(thr, fork = 512) {
+  const lv = FORK_LEVEL_DB[fork];
+  const loud = (t) => {
+    if (t.bc == null || !Number.isFinite(t.bc) || lv.bc - t.bc < 0) return null;
+    const abg = Number.isFinite(t.ac) ? clamp(t.ac - t.bc, 0, WEBER_ABG_CAP_DB) : 0;
+    return lv.bc - t.bc + WEBER_ABG_GAIN * abg;
+  };
+  const r = loud(thr.R[fork]);
+  const l = loud(thr.L[fork]);
+  if (r == null && l == null) return 'not_heard';
+  if (l == null) return 'R';
+  if (r == null) return 'L';
+  if (Math.abs(r - l) < WEBER_MIN_DIFF_DB) return 'midline';
+  return r > l ? 'R' : 'L';
+}
+
+/** Bing（256 Hz、乳突部＋外耳道閉塞） */
+export function bingResult(te, fork = 256) {
+  const lv = FORK_LEVEL_DB[fork];
+  if (te.bc == null) return null;
+  if (!Number.isFinite(te.bc) || lv.bc - te.bc < 0) return 'not_heard';
+  const abg = Number.isFinite(te.ac) ? te.ac - te.bc : Infinity;
+  return abg >= BING_ABG_DB ? 'negative' : 'positive';
+}
+
+/**
+ * 症例の音叉所見一式
+ * @returns {{ weber, rinne: { R: {256, 512}, L: {...} }, bing: { R, L } }}
+ */
+export function predictTuningForks(targets) {
+  const thr = forkThresholds(targets);
+  const rinne = { R: {}, L: {} };
+  ['R', 'L'].forEach((ear) => {
+    const nte = ear === 'R' ? 'L' : 'R';
+    FORK_FREQS.forEach((fork) => {
+      rinne[ear][fork] = rinneResult(thr[ear][fork], thr[nte][fork], fork);
+    });
+  });
+  return {
+    weber: weberResult(thr),
+    rinne,
+    bing: { R: bingResult(thr.R[256]), L: bingResult(thr.L[256]) },
+  };
+}
+
+/** 偽陰性は観察上「陰性」なので、予測の照合では同一視する */
+export function observedRinne(result) {
+  return result === 'false_negative' ? 'negative' : result;
+}
+
+/** 学習者の予測を照合 */
+export function scoreForkPrediction(prediction, truth) {
+  const items = [{ id: 'weber', label: 'Weber', expected: truth.weber, answer: prediction.weber }];
+  ['R', 'L'].forEach((ear) => {
+    FORK_FREQS.forEach((fork) => {
+      items.push({
+        id: `rinne-${ear}-${fork}`,
+        label: `Rinne ${ear === 'R' ? '右' : '左'} ${fork} Hz`,
+        expected: truth.rinne[ear][fork],
+        answer: prediction.rinne?.[ear]?.[fork],
+      });
+    });
+    items.push({
+      id: `bing-${ear}`,
+      label: `Bing ${ear === 'R' ? '右' : '左'}`,
+      expected: truth.bing[ear],
+      answer: prediction.bing?.[ear],
+    });
+  });
+  const scored = items.map((x) => ({
+    ...x,
+    ok: x.expected == null || (x.id.startsWith('rinne') ? observedRinne(x.expected) : x.expected) === x.answer,
+  }));
+  return { items: scored, correct: scored.filter((x) => x.ok).length, total: scored.length };
+}
+
+function clamp(x, lo, hi) {
+  return Math.max(lo, Math.min(hi, x));
+}
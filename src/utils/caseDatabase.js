@@ -55,9 +55,10 @@ function normalizeDisorderName(key) {
  * 症例データベースから症例を取得（CSV優先、JSONフォールバック）
  * @param {string} key - 疾患名
  * @param {string} tympType - ティンパノグラム型（オプション）
+ * @param {() => number} rand - 乱数（症例コードで読み込むときは seed 由来の乱数列）
  * @returns {Promise<Object|null>} 症例オブジェクト
  */
-export async function pickCaseFromDatabase(key, tympType = null) {
+export async function pickCaseFromDatabase(key, tympType = null, rand = Math.random) {
   try {
     // まずCSVから読み込みを試みる
     const normalizedKey = normalizeDisorderName(key);
@@ -91,18 +92,18 @@ export async function pickCaseFromDatabase(key, tympType = null) {
       });
       
       if (filtered.length > 0) {
-        return filtered[Math.floor(Math.random() * filtered.length)];
+        return filtered[Math.floor(rand() * filtered.length)];
       }
     }
     
     // ランダムに1つ選択
-    return arr[Math.floor(Math.random() * arr.length)];
+    return arr[Math.floor(rand() * arr.length)];
   } catch (error) {
     console.error(`症例データベース読み込みエラー (${key}):`, error);
     // エラー時はJSONから取得を試みる
     const jsonCases = getJSONCases(key);
     if (jsonCases && jsonCases.length > 0) {
-      return jsonCases[Math.floor(Math.random() * jsonCases.length)];
+      return jsonCases[Math.floor(rand() * jsonCases.length)];
     }
     return null;
   }
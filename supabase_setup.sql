@@ -40,11 +40,15 @@ CREATE TABLE IF NOT EXISTS measurements (
   masked BOOLEAN DEFAULT FALSE,
   mask_level INTEGER,
   so BOOLEAN DEFAULT FALSE,
+  earphone TEXT, -- AC受話器: supraAural / insert
   case_id TEXT,
   session_id TEXT,
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- 既存のmeasurementsテーブルに受話器列を追加
+ALTER TABLE measurements ADD COLUMN IF NOT EXISTS earphone TEXT;
+
 -- インデックス作成
 CREATE INDEX IF NOT EXISTS idx_measurements_user_id ON measurements(user_id);
 CREATE INDEX IF NOT EXISTS idx_measurements_student_id ON measurements(student_id);